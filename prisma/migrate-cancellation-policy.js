@@ -0,0 +1,91 @@
+// prisma/migrate-cancellation-policy.js
+//
+// One-off data migration for Property.cancellationPolicy, which changed from
+// free text to the CancellationPolicyType enum. `prisma db push` would drop
+// the old column, so run this first:
+//
+//   node prisma/migrate-cancellation-policy.js && npx prisma db push
+//
+// Free-text values are mapped to the closest template by keyword; anything
+// unrecognised (or empty) becomes MODERATE, the new column default. Running
+// it again once the column is converted does nothing.
+import { PrismaClient } from "@prisma/client";
+
+const prisma = new PrismaClient();
+
+// Checked strictest first, so a text naming two templates gets the
+// stricter one
+const KEYWORDS = [
+  ["NON_REFUNDABLE", "non[- _]?refundable|no[- _]?refund"],
+  ["STRICT", "strict"],
+  ["MODERATE", "moderate"],
+  ["FLEXIBLE", "flexible"],
+];
+const FALLBACK = "MODERATE";
+
+async function main() {
+  const [column] = await prisma.$queryRaw`
+    SELECT data_type FROM information_schema.columns
+    WHERE table_name = 'properties' AND column_name = 'cancellationPolicy'
+  `;
+  if (!column) {
+    console.log("properties.cancellationPolicy not found; nothing to do");
+    return;
+  }
+  if (column.data_type === "USER-DEFINED") {
+    console.log("properties.cancellationPolicy is already an enum");
+    return;
+  }
+
+  const before = await prisma.$queryRaw`
+    SELECT "cancellationPolicy" AS value, COUNT(*)::int AS count
+    FROM properties GROUP BY 1 ORDER BY 2 DESC
+  `;
+  console.table(before);
+
+  const mapping = KEYWORDS.map(
+    ([type, pattern]) =>
+      `WHEN "cancellationPolicy" ~* '${pattern}' THEN '${type}'`
+  ).join("\n        ");
+
+  await prisma.$transaction([
+    prisma.$executeRawUnsafe(`
+      DO $$ BEGIN
+        CREATE TYPE "CancellationPolicyType" AS ENUM
+          ('FLEXIBLE', 'MODERATE', 'STRICT', 'NON_REFUNDABLE', 'CUSTOM');
+      EXCEPTION WHEN duplicate_object THEN NULL;
+      END $$
+    `),
+    prisma.$executeRawUnsafe(`
+      ALTER TABLE properties
+        ALTER COLUMN "cancellationPolicy" DROP DEFAULT
+    `),
+    prisma.$executeRawUnsafe(`
+      ALTER TABLE properties
+        ALTER COLUMN "cancellationPolicy" TYPE "CancellationPolicyType"
+        USING (CASE
+        ${mapping}
+        ELSE '${FALLBACK}'
+        END)::"CancellationPolicyType"
+    `),
+    prisma.$executeRawUnsafe(`
+      ALTER TABLE properties
+        ALTER COLUMN "cancellationPolicy" SET DEFAULT '${FALLBACK}',
+        ALTER COLUMN "cancellationPolicy" SET NOT NULL
+    `),
+  ]);
+
+  const after = await prisma.$queryRaw`
+    SELECT "cancellationPolicy"::text AS value, COUNT(*)::int AS count
+    FROM properties GROUP BY 1 ORDER BY 2 DESC
+  `;
+  console.log("✅ Cancellation policies converted");
+  console.table(after);
+}
+
+main()
+  .catch((error) => {
+    console.error("❌ Cancellation policy migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
@@ -18,7 +18,7 @@ import mongoose from "mongoose";
 import { setupWebSocket, getIO } from "../websocket/index.js";
 // import { createServer } from "http";
 // import session from "express-session";
-// import config from "./env.js";
+import config from "./env.js";
 import { sessionMiddleware } from "./session.js";
 const app = express();
 // const server = createServer(app);
@@ -108,7 +108,17 @@ app.use(passport.session());
 // Request Parsing
 // ========================
 app.use(cookieParser());
-app.use(express.json({ limit: "10kb" }));
+app.use(
+  express.json({
+    limit: "10kb",
+    // Payment webhooks are signed over the exact bytes the provider sent
+    verify: (req, res, buf) => {
+      if (req.originalUrl.startsWith("/api/payments/webhooks/")) {
+        req.rawBody = buf;
+      }
+    },
+  })
+);
 app.use(express.urlencoded({ extended: true }));
 app.use(bodyParser.urlencoded({ extended: true }));
 
@@ -197,6 +207,17 @@ app.get("/", async (req, res) => {
 // ========================
 app.use("/api", routes);
 
+// Files written by the local storage driver
+if (config.get("storage.driver") === "local") {
+  app.use(
+    config.get("storage.localBaseUrl"),
+    express.static(config.get("storage.localDir"), {
+      setHeaders: (res) =>
+        res.set("Cross-Origin-Resource-Policy", "cross-origin"),
+    })
+  );
+}
+
 // ========================
 // Error Handling
 // ========================
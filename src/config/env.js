@@ -152,6 +152,314 @@ const config = convict({
     default: "http://localhost:3000/",
     env: "FRONTEND_SUCCESS_URL",
   },
+  payments: {
+    provider: {
+      doc: "Default payment gateway adapter",
+      format: ["mock"],
+      default: "mock",
+      env: "PAYMENT_PROVIDER",
+    },
+    mockStorePath: {
+      doc: "JSON file the mock provider persists intents to (in-memory when empty)",
+      format: String,
+      default: "",
+      env: "PAYMENT_MOCK_STORE_PATH",
+    },
+    webhookSecret: {
+      doc: "Shared secret used to sign payment provider webhooks",
+      format: String,
+      default: "your_payment_webhook_secret",
+      env: "PAYMENT_WEBHOOK_SECRET",
+      sensitive: true,
+    },
+    webhookTolerance: {
+      doc: "Maximum age in seconds of a signed webhook timestamp",
+      format: Number,
+      default: 300,
+      env: "PAYMENT_WEBHOOK_TOLERANCE",
+    },
+  },
+  currency: {
+    base: {
+      doc: "Pivot currency used when no direct exchange rate exists",
+      format: String,
+      default: "USD",
+      env: "CURRENCY_BASE",
+    },
+    ratesFile: {
+      doc: "JSON or CSV file of exchange rates imported by the rates job",
+      format: String,
+      default: "",
+      env: "EXCHANGE_RATES_FILE",
+    },
+    ratesImportCron: {
+      doc: "Cron schedule for re-importing the exchange rates file",
+      format: String,
+      default: "0 * * * *",
+      env: "EXCHANGE_RATES_IMPORT_CRON",
+    },
+  },
+  bookings: {
+    quoteSecret: {
+      doc: "Secret used to sign booking price quotes",
+      format: String,
+      default: "your_quote_secret",
+      env: "BOOKING_QUOTE_SECRET",
+      sensitive: true,
+    },
+    quoteTtlMinutes: {
+      doc: "Minutes a price quote can be redeemed by createBooking",
+      format: Number,
+      default: 30,
+      env: "BOOKING_QUOTE_TTL_MINUTES",
+    },
+  },
+  jobs: {
+    enabled: {
+      doc: "Run scheduled background jobs in this process",
+      format: Boolean,
+      default: true,
+      env: "JOBS_ENABLED",
+    },
+    pendingHoldMinutes: {
+      doc: "Minutes a PENDING booking holds its dates before it expires",
+      format: Number,
+      default: 1440, // 24 hours
+      env: "BOOKING_PENDING_HOLD_MINUTES",
+    },
+    bookingLifecycleCron: {
+      doc: "Cron schedule for expiring, activating and completing bookings",
+      format: String,
+      default: "*/5 * * * *",
+      env: "BOOKING_LIFECYCLE_CRON",
+    },
+  },
+  search: {
+    outboxPollSeconds: {
+      doc: "Seconds between search index outbox relay runs",
+      format: Number,
+      default: 10,
+      env: "SEARCH_OUTBOX_POLL_SECONDS",
+    },
+    outboxBatchSize: {
+      doc: "Outbox entries claimed per relay run",
+      format: Number,
+      default: 50,
+      env: "SEARCH_OUTBOX_BATCH_SIZE",
+    },
+    outboxMaxAttempts: {
+      doc: "Failed reindex attempts before an entry is dead-lettered",
+      format: Number,
+      default: 8,
+      env: "SEARCH_OUTBOX_MAX_ATTEMPTS",
+    },
+    priceFacetBounds: {
+      doc: "Lower bounds of the search price histogram buckets; the last is open-ended",
+      format: Array,
+      default: [0, 5000, 10000, 20000, 35000, 50000, 75000, 100000],
+      env: "SEARCH_PRICE_FACET_BOUNDS",
+    },
+    salePriceFacetBounds: {
+      doc: "Lower bounds of the price histogram buckets when searching sale listings",
+      format: Array,
+      default: [0, 5000000, 10000000, 25000000, 50000000, 100000000, 250000000],
+      env: "SEARCH_SALE_PRICE_FACET_BOUNDS",
+    },
+    suggestionsRebuildCron: {
+      doc: "Cron schedule for rebuilding the autocomplete index from the search index",
+      format: String,
+      default: "*/15 * * * *",
+      env: "SEARCH_SUGGESTIONS_REBUILD_CRON",
+    },
+    ranking: {
+      text: {
+        doc: "Relevance weight for matching the search text",
+        format: Number,
+        default: 3,
+        env: "SEARCH_WEIGHT_TEXT",
+      },
+      distance: {
+        doc: "Relevance weight for closeness to the searched point",
+        format: Number,
+        default: 2,
+        env: "SEARCH_WEIGHT_DISTANCE",
+      },
+      rating: {
+        doc: "Relevance weight for average review rating",
+        format: Number,
+        default: 1.5,
+        env: "SEARCH_WEIGHT_RATING",
+      },
+      reviews: {
+        doc: "Relevance weight for number of reviews",
+        format: Number,
+        default: 1,
+        env: "SEARCH_WEIGHT_REVIEWS",
+      },
+      popularity: {
+        doc: "Relevance weight for number of bookings",
+        format: Number,
+        default: 1,
+        env: "SEARCH_WEIGHT_POPULARITY",
+      },
+      freshness: {
+        doc: "Relevance weight for recently listed properties",
+        format: Number,
+        default: 0.5,
+        env: "SEARCH_WEIGHT_FRESHNESS",
+      },
+      boost: {
+        doc: "Relevance weight for the admin-set property searchBoost",
+        format: Number,
+        default: 1,
+        env: "SEARCH_WEIGHT_BOOST",
+      },
+      saturationCount: {
+        doc: "Review/booking count at which those signals stop adding relevance",
+        format: Number,
+        default: 100,
+        env: "SEARCH_RANKING_SATURATION_COUNT",
+      },
+      freshnessDays: {
+        doc: "Listing age in days at which the freshness signal has decayed to ~37%",
+        format: Number,
+        default: 30,
+        env: "SEARCH_RANKING_FRESHNESS_DAYS",
+      },
+    },
+  },
+  savedSearches: {
+    maxPerUser: {
+      doc: "Saved searches a user can keep",
+      format: Number,
+      default: 25,
+      env: "SAVED_SEARCHES_MAX_PER_USER",
+    },
+    instantRetryCron: {
+      doc: "Cron schedule for retrying instant saved-search alerts that failed",
+      format: String,
+      default: "*/15 * * * *",
+      env: "SAVED_SEARCHES_INSTANT_RETRY_CRON",
+    },
+    dailyDigestCron: {
+      doc: "Cron schedule for daily saved-search alert digests",
+      format: String,
+      default: "0 8 * * *",
+      env: "SAVED_SEARCHES_DAILY_DIGEST_CRON",
+    },
+    weeklyDigestCron: {
+      doc: "Cron schedule for weekly saved-search alert digests",
+      format: String,
+      default: "0 8 * * 1",
+      env: "SAVED_SEARCHES_WEEKLY_DIGEST_CRON",
+    },
+  },
+  calendar: {
+    syncCron: {
+      doc: "Cron schedule for re-importing external iCal feeds",
+      format: String,
+      default: "*/30 * * * *",
+      env: "CALENDAR_SYNC_CRON",
+    },
+    fetchTimeoutSeconds: {
+      doc: "Seconds to wait for an external iCal feed to download",
+      format: Number,
+      default: 15,
+      env: "CALENDAR_FETCH_TIMEOUT_SECONDS",
+    },
+    maxFeedsPerProperty: {
+      doc: "External calendars a property can import from",
+      format: Number,
+      default: 10,
+      env: "CALENDAR_MAX_FEEDS_PER_PROPERTY",
+    },
+  },
+  storage: {
+    driver: {
+      doc: "Where uploaded files are stored: Cloudinary, or local disk for offline work",
+      format: ["cloudinary", "local"],
+      default: "cloudinary",
+      env: "STORAGE_DRIVER",
+    },
+    localDir: {
+      doc: "Directory the local storage driver writes to",
+      format: String,
+      default: "uploads",
+      env: "STORAGE_LOCAL_DIR",
+    },
+    localBaseUrl: {
+      doc: "URL prefix the local storage driver's files are served under",
+      format: String,
+      default: "/uploads",
+      env: "STORAGE_LOCAL_BASE_URL",
+    },
+  },
+  photos: {
+    maxPerProperty: {
+      doc: "Photos a listing can have",
+      format: Number,
+      default: 50,
+      env: "PHOTOS_MAX_PER_PROPERTY",
+    },
+    maxFileSizeMb: {
+      doc: "Largest photo upload accepted, in megabytes",
+      format: Number,
+      default: 10,
+      env: "PHOTOS_MAX_FILE_SIZE_MB",
+    },
+  },
+  listings: {
+    minPhotos: {
+      doc: "Photos a draft needs before it can be submitted for review",
+      format: Number,
+      default: 5,
+      env: "LISTINGS_MIN_PHOTOS",
+    },
+    minDescriptionLength: {
+      doc: "Description length, in characters, a draft needs before submission",
+      format: Number,
+      default: 150,
+      env: "LISTINGS_MIN_DESCRIPTION_LENGTH",
+    },
+    minAmenities: {
+      doc: "Amenities for the amenities checklist item to count as complete",
+      format: Number,
+      default: 3,
+      env: "LISTINGS_MIN_AMENITIES",
+    },
+    locationPrecisionMeters: {
+      doc: "Coarsest map pin, in meters, accepted for submission",
+      format: Number,
+      default: 100,
+      env: "LISTINGS_LOCATION_PRECISION_METERS",
+    },
+  },
+  recommendations: {
+    similarRadiusMeters: {
+      doc: "How far from a listing its similar listings can be",
+      format: Number,
+      default: 25000,
+      env: "RECOMMENDATIONS_SIMILAR_RADIUS_METERS",
+    },
+    priceBand: {
+      doc: "Fraction either side of a listing's price that similar listings must fall within",
+      format: Number,
+      default: 0.3,
+      env: "RECOMMENDATIONS_PRICE_BAND",
+    },
+    recentlyViewedMax: {
+      doc: "Listings kept in a user's recently viewed history",
+      format: Number,
+      default: 50,
+      env: "RECOMMENDATIONS_RECENTLY_VIEWED_MAX",
+    },
+    recentlyViewedDays: {
+      doc: "Days a user's recently viewed history lasts without new views",
+      format: Number,
+      default: 90,
+      env: "RECOMMENDATIONS_RECENTLY_VIEWED_DAYS",
+    },
+  },
   login:{
     maxAttempts: {
       doc: "Max login attempts",
@@ -0,0 +1,59 @@
+import pkg from "@prisma/client";
+import { DateTime } from "luxon";
+import config from "../config/env.js";
+import { logger } from "../config/logger.js";
+import BookingService from "../modules/bookings/service.js";
+import { getQueue } from "./queue.js";
+const { BookingStatus } = pkg;
+
+export const BOOKING_LIFECYCLE_QUEUE = "booking-lifecycle";
+export const BOOKING_LIFECYCLE_JOB = "advance-bookings";
+
+/**
+ * Expire stale requests, then check guests in and out. Order matters: a
+ * booking whose stay ended while the runner was down is activated and
+ * completed in the same pass.
+ */
+export const runBookingLifecycle = async (now = new Date()) => {
+  const cutoff = DateTime.fromJSDate(now)
+    .minus({ minutes: config.get("jobs.pendingHoldMinutes") })
+    .toJSDate();
+
+  const expired = await BookingService.expirePendingBookings(cutoff);
+  const activated = await BookingService.advanceBookings(
+    BookingStatus.CONFIRMED,
+    BookingStatus.ACTIVE,
+    "startDate",
+    now
+  );
+  const completed = await BookingService.advanceBookings(
+    BookingStatus.ACTIVE,
+    BookingStatus.COMPLETED,
+    "endDate",
+    now
+  );
+
+  const summary = { expired, activated, completed };
+  if (expired || activated || completed) {
+    logger.info(`Booking lifecycle run: ${JSON.stringify(summary)}`);
+  }
+  return summary;
+};
+
+// Register the processor and the repeatable schedule
+export const scheduleBookingLifecycle = async () => {
+  const queue = getQueue(BOOKING_LIFECYCLE_QUEUE);
+
+  queue.process(BOOKING_LIFECYCLE_JOB, 1, () => runBookingLifecycle());
+  await queue.add(
+    BOOKING_LIFECYCLE_JOB,
+    {},
+    {
+      repeat: { cron: config.get("jobs.bookingLifecycleCron") },
+      jobId: BOOKING_LIFECYCLE_JOB,
+      attempts: 1,
+    }
+  );
+
+  return queue;
+};
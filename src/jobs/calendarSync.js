@@ -0,0 +1,24 @@
+import config from "../config/env.js";
+import CalendarService from "../modules/calendar/service.js";
+import { getQueue } from "./queue.js";
+
+export const CALENDAR_SYNC_QUEUE = "calendar-sync";
+export const CALENDAR_SYNC_JOB = "sync-feeds";
+
+// Re-import every URL calendar on the configured schedule
+export const scheduleCalendarSync = async () => {
+  const queue = getQueue(CALENDAR_SYNC_QUEUE);
+
+  queue.process(CALENDAR_SYNC_JOB, 1, () => CalendarService.syncAllFeeds());
+  await queue.add(
+    CALENDAR_SYNC_JOB,
+    {},
+    {
+      repeat: { cron: config.get("calendar.syncCron") },
+      jobId: CALENDAR_SYNC_JOB,
+      attempts: 1,
+    }
+  );
+
+  return queue;
+};
@@ -0,0 +1,26 @@
+import config from "../config/env.js";
+import CurrencyService from "../modules/currency/service.js";
+import { getQueue } from "./queue.js";
+
+export const EXCHANGE_RATES_QUEUE = "exchange-rates";
+export const EXCHANGE_RATES_IMPORT_JOB = "import-rates-file";
+
+// Import the rates file now and then on the configured schedule
+export const scheduleExchangeRateImport = async () => {
+  const queue = getQueue(EXCHANGE_RATES_QUEUE);
+
+  queue.process(EXCHANGE_RATES_IMPORT_JOB, 1, () =>
+    CurrencyService.importFromFile()
+  );
+  await queue.add(EXCHANGE_RATES_IMPORT_JOB, {});
+  await queue.add(
+    EXCHANGE_RATES_IMPORT_JOB,
+    {},
+    {
+      repeat: { cron: config.get("currency.ratesImportCron") },
+      jobId: EXCHANGE_RATES_IMPORT_JOB,
+    }
+  );
+
+  return queue;
+};
@@ -0,0 +1,31 @@
+import config from "../config/env.js";
+import { logger } from "../config/logger.js";
+import { scheduleBookingLifecycle } from "./bookingLifecycle.js";
+import { scheduleCalendarSync } from "./calendarSync.js";
+import { scheduleExchangeRateImport } from "./exchangeRates.js";
+import { scheduleSearchIndexSync } from "./searchIndex.js";
+import { scheduleSavedSearchAlerts } from "./savedSearches.js";
+import { closeQueues } from "./queue.js";
+
+// Start every scheduled job unless disabled for this process
+export const startJobs = async () => {
+  if (!config.get("jobs.enabled")) {
+    logger.info("⏸️ Background jobs disabled");
+    return;
+  }
+
+  try {
+    await scheduleBookingLifecycle();
+    await scheduleSearchIndexSync();
+    await scheduleSavedSearchAlerts();
+    await scheduleCalendarSync();
+    if (config.get("currency.ratesFile")) {
+      await scheduleExchangeRateImport();
+    }
+    logger.info("✅ Background jobs scheduled");
+  } catch (error) {
+    logger.error("❌ Failed to schedule background jobs:", error);
+  }
+};
+
+export const stopJobs = closeQueues;
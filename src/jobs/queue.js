@@ -0,0 +1,42 @@
+import Queue from "bull";
+import config from "../config/env.js";
+import { logger } from "../config/logger.js";
+
+const queues = new Map();
+
+/**
+ * Get (or lazily create) a named Bull queue on the shared Redis instance
+ * @param {string} name
+ * @param {Object} [options] - Extra Bull queue options
+ * @returns {Queue.Queue}
+ */
+export const getQueue = (name, options = {}) => {
+  if (!queues.has(name)) {
+    const queue = new Queue(name, config.get("redisUrl"), {
+      defaultJobOptions: {
+        attempts: 3,
+        backoff: { type: "exponential", delay: 5000 },
+        removeOnComplete: 100,
+        removeOnFail: 500,
+      },
+      ...options,
+    });
+
+    queue.on("failed", (job, err) => {
+      logger.error(`❌ Job ${name}:${job.name} (${job.id}) failed:`, err);
+    });
+    queue.on("error", (err) => {
+      logger.error(`❌ Queue ${name} error:`, err);
+    });
+
+    queues.set(name, queue);
+  }
+  return queues.get(name);
+};
+
+// Close every queue opened by this process
+export const closeQueues = async () => {
+  await Promise.all([...queues.values()].map((queue) => queue.close()));
+  queues.clear();
+  logger.info("🛑 Job queues closed");
+};
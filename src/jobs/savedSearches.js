@@ -0,0 +1,63 @@
+import config from "../config/env.js";
+import SavedSearchService from "../modules/saved-searches/service.js";
+import { getQueue } from "./queue.js";
+
+export const SAVED_SEARCH_QUEUE = "saved-search-alerts";
+export const MATCH_LISTING_JOB = "match-listing";
+export const INSTANT_RETRY_JOB = "instant-retry";
+export const DIGEST_JOBS = {
+  DAILY: "daily-digest",
+  WEEKLY: "weekly-digest",
+};
+
+/**
+ * Queue a listing that is becoming searchable for saved-search matching.
+ * The job waits for the listing's search document, retrying until it exists.
+ * @param {string} propertyId
+ */
+export const queueListingMatch = (propertyId) =>
+  getQueue(SAVED_SEARCH_QUEUE).add(
+    MATCH_LISTING_JOB,
+    { propertyId },
+    { attempts: 5, delay: 5000 }
+  );
+
+// Match new listings as they are queued, retry failed instant alerts and
+// send digests on their cron
+export const scheduleSavedSearchAlerts = async () => {
+  const queue = getQueue(SAVED_SEARCH_QUEUE);
+
+  queue.process(MATCH_LISTING_JOB, 1, (job) =>
+    SavedSearchService.matchNewListing(job.data.propertyId)
+  );
+  queue.process(INSTANT_RETRY_JOB, 1, () =>
+    SavedSearchService.sendMissedInstantAlerts()
+  );
+  await queue.add(
+    INSTANT_RETRY_JOB,
+    {},
+    {
+      repeat: { cron: config.get("savedSearches.instantRetryCron") },
+      jobId: INSTANT_RETRY_JOB,
+      attempts: 1,
+    }
+  );
+  for (const [frequency, jobName] of Object.entries(DIGEST_JOBS)) {
+    queue.process(jobName, 1, () => SavedSearchService.sendDigests(frequency));
+    await queue.add(
+      jobName,
+      {},
+      {
+        repeat: {
+          cron: config.get(
+            `savedSearches.${frequency.toLowerCase()}DigestCron`
+          ),
+        },
+        jobId: jobName,
+        attempts: 1,
+      }
+    );
+  }
+
+  return queue;
+};
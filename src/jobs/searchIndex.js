@@ -0,0 +1,45 @@
+import config from "../config/env.js";
+import { logger } from "../config/logger.js";
+import SearchIndexService from "../modules/search/service.js";
+import { rebuildSuggestions } from "../modules/search/suggestions.js";
+import { getQueue } from "./queue.js";
+
+export const SEARCH_INDEX_QUEUE = "search-index";
+export const SEARCH_OUTBOX_JOB = "relay-outbox";
+export const SUGGESTIONS_REBUILD_JOB = "rebuild-suggestions";
+
+// Drain the search outbox every few seconds. Retries are tracked per outbox
+// entry, so the job itself is never retried.
+export const scheduleSearchIndexSync = async () => {
+  const queue = getQueue(SEARCH_INDEX_QUEUE);
+
+  queue.process(SEARCH_OUTBOX_JOB, 1, () => SearchIndexService.processOutbox());
+  await queue.add(
+    SEARCH_OUTBOX_JOB,
+    {},
+    {
+      repeat: { every: config.get("search.outboxPollSeconds") * 1000 },
+      jobId: SEARCH_OUTBOX_JOB,
+      attempts: 1,
+    }
+  );
+
+  // Places are aggregates over many listings, so they're rebuilt on a
+  // schedule rather than per reindex
+  queue.process(SUGGESTIONS_REBUILD_JOB, 1, async () => {
+    const summary = await rebuildSuggestions();
+    logger.info(`Autocomplete index rebuilt: ${JSON.stringify(summary)}`);
+    return summary;
+  });
+  await queue.add(
+    SUGGESTIONS_REBUILD_JOB,
+    {},
+    {
+      repeat: { cron: config.get("search.suggestionsRebuildCron") },
+      jobId: SUGGESTIONS_REBUILD_JOB,
+      attempts: 1,
+    }
+  );
+
+  return queue;
+};
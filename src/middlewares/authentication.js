@@ -75,6 +75,10 @@ export const authenticateUser = (options = {}) => {
     const requireMFA = options.requireMFA ?? false;
     const allowedRoles = options.roles || [];
 
+    // Optional routes serve anonymous callers too; a token that is sent
+    // must still be valid
+    if (options.optional && !req.headers.authorization) return next();
+
     passport.authenticate(
       "jwt",
       { session: false, failWithError: true },
@@ -1,6 +1,8 @@
 import multer from 'multer';
 import { v4 as uuidv4 } from 'uuid';
 import path from 'path';
+import config from '../config/env.js';
+import { BadRequestError } from '../utils/apiError.js';
 
 const storage = multer.memoryStorage();
 
@@ -20,4 +22,58 @@ export const uploadProfilePicture = multer({
     fileSize: 5 * 1024 * 1024, // 5MB
     files: 1
   }
-}).single('avatar');
\ No newline at end of file
+}).single('avatar');
+
+// Listing photos: several per request, rejected as bad requests rather than
+// server errors. The image content is checked again when it's processed.
+const MAX_PHOTOS_PER_UPLOAD = 10;
+
+const photoUpload = multer({
+  storage,
+  fileFilter: (req, file, cb) => {
+    if (['image/jpeg', 'image/png', 'image/webp'].includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new BadRequestError('Only JPEG, PNG and WebP photos are allowed'));
+    }
+  },
+  limits: {
+    fileSize: config.get('photos.maxFileSizeMb') * 1024 * 1024,
+    files: MAX_PHOTOS_PER_UPLOAD
+  }
+}).array('photos', MAX_PHOTOS_PER_UPLOAD);
+
+export const uploadPropertyPhotos = (req, res, next) =>
+  photoUpload(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return next(new BadRequestError(error.message));
+    }
+    next(error);
+  });
+
+// A single .ics calendar file for availability import
+const calendarUpload = multer({
+  storage,
+  fileFilter: (req, file, cb) => {
+    if (
+      file.mimetype === 'text/calendar' ||
+      path.extname(file.originalname).toLowerCase() === '.ics'
+    ) {
+      cb(null, true);
+    } else {
+      cb(new BadRequestError('Only .ics calendar files are allowed'));
+    }
+  },
+  limits: {
+    fileSize: 2 * 1024 * 1024, // 2MB
+    files: 1
+  }
+}).single('calendar');
+
+export const uploadCalendarFile = (req, res, next) =>
+  calendarUpload(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return next(new BadRequestError(error.message));
+    }
+    next(error);
+  });
@@ -93,6 +93,8 @@ const notificationSchema = new Schema(
         "reaction",
         "group_invite",
         "event",
+        "saved_search",
+        "listing_moderation",
         "custom",
       ],
       index: true,
@@ -9,8 +9,8 @@ const propertySearchSchema = new Schema(
       unique: true,
     },
     // Denormalized core fields for search
-    title: { type: String, index: "text" },
-    description: { type: String, index: "text" },
+    title: String,
+    description: String,
     location: {
       type: {
         type: String,
@@ -22,6 +22,41 @@ const propertySearchSchema = new Schema(
         required: true,
       },
     },
+    basePrice: { type: Number, index: true },
+    currency: String,
+    address: String,
+    maxGuests: { type: Number, index: true },
+    amenities: { type: [String], index: true },
+    propertyType: { type: String, index: true },
+    listingType: { type: String, index: true },
+    city: { type: String, index: true },
+    neighbourhood: String,
+    state: String,
+    country: String,
+    bedrooms: Number,
+    photos: [String],
+    // Listing-type specific terms; only one is set
+    sale: {
+      price: { type: Number, index: true },
+      negotiable: Boolean,
+      yearBuilt: Number,
+      hoaFee: Number,
+      ownershipType: String,
+    },
+    rental: {
+      monthlyRate: { type: Number, index: true },
+      leaseTermMonths: Number,
+      utilitiesIncluded: Boolean,
+      securityDeposit: Number,
+      availableFrom: Date,
+    },
+    stats: {
+      rating: Number,
+      reviewCount: Number,
+      bookedCount: Number,
+    },
+    // Postgres updatedAt of the row this document was built from
+    sourceUpdatedAt: Date,
     // Search optimization
     searchTags: { type: [String], index: true },
     searchBoost: { type: Number, default: 0 },
@@ -41,5 +76,13 @@ const propertySearchSchema = new Schema(
 
 // Geospatial index for location searches
 propertySearchSchema.index({ location: "2dsphere" });
+// A collection gets a single text index, so every searchable field shares it
+propertySearchSchema.index(
+  { title: "text", searchTags: "text", description: "text" },
+  {
+    name: "property_text",
+    weights: { title: 10, searchTags: 5, description: 1 },
+  }
+);
 
 export default model("PropertySearch", propertySearchSchema);
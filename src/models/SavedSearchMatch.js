@@ -0,0 +1,22 @@
+// src/models/SavedSearchMatch.js
+import { Schema, model } from "mongoose";
+
+// A new listing that matched a saved search. The unique index makes
+// matching idempotent; unalerted rows are the pending digest.
+const savedSearchMatchSchema = new Schema(
+  {
+    userId: { type: String, required: true },
+    savedSearchId: { type: Schema.Types.ObjectId, required: true },
+    propertyId: { type: String, required: true },
+    alertedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+savedSearchMatchSchema.index(
+  { savedSearchId: 1, propertyId: 1 },
+  { unique: true }
+);
+savedSearchMatchSchema.index({ userId: 1, alertedAt: 1 });
+
+export default model("SavedSearchMatch", savedSearchMatchSchema);
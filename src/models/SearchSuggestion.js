@@ -0,0 +1,46 @@
+// src/models/SearchSuggestion.js
+import { Schema, model } from "mongoose";
+
+// One autocomplete entry: a place (neighbourhood, city, state or country)
+// aggregated from the listings in it, or a single listing's title. Built
+// from the property search index.
+const searchSuggestionSchema = new Schema(
+  {
+    kind: { type: String, enum: ["place", "listing"], required: true },
+    // Identifies the entry across rebuilds, e.g. "city:lahore|punjab|pk"
+    key: { type: String, required: true, unique: true },
+    placeType: {
+      type: String,
+      enum: ["neighbourhood", "city", "state", "country"],
+    },
+    propertyId: String,
+    label: { type: String, required: true },
+    // Where the entry is, e.g. "Lahore, Punjab, PK"
+    context: String,
+    // Normalised words of the label and context, matched by prefix
+    tokens: { type: [String], required: true },
+    // Listing location, or the centroid of a place's listings
+    location: {
+      type: { type: String, enum: ["Point"] },
+      coordinates: [Number],
+    },
+    // Extent of a place's listings
+    bounds: {
+      south: Number,
+      west: Number,
+      north: Number,
+      east: Number,
+    },
+    listingCount: Number,
+    photo: String,
+    // Higher ranks first among entries of the same kind
+    weight: { type: Number, default: 0 },
+    builtAt: Date,
+  },
+  { timestamps: true }
+);
+
+searchSuggestionSchema.index({ kind: 1, tokens: 1 });
+searchSuggestionSchema.index({ propertyId: 1 }, { sparse: true });
+
+export default model("SearchSuggestion", searchSuggestionSchema);
@@ -1,5 +1,21 @@
 import { Schema, model } from "mongoose";
 
+// A named property search the user can re-run and get alerts for
+const savedSearchSchema = new Schema(
+  {
+    name: { type: String, required: true },
+    // Query parameters as accepted by GET /properties/search
+    params: { type: Schema.Types.Mixed, default: {} },
+    alertFrequency: {
+      type: String,
+      enum: ["NONE", "INSTANT", "DAILY", "WEEKLY"],
+      default: "DAILY",
+    },
+    lastAlertedAt: Date,
+  },
+  { timestamps: true }
+);
+
 const userPreferencesSchema = new Schema(
   {
     userId: {
@@ -8,9 +24,11 @@ const userPreferencesSchema = new Schema(
       unique: true,
     },
     savedSearches: {
-      type: [Schema.Types.Mixed],
+      type: [savedSearchSchema],
       default: [],
     },
+    // Legacy flat list of property ids, moved into a "Favorites" wishlist
+    // the first time the user's wishlists are read
     favorites: {
       type: [String],
       default: [],
@@ -22,4 +40,6 @@ const userPreferencesSchema = new Schema(
   { timestamps: true }
 );
 
+userPreferencesSchema.index({ "savedSearches.alertFrequency": 1 });
+
 export default model("UserPreferences", userPreferencesSchema);
@@ -0,0 +1,29 @@
+// src/models/Wishlist.js
+import { Schema, model } from "mongoose";
+
+const wishlistItemSchema = new Schema(
+  {
+    // Reference to PostgreSQL properties.id
+    propertyId: { type: String, required: true },
+    addedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const wishlistSchema = new Schema(
+  {
+    // Reference to PostgreSQL users.id
+    userId: { type: String, required: true, index: true },
+    name: { type: String, required: true },
+    items: { type: [wishlistItemSchema], default: [] },
+    // Set while the list has a read-only share link
+    shareToken: { type: String, default: undefined },
+  },
+  { timestamps: true }
+);
+
+wishlistSchema.index({ shareToken: 1 }, { unique: true, sparse: true });
+// Favorite counts per listing
+wishlistSchema.index({ "items.propertyId": 1 });
+
+export default model("Wishlist", wishlistSchema);
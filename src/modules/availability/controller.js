@@ -0,0 +1,97 @@
+import AvailabilityService from "./service.js";
+
+class AvailabilityController {
+  /**
+   * @desc    Block a date range
+   * @route   POST /api/properties/:propertyId/availability/block
+   * @access  Private (property owner, admin)
+   */
+  async blockDates(req, res, next) {
+    try {
+      const result = await AvailabilityService.blockDates(
+        req.params.propertyId,
+        req.user,
+        req.body
+      );
+
+      res.status(200).json({
+        success: true,
+        data: result,
+        message: "Dates blocked",
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Reopen blocked dates in a range
+   * @route   POST /api/properties/:propertyId/availability/unblock
+   * @access  Private (property owner, admin)
+   */
+  async unblockDates(req, res, next) {
+    try {
+      const result = await AvailabilityService.unblockDates(
+        req.params.propertyId,
+        req.user,
+        req.body
+      );
+
+      res.status(200).json({
+        success: true,
+        data: result,
+        message: "Dates unblocked",
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Set the nightly price for a date range
+   * @route   PUT /api/properties/:propertyId/availability/price
+   * @access  Private (property owner, admin)
+   */
+  async setPrice(req, res, next) {
+    try {
+      const result = await AvailabilityService.setPrice(
+        req.params.propertyId,
+        req.user,
+        req.body
+      );
+
+      res.status(200).json({
+        success: true,
+        data: result,
+        message: "Price updated",
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Set the minimum stay for arrivals in a date range
+   * @route   PUT /api/properties/:propertyId/availability/min-stay
+   * @access  Private (property owner, admin)
+   */
+  async setMinStay(req, res, next) {
+    try {
+      const result = await AvailabilityService.setMinStay(
+        req.params.propertyId,
+        req.user,
+        req.body
+      );
+
+      res.status(200).json({
+        success: true,
+        data: result,
+        message: "Minimum stay updated",
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+export default new AvailabilityController();
@@ -0,0 +1,41 @@
+import express from "express";
+import AvailabilityController from "./controller.js";
+import { authenticateUser } from "../../middlewares/authentication.js";
+import validateRequest from "../../middlewares/validate.js";
+import {
+  dateRangeSchema,
+  rangeMinStaySchema,
+  rangePriceSchema,
+} from "./schemas.js";
+
+// Mounted under /properties/:propertyId/availability. Authentication is
+// per route: GET and PATCH on the mount path itself belong to the
+// bookings and properties routers.
+const router = express.Router({ mergeParams: true });
+
+router.post(
+  "/block",
+  authenticateUser(),
+  validateRequest(dateRangeSchema),
+  AvailabilityController.blockDates
+);
+router.post(
+  "/unblock",
+  authenticateUser(),
+  validateRequest(dateRangeSchema),
+  AvailabilityController.unblockDates
+);
+router.put(
+  "/price",
+  authenticateUser(),
+  validateRequest(rangePriceSchema),
+  AvailabilityController.setPrice
+);
+router.put(
+  "/min-stay",
+  authenticateUser(),
+  validateRequest(rangeMinStaySchema),
+  AvailabilityController.setMinStay
+);
+
+export default router;
@@ -0,0 +1,22 @@
+// availability/schemas.js
+import Joi from "joi";
+
+// endDate is exclusive: the range covers the nights from startDate up to
+// the night before endDate
+const range = {
+  startDate: Joi.date().iso().required(),
+  endDate: Joi.date().iso().greater(Joi.ref("startDate")).required(),
+};
+
+export const dateRangeSchema = Joi.object(range);
+
+export const rangePriceSchema = Joi.object({
+  ...range,
+  price: Joi.number().min(0).precision(2).required(),
+});
+
+export const rangeMinStaySchema = Joi.object({
+  ...range,
+  // null clears it, falling back to the property's minimum stay
+  minStay: Joi.number().integer().min(1).max(365).allow(null).required(),
+});
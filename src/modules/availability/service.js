@@ -0,0 +1,417 @@
+// availability/service.js
+import { DateTime } from "luxon";
+import prisma from "../../config/database.js";
+import { PricingService } from "../../utils/pricing.js";
+import SearchIndexService, { ReindexReason } from "../search/service.js";
+import {
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+} from "../../utils/apiError.js";
+import { isAdmin } from "../../utils/roleUtils.js";
+
+const earlier = (a, b) => (a < b ? a : b);
+const later = (a, b) => (a > b ? a : b);
+
+// Columns a slot keeps when it is split; the pieces differ only in dates
+// and whatever the range operation changes
+const SLOT_COLUMNS = [
+  "price",
+  "isAvailable",
+  "bookingId",
+  "notes",
+  "minStay",
+  "calendarFeedId",
+  "externalUid",
+];
+
+const slotState = (slot) =>
+  Object.fromEntries(SLOT_COLUMNS.map((column) => [column, slot[column]]));
+
+// Decimal prices compare by their string form
+const sameValue = (a, b) => String(a ?? null) === String(b ?? null);
+
+const overlapping = (start, end) => ({
+  startDate: { lt: end },
+  endDate: { gt: start },
+});
+
+// Ranges are whole nights: both ends snap to UTC midnight
+const toNight = (date) =>
+  DateTime.fromJSDate(new Date(date), { zone: "utc" })
+    .startOf("day")
+    .toJSDate();
+
+/**
+ * Range operations on a property's Availability slots. Each one splits the
+ * slots it overlaps at the range's edges, changes the part inside and
+ * merges neighbours that end up identical, so the rest of the calendar,
+ * notes included, is left as it was. Booked slots are never touched.
+ *
+ * The transaction-level methods take the caller's transaction so the change
+ * commits with whatever caused it. Each locks the property's calendar first,
+ * so edits from owners, bookings and calendar imports run one at a time.
+ */
+class AvailabilityService {
+  /**
+   * Make a range unbookable. Nights without a slot are unbookable already
+   * and stay that way.
+   * @param {string} propertyId
+   * @param {Object} user - Authenticated owner or admin
+   * @param {Object} range - startDate, endDate (exclusive)
+   */
+  async blockDates(propertyId, user, { startDate, endDate }) {
+    return this.editRange(
+      propertyId,
+      user,
+      startDate,
+      endDate,
+      (tx, start, end) => this.blockRange(tx, propertyId, start, end)
+    );
+  }
+
+  /**
+   * Reopen blocked nights in a range. Dates blocked by an imported calendar
+   * are left to that calendar's syncs.
+   */
+  async unblockDates(propertyId, user, { startDate, endDate }) {
+    return this.editRange(
+      propertyId,
+      user,
+      startDate,
+      endDate,
+      (tx, start, end) => this.unblockRange(tx, propertyId, start, end)
+    );
+  }
+
+  /**
+   * Set the nightly price for a range, within the property's price bounds.
+   * Nights without a slot are opened at that price.
+   * @param {Object} data - startDate, endDate (exclusive), price
+   */
+  async setPrice(propertyId, user, { startDate, endDate, price }) {
+    return this.editRange(
+      propertyId,
+      user,
+      startDate,
+      endDate,
+      async (tx, start, end) => {
+        const rules = await PricingService.getActiveRules(tx, propertyId);
+        return this.setPriceRange(
+          tx,
+          propertyId,
+          start,
+          end,
+          PricingService.applyPriceBounds(price, rules)
+        );
+      }
+    );
+  }
+
+  /**
+   * Set the minimum stay for arrivals in a range; null falls back to the
+   * property's minStay
+   * @param {Object} data - startDate, endDate (exclusive), minStay
+   */
+  async setMinStay(propertyId, user, { startDate, endDate, minStay }) {
+    return this.editRange(
+      propertyId,
+      user,
+      startDate,
+      endDate,
+      (tx, start, end) =>
+        this.updateRange(tx, propertyId, start, end, { minStay })
+    );
+  }
+
+  /**
+   * Make [start, end) unbookable: open slots in the range become blocked
+   * @param {Object} tx - Prisma transaction
+   * @param {string} propertyId
+   * @param {Date} start
+   * @param {Date} end - Exclusive
+   * @param {Object} [marker] - Columns for the blocked rows, e.g.
+   *   calendarFeedId and externalUid, or the bookingId taking the nights
+   * @returns {Promise<number>} Slots that were split or blocked
+   */
+  async blockRange(tx, propertyId, start, end, marker = {}) {
+    return this.updateRange(
+      tx,
+      propertyId,
+      start,
+      end,
+      { ...marker, isAvailable: false },
+      { isAvailable: true }
+    );
+  }
+
+  /**
+   * Reopen the blocked nights in [start, end) that weren't blocked by an
+   * imported calendar
+   * @param {Object} tx - Prisma transaction
+   * @param {string} propertyId
+   * @param {Date} start
+   * @param {Date} end - Exclusive
+   * @returns {Promise<number>} Slots that were split or reopened
+   */
+  async unblockRange(tx, propertyId, start, end) {
+    return this.updateRange(
+      tx,
+      propertyId,
+      start,
+      end,
+      { isAvailable: true },
+      { isAvailable: false, calendarFeedId: null }
+    );
+  }
+
+  /**
+   * Set the price of every unbooked night in [start, end) and open the
+   * nights that have no slot yet
+   * @param {Object} tx - Prisma transaction
+   * @param {string} propertyId
+   * @param {Date} start
+   * @param {Date} end - Exclusive
+   * @param {number} price - Already within the property's price bounds
+   * @returns {Promise<number>} Slots changed or created
+   */
+  async setPriceRange(tx, propertyId, start, end, price) {
+    await this.lockCalendar(tx, propertyId);
+    const slots = await tx.availability.findMany({
+      where: { propertyId, ...overlapping(start, end) },
+      orderBy: { startDate: "asc" },
+      select: { startDate: true, endDate: true },
+    });
+
+    // Nights in the range not covered by any slot, booked or not
+    const gaps = [];
+    let cursor = start;
+    for (const slot of slots) {
+      if (slot.startDate > cursor) {
+        gaps.push({ startDate: cursor, endDate: earlier(slot.startDate, end) });
+      }
+      cursor = later(cursor, slot.endDate);
+    }
+    if (cursor < end) gaps.push({ startDate: cursor, endDate: end });
+
+    if (gaps.length) {
+      await tx.availability.createMany({
+        data: gaps.map((gap) => ({ ...gap, propertyId, price })),
+      });
+    }
+
+    const changed = await this.updateRange(tx, propertyId, start, end, {
+      price,
+    });
+    if (gaps.length && !changed) {
+      await this.mergeSlots(tx, propertyId);
+      await this.queueReindex(tx, propertyId);
+    }
+    return changed + gaps.length;
+  }
+
+  /**
+   * Apply `data` to the unbooked slots matching `where` within
+   * [start, end). Slots reaching past the range are split at its edges;
+   * slots that already hold `data` are left alone.
+   * @param {Object} tx - Prisma transaction
+   * @param {string} propertyId
+   * @param {Date} start
+   * @param {Date} end - Exclusive
+   * @param {Object} data - New column values for the nights in the range
+   * @param {Object} [where] - Narrows which slots change
+   * @returns {Promise<number>} Slots that were split or changed
+   */
+  async updateRange(tx, propertyId, start, end, data, where = {}) {
+    await this.lockCalendar(tx, propertyId);
+    const candidates = await tx.availability.findMany({
+      where: {
+        ...where,
+        propertyId,
+        bookingId: null,
+        ...overlapping(start, end),
+      },
+      orderBy: { startDate: "asc" },
+    });
+    const slots = candidates.filter((slot) =>
+      Object.entries(data).some(
+        ([column, value]) => !sameValue(slot[column], value)
+      )
+    );
+    if (!slots.length) return 0;
+
+    const pieces = slots.flatMap((slot) => {
+      const from = later(slot.startDate, start);
+      const to = earlier(slot.endDate, end);
+      const base = { propertyId, ...slotState(slot) };
+
+      return [
+        slot.startDate < from && {
+          ...base,
+          startDate: slot.startDate,
+          endDate: from,
+        },
+        { ...base, ...data, startDate: from, endDate: to },
+        to < slot.endDate && { ...base, startDate: to, endDate: slot.endDate },
+      ].filter(Boolean);
+    });
+
+    // Under the lock nothing else can have touched these slots; if it did
+    // anyway, writing the pieces would overlap whatever replaced them
+    const { count } = await tx.availability.deleteMany({
+      where: { id: { in: slots.map((slot) => slot.id) } },
+    });
+    if (count !== slots.length) {
+      throw new ConflictError(
+        "The calendar changed while it was being edited, please try again"
+      );
+    }
+    await tx.availability.createMany({ data: pieces });
+    await this.mergeSlots(tx, propertyId);
+    await this.queueReindex(tx, propertyId);
+
+    return slots.length;
+  }
+
+  /**
+   * Reopen blocked (not booked) slots and merge them back into their
+   * neighbours
+   * @param {Object} tx - Prisma transaction
+   * @param {string} propertyId
+   * @param {Object} where - Narrows which blocked slots, e.g. by
+   *   calendarFeedId
+   * @returns {Promise<number>} Slots reopened
+   */
+  async releaseBlocks(tx, propertyId, where) {
+    await this.lockCalendar(tx, propertyId);
+    const { count } = await tx.availability.updateMany({
+      where: { ...where, propertyId, isAvailable: false, bookingId: null },
+      data: { isAvailable: true, calendarFeedId: null, externalUid: null },
+    });
+    if (!count) return 0;
+
+    await this.mergeSlots(tx, propertyId);
+    await this.queueReindex(tx, propertyId);
+    return count;
+  }
+
+  /**
+   * Whether slots matching `where` cover every night of [start, end)
+   * @param {Object} tx - Prisma transaction
+   * @param {string} propertyId
+   * @param {Date} start
+   * @param {Date} end - Exclusive
+   * @param {Object} [where] - e.g. the bookingId that should hold the nights
+   * @returns {Promise<boolean>}
+   */
+  async coversRange(tx, propertyId, start, end, where = {}) {
+    const slots = await tx.availability.findMany({
+      where: { ...where, propertyId, ...overlapping(start, end) },
+      orderBy: { startDate: "asc" },
+      select: { startDate: true, endDate: true },
+    });
+
+    let cursor = start;
+    for (const slot of slots) {
+      if (slot.startDate > cursor) return false;
+      cursor = later(cursor, slot.endDate);
+    }
+    return cursor >= end;
+  }
+
+  /**
+   * Hold the property's row lock until the transaction ends. Every calendar
+   * edit takes it before reading slots, so two edits can't split the same
+   * slot; taking it again in the same transaction is a no-op.
+   * @param {Object} tx - Prisma transaction
+   * @param {string} propertyId
+   */
+  async lockCalendar(tx, propertyId) {
+    await tx.$queryRaw`
+      SELECT id FROM properties WHERE id = ${propertyId}::uuid FOR UPDATE
+    `;
+  }
+
+  /**
+   * Join unbooked slots that touch end to start and hold the same values,
+   * so repeated splits don't leave the calendar in fragments
+   * @param {Object} tx - Prisma transaction
+   * @param {string} propertyId
+   */
+  async mergeSlots(tx, propertyId) {
+    await this.lockCalendar(tx, propertyId);
+    const slots = await tx.availability.findMany({
+      where: { propertyId, bookingId: null },
+      orderBy: { startDate: "asc" },
+    });
+
+    const merged = [];
+    const absorbed = [];
+    for (const slot of slots) {
+      const previous = merged[merged.length - 1];
+      if (
+        previous &&
+        +previous.endDate === +slot.startDate &&
+        SLOT_COLUMNS.every((column) =>
+          sameValue(previous[column], slot[column])
+        )
+      ) {
+        previous.endDate = slot.endDate;
+        previous.changed = true;
+        absorbed.push(slot.id);
+      } else {
+        merged.push({ ...slot });
+      }
+    }
+    if (!absorbed.length) return;
+
+    await tx.availability.deleteMany({ where: { id: { in: absorbed } } });
+    for (const slot of merged.filter((slot) => slot.changed)) {
+      await tx.availability.update({
+        where: { id: slot.id },
+        data: { endDate: slot.endDate },
+      });
+    }
+  }
+
+  // --- Helper Methods ---
+
+  async assertCanManage(propertyId, user) {
+    const property = await prisma.property.findUnique({
+      where: { id: propertyId },
+      select: { ownerId: true },
+    });
+
+    if (!property) throw new NotFoundError("Property not found");
+    if (property.ownerId !== user.id && !isAdmin(user)) {
+      throw new ForbiddenError("Not authorized to manage this property");
+    }
+  }
+
+  // Run one owner edit in a transaction and return the slots it covers
+  async editRange(propertyId, user, startDate, endDate, edit) {
+    await this.assertCanManage(propertyId, user);
+    const start = toNight(startDate);
+    const end = toNight(endDate);
+
+    return prisma.$transaction(async (tx) => {
+      await this.lockCalendar(tx, propertyId);
+      const changed = await edit(tx, start, end);
+      const slots = await tx.availability.findMany({
+        where: { propertyId, ...overlapping(start, end) },
+        orderBy: { startDate: "asc" },
+      });
+      return { changed, slots };
+    });
+  }
+
+  queueReindex(tx, propertyId) {
+    return SearchIndexService.enqueue(
+      tx,
+      propertyId,
+      ReindexReason.AVAILABILITY_CHANGED
+    );
+  }
+}
+
+export default new AvailabilityService();
@@ -0,0 +1,135 @@
+// bookings/cancellationPolicy.js
+import Joi from "joi";
+import { DateTime } from "luxon";
+import pkg from "@prisma/client";
+import { ValidationError } from "../../utils/apiError.js";
+const { BookingStatus, CancellationPolicyType } = pkg;
+
+// Refund windows per template, widest first. A guest cancelling at least
+// `hoursBeforeCheckIn` hours before check-in gets `refundPercentage` back;
+// cancelling inside the last window (or after check-in) refunds nothing.
+export const CANCELLATION_POLICIES = Object.freeze({
+  [CancellationPolicyType.FLEXIBLE]: [
+    { hoursBeforeCheckIn: 24, refundPercentage: 100 },
+  ],
+  [CancellationPolicyType.MODERATE]: [
+    { hoursBeforeCheckIn: 120, refundPercentage: 100 },
+    { hoursBeforeCheckIn: 24, refundPercentage: 50 },
+  ],
+  [CancellationPolicyType.STRICT]: [
+    { hoursBeforeCheckIn: 336, refundPercentage: 100 },
+    { hoursBeforeCheckIn: 168, refundPercentage: 50 },
+  ],
+  [CancellationPolicyType.NON_REFUNDABLE]: [],
+});
+
+export const cancellationTermsSchema = Joi.object({
+  windows: Joi.array()
+    .items(
+      Joi.object({
+        hoursBeforeCheckIn: Joi.number().integer().min(0).max(8760).required(),
+        refundPercentage: Joi.number().min(0).max(100).required(),
+      })
+    )
+    .max(10)
+    .unique("hoursBeforeCheckIn")
+    .required(),
+});
+
+/**
+ * Resolve a property's policy into the windows that apply to it
+ * @param {string} type - CancellationPolicyType
+ * @param {Object} [terms] - Required for CUSTOM policies
+ * @returns {{type: string, windows: Array<{hoursBeforeCheckIn: number, refundPercentage: number}>}}
+ * @throws {ValidationError} When the type is unknown or custom terms are invalid
+ */
+export const resolveCancellationPolicy = (
+  type = CancellationPolicyType.MODERATE,
+  terms = null
+) => {
+  if (type !== CancellationPolicyType.CUSTOM) {
+    if (!CANCELLATION_POLICIES[type]) {
+      throw new ValidationError(`Unknown cancellation policy: ${type}`);
+    }
+    return { type, windows: CANCELLATION_POLICIES[type] };
+  }
+
+  const { error, value } = cancellationTermsSchema.validate(terms || {});
+  if (error) {
+    throw new ValidationError(
+      `Invalid custom cancellation terms: ${error.message}`
+    );
+  }
+  return {
+    type,
+    windows: [...value.windows].sort(
+      (a, b) => b.hoursBeforeCheckIn - a.hoursBeforeCheckIn
+    ),
+  };
+};
+
+/**
+ * Work out how much of a booking is refunded if it is cancelled now
+ * @param {Object} booking - Needs status, startDate, totalPrice, currency and
+ *   either a cancellationPolicy snapshot or `property` with the live policy
+ * @param {Date} [now]
+ * @returns {Object} Breakdown with the applied window, refundAmount and cancellationFee
+ */
+export const calculateRefund = (booking, now = new Date()) => {
+  const policy =
+    booking.cancellationPolicy ||
+    resolveCancellationPolicy(
+      booking.property?.cancellationPolicy,
+      booking.property?.cancellationPolicyTerms
+    );
+  const totalPaid = Number(booking.totalPrice);
+  const hoursBeforeCheckIn = Math.floor(
+    DateTime.fromJSDate(booking.startDate).diff(
+      DateTime.fromJSDate(now),
+      "hours"
+    ).hours
+  );
+
+  const breakdown = (window, refundPercentage, explanation) => {
+    const refundAmount = Math.round(totalPaid * refundPercentage) / 100;
+    return {
+      policy: policy.type,
+      hoursBeforeCheckIn,
+      window,
+      refundPercentage,
+      totalPaid,
+      refundAmount,
+      cancellationFee: Math.round((totalPaid - refundAmount) * 100) / 100,
+      currency: booking.currency,
+      explanation,
+    };
+  };
+
+  // Nothing has been charged before the owner accepts
+  if (booking.status === BookingStatus.PENDING) {
+    return breakdown(null, 100, "Booking not yet confirmed; full refund");
+  }
+
+  if (hoursBeforeCheckIn < 0) {
+    return breakdown(null, 0, "Cancelled after check-in; no refund");
+  }
+
+  const window = policy.windows.find(
+    (candidate) => hoursBeforeCheckIn >= candidate.hoursBeforeCheckIn
+  );
+  if (!window) {
+    return breakdown(
+      null,
+      0,
+      policy.windows.length
+        ? `Cancelled less than ${policy.windows.at(-1).hoursBeforeCheckIn} hours before check-in; no refund`
+        : "Non-refundable booking"
+    );
+  }
+
+  return breakdown(
+    window,
+    window.refundPercentage,
+    `Cancelled at least ${window.hoursBeforeCheckIn} hours before check-in; ${window.refundPercentage}% refund`
+  );
+};
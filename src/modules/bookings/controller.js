@@ -1,7 +1,13 @@
 import BookingService from "./service.js";
+import InvoiceService from "../invoices/service.js";
+import { renderInvoiceHtml, renderInvoicePdf } from "../invoices/renderers.js";
 import { NotFoundError, ValidationError } from "../../utils/apiError.js";
 import logger from "../../config/logger.js";
-import { validateBookingDates, validateGuests } from "./validators.js";
+import {
+  validateBookingDates,
+  validateCurrency,
+  validateGuests,
+} from "./validators.js";
 
 class BookingController {
   /**
@@ -18,6 +24,8 @@ class BookingController {
       children,
       infants,
       paymentMethod,
+      quoteToken,
+      currency,
     } = req.body;
     const userId = req.user.id;
 
@@ -25,6 +33,7 @@ class BookingController {
       // Validate input
       validateBookingDates(startDate, endDate);
       validateGuests(adults, children, infants);
+      validateCurrency(currency);
 
       const booking = await BookingService.createBooking({
         propertyId,
@@ -35,6 +44,8 @@ class BookingController {
         children: parseInt(children),
         infants: parseInt(infants),
         paymentMethod,
+        quoteToken,
+        currency,
       });
 
       logger.info(`Booking created successfully for user ${userId}`);
@@ -53,6 +64,53 @@ class BookingController {
     }
   }
 
+  /**
+   * @desc    Price a stay without booking it
+   * @route   POST /api/bookings/quote
+   * @access  Private
+   */
+  async quoteBooking(req, res, next) {
+    const {
+      propertyId,
+      startDate,
+      endDate,
+      adults,
+      children,
+      infants,
+      currency,
+    } = req.body;
+    const userId = req.user.id;
+
+    try {
+      validateBookingDates(startDate, endDate);
+      validateGuests(adults, children || 0, infants || 0);
+      validateCurrency(currency);
+
+      const quote = await BookingService.quoteBooking({
+        propertyId,
+        userId,
+        startDate: new Date(startDate),
+        endDate: new Date(endDate),
+        adults: parseInt(adults),
+        children: parseInt(children || 0),
+        infants: parseInt(infants || 0),
+        currency,
+      });
+
+      res.status(200).json({
+        success: true,
+        data: quote,
+        message: "Quote generated successfully",
+      });
+    } catch (error) {
+      logger.error(`Booking quote failed: ${error.message}`, {
+        userId,
+        propertyId,
+      });
+      next(error);
+    }
+  }
+
   /**
    * @desc    Cancel a booking
    * @route   PATCH /api/bookings/:id/cancel
@@ -87,6 +145,57 @@ class BookingController {
     }
   }
 
+  /**
+   * @desc    Accept a pending booking request (captures payment)
+   * @route   POST /api/bookings/:id/accept
+   * @access  Private (property owner, admin)
+   */
+  async acceptBooking(req, res, next) {
+    const { id } = req.params;
+
+    try {
+      const booking = await BookingService.acceptBooking(id, req.user);
+
+      res.status(200).json({
+        success: true,
+        data: booking,
+        message: "Booking accepted and confirmed",
+      });
+    } catch (error) {
+      logger.error(`Booking accept failed: ${error.message}`, {
+        bookingId: id,
+        userId: req.user?.id,
+      });
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Decline a pending booking request (releases payment hold)
+   * @route   POST /api/bookings/:id/decline
+   * @access  Private (property owner, admin)
+   */
+  async declineBooking(req, res, next) {
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    try {
+      const booking = await BookingService.declineBooking(id, req.user, reason);
+
+      res.status(200).json({
+        success: true,
+        data: booking,
+        message: "Booking declined",
+      });
+    } catch (error) {
+      logger.error(`Booking decline failed: ${error.message}`, {
+        bookingId: id,
+        userId: req.user?.id,
+      });
+      next(error);
+    }
+  }
+
   /**
    * @desc    Get booking details
    * @route   GET /api/bookings/:id
@@ -270,9 +379,9 @@ class BookingController {
   }
 
   /**
-   * @desc    Get booking invoice
+   * @desc    Get booking invoice as JSON, HTML or PDF (?format=)
    * @route   GET /api/bookings/:id/invoice
-   * @access  Private
+   * @access  Private (guest, owner or admin)
    */
   async getInvoice(req, res, next) {
     const { id } = req.params;
@@ -281,11 +390,18 @@ class BookingController {
     try {
       if (!id) throw new ValidationError("Booking ID is required");
 
-      const invoice = await BookingService.generateInvoice(id, userId);
+      const { invoice, creditNotes } = await InvoiceService.getBookingInvoice(
+        id,
+        req.user
+      );
+
+      if (req.query.format && req.query.format !== "json") {
+        return await sendInvoiceDocument(res, invoice, req.query.format);
+      }
 
       res.status(200).json({
         success: true,
-        data: invoice,
+        data: { ...invoice, creditNotes },
       });
     } catch (error) {
       logger.error(`Invoice generation failed: ${error.message}`, {
@@ -296,6 +412,53 @@ class BookingController {
       next(error);
     }
   }
+
+  /**
+   * @desc    Get a credit note as JSON, HTML or PDF (?format=)
+   * @route   GET /api/bookings/:id/credit-notes/:number
+   * @access  Private (guest, owner or admin)
+   */
+  async getCreditNote(req, res, next) {
+    const { id, number } = req.params;
+
+    try {
+      const creditNote = await InvoiceService.getCreditNote(
+        id,
+        number,
+        req.user
+      );
+
+      if (req.query.format && req.query.format !== "json") {
+        return await sendInvoiceDocument(res, creditNote, req.query.format);
+      }
+
+      res.status(200).json({ success: true, data: creditNote });
+    } catch (error) {
+      logger.error(`Credit note fetch failed: ${error.message}`, {
+        bookingId: id,
+        number,
+      });
+      next(error);
+    }
+  }
+}
+
+// Render a stored invoice or credit note as a download
+async function sendInvoiceDocument(res, document, format) {
+  if (format === "html") {
+    return res.type("html").send(renderInvoiceHtml(document));
+  }
+  if (format === "pdf") {
+    const pdf = await renderInvoicePdf(document);
+    return res
+      .type("pdf")
+      .set(
+        "Content-Disposition",
+        `attachment; filename="${document.number}.pdf"`
+      )
+      .send(pdf);
+  }
+  throw new ValidationError("Format must be one of json, html or pdf");
 }
 
 // Export initialized controller instance
@@ -54,6 +54,12 @@ router.post(
   BookingController.createBooking
 ); // Create new booking
 
+router.post(
+  "/quote",
+  validate(bookingSchemas.quoteBooking),
+  BookingController.quoteBooking
+); // Price a stay without booking
+
 // router
 //   .route("/bulk")
 //   .post(bulkOperationLimiter, BookingController.createBulkBookings); // Bulk operations
@@ -71,7 +77,11 @@ router
   .route("/:id/cancel")
   .patch(bookingCreationLimiter, BookingController.cancelBooking); // Cancel booking
 
+router.post("/:id/accept", BookingController.acceptBooking); // Owner accepts request
+router.post("/:id/decline", BookingController.declineBooking); // Owner declines request
+
 router.route("/:id/invoice").get(BookingController.getInvoice); // Get booking invoice
+router.get("/:id/credit-notes/:number", BookingController.getCreditNote); // Get refund credit note
 
 // Availability Check (public endpoint)
 router.get(
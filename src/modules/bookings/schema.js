@@ -136,6 +136,12 @@ export const bookingSchemas = {
       children: extendedJoi.number().integer().min(0).max(5).default(0),
       infants: extendedJoi.number().integer().min(0).max(3).default(0),
       specialRequests: extendedJoi.string().max(500).optional(),
+      quoteToken: extendedJoi.string().optional(),
+      currency: extendedJoi
+        .string()
+        .uppercase()
+        .pattern(/^[A-Z]{3}$/)
+        .optional(),
     })
     .custom((value, helpers) => {
       if (value.children + value.infants > value.adults * 2) {
@@ -165,6 +171,57 @@ export const bookingSchemas = {
     .min(1)
     .message("At least one field must be provided"),
 
+  // Wrapped in `body`: validate() checks { body: req.body } against it.
+  // Dates stay ISO strings for the controller's own checks.
+  quoteBooking: extendedJoi.object({
+    body: extendedJoi
+      .object({
+        propertyId: extendedJoi
+          .string()
+          .guid({
+            version: ["uuidv4"],
+          })
+          .required()
+          .messages({
+            "string.guid": "Property ID must be a valid UUID",
+            "any.required": "Property ID is required",
+          }),
+        startDate: extendedJoi.string().isoDate().required().messages({
+          "any.required": "Start date is required",
+          "string.isoDate": "Start date must be a valid ISO date",
+        }),
+        endDate: extendedJoi.string().isoDate().required().messages({
+          "any.required": "End date is required",
+          "string.isoDate": "End date must be a valid ISO date",
+        }),
+        adults: extendedJoi
+          .number()
+          .integer()
+          .min(1)
+          .max(10)
+          .required()
+          .messages({
+            "number.min": "At least 1 adult is required",
+            "number.max": "Maximum 10 adults allowed",
+          }),
+        children: extendedJoi.number().integer().min(0).max(5).default(0),
+        infants: extendedJoi.number().integer().min(0).max(3).default(0),
+        currency: extendedJoi
+          .string()
+          .uppercase()
+          .pattern(/^[A-Z]{3}$/)
+          .optional(),
+      })
+      .custom((value, helpers) => {
+        if (value.children + value.infants > value.adults * 2) {
+          return helpers.error("any.invalid", {
+            message: "Too many children/infants per adult (max 2 per adult)",
+          });
+        }
+        return value;
+      }),
+  }),
+
   bookingIdParam: extendedJoi.object({
     id: extendedJoi
       .string()
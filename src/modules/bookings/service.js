@@ -4,20 +4,37 @@ import redis from "../../config/redis.js";
 import {
   BookingError,
   ConflictError,
+  ForbiddenError,
   NotFoundError,
   DatabaseError,
+  PaymentError,
   ValidationError,
 } from "../../utils/apiError.js";
 import logger from "../../config/logger.js";
+import PaymentService from "../payments/service.js";
+import { assertTransition, transitionBooking } from "./stateMachine.js";
+import {
+  calculateRefund,
+  resolveCancellationPolicy,
+} from "./cancellationPolicy.js";
+import { isAdmin } from "../../utils/roleUtils.js";
+import { PricingService } from "../../utils/pricing.js";
+import TaxFeeService from "../taxes/service.js";
+import CurrencyService from "../currency/service.js";
+import SearchIndexService, { ReindexReason } from "../search/service.js";
+import AvailabilityService from "../availability/service.js";
+import config from "../../config/env.js";
+import jwt from "jsonwebtoken";
 import pkg from "@prisma/client";
 const { BookingStatus, PaymentStatus } = pkg;
 import { validate as isValidUUID } from "uuid";
 import { connect } from "mongoose";
 
+const QUOTE_TOKEN_AUDIENCE = "booking-quote";
+
 class BookingService {
   constructor() {
     this.LOCK_TIMEOUT = 5000; // 5 seconds
-    this.CANCELLATION_WINDOW = 48; // hours
     this.MAX_BULK_CONCURRENCY = 5;
     this.MIN_BOOKING_DAYS = 1;
     this.MAX_BOOKING_DAYS = 30;
@@ -33,6 +50,8 @@ class BookingService {
     children = 0,
     infants = 0,
     paymentMethod,
+    quoteToken,
+    currency: requestedCurrency,
   }) {
     // Input validation
     if (!isValidUUID(propertyId)) {
@@ -49,11 +68,25 @@ class BookingService {
       throw new ValidationError("End date must be after start date");
     }
 
+    const quote = quoteToken
+      ? this.verifyQuoteToken(quoteToken, {
+          propertyId,
+          userId,
+          startDate,
+          endDate,
+          adults,
+          children,
+          infants,
+          currency: requestedCurrency,
+        })
+      : null;
+
     const propertyLockKey = `property:${propertyId}:lock`;
     let lockAcquired = false;
+    let booking;
 
     try {
-      return await prisma.$transaction(async (tx) => {
+      booking = await prisma.$transaction(async (tx) => {
         // Acquire distributed lock with retry logic
         lockAcquired = await this.acquireLockWithRetry(propertyLockKey);
         if (!lockAcquired) {
@@ -61,68 +94,47 @@ class BookingService {
             "Property is currently being modified by another request"
           );
         }
+        // Calendar edits don't take the Redis lock; the row lock keeps them
+        // out between checking the nights and taking them
+        await AvailabilityService.lockCalendar(tx, propertyId);
 
-        // Validate property exists and can be booked
-        const property = await tx.property.findUnique({
-          where: { id: propertyId },
-          select: {
-            id: true,
-            maxGuests: true,
-            minStay: true,
-            maxStay: true,
-            status: true,
-          },
-        });
-
-        if (!property) {
-          throw new NotFoundError("Property not found");
-        }
-
-        if (property.status !== "APPROVED") {
-          throw new BookingError("Property is not available for booking");
-        }
-
-        // Validate guest count
-        const totalGuests = adults + children;
-        if (totalGuests > property.maxGuests) {
-          throw new BookingError(
-            `Property can only accommodate ${property.maxGuests} guests`
-          );
-        }
-
-        // Validate stay duration
-        const stayDuration = DateTime.fromJSDate(endDate).diff(
-          DateTime.fromJSDate(startDate),
-          "days"
-        ).days;
-        if (stayDuration < (property.minStay || this.MIN_BOOKING_DAYS)) {
-          throw new BookingError(
-            `Minimum stay is ${property.minStay || this.MIN_BOOKING_DAYS} days`
-          );
-        }
-
-        if (property.maxStay && stayDuration > property.maxStay) {
-          throw new BookingError(`Maximum stay is ${property.maxStay} days`);
-        }
-
-        // Check availability
-        const availability = await this.checkAvailabilityWithLock(
+        const { property, availability, totalGuests } = await this.validateStay(
           tx,
-          propertyId,
-          startDate,
-          endDate
-        );
-
-        // Calculate pricing
-        const { totalPrice, basePrice, taxes, fees } =
-          await this.calculateTotalPrice(
-            tx,
+          {
             propertyId,
-            availability,
             startDate,
             endDate,
-            totalGuests
-          );
+            adults,
+            children,
+          }
+        );
+
+        // Charge exactly what was quoted, otherwise price the stay now
+        const {
+          totalPrice,
+          basePrice,
+          taxes,
+          fees,
+          discountAmount,
+          currency,
+          propertyCurrency,
+          exchangeRate,
+          lineItems,
+        } =
+          quote ||
+          (await this.convertToGuestCurrency(
+            tx,
+            await this.calculateTotalPrice(
+              tx,
+              propertyId,
+              availability,
+              startDate,
+              endDate,
+              totalGuests
+            ),
+            userId,
+            requestedCurrency
+          ));
 
         // Create booking with all details
         const booking = await tx.booking.create({
@@ -135,14 +147,25 @@ class BookingService {
             basePrice,
             taxes,
             fees,
+            discountAmount,
+            currency,
+            propertyCurrency,
+            exchangeRate,
+            // Later policy changes must not affect existing bookings
+            cancellationPolicy: resolveCancellationPolicy(
+              property.cancellationPolicy,
+              property.cancellationPolicyTerms
+            ),
             adults,
             children,
             infants,
             status: BookingStatus.PENDING,
+            lineItems: { create: lineItems },
             payment: {
               create: {
                 amount: totalPrice,
-                currency: "USD",
+                currency,
+                exchangeRate,
                 status: PaymentStatus.PENDING,
                 userId,
                 propertyId,
@@ -159,6 +182,7 @@ class BookingService {
               },
             },
             payment: true,
+            lineItems: { orderBy: { sortOrder: "asc" } },
           },
         });
 
@@ -192,6 +216,301 @@ class BookingService {
         });
       }
     }
+
+    return this.authorizeBookingPayment(booking);
+  }
+
+  /**
+   * Check that a stay can be booked: the property is approved, the party
+   * fits and meets stay limits, and every night is free
+   * @param {Object} tx - Prisma transaction client
+   * @returns {Promise<{property: object, availability: Array, totalGuests: number}>}
+   */
+  async validateStay(tx, { propertyId, startDate, endDate, adults, children }) {
+    // Validate property exists and can be booked
+    const property = await tx.property.findUnique({
+      where: { id: propertyId },
+      select: {
+        id: true,
+        maxGuests: true,
+        minStay: true,
+        maxStay: true,
+        status: true,
+        cancellationPolicy: true,
+        cancellationPolicyTerms: true,
+      },
+    });
+
+    if (!property) {
+      throw new NotFoundError("Property not found");
+    }
+
+    if (property.status !== "APPROVED") {
+      throw new BookingError("Property is not available for booking");
+    }
+
+    // Validate guest count
+    const totalGuests = adults + children;
+    if (totalGuests > property.maxGuests) {
+      throw new BookingError(
+        `Property can only accommodate ${property.maxGuests} guests`
+      );
+    }
+
+    // Validate stay duration
+    const stayDuration = DateTime.fromJSDate(endDate).diff(
+      DateTime.fromJSDate(startDate),
+      "days"
+    ).days;
+    if (stayDuration < (property.minStay || this.MIN_BOOKING_DAYS)) {
+      throw new BookingError(
+        `Minimum stay is ${property.minStay || this.MIN_BOOKING_DAYS} days`
+      );
+    }
+
+    if (property.maxStay && stayDuration > property.maxStay) {
+      throw new BookingError(`Maximum stay is ${property.maxStay} days`);
+    }
+
+    // Check availability
+    const availability = await this.checkAvailabilityWithLock(
+      tx,
+      propertyId,
+      startDate,
+      endDate
+    );
+
+    // A minimum stay set on the arrival night's slot overrides the property's
+    const arrival = availability.find(
+      (slot) => slot.startDate <= startDate && startDate < slot.endDate
+    );
+    if (arrival?.minStay && stayDuration < arrival.minStay) {
+      throw new BookingError(
+        `Minimum stay for arrival on ${DateTime.fromJSDate(startDate).toISODate()} is ${arrival.minStay} days`
+      );
+    }
+
+    return { property, availability, totalGuests };
+  }
+
+  /**
+   * Price a stay without writing anything, returning a signed token that
+   * createBooking honours until it expires
+   * @param {Object} params
+   * @param {string} params.propertyId
+   * @param {string} params.userId - Guest the quote is issued to
+   * @param {Date} params.startDate
+   * @param {Date} params.endDate
+   * @param {number} params.adults
+   * @param {number} [params.children]
+   * @param {number} [params.infants]
+   * @param {string} [params.currency] - Defaults to the guest's preferred
+   *   currency, then the property's
+   * @returns {Promise<object>} Quote with nightly breakdown and quoteToken
+   */
+  async quoteBooking({
+    propertyId,
+    userId,
+    startDate,
+    endDate,
+    adults = 1,
+    children = 0,
+    infants = 0,
+    currency,
+  }) {
+    if (!isValidUUID(propertyId)) {
+      throw new ValidationError(`Invalid property ID format: ${propertyId}`);
+    }
+
+    const { pricing, cancellationPolicy } = await prisma.$transaction(
+      async (tx) => {
+        const { property, availability, totalGuests } = await this.validateStay(
+          tx,
+          {
+            propertyId,
+            startDate,
+            endDate,
+            adults,
+            children,
+          }
+        );
+        const propertyPricing = await this.calculateTotalPrice(
+          tx,
+          propertyId,
+          availability,
+          startDate,
+          endDate,
+          totalGuests
+        );
+        return {
+          pricing: await this.convertToGuestCurrency(
+            tx,
+            propertyPricing,
+            userId,
+            currency
+          ),
+          cancellationPolicy: resolveCancellationPolicy(
+            property.cancellationPolicy,
+            property.cancellationPolicyTerms
+          ),
+        };
+      }
+    );
+
+    const ttlMinutes = config.get("bookings.quoteTtlMinutes");
+    const expiresAt = DateTime.now().plus({ minutes: ttlMinutes });
+    const stay = {
+      propertyId,
+      startDate: startDate.toISOString(),
+      endDate: endDate.toISOString(),
+      adults,
+      children,
+      infants,
+    };
+    const charges = {
+      currency: pricing.currency,
+      propertyCurrency: pricing.propertyCurrency,
+      exchangeRate: pricing.exchangeRate,
+      basePrice: pricing.basePrice,
+      discountAmount: pricing.discountAmount,
+      taxes: pricing.taxes,
+      fees: pricing.fees,
+      totalPrice: pricing.totalPrice,
+      lineItems: pricing.lineItems,
+    };
+
+    const quoteToken = jwt.sign(
+      { stay, charges },
+      config.get("bookings.quoteSecret"),
+      {
+        subject: userId,
+        audience: QUOTE_TOKEN_AUDIENCE,
+        expiresIn: ttlMinutes * 60,
+      }
+    );
+
+    return {
+      ...stay,
+      ...charges,
+      nights: pricing.nightlyPrices,
+      cancellationPolicy,
+      expiresAt: expiresAt.toISO(),
+      quoteToken,
+    };
+  }
+
+  /**
+   * Check a quote token was issued to this guest for this exact stay
+   * @returns {Object} The quoted charges
+   * @throws {BookingError} When the quote has expired
+   * @throws {ValidationError} When the token is invalid or for another stay
+   */
+  verifyQuoteToken(
+    token,
+    { propertyId, userId, startDate, endDate, currency, ...party }
+  ) {
+    let payload;
+    try {
+      payload = jwt.verify(token, config.get("bookings.quoteSecret"), {
+        audience: QUOTE_TOKEN_AUDIENCE,
+        subject: userId,
+      });
+    } catch (error) {
+      if (error.name === "TokenExpiredError") {
+        throw new BookingError("Quote has expired, please request a new one");
+      }
+      throw new ValidationError("Invalid quote token");
+    }
+
+    const { stay, charges } = payload;
+    const matches =
+      stay.propertyId === propertyId &&
+      stay.startDate === new Date(startDate).toISOString() &&
+      stay.endDate === new Date(endDate).toISOString() &&
+      ["adults", "children", "infants"].every(
+        (key) => stay[key] === (party[key] ?? 0)
+      ) &&
+      (!currency || charges.currency === currency.toUpperCase());
+    if (!matches) {
+      throw new ValidationError("Quote does not match the booking request");
+    }
+
+    return charges;
+  }
+
+  /**
+   * Convert property-currency pricing into the currency the guest pays in:
+   * the one requested, else their profile preference, else the property's
+   * @param {Object} tx - Prisma transaction client
+   * @param {Object} pricing - From calculateTotalPrice
+   * @param {string} userId
+   * @param {string} [requestedCurrency]
+   * @returns {Promise<object>} Pricing with currency, propertyCurrency and exchangeRate
+   */
+  async convertToGuestCurrency(tx, pricing, userId, requestedCurrency) {
+    let currency = requestedCurrency;
+    if (!currency) {
+      const profile = await tx.profile.findUnique({
+        where: { userId },
+        select: { preferredCurrency: true },
+      });
+      currency = profile?.preferredCurrency || pricing.currency;
+    }
+
+    currency = currency.toUpperCase();
+    const rate = await CurrencyService.getRate(tx, pricing.currency, currency);
+    return CurrencyService.convertCharges(pricing, rate, currency);
+  }
+
+  // Hold the guest's funds; a declined authorization frees the dates again
+  async authorizeBookingPayment(booking) {
+    const payment = await PaymentService.authorizeBookingPayment(booking.id);
+
+    if (payment.status !== PaymentStatus.FAILED) {
+      return { ...booking, payment };
+    }
+
+    await this.cancelUnpaidBooking(booking.id, "Payment authorization failed", {
+      actorId: booking.tenantId,
+    });
+    throw new PaymentError(
+      `Payment authorization failed: ${payment.failureReason || "declined"}`
+    );
+  }
+
+  /**
+   * Cancel a booking whose payment could not be taken and free its dates.
+   * Does nothing once the booking has left PENDING.
+   * @param {string} bookingId
+   * @param {string} reason
+   * @param {Object} [options]
+   * @param {string} [options.actorId]
+   */
+  async cancelUnpaidBooking(bookingId, reason, { actorId = null } = {}) {
+    const cancelled = await prisma.$transaction(async (tx) => {
+      const booking = await tx.booking.findUnique({
+        where: { id: bookingId },
+      });
+      if (booking?.status !== BookingStatus.PENDING) return false;
+
+      await transitionBooking(tx, booking, BookingStatus.CANCELLED, {
+        actorId,
+        reason,
+        data: { cancellationReason: reason, cancellationDate: new Date() },
+      });
+      await this.releaseAvailabilitySlots(
+        tx,
+        booking.propertyId,
+        booking.id,
+        booking.startDate,
+        booking.endDate
+      );
+      return true;
+    });
+
+    if (cancelled) {
+      logger.warn(`Booking ${bookingId} cancelled: ${reason}`);
+    }
   }
 
   // Helper to acquire lock with retry
@@ -214,69 +533,253 @@ class BookingService {
   // Atomic cancellation with fee calculation
   async cancelBooking(bookingId, userId, reason = null) {
     try {
-      return await prisma.$transaction(async (tx) => {
-        const booking = await tx.booking.findUnique({
-          where: { id: bookingId },
-          include: {
-            payment: true,
-            property: {
-              select: {
-                cancellationPolicy: true,
+      const { updatedBooking, refund } = await prisma.$transaction(
+        async (tx) => {
+          const booking = await tx.booking.findUnique({
+            where: { id: bookingId },
+            include: {
+              payment: true,
+              property: {
+                select: {
+                  cancellationPolicy: true,
+                  cancellationPolicyTerms: true,
+                },
               },
             },
-          },
+          });
+
+          if (!booking) throw new NotFoundError("Booking not found");
+          if (booking.tenantId !== userId)
+            throw new BookingError("Unauthorized to cancel this booking");
+
+          const refund = calculateRefund(booking);
+
+          const [updatedBooking] = await Promise.all([
+            transitionBooking(tx, booking, BookingStatus.CANCELLED, {
+              actorId: userId,
+              reason,
+              data: {
+                cancellationReason: reason,
+                cancellationDate: new Date(),
+              },
+              metadata: { refund },
+            }),
+            this.releaseAvailabilitySlots(
+              tx,
+              booking.propertyId,
+              booking.id,
+              booking.startDate,
+              booking.endDate
+            ),
+          ]);
+
+          return { updatedBooking, refund };
+        }
+      );
+
+      // Gateway calls stay outside the DB transaction
+      const payment = await PaymentService.settleCancellation(
+        bookingId,
+        refund.refundAmount,
+        reason
+      );
+
+      logger.info(
+        `Booking ${bookingId} cancelled by user ${userId} with refund ${refund.refundAmount} (${refund.policy})`
+      );
+
+      return { ...updatedBooking, payment, refund };
+    } catch (error) {
+      logger.error(`Booking cancellation failed: ${error.message}`, {
+        bookingId,
+        userId,
+        error: error.stack,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Owner accepts a pending request: capture the held payment, which
+   * confirms the booking. If the capture fails the request is cancelled.
+   * @param {string} bookingId
+   * @param {Object} user - Authenticated property owner or admin
+   * @returns {Promise<object>} Confirmed booking with payment
+   */
+  async acceptBooking(bookingId, user) {
+    const booking = await this.findBookingForOwner(bookingId, user);
+    assertTransition(booking.status, BookingStatus.CONFIRMED);
+
+    try {
+      await PaymentService.captureBookingPayment(bookingId, {
+        actorId: user.id,
+      });
+    } catch (error) {
+      // A request that can't be paid for must not keep holding its dates
+      if (error instanceof PaymentError) {
+        await this.cancelUnpaidBooking(bookingId, "Payment capture failed", {
+          actorId: user.id,
         });
+      }
+      throw error;
+    }
+
+    logger.info(`Booking ${bookingId} accepted by ${user.id}`);
+    return this.getBookingDetails(bookingId);
+  }
+
+  /**
+   * Owner declines a pending request: cancel it, free the dates and release
+   * the guest's funds in full
+   * @param {string} bookingId
+   * @param {Object} user - Authenticated property owner or admin
+   * @param {string} [reason]
+   * @returns {Promise<object>} Cancelled booking with payment
+   */
+  async declineBooking(bookingId, user, reason = null) {
+    const booking = await this.findBookingForOwner(bookingId, user);
+    if (booking.status !== BookingStatus.PENDING) {
+      throw new BookingError(
+        `Only pending bookings can be declined (current: ${booking.status})`
+      );
+    }
+
+    const declineReason = reason || "Declined by host";
+    const updatedBooking = await prisma.$transaction(async (tx) => {
+      const declined = await transitionBooking(
+        tx,
+        booking,
+        BookingStatus.CANCELLED,
+        {
+          actorId: user.id,
+          reason: declineReason,
+          data: {
+            cancellationReason: declineReason,
+            cancellationDate: new Date(),
+          },
+          metadata: { declinedBy: user.id },
+        }
+      );
+      await this.releaseAvailabilitySlots(
+        tx,
+        booking.propertyId,
+        booking.id,
+        booking.startDate,
+        booking.endDate
+      );
+      return declined;
+    });
 
-        if (!booking) throw new NotFoundError("Booking not found");
-        if (booking.tenantId !== userId)
-          throw new BookingError("Unauthorized to cancel this booking");
+    const payment = await PaymentService.settleCancellation(
+      bookingId,
+      Number(booking.totalPrice),
+      declineReason
+    );
 
-        this.validateStateTransition(booking.status, BookingStatus.CANCELLED);
+    logger.info(`Booking ${bookingId} declined by ${user.id}`);
+    return { ...updatedBooking, payment };
+  }
 
-        const cancellationFee = this.calculateCancellationFee(booking);
-        const refundAmount = Number(booking.totalPrice) - cancellationFee;
+  /**
+   * Cancel PENDING bookings whose hold has lapsed, void their payment
+   * authorization and give the dates back
+   * @param {Date} cutoff - Bookings created before this are expired
+   * @param {number} [batchSize]
+   * @returns {Promise<number>} Bookings expired
+   */
+  async expirePendingBookings(cutoff, batchSize = 100) {
+    const stale = await prisma.booking.findMany({
+      where: { status: BookingStatus.PENDING, createdAt: { lt: cutoff } },
+      orderBy: { createdAt: "asc" },
+      take: batchSize,
+    });
 
-        const [updatedBooking] = await Promise.all([
-          tx.booking.update({
-            where: { id: bookingId },
+    let expired = 0;
+    for (const booking of stale) {
+      try {
+        await prisma.$transaction(async (tx) => {
+          await transitionBooking(tx, booking, BookingStatus.CANCELLED, {
+            reason: "Booking request expired",
             data: {
-              status: BookingStatus.CANCELLED,
-              cancellationReason: reason,
+              cancellationReason: "Booking request expired",
               cancellationDate: new Date(),
-              payment: {
-                update: {
-                  status:
-                    cancellationFee > 0
-                      ? PaymentStatus.PARTIALLY_REFUNDED
-                      : PaymentStatus.REFUNDED,
-                  refundAmount,
-                  refundedAt: new Date(),
-                },
-              },
             },
-          }),
-          this.releaseAvailabilitySlots(
+            metadata: { source: "job" },
+          });
+          await this.releaseAvailabilitySlots(
             tx,
             booking.propertyId,
+            booking.id,
             booking.startDate,
             booking.endDate
-          ),
-        ]);
+          );
+        });
+        await PaymentService.settleCancellation(
+          booking.id,
+          Number(booking.totalPrice),
+          "Booking request expired"
+        );
+        expired++;
+      } catch (error) {
+        logger.error(
+          `Failed to expire booking ${booking.id}: ${error.message}`
+        );
+      }
+    }
 
-        logger.info(
-          `Booking ${bookingId} cancelled by user ${userId} with refund ${refundAmount}`
+    return expired;
+  }
+
+  /**
+   * Apply a time-driven transition to every booking whose boundary date has
+   * passed, e.g. CONFIRMED → ACTIVE at check-in
+   * @param {string} from - Current BookingStatus
+   * @param {string} to - Target BookingStatus
+   * @param {"startDate"|"endDate"} dateField - Boundary that must be reached
+   * @param {Date} now
+   * @param {number} [batchSize]
+   * @returns {Promise<number>} Bookings moved
+   */
+  async advanceBookings(from, to, dateField, now, batchSize = 100) {
+    const due = await prisma.booking.findMany({
+      where: { status: from, [dateField]: { lte: now } },
+      orderBy: { [dateField]: "asc" },
+      take: batchSize,
+    });
+
+    let advanced = 0;
+    for (const booking of due) {
+      try {
+        await prisma.$transaction((tx) =>
+          transitionBooking(tx, booking, to, {
+            reason: dateField === "startDate" ? "Check-in" : "Check-out",
+            metadata: { source: "job" },
+          })
         );
+        advanced++;
+      } catch (error) {
+        logger.error(
+          `Failed to move booking ${booking.id} to ${to}: ${error.message}`
+        );
+      }
+    }
 
-        return updatedBooking;
-      });
-    } catch (error) {
-      logger.error(`Booking cancellation failed: ${error.message}`, {
-        bookingId,
-        userId,
-        error: error.stack,
-      });
-      throw error;
+    return advanced;
+  }
+
+  // Load a booking for an action reserved to the property owner or an admin
+  async findBookingForOwner(bookingId, user) {
+    const booking = await prisma.booking.findUnique({
+      where: { id: bookingId },
+      include: { property: { select: { ownerId: true } } },
+    });
+
+    if (!booking) throw new NotFoundError("Booking not found");
+    if (booking.property.ownerId !== user.id && !isAdmin(user)) {
+      throw new ForbiddenError("Only the property owner can manage requests");
     }
+
+    return booking;
   }
 
   // Enhanced availability checking
@@ -333,25 +836,18 @@ class BookingService {
     }
   }
 
-  // Update availability slots with booking reference
+  // Update availability slots with booking reference. Slots are split at
+  // the stay's edges so only the booked nights are taken; the booking fails
+  // unless it ends up holding every night of the stay.
   async updateAvailabilitySlots(tx, propertyId, bookingId, start, end) {
+    let blocked;
     try {
-      await tx.availability.updateMany({
-        where: {
-          propertyId,
-          startDate: { lt: end },
-          endDate: { gt: start },
-          isAvailable: true,
-          bookingId: null,
-        },
-        data: {
-          isAvailable: false,
-          bookingId,
-        },
-      });
-
-      logger.debug(
-        `Updated availability for property ${propertyId} from ${start} to ${end}`
+      blocked = await AvailabilityService.blockRange(
+        tx,
+        propertyId,
+        start,
+        end,
+        { bookingId }
       );
     } catch (error) {
       logger.error(`Failed to update availability slots`, {
@@ -360,25 +856,48 @@ class BookingService {
         end,
         error: error.stack,
       });
+      if (error instanceof ConflictError) throw error;
       throw new DatabaseError("Failed to update availability");
     }
+
+    if (
+      !blocked ||
+      !(await AvailabilityService.coversRange(tx, propertyId, start, end, {
+        bookingId,
+      }))
+    ) {
+      throw new ConflictError("Selected dates are no longer available");
+    }
+
+    logger.debug(
+      `Updated availability for property ${propertyId} from ${start} to ${end}`
+    );
   }
 
-  // Release availability slots on cancellation
-  async releaseAvailabilitySlots(tx, propertyId, start, end) {
+  // Release a booking's availability slots on cancellation. Only the
+  // booking's own nights reopen: owner blocks, imported blocks and other
+  // bookings in the same range stay as they are.
+  async releaseAvailabilitySlots(tx, propertyId, bookingId, start, end) {
     try {
+      await AvailabilityService.lockCalendar(tx, propertyId);
       await tx.availability.updateMany({
         where: {
           propertyId,
+          bookingId,
           startDate: { gte: start },
           endDate: { lte: end },
-          isAvailable: false,
         },
         data: {
           isAvailable: true,
           bookingId: null,
         },
       });
+      await AvailabilityService.mergeSlots(tx, propertyId);
+      await SearchIndexService.enqueue(
+        tx,
+        propertyId,
+        ReindexReason.AVAILABILITY_CHANGED
+      );
 
       logger.debug(
         `Released availability for property ${propertyId} from ${start} to ${end}`
@@ -409,6 +928,9 @@ class BookingService {
         select: {
           basePrice: true,
           currency: true,
+          country: true,
+          state: true,
+          city: true,
         },
       });
 
@@ -418,10 +940,9 @@ class BookingService {
 
       const start = DateTime.fromJSDate(startDate);
       const end = DateTime.fromJSDate(endDate);
-      let basePrice = 0;
-      const dailyPrices = [];
+      const nights = [];
 
-      // Calculate base price from availability slots
+      // Collect base nightly rates from availability slots
       for (let day = start; day < end; day = day.plus({ days: 1 })) {
         const slot = availability.find(
           (s) =>
@@ -433,24 +954,46 @@ class BookingService {
           throw new BookingError(`No availability for ${day.toISODate()}`);
         }
 
-        const dailyRate = Number(slot.price || property.basePrice);
-        basePrice += dailyRate;
-        dailyPrices.push(dailyRate);
+        nights.push({
+          date: day,
+          baseRate: Number(slot.price || property.basePrice),
+        });
       }
 
-      // Calculate taxes and fees (simplified example)
-      const taxes = basePrice * 0.1; // 10% tax
-      const fees = guestCount > 2 ? 20 : 0; // Extra guest fee
+      // Apply the owner's pricing rules night by night
+      const rules = await PricingService.getActiveRules(tx, propertyId);
+      const { nights: nightlyPrices, subtotal: basePrice } =
+        PricingService.priceStay(nights, rules);
+      const dailyPrices = nightlyPrices.map((night) => night.price);
+      const discountAmount = PricingService.round(
+        nightlyPrices.reduce(
+          (sum, night) => sum + Math.max(night.baseRate - night.price, 0),
+          0
+        )
+      );
 
-      const totalPrice = basePrice + taxes + fees;
+      // Taxes and fees for the property's jurisdiction
+      const {
+        lineItems,
+        taxes,
+        fees,
+        total: totalPrice,
+      } = await TaxFeeService.calculateCharges(tx, property, {
+        accommodation: basePrice,
+        nights: nightlyPrices.length,
+        guests: guestCount,
+      });
 
       return {
         totalPrice,
         basePrice,
         taxes,
         fees,
+        discountAmount,
         currency: property.currency,
         dailyPrices,
+        nightlyPrices,
+        lineItems,
       };
     } catch (error) {
       logger.error(`Price calculation failed for property ${propertyId}`, {
@@ -462,41 +1005,6 @@ class BookingService {
     }
   }
 
-  // Enhanced cancellation fee calculation
-  calculateCancellationFee(booking) {
-    try {
-      const policy = booking.property.cancellationPolicy || {};
-      const hoursUntilCheckin = DateTime.fromJSDate(booking.startDate).diffNow(
-        "hours"
-      ).hours;
-
-      if (hoursUntilCheckin < 0) {
-        return booking.totalPrice; // No refund after check-in time
-      }
-
-      if (hoursUntilCheckin < (policy.strictWindow || 24)) {
-        return booking.totalPrice * (policy.strictFee || 1); // 100% fee
-      }
-
-      if (
-        hoursUntilCheckin <
-        (policy.cancellationWindowHours || this.CANCELLATION_WINDOW)
-      ) {
-        return booking.totalPrice * (policy.feePercentage || 0.5); // 50% fee
-      }
-
-      return booking.totalPrice * (policy.flexibleFee || 0); // 0% fee
-    } catch (error) {
-      logger.error(
-        `Cancellation fee calculation failed for booking ${booking.id}`,
-        {
-          error: error.stack,
-        }
-      );
-      return booking.totalPrice * 0.5; // Fallback to 50% fee
-    }
-  }
-
   // Bulk booking processing with enhanced error handling
   async processBulkBookings(requests, userId) {
     const { default: PQueue } = await import("p-queue");
@@ -545,34 +1053,6 @@ class BookingService {
     });
   }
 
-  // State transition validation with all booking statuses
-  validateStateTransition(currentStatus, newStatus) {
-    const validTransitions = {
-      [BookingStatus.PENDING]: [
-        BookingStatus.CONFIRMED,
-        BookingStatus.CANCELLED,
-      ],
-      [BookingStatus.CONFIRMED]: [BookingStatus.PAID, BookingStatus.CANCELLED],
-      [BookingStatus.PAID]: [BookingStatus.ACTIVE, BookingStatus.CANCELLED],
-      [BookingStatus.ACTIVE]: [BookingStatus.COMPLETED],
-      [BookingStatus.COMPLETED]: [],
-      [BookingStatus.CANCELLED]: [BookingStatus.REFUND_PENDING],
-      [BookingStatus.REFUND_PENDING]: [BookingStatus.REFUNDED],
-      [BookingStatus.REFUNDED]: [],
-    };
-
-    if (!validTransitions[currentStatus]) {
-      throw new BookingError(`Invalid current status: ${currentStatus}`);
-    }
-
-    if (!validTransitions[currentStatus].includes(newStatus)) {
-      throw new BookingError(
-        `Invalid status transition: ${currentStatus} → ${newStatus}. ` +
-          `Allowed transitions: ${validTransitions[currentStatus].join(", ")}`
-      );
-    }
-  }
-
   /**
    * Check property availability
    * @param {string} propertyId
@@ -700,6 +1180,7 @@ class BookingService {
         include: {
           property: true,
           payment: true,
+          lineItems: { orderBy: { sortOrder: "asc" } },
         },
       });
 
@@ -717,27 +1198,22 @@ class BookingService {
     }
   }
 
+  /**
+   * Change a booking's details. New dates or party size are checked like a
+   * new stay and repriced, which only live bookings allow. A held or
+   * captured payment can't be adjusted, so then the total must not change.
+   * @param {string} bookingId
+   * @param {string} userId - Guest who made the booking
+   * @param {Object} updates
+   * @returns {Promise<object>} Updated booking with payment and line items
+   */
   async updateBooking(bookingId, userId, updates) {
     return await prisma.$transaction(async (tx) => {
       try {
-        // 1. First find the booking with necessary relations
+        // 1. First find the booking with its payment
         const booking = await tx.booking.findUnique({
           where: { id: bookingId },
-          include: {
-            property: {
-              select: {
-                id: true,
-                minStay: true,
-                maxStay: true,
-                availability: {
-                  where: {
-                    isAvailable: false,
-                    bookingId: bookingId,
-                  },
-                },
-              },
-            },
-          },
+          include: { payment: true },
         });
 
         if (!booking) {
@@ -747,71 +1223,126 @@ class BookingService {
         if (booking.tenantId !== userId) {
           throw new BookingError("Unauthorized to update this booking");
         }
+        await AvailabilityService.lockCalendar(tx, booking.propertyId);
 
         // 2. Remove propertyId from updates if present
-        const { propertyId, ...validUpdates } = updates;
+        const { propertyId, status, ...validUpdates } = updates;
 
-        if (propertyId && propertyId !== booking.property.id) {
+        if (status && status !== booking.status) {
           throw new ValidationError(
-            "Cannot change booking property after creation"
+            "Booking status can only change through accept, decline or cancel"
           );
         }
 
-        // 3. Validate dates if they're being updated
-        if (validUpdates.startDate || validUpdates.endDate) {
-          const startDate = validUpdates.startDate
-            ? new Date(validUpdates.startDate)
-            : new Date(booking.startDate);
-          const endDate = validUpdates.endDate
-            ? new Date(validUpdates.endDate)
-            : new Date(booking.endDate);
-
-          // Check date validity
-          if (startDate >= endDate) {
-            throw new ValidationError("End date must be after start date");
-          }
+        if (propertyId && propertyId !== booking.propertyId) {
+          throw new ValidationError(
+            "Cannot change booking property after creation"
+          );
+        }
 
-          // Check against property stay requirements
-          const duration = (endDate - startDate) / (1000 * 60 * 60 * 24);
-          if (booking.property.minStay && duration < booking.property.minStay) {
-            throw new ValidationError(
-              `Minimum stay is ${booking.property.minStay} days`
+        // 3. Validate and reprice the stay if its dates or party change
+        const startDate = validUpdates.startDate
+          ? new Date(validUpdates.startDate)
+          : booking.startDate;
+        const endDate = validUpdates.endDate
+          ? new Date(validUpdates.endDate)
+          : booking.endDate;
+        const adults = validUpdates.adults ?? booking.adults;
+        const children = validUpdates.children ?? booking.children;
+        const stayChanged =
+          startDate.getTime() !== booking.startDate.getTime() ||
+          endDate.getTime() !== booking.endDate.getTime() ||
+          adults !== booking.adults ||
+          children !== booking.children;
+
+        let pricing = null;
+        if (stayChanged) {
+          if (
+            booking.status !== BookingStatus.PENDING &&
+            booking.status !== BookingStatus.CONFIRMED
+          ) {
+            throw new BookingError(
+              `Cannot change the stay of a ${booking.status.toLowerCase()} booking`
             );
           }
-          if (booking.property.maxStay && duration > booking.property.maxStay) {
-            throw new ValidationError(
-              `Maximum stay is ${booking.property.maxStay} days`
-            );
+          if (isNaN(startDate) || isNaN(endDate)) {
+            throw new ValidationError("Invalid booking dates");
+          }
+          if (startDate >= endDate) {
+            throw new ValidationError("End date must be after start date");
           }
 
-          // Check availability for new dates if dates are changing
-          const conflictingBookings = await tx.booking.findMany({
-            where: {
-              propertyId: booking.property.id,
-              id: { not: bookingId },
-              OR: [
-                { startDate: { lt: endDate }, endDate: { gt: startDate } },
-                { startDate: { gte: startDate, lte: endDate } },
-              ],
-            },
+          // The booking's own nights are free for its new stay
+          await this.releaseAvailabilitySlots(
+            tx,
+            booking.propertyId,
+            bookingId,
+            booking.startDate,
+            booking.endDate
+          );
+          const { availability, totalGuests } = await this.validateStay(tx, {
+            propertyId: booking.propertyId,
+            startDate,
+            endDate,
+            adults,
+            children,
           });
+          pricing = await this.convertToGuestCurrency(
+            tx,
+            await this.calculateTotalPrice(
+              tx,
+              booking.propertyId,
+              availability,
+              startDate,
+              endDate,
+              totalGuests
+            ),
+            userId,
+            booking.currency
+          );
 
-          if (conflictingBookings.length > 0) {
-            throw new ConflictError("Selected dates are not available");
+          // Holds and captures are for a fixed amount
+          const { payment } = booking;
+          if (
+            payment &&
+            payment.status !== PaymentStatus.PENDING &&
+            Number(payment.amount) !== Number(pricing.totalPrice)
+          ) {
+            throw new BookingError(
+              `Payment is already ${payment.status.toLowerCase()}, so the total can't change from ${Number(payment.amount)} to ${pricing.totalPrice} ${pricing.currency}; cancel and book the new stay instead`
+            );
           }
         }
 
         // 4. Prepare update data
         const updatedData = {
           ...validUpdates,
-          ...(validUpdates.startDate && {
-            startDate: new Date(validUpdates.startDate),
-          }),
-          ...(validUpdates.endDate && {
-            endDate: new Date(validUpdates.endDate),
-          }),
+          startDate,
+          endDate,
           updatedAt: new Date(),
         };
+        if (pricing) {
+          Object.assign(updatedData, {
+            totalPrice: pricing.totalPrice,
+            basePrice: pricing.basePrice,
+            taxes: pricing.taxes,
+            fees: pricing.fees,
+            discountAmount: pricing.discountAmount,
+            currency: pricing.currency,
+            propertyCurrency: pricing.propertyCurrency,
+            exchangeRate: pricing.exchangeRate,
+            lineItems: { deleteMany: {}, create: pricing.lineItems },
+          });
+          if (booking.payment) {
+            updatedData.payment = {
+              update: {
+                amount: pricing.totalPrice,
+                currency: pricing.currency,
+                exchangeRate: pricing.exchangeRate,
+              },
+            };
+          }
+        }
 
         // 5. Perform the update
         const updatedBooking = await tx.booking.update({
@@ -825,39 +1356,19 @@ class BookingService {
               },
             },
             payment: true,
+            lineItems: { orderBy: { sortOrder: "asc" } },
           },
         });
 
-        // 6. Update availability slots if dates changed
-        if (validUpdates.startDate || validUpdates.endDate) {
-          // Release old availability slots
-          await tx.availability.updateMany({
-            where: {
-              propertyId: booking.property.id,
-              bookingId: bookingId,
-            },
-            data: {
-              isAvailable: true,
-              bookingId: null,
-            },
-          });
-
-          // Reserve new availability slots
-          const newStartDate = updatedBooking.startDate;
-          const newEndDate = updatedBooking.endDate;
-
-          await tx.availability.updateMany({
-            where: {
-              propertyId: booking.property.id,
-              startDate: { lt: newEndDate },
-              endDate: { gt: newStartDate },
-              isAvailable: true,
-            },
-            data: {
-              isAvailable: false,
-              bookingId: bookingId,
-            },
-          });
+        // 6. Take exactly the nights of the new stay
+        if (stayChanged) {
+          await this.updateAvailabilitySlots(
+            tx,
+            booking.propertyId,
+            bookingId,
+            startDate,
+            endDate
+          );
         }
 
         return updatedBooking;
@@ -873,132 +1384,6 @@ class BookingService {
       }
     });
   }
-  async generateInvoice(bookingId) {
-    try {
-      const booking = await prisma.booking.findUnique({
-        where: { id: bookingId },
-        include: {
-          property: {
-            select: {
-              title: true,
-              address: true,
-              basePrice: true,
-            },
-          },
-          payment: true,
-          tenant: {
-            select: {
-              id: true,
-              username: true,
-              email: true,
-              profile: {
-                select: {
-                  firstName: true,
-                  lastName: true,
-                  phone: true, // Changed from phoneNumber to phone
-                  currentAddress: true,
-                },
-              },
-            },
-          },
-        },
-      });
-
-      if (!booking) {
-        throw new NotFoundError("Booking not found");
-      }
-
-      const tenantName = booking.tenant?.profile
-        ? `${booking.tenant.profile.firstName} ${booking.tenant.profile.lastName}`
-        : booking.tenant?.username;
-
-      // Get contact details from profile if available
-      const tenantContact = booking.tenant?.profile
-        ? {
-            phone: booking.tenant.profile.phone, // Changed from phoneNumber to phone
-            address: booking.tenant.profile.currentAddress,
-          }
-        : null;
-
-      // Calculate any additional fields
-      const subtotal = booking.property.basePrice;
-      const taxRate = 0.1; // Example 10% tax
-      const taxAmount = subtotal * taxRate;
-      const totalAmount = subtotal + taxAmount;
-
-      // Generate invoice data
-      const invoiceNumber = `INV-${bookingId.slice(
-        0,
-        8
-      )}-${DateTime.now().toFormat("yyyyMMdd")}`;
-
-      const invoice = {
-        invoiceNumber,
-        date: DateTime.now().toISO(),
-        dueDate: DateTime.now().plus({ days: 7 }).toISO(),
-
-        // Booking details
-        booking: {
-          id: booking.id,
-          startDate: booking.startDate,
-          endDate: booking.endDate,
-          adults: booking.adults,
-          children: booking.children,
-          BookingStatus: booking.status,
-        },
-
-        // Property details
-        property: {
-          title: booking.property.title,
-          address: booking.property.address,
-          basePrice: booking.property.basePrice,
-        },
-
-        // Payment details
-        payment: {
-          amount: booking.payment.amount,
-          status: booking.payment.status,
-          method: booking.payment.method,
-          transactionId: booking.payment.transactionId,
-        },
-
-        // User details
-        user: booking.tenant
-          ? {
-              name: tenantName,
-              email: booking.tenant.email,
-              ...tenantContact,
-            }
-          : null,
-
-        // Calculated amounts
-        amounts: {
-          subtotal,
-          taxRate: `${taxRate * 100}%`,
-          taxAmount,
-          totalAmount,
-          amountPaid: booking.payment.amount,
-          balanceDue: totalAmount - booking.payment.amount,
-        },
-
-        // Additional metadata
-        notes: "Thank you for your booking!",
-        terms: "Payment due within 7 days",
-      };
-
-      return {
-        success: true,
-        data: invoice,
-        message: "Invoice generated successfully",
-      };
-    } catch (error) {
-      logger.error("Failed to generate invoice", {
-        bookingId,
-        error: error.message,
-      });
-      throw error;
-    }
-  }
 }
 
 export default new BookingService();
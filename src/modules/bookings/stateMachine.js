@@ -0,0 +1,79 @@
+// bookings/stateMachine.js
+import pkg from "@prisma/client";
+import { BookingError, ConflictError } from "../../utils/apiError.js";
+const { BookingStatus } = pkg;
+
+// Every legal booking status change. Anything not listed is rejected.
+export const BOOKING_TRANSITIONS = Object.freeze({
+  [BookingStatus.PENDING]: [BookingStatus.CONFIRMED, BookingStatus.CANCELLED],
+  [BookingStatus.CONFIRMED]: [BookingStatus.ACTIVE, BookingStatus.CANCELLED],
+  [BookingStatus.ACTIVE]: [BookingStatus.COMPLETED],
+  [BookingStatus.COMPLETED]: [],
+  [BookingStatus.CANCELLED]: [BookingStatus.REFUNDED],
+  [BookingStatus.REFUNDED]: [],
+});
+
+export const canTransition = (from, to) =>
+  Boolean(BOOKING_TRANSITIONS[from]?.includes(to));
+
+/**
+ * Throw unless `from → to` is a legal booking transition
+ * @throws {BookingError}
+ */
+export const assertTransition = (from, to) => {
+  if (!BOOKING_TRANSITIONS[from]) {
+    throw new BookingError(`Invalid current status: ${from}`);
+  }
+  if (!canTransition(from, to)) {
+    const allowed = BOOKING_TRANSITIONS[from];
+    throw new BookingError(
+      `Invalid status transition: ${from} → ${to}. ` +
+        `Allowed transitions: ${allowed.length ? allowed.join(", ") : "none"}`
+    );
+  }
+};
+
+/**
+ * Move a booking to a new status and write an audit record, inside `tx`.
+ * The update is conditional on the status the caller read, so two requests
+ * racing on the same booking cannot both succeed.
+ * @param {Object} tx - Prisma transaction client
+ * @param {{id: string, status: string}} booking - As read in this transaction
+ * @param {string} to - Target BookingStatus
+ * @param {Object} [options]
+ * @param {string} [options.actorId] - User responsible, null for system jobs
+ * @param {string} [options.reason]
+ * @param {Object} [options.data] - Extra booking columns to update
+ * @param {Object} [options.metadata] - Stored on the audit record
+ * @returns {Promise<object>} Updated booking
+ */
+export const transitionBooking = async (
+  tx,
+  booking,
+  to,
+  { actorId = null, reason = null, data = {}, metadata = {} } = {}
+) => {
+  assertTransition(booking.status, to);
+
+  const { count } = await tx.booking.updateMany({
+    where: { id: booking.id, status: booking.status },
+    data: { ...data, status: to },
+  });
+  if (count === 0) {
+    throw new ConflictError("Booking status was changed by another request");
+  }
+
+  await tx.auditLog.create({
+    data: {
+      actionType: "BOOKING_STATUS_CHANGED",
+      entityType: "Booking",
+      entityId: booking.id,
+      userId: actorId,
+      oldValues: { status: booking.status },
+      newValues: { status: to },
+      metadata: { ...metadata, ...(reason && { reason }) },
+    },
+  });
+
+  return tx.booking.findUnique({ where: { id: booking.id } });
+};
@@ -35,4 +35,12 @@ export function validateGuests(adults, children, infants) {
   if (children + infants > adults * 2) {
     throw new ValidationError('Too many children/infants per adult');
   }
+}
+
+export function validateCurrency(currency) {
+  if (currency == null) return;
+
+  if (typeof currency !== 'string' || !/^[A-Za-z]{3}$/.test(currency)) {
+    throw new ValidationError('Currency must be an ISO 4217 code');
+  }
 }
\ No newline at end of file
@@ -0,0 +1,178 @@
+import CalendarService from "./service.js";
+
+const exportUrl = (req, propertyId, token) =>
+  `${req.protocol}://${req.get("host")}/api/properties/${propertyId}/calendar/export.ics?token=${token}`;
+
+class CalendarController {
+  /**
+   * @desc    iCal feed of the property's booked and blocked dates
+   * @route   GET /api/properties/:propertyId/calendar/export.ics?token=
+   * @access  Public (secret token)
+   */
+  async exportCalendar(req, res, next) {
+    try {
+      const calendar = await CalendarService.getExportFeed(
+        req.params.propertyId,
+        req.query.token
+      );
+
+      res
+        .status(200)
+        .set("Content-Type", "text/calendar; charset=utf-8")
+        .set("Cache-Control", "private, max-age=300")
+        .send(calendar);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Turn on the export feed or rotate its secret URL
+   * @route   POST /api/properties/:propertyId/calendar/export-token
+   * @access  Private (property owner, admin)
+   */
+  async rotateExportToken(req, res, next) {
+    try {
+      const token = await CalendarService.rotateExportToken(
+        req.params.propertyId,
+        req.user
+      );
+
+      res.status(200).json({
+        success: true,
+        data: { url: exportUrl(req, req.params.propertyId, token) },
+        message: "Calendar export link created",
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Turn off the export feed
+   * @route   DELETE /api/properties/:propertyId/calendar/export-token
+   * @access  Private (property owner, admin)
+   */
+  async revokeExportToken(req, res, next) {
+    try {
+      await CalendarService.revokeExportToken(req.params.propertyId, req.user);
+
+      res
+        .status(200)
+        .json({ success: true, message: "Calendar export link revoked" });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    List imported calendars with their sync status and conflicts
+   * @route   GET /api/properties/:propertyId/calendar/feeds
+   * @access  Private (property owner, admin)
+   */
+  async listFeeds(req, res, next) {
+    try {
+      const feeds = await CalendarService.listFeeds(
+        req.params.propertyId,
+        req.user
+      );
+
+      res.status(200).json({ success: true, data: feeds });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Import an external calendar by URL and keep it in sync
+   * @route   POST /api/properties/:propertyId/calendar/feeds
+   * @access  Private (property owner, admin)
+   */
+  async addFeed(req, res, next) {
+    try {
+      const feed = await CalendarService.addFeed(
+        req.params.propertyId,
+        req.user,
+        req.body
+      );
+
+      res.status(201).json({
+        success: true,
+        data: feed,
+        message: feed.lastError
+          ? "Calendar added, but the first import failed"
+          : "Calendar imported",
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Import an uploaded .ics file (multipart field "calendar")
+   * @route   POST /api/properties/:propertyId/calendar/import
+   * @access  Private (property owner, admin)
+   */
+  async importFile(req, res, next) {
+    try {
+      const feed = await CalendarService.importFile(
+        req.params.propertyId,
+        req.user,
+        req.file,
+        req.body
+      );
+
+      res.status(200).json({
+        success: true,
+        data: feed,
+        message: "Calendar imported",
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Re-import a URL calendar now
+   * @route   POST /api/properties/:propertyId/calendar/feeds/:feedId/sync
+   * @access  Private (property owner, admin)
+   */
+  async syncFeed(req, res, next) {
+    try {
+      const feed = await CalendarService.syncFeedForOwner(
+        req.params.propertyId,
+        req.params.feedId,
+        req.user
+      );
+
+      res.status(200).json({
+        success: true,
+        data: feed,
+        message: "Calendar synced",
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Stop importing a calendar and reopen its blocked dates
+   * @route   DELETE /api/properties/:propertyId/calendar/feeds/:feedId
+   * @access  Private (property owner, admin)
+   */
+  async deleteFeed(req, res, next) {
+    try {
+      await CalendarService.deleteFeed(
+        req.params.propertyId,
+        req.params.feedId,
+        req.user
+      );
+
+      res.status(200).json({ success: true, message: "Calendar removed" });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+export default new CalendarController();
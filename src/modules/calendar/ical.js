@@ -0,0 +1,164 @@
+// calendar/ical.js
+import { DateTime } from "luxon";
+
+// RFC 5545 lines are folded at 75 octets
+const MAX_LINE_OCTETS = 75;
+
+const escapeText = (value) =>
+  String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+const unescapeText = (value) =>
+  value.replace(/\\([\\;,nN])/g, (_, char) =>
+    char === "n" || char === "N" ? "\n" : char
+  );
+
+const foldLine = (line) => {
+  const parts = [];
+  let current = "";
+  for (const char of line) {
+    const limit = parts.length ? MAX_LINE_OCTETS - 1 : MAX_LINE_OCTETS;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = "";
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+};
+
+const formatDate = (date) =>
+  DateTime.fromJSDate(date, { zone: "utc" }).toFormat("yyyyLLdd");
+
+const formatDateTime = (date) =>
+  DateTime.fromJSDate(date, { zone: "utc" }).toFormat("yyyyLLdd'T'HHmmss'Z'");
+
+/**
+ * Serialise all-day events as an iCalendar document
+ * @param {Object} calendar
+ * @param {string} calendar.name - Shown by clients as the calendar name
+ * @param {Array<{uid: string, startDate: Date, endDate: Date, summary: string}>}
+ *   calendar.events - endDate is exclusive, as in Availability
+ * @returns {string}
+ */
+export const buildCalendar = ({ name, events }) => {
+  const stamp = formatDateTime(new Date());
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Corent//Availability//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...events.flatMap((event) => [
+      "BEGIN:VEVENT",
+      `UID:${escapeText(event.uid)}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${formatDate(event.startDate)}`,
+      `DTEND;VALUE=DATE:${formatDate(event.endDate)}`,
+      `SUMMARY:${escapeText(event.summary)}`,
+      "TRANSP:OPAQUE",
+      "END:VEVENT",
+    ]),
+    "END:VCALENDAR",
+  ];
+
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+};
+
+// "DTSTART;TZID=Europe/Paris:20250101T150000" -> { name, params, value }
+const parseLine = (line) => {
+  const colon = line.indexOf(":");
+  if (colon === -1) return null;
+  const [name, ...params] = line.slice(0, colon).split(";");
+
+  return {
+    name: name.toUpperCase(),
+    params: Object.fromEntries(
+      params.map((param) => {
+        const [key, value = ""] = param.split("=");
+        return [key.toUpperCase(), value.replace(/^"|"$/g, "")];
+      })
+    ),
+    value: line.slice(colon + 1),
+  };
+};
+
+/**
+ * The calendar day a DTSTART/DTEND falls on, as UTC midnight. Times are
+ * read in their own zone and only their date is kept, so as an exclusive
+ * end a checkout at 11:00 on the 5th frees the night of the 5th.
+ * @returns {DateTime|null}
+ */
+const parseDay = ({ params, value }) => {
+  if (params.VALUE === "DATE" || /^\d{8}$/.test(value)) {
+    const day = DateTime.fromFormat(value, "yyyyLLdd", { zone: "utc" });
+    return day.isValid ? day : null;
+  }
+
+  const zone = value.endsWith("Z") ? "utc" : params.TZID || "utc";
+  const time = DateTime.fromFormat(
+    value.replace(/Z$/, ""),
+    "yyyyLLdd'T'HHmmss",
+    { zone }
+  );
+  if (!time.isValid) return null;
+
+  return DateTime.utc(time.year, time.month, time.day);
+};
+
+/**
+ * All-day ranges of the events in an iCalendar document. Cancelled and
+ * undated events are skipped; an event without an end lasts one day.
+ * @param {string} text - .ics contents
+ * @returns {Array<{uid: string, startDate: Date, endDate: Date, summary: string|null}>}
+ *   endDate is exclusive
+ * @throws {Error} When the text isn't an iCalendar document
+ */
+export const parseCalendar = (text) => {
+  // Continuation lines start with a space or tab
+  const lines = text.replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+  if (!lines.some((line) => line.trim().toUpperCase() === "BEGIN:VCALENDAR")) {
+    throw new Error("Not an iCalendar document");
+  }
+
+  const events = [];
+  let event = null;
+  for (const raw of lines) {
+    const line = parseLine(raw.trim());
+    if (!line) continue;
+
+    if (line.name === "BEGIN" && line.value.toUpperCase() === "VEVENT") {
+      event = {};
+    } else if (line.name === "END" && line.value.toUpperCase() === "VEVENT") {
+      if (event) events.push(event);
+      event = null;
+    } else if (event) {
+      event[line.name] ??= line;
+    }
+  }
+
+  return events
+    .filter((vevent) => vevent.STATUS?.value.toUpperCase() !== "CANCELLED")
+    .map((vevent) => {
+      const start = vevent.DTSTART && parseDay(vevent.DTSTART);
+      if (!start) return null;
+      const end = (vevent.DTEND && parseDay(vevent.DTEND)) || null;
+
+      return {
+        // Feeds without UIDs still get stable ones from their dates
+        uid: vevent.UID?.value || `${start.toISODate()}@no-uid`,
+        startDate: start.toJSDate(),
+        endDate: (end && end > start
+          ? end
+          : start.plus({ days: 1 })
+        ).toJSDate(),
+        summary: vevent.SUMMARY ? unescapeText(vevent.SUMMARY.value) : null,
+      };
+    })
+    .filter(Boolean);
+};
@@ -0,0 +1,33 @@
+import express from "express";
+import CalendarController from "./controller.js";
+import { authenticateUser } from "../../middlewares/authentication.js";
+import { uploadCalendarFile } from "../../middlewares/upload.js";
+import validateRequest from "../../middlewares/validate.js";
+import { calendarFeedSchema, calendarImportSchema } from "./schemas.js";
+
+// Mounted under /properties/:propertyId/calendar
+const router = express.Router({ mergeParams: true });
+
+// Fetched by other platforms, authorised by the token in the URL
+router.get("/export.ics", CalendarController.exportCalendar);
+
+router.use(authenticateUser());
+
+router
+  .route("/export-token")
+  .post(CalendarController.rotateExportToken)
+  .delete(CalendarController.revokeExportToken);
+router
+  .route("/feeds")
+  .get(CalendarController.listFeeds)
+  .post(validateRequest(calendarFeedSchema), CalendarController.addFeed);
+router.post("/feeds/:feedId/sync", CalendarController.syncFeed);
+router.delete("/feeds/:feedId", CalendarController.deleteFeed);
+router.post(
+  "/import",
+  uploadCalendarFile,
+  validateRequest(calendarImportSchema),
+  CalendarController.importFile
+);
+
+export default router;
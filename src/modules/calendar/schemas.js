@@ -0,0 +1,18 @@
+// calendar/schemas.js
+import Joi from "joi";
+
+export const calendarFeedSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required(),
+  url: Joi.string()
+    .uri({ scheme: ["http", "https", "webcal"] })
+    .max(2048)
+    .required()
+    // webcal:// is how most platforms share feeds; it's fetched over https
+    .custom((value) => value.replace(/^webcal:/i, "https:")),
+});
+
+// Text fields sent alongside the uploaded file
+export const calendarImportSchema = Joi.object({
+  feedId: Joi.string().guid({ version: "uuidv4" }),
+  name: Joi.string().trim().min(1).max(100),
+}).oxor("feedId", "name");
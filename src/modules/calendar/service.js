@@ -0,0 +1,481 @@
+// calendar/service.js
+import { randomBytes, timingSafeEqual } from "crypto";
+import { DateTime } from "luxon";
+import { fetch } from "undici";
+import prisma from "../../config/database.js";
+import logger from "../../config/logger.js";
+import config from "../../config/env.js";
+import pkg from "@prisma/client";
+import AvailabilityService from "../availability/service.js";
+import { buildCalendar, parseCalendar } from "./ical.js";
+import {
+  BadRequestError,
+  ForbiddenError,
+  NotFoundError,
+} from "../../utils/apiError.js";
+import { isAdmin } from "../../utils/roleUtils.js";
+import { assertPublicUrl, publicAgent } from "../../utils/network.js";
+const { BookingStatus, CalendarFeedSource } = pkg;
+
+const MAX_FEED_BYTES = 2 * 1024 * 1024;
+const MAX_FEED_REDIRECTS = 5;
+// Events further out than this are ignored on import
+const IMPORT_HORIZON_DAYS = 730;
+// How far back the export feed reaches
+const EXPORT_HISTORY_DAYS = 30;
+const INACTIVE_BOOKING_STATUSES = [
+  BookingStatus.CANCELLED,
+  BookingStatus.REFUNDED,
+];
+
+const overlaps = (event) => ({
+  startDate: { lt: event.endDate },
+  endDate: { gt: event.startDate },
+});
+
+class CalendarService {
+  /**
+   * The property's bookings and its own blocked dates as an .ics feed for
+   * other platforms to import
+   * @param {string} propertyId
+   * @param {string} token - Secret from the feed URL
+   * @throws {NotFoundError} When the token is wrong or export is off
+   */
+  async getExportFeed(propertyId, token) {
+    const property = await prisma.property.findUnique({
+      where: { id: propertyId },
+      select: { title: true, calendarExportToken: true },
+    });
+    if (!this.tokenMatches(property?.calendarExportToken, token)) {
+      throw new NotFoundError("Calendar not found");
+    }
+
+    const from = DateTime.utc()
+      .startOf("day")
+      .minus({ days: EXPORT_HISTORY_DAYS })
+      .toJSDate();
+    const [bookings, blocks] = await Promise.all([
+      prisma.booking.findMany({
+        where: {
+          propertyId,
+          status: { notIn: INACTIVE_BOOKING_STATUSES },
+          endDate: { gt: from },
+        },
+        select: { id: true, startDate: true, endDate: true },
+        orderBy: { startDate: "asc" },
+      }),
+      prisma.availability.findMany({
+        where: {
+          propertyId,
+          isAvailable: false,
+          bookingId: null,
+          // Ranges imported from other platforms aren't ours to republish;
+          // echoing them back would block those dates there for good
+          calendarFeedId: null,
+          endDate: { gt: from },
+        },
+        select: { id: true, startDate: true, endDate: true },
+        orderBy: { startDate: "asc" },
+      }),
+    ]);
+
+    // Guests aren't named; other platforms only need the dates
+    return buildCalendar({
+      name: `${property.title} availability`,
+      events: [
+        ...bookings.map((booking) => ({
+          uid: `booking-${booking.id}@corent`,
+          startDate: booking.startDate,
+          endDate: booking.endDate,
+          summary: "Reserved",
+        })),
+        ...blocks.map((block) => ({
+          uid: `block-${block.id}@corent`,
+          startDate: block.startDate,
+          endDate: block.endDate,
+          summary: "Not available",
+        })),
+      ],
+    });
+  }
+
+  /**
+   * Turn on the export feed, or rotate its secret. Old URLs stop working.
+   * @returns {Promise<string>} The new token
+   */
+  async rotateExportToken(propertyId, user) {
+    await this.assertCanManage(propertyId, user);
+
+    const token = randomBytes(24).toString("base64url");
+    await prisma.property.update({
+      where: { id: propertyId },
+      data: { calendarExportToken: token },
+    });
+    return token;
+  }
+
+  async revokeExportToken(propertyId, user) {
+    await this.assertCanManage(propertyId, user);
+
+    await prisma.property.update({
+      where: { id: propertyId },
+      data: { calendarExportToken: null },
+    });
+  }
+
+  async listFeeds(propertyId, user) {
+    await this.assertCanManage(propertyId, user);
+
+    return prisma.calendarFeed.findMany({
+      where: { propertyId },
+      orderBy: { createdAt: "asc" },
+    });
+  }
+
+  /**
+   * Subscribe to an external calendar URL and import it straight away. A
+   * failed first import is recorded on the feed rather than thrown.
+   * @param {string} propertyId
+   * @param {Object} user - Authenticated owner or admin
+   * @param {Object} data - name, url
+   */
+  async addFeed(propertyId, user, { name, url }) {
+    await this.assertCanManage(propertyId, user);
+    await this.assertFeedLimit(propertyId);
+    await assertPublicUrl(url);
+
+    const feed = await prisma.calendarFeed.create({
+      data: { propertyId, name, url, source: CalendarFeedSource.URL },
+    });
+
+    try {
+      return await this.syncFeed(feed.id);
+    } catch {
+      return prisma.calendarFeed.findUnique({ where: { id: feed.id } });
+    }
+  }
+
+  /**
+   * Import an uploaded .ics file. Uploading again to the same feed replaces
+   * its earlier events, so re-imports are safe.
+   * @param {string} propertyId
+   * @param {Object} user - Authenticated owner or admin
+   * @param {Object} file - Multer file
+   * @param {Object} [options]
+   * @param {string} [options.feedId] - Upload feed to replace
+   * @param {string} [options.name] - Name for a new upload feed
+   */
+  async importFile(propertyId, user, file, { feedId, name } = {}) {
+    if (!file) throw new BadRequestError("No calendar file uploaded");
+    await this.assertCanManage(propertyId, user);
+
+    let events;
+    try {
+      events = parseCalendar(file.buffer.toString("utf8"));
+    } catch (error) {
+      throw new BadRequestError(`Invalid calendar file: ${error.message}`);
+    }
+
+    let feed;
+    if (feedId) {
+      feed = await this.findFeed(propertyId, feedId);
+      if (feed.source !== CalendarFeedSource.UPLOAD) {
+        throw new BadRequestError(
+          "Files can only replace an uploaded calendar"
+        );
+      }
+    } else {
+      await this.assertFeedLimit(propertyId);
+      feed = await prisma.calendarFeed.create({
+        data: {
+          propertyId,
+          name: name || file.originalname || "Uploaded calendar",
+          source: CalendarFeedSource.UPLOAD,
+        },
+      });
+    }
+
+    return this.applyEvents(feed, events);
+  }
+
+  async syncFeedForOwner(propertyId, feedId, user) {
+    await this.assertCanManage(propertyId, user);
+    const feed = await this.findFeed(propertyId, feedId);
+    if (feed.source !== CalendarFeedSource.URL) {
+      throw new BadRequestError("Only URL calendars can be synced");
+    }
+
+    try {
+      return await this.syncFeed(feed.id);
+    } catch (error) {
+      throw new BadRequestError(`Calendar sync failed: ${error.message}`);
+    }
+  }
+
+  // Stop importing a calendar and reopen the dates it blocked
+  async deleteFeed(propertyId, feedId, user) {
+    await this.assertCanManage(propertyId, user);
+    await this.findFeed(propertyId, feedId);
+
+    await prisma.$transaction(async (tx) => {
+      await AvailabilityService.releaseBlocks(tx, propertyId, {
+        calendarFeedId: feedId,
+      });
+      await tx.calendarFeed.delete({ where: { id: feedId } });
+    });
+  }
+
+  /**
+   * Download and apply one URL feed. Failures are recorded on the feed
+   * and rethrown.
+   * @param {string} feedId
+   */
+  async syncFeed(feedId) {
+    const feed = await prisma.calendarFeed.findUnique({
+      where: { id: feedId },
+    });
+    if (!feed) throw new NotFoundError("Calendar feed not found");
+
+    try {
+      const events = parseCalendar(await this.download(feed.url));
+      return await this.applyEvents(feed, events);
+    } catch (error) {
+      await prisma.calendarFeed.update({
+        where: { id: feedId },
+        data: { lastError: error.message.slice(0, 500) },
+      });
+      logger.warn(`Calendar feed ${feedId} sync failed: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Re-import every URL feed of a live property; run on a schedule
+   * @returns {Promise<{synced: number, failed: number}>}
+   */
+  async syncAllFeeds() {
+    const feeds = await prisma.calendarFeed.findMany({
+      where: {
+        source: CalendarFeedSource.URL,
+        property: { deletedAt: null },
+      },
+      select: { id: true },
+    });
+
+    const summary = { synced: 0, failed: 0 };
+    for (const feed of feeds) {
+      try {
+        await this.syncFeed(feed.id);
+        summary.synced += 1;
+      } catch {
+        summary.failed += 1;
+      }
+    }
+
+    logger.info(`Calendar feed sync: ${JSON.stringify(summary)}`);
+    return summary;
+  }
+
+  // --- Helper Methods ---
+
+  async assertCanManage(propertyId, user) {
+    const property = await prisma.property.findUnique({
+      where: { id: propertyId },
+      select: { ownerId: true },
+    });
+
+    if (!property) throw new NotFoundError("Property not found");
+    if (property.ownerId !== user.id && !isAdmin(user)) {
+      throw new ForbiddenError("Not authorized to manage this property");
+    }
+  }
+
+  async assertFeedLimit(propertyId) {
+    const maxFeeds = config.get("calendar.maxFeedsPerProperty");
+    const count = await prisma.calendarFeed.count({ where: { propertyId } });
+    if (count >= maxFeeds) {
+      throw new BadRequestError(
+        `A property can import at most ${maxFeeds} calendars`
+      );
+    }
+  }
+
+  async findFeed(propertyId, feedId) {
+    const feed = await prisma.calendarFeed.findFirst({
+      where: { id: feedId, propertyId },
+    });
+    if (!feed) throw new NotFoundError("Calendar feed not found");
+    return feed;
+  }
+
+  tokenMatches(expected, received) {
+    if (!expected || typeof received !== "string") return false;
+    const a = Buffer.from(expected);
+    const b = Buffer.from(received);
+    return a.length === b.length && timingSafeEqual(a, b);
+  }
+
+  // Owner-supplied URLs only reach public hosts: redirects are followed
+  // here so each hop is checked, publicAgent re-checks the address it
+  // connects to, and the body is read up to the size cap
+  async download(url) {
+    const signal = AbortSignal.timeout(
+      config.get("calendar.fetchTimeoutSeconds") * 1000
+    );
+
+    let target = url;
+    for (let redirects = 0; ; redirects += 1) {
+      await assertPublicUrl(target);
+      let response;
+      try {
+        response = await fetch(target, {
+          headers: { Accept: "text/calendar" },
+          redirect: "manual",
+          signal,
+          dispatcher: publicAgent,
+        });
+      } catch (error) {
+        // fetch wraps connection errors, including a refused address
+        throw error.cause instanceof BadRequestError ? error.cause : error;
+      }
+
+      const location = response.headers.get("location");
+      if (response.status >= 300 && response.status < 400 && location) {
+        await response.body?.cancel();
+        if (redirects === MAX_FEED_REDIRECTS) {
+          throw new Error("Calendar URL redirected too many times");
+        }
+        target = new URL(location, target).href;
+        continue;
+      }
+
+      if (!response.ok) {
+        await response.body?.cancel();
+        throw new Error(`Calendar URL responded with ${response.status}`);
+      }
+      if (Number(response.headers.get("content-length")) > MAX_FEED_BYTES) {
+        await response.body?.cancel();
+        throw new Error("Calendar is too large");
+      }
+      return this.readFeedBody(response);
+    }
+  }
+
+  async readFeedBody(response) {
+    const chunks = [];
+    let size = 0;
+    // Throwing mid-loop cancels the stream, so no more is downloaded
+    for await (const chunk of response.body ?? []) {
+      size += chunk.byteLength;
+      if (size > MAX_FEED_BYTES) throw new Error("Calendar is too large");
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString("utf8");
+  }
+
+  /**
+   * Make the feed's blocks match its events. Blocks outside every event of
+   * their UID are reopened, then each event blocks whatever open nights it
+   * covers, so running the same import twice changes nothing. Events
+   * overlapping live bookings are recorded as conflicts.
+   * @param {Object} feed
+   * @param {Array} events - From parseCalendar
+   */
+  async applyEvents(feed, events) {
+    const today = DateTime.utc().startOf("day");
+    const horizon = today.plus({ days: IMPORT_HORIZON_DAYS }).toJSDate();
+    const current = events
+      .filter(
+        (event) => event.endDate > today.toJSDate() && event.startDate < horizon
+      )
+      .map((event) => ({ ...event, uid: event.uid.slice(0, 255) }));
+    const { propertyId } = feed;
+
+    const conflicts = await prisma.$transaction(
+      async (tx) => {
+        // Read the feed's blocks under the same lock its edits take
+        await AvailabilityService.lockCalendar(tx, propertyId);
+        const blocks = await tx.availability.findMany({
+          where: { calendarFeedId: feed.id },
+          select: {
+            id: true,
+            externalUid: true,
+            startDate: true,
+            endDate: true,
+          },
+        });
+        const stale = blocks.filter(
+          (block) =>
+            !current.some(
+              (event) =>
+                event.uid === block.externalUid &&
+                event.startDate <= block.startDate &&
+                event.endDate >= block.endDate
+            )
+        );
+        if (stale.length) {
+          await AvailabilityService.releaseBlocks(tx, propertyId, {
+            id: { in: stale.map((block) => block.id) },
+          });
+        }
+
+        for (const event of current) {
+          await AvailabilityService.blockRange(
+            tx,
+            propertyId,
+            event.startDate,
+            event.endDate,
+            { calendarFeedId: feed.id, externalUid: event.uid }
+          );
+        }
+
+        const bookings = current.length
+          ? await tx.booking.findMany({
+              where: {
+                propertyId,
+                status: { notIn: INACTIVE_BOOKING_STATUSES },
+                OR: current.map(overlaps),
+              },
+              select: { id: true, startDate: true, endDate: true },
+            })
+          : [];
+        const found = current
+          .map((event) => ({
+            uid: event.uid,
+            summary: event.summary,
+            startDate: event.startDate,
+            endDate: event.endDate,
+            bookingIds: bookings
+              .filter(
+                (booking) =>
+                  booking.startDate < event.endDate &&
+                  booking.endDate > event.startDate
+              )
+              .map((booking) => booking.id),
+          }))
+          .filter((event) => event.bookingIds.length);
+
+        await tx.calendarFeed.update({
+          where: { id: feed.id },
+          data: {
+            lastSyncedAt: new Date(),
+            lastError: null,
+            eventCount: current.length,
+            conflicts: found,
+          },
+        });
+        return found;
+      },
+      { timeout: 30000 }
+    );
+
+    if (conflicts.length) {
+      logger.warn(
+        `Calendar feed ${feed.id} overlaps ${conflicts.length} bookings on property ${propertyId}`
+      );
+    }
+    return prisma.calendarFeed.findUnique({ where: { id: feed.id } });
+  }
+}
+
+export default new CalendarService();
@@ -0,0 +1,58 @@
+import CurrencyService from "./service.js";
+
+class CurrencyController {
+  /**
+   * @desc    Latest exchange rate for each currency pair
+   * @route   GET /api/exchange-rates
+   * @access  Private
+   */
+  async listRates(req, res, next) {
+    try {
+      const rates = await CurrencyService.listRates({ base: req.query.base });
+
+      res.status(200).json({ success: true, data: rates });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Store exchange rates
+   * @route   POST /api/exchange-rates
+   * @access  Private (admin)
+   */
+  async saveRates(req, res, next) {
+    try {
+      const inserted = await CurrencyService.saveRates(req.body.rates, "admin");
+
+      res.status(201).json({
+        success: true,
+        data: { inserted },
+        message: "Exchange rates saved",
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Re-import the configured exchange rates file
+   * @route   POST /api/exchange-rates/import
+   * @access  Private (admin)
+   */
+  async importRates(req, res, next) {
+    try {
+      const inserted = await CurrencyService.importFromFile();
+
+      res.status(200).json({
+        success: true,
+        data: { inserted },
+        message: "Exchange rates imported",
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+export default new CurrencyController();
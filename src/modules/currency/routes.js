@@ -0,0 +1,24 @@
+import express from "express";
+import CurrencyController from "./controller.js";
+import { authenticateUser } from "../../middlewares/authentication.js";
+import validateRequest from "../../middlewares/validate.js";
+import { saveRatesSchema } from "./schemas.js";
+
+const router = express.Router();
+
+router.get("/", authenticateUser(), CurrencyController.listRates);
+
+router.post(
+  "/",
+  authenticateUser({ roles: ["admin"] }),
+  validateRequest(saveRatesSchema),
+  CurrencyController.saveRates
+);
+
+router.post(
+  "/import",
+  authenticateUser({ roles: ["admin"] }),
+  CurrencyController.importRates
+);
+
+export default router;
@@ -0,0 +1,25 @@
+// currency/schemas.js
+import Joi from "joi";
+
+const currencyCode = Joi.string()
+  .uppercase()
+  .pattern(/^[A-Z]{3}$/)
+  .messages({ "string.pattern.base": "{#label} must be an ISO 4217 code" });
+
+export const saveRatesSchema = Joi.object({
+  rates: Joi.array()
+    .items(
+      Joi.object({
+        baseCurrency: currencyCode.required(),
+        quoteCurrency: currencyCode
+          .required()
+          .invalid(Joi.ref("baseCurrency"))
+          .messages({ "any.invalid": "Currencies in a pair must differ" }),
+        rate: Joi.number().positive().required(),
+        effectiveAt: Joi.date().iso(),
+      })
+    )
+    .min(1)
+    .max(500)
+    .required(),
+}).options({ stripUnknown: true });
@@ -0,0 +1,242 @@
+// currency/service.js
+import fs from "fs";
+import path from "path";
+import prisma from "../../config/database.js";
+import config from "../../config/env.js";
+import logger from "../../config/logger.js";
+import { ConfigurationError, ValidationError } from "../../utils/apiError.js";
+import { TAX_KINDS } from "../taxes/service.js";
+
+const CURRENCY_CODE = /^[A-Z]{3}$/;
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+class CurrencyService {
+  /**
+   * Latest rate for every currency pair
+   * @param {Object} [filters]
+   * @param {string} [filters.base] - Only pairs quoted from this currency
+   */
+  async listRates({ base } = {}) {
+    return prisma.exchangeRate.findMany({
+      where: base ? { baseCurrency: base.toUpperCase() } : {},
+      distinct: ["baseCurrency", "quoteCurrency"],
+      orderBy: [
+        { baseCurrency: "asc" },
+        { quoteCurrency: "asc" },
+        { effectiveAt: "desc" },
+      ],
+    });
+  }
+
+  /**
+   * Store a batch of rates. Existing snapshots are immutable, so re-sending
+   * the same pair and effectiveAt is a no-op.
+   * @param {Array<{baseCurrency: string, quoteCurrency: string, rate: number, effectiveAt?: Date}>} rates
+   * @param {string} [source] - e.g. "admin" or "file"
+   * @returns {Promise<number>} Rates inserted
+   */
+  async saveRates(rates, source = "admin") {
+    const now = new Date();
+    const data = rates.map((entry, index) => {
+      const baseCurrency = String(entry.baseCurrency || "").toUpperCase();
+      const quoteCurrency = String(entry.quoteCurrency || "").toUpperCase();
+      const rate = Number(entry.rate);
+
+      if (
+        !CURRENCY_CODE.test(baseCurrency) ||
+        !CURRENCY_CODE.test(quoteCurrency)
+      ) {
+        throw new ValidationError(`Rate ${index + 1}: invalid currency code`);
+      }
+      if (baseCurrency === quoteCurrency || !(rate > 0)) {
+        throw new ValidationError(`Rate ${index + 1}: invalid rate`);
+      }
+
+      const effectiveAt = entry.effectiveAt ? new Date(entry.effectiveAt) : now;
+      if (isNaN(effectiveAt.getTime())) {
+        throw new ValidationError(`Rate ${index + 1}: invalid effectiveAt`);
+      }
+
+      return {
+        baseCurrency,
+        quoteCurrency,
+        rate,
+        source,
+        effectiveAt,
+      };
+    });
+
+    const { count } = await prisma.exchangeRate.createMany({
+      data,
+      skipDuplicates: true,
+    });
+
+    logger.info(`Stored ${count} exchange rates from ${source}`);
+    return count;
+  }
+
+  /**
+   * Import rates from a JSON or CSV file
+   * @param {string} [filePath] - Defaults to currency.ratesFile
+   * @returns {Promise<number>} Rates inserted
+   */
+  async importFromFile(filePath = config.get("currency.ratesFile")) {
+    if (!filePath) {
+      throw new ConfigurationError("No exchange rates file configured");
+    }
+
+    const content = await fs.promises.readFile(path.resolve(filePath), "utf8");
+    const rates =
+      path.extname(filePath).toLowerCase() === ".csv"
+        ? this.parseCsv(content)
+        : this.parseJson(content);
+
+    return this.saveRates(rates, "file");
+  }
+
+  /**
+   * Rate converting `from` into `to` at a point in time: a direct pair, its
+   * inverse, or a cross rate through the configured pivot currency
+   * @param {Object} client - Prisma client or transaction
+   * @param {string} from
+   * @param {string} to
+   * @param {Date} [at]
+   * @returns {Promise<number>} Amount of `to` per 1 `from`
+   * @throws {ValidationError} When no path between the currencies exists
+   */
+  async getRate(client, from, to, at = new Date()) {
+    from = from.toUpperCase();
+    to = to.toUpperCase();
+    if (from === to) return 1;
+
+    const direct = await this.findPairRate(client, from, to, at);
+    if (direct) return direct;
+
+    const pivot = config.get("currency.base").toUpperCase();
+    if (from !== pivot && to !== pivot) {
+      const [toPivot, fromPivot] = await Promise.all([
+        this.findPairRate(client, from, pivot, at),
+        this.findPairRate(client, pivot, to, at),
+      ]);
+      if (toPivot && fromPivot) return toPivot * fromPivot;
+    }
+
+    throw new ValidationError(`No exchange rate available for ${from} → ${to}`);
+  }
+
+  /**
+   * Convert a set of booking charges into another currency
+   * @param {Object} charges - Output of calculateTotalPrice
+   * @param {number} rate - From getRate
+   * @param {string} currency - Target currency
+   * @returns {Object} Converted charges with exchangeRate and propertyCurrency
+   */
+  convertCharges(charges, rate, currency) {
+    const convert = (amount) =>
+      amount == null ? amount : round(Number(amount) * rate);
+
+    const lineItems = (charges.lineItems || []).map((item) => ({
+      ...item,
+      unitAmount: convert(item.unitAmount),
+      amount: convert(item.amount),
+    }));
+
+    // Totals are summed from the converted line items, so the invoice adds
+    // up to the cent; charges without line items are converted directly
+    const sumOf = (predicate) =>
+      round(
+        lineItems.filter(predicate).reduce((sum, item) => sum + item.amount, 0)
+      );
+    const isTax = (item) => TAX_KINDS.includes(item.kind);
+    const isAccommodation = (item) => item.kind === "ACCOMMODATION";
+    const totals = lineItems.length
+      ? {
+          basePrice: sumOf(isAccommodation),
+          taxes: sumOf(isTax),
+          fees: sumOf((item) => !isAccommodation(item) && !isTax(item)),
+          totalPrice: sumOf(() => true),
+        }
+      : {
+          basePrice: convert(charges.basePrice),
+          taxes: convert(charges.taxes),
+          fees: convert(charges.fees),
+          totalPrice: convert(charges.totalPrice),
+        };
+
+    return {
+      ...charges,
+      ...totals,
+      discountAmount: convert(charges.discountAmount),
+      dailyPrices: charges.dailyPrices?.map(convert),
+      nightlyPrices: charges.nightlyPrices?.map((night) => ({
+        ...night,
+        baseRate: convert(night.baseRate),
+        price: convert(night.price),
+      })),
+      lineItems,
+      currency,
+      propertyCurrency: charges.currency,
+      exchangeRate: rate,
+    };
+  }
+
+  // --- Helper Methods ---
+
+  async findPairRate(client, from, to, at) {
+    const [direct, inverse] = await Promise.all([
+      client.exchangeRate.findFirst({
+        where: {
+          baseCurrency: from,
+          quoteCurrency: to,
+          effectiveAt: { lte: at },
+        },
+        orderBy: { effectiveAt: "desc" },
+      }),
+      client.exchangeRate.findFirst({
+        where: {
+          baseCurrency: to,
+          quoteCurrency: from,
+          effectiveAt: { lte: at },
+        },
+        orderBy: { effectiveAt: "desc" },
+      }),
+    ]);
+
+    // Prefer whichever snapshot is more recent
+    if (direct && (!inverse || direct.effectiveAt >= inverse.effectiveAt)) {
+      return Number(direct.rate);
+    }
+    return inverse ? 1 / Number(inverse.rate) : null;
+  }
+
+  // { "base": "USD", "effectiveAt": "...", "rates": { "PKR": 278.5 } }
+  // or [{ "baseCurrency", "quoteCurrency", "rate", "effectiveAt" }]
+  parseJson(content) {
+    const parsed = JSON.parse(content);
+    if (Array.isArray(parsed)) return parsed;
+
+    return Object.entries(parsed.rates || {}).map(([quoteCurrency, rate]) => ({
+      baseCurrency: parsed.base,
+      quoteCurrency,
+      rate,
+      effectiveAt: parsed.effectiveAt,
+    }));
+  }
+
+  // base,quote,rate[,effectiveAt] with an optional header row
+  parseCsv(content) {
+    return content
+      .split(/\r?\n/)
+      .map((line) => line.trim())
+      .filter((line) => line && !/^base\s*,/i.test(line))
+      .map((line) => {
+        const [baseCurrency, quoteCurrency, rate, effectiveAt] = line
+          .split(",")
+          .map((cell) => cell.trim());
+        return { baseCurrency, quoteCurrency, rate, effectiveAt };
+      });
+  }
+}
+
+export default new CurrencyService();
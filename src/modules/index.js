@@ -9,6 +9,18 @@ import propertyRoutes from "./properties/routes.js";
 import messageRoutes from "./message/routes.js";
 import profileRoutes from "./profile/routes.js";
 import bookingRoutes from "./bookings/routes.js";
+import paymentRoutes from "./payments/routes.js";
+import pricingRuleRoutes from "./pricing/routes.js";
+import propertyPhotoRoutes from "./photos/routes.js";
+import propertyCalendarRoutes from "./calendar/routes.js";
+import availabilityRoutes from "./availability/routes.js";
+import taxFeeRoutes from "./taxes/routes.js";
+import currencyRoutes from "./currency/routes.js";
+import searchIndexRoutes from "./search/routes.js";
+import savedSearchRoutes from "./saved-searches/routes.js";
+import wishlistRoutes from "./wishlists/routes.js";
+import moderationRoutes from "./moderation/routes.js";
+import recommendationRoutes from "./recommendations/routes.js";
 import redis from "../config/redis.js";
 import ownershipRequestRoutes from "./ownership-request/routes.js";
 
@@ -18,10 +30,22 @@ routes.use("/roles", rolesRoutes);
 routes.use("/permissions", permissionsRoutes);
 routes.use("/user-roles", UserRoleRoutes);
 routes.use("/user-permissions", rolePermissionsRoutes);
+routes.use("/properties/:propertyId/pricing-rules", pricingRuleRoutes);
+routes.use("/properties/:propertyId/photos", propertyPhotoRoutes);
+routes.use("/properties/:propertyId/calendar", propertyCalendarRoutes);
+routes.use("/properties/:propertyId/availability", availabilityRoutes);
+routes.use("/properties", recommendationRoutes);
 routes.use("/properties", propertyRoutes);
 routes.use("/conversations", messageRoutes);
 routes.use("/profile", profileRoutes);
 routes.use("/bookings", bookingRoutes);
+routes.use("/payments", paymentRoutes);
+routes.use("/tax-fee-rules", taxFeeRoutes);
+routes.use("/exchange-rates", currencyRoutes);
+routes.use("/search-index", searchIndexRoutes);
+routes.use("/saved-searches", savedSearchRoutes);
+routes.use("/wishlists", wishlistRoutes);
+routes.use("/moderation", moderationRoutes);
 routes.use("/ownership-requests", ownershipRequestRoutes);
 routes.get("/csrf-token", (req, res) => {
   res.cookie('CSRF-TOKEN', token, {
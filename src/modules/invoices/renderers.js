@@ -0,0 +1,186 @@
+// invoices/renderers.js
+import PDFDocument from "pdfkit";
+import { DateTime } from "luxon";
+
+const TITLES = { INVOICE: "Invoice", CREDIT_NOTE: "Credit note" };
+
+const escapeHtml = (value) =>
+  String(value ?? "").replace(
+    /[&<>"']/g,
+    (char) =>
+      ({
+        "&": "&amp;",
+        "<": "&lt;",
+        ">": "&gt;",
+        '"': "&quot;",
+        "'": "&#39;",
+      })[char]
+  );
+
+const formatMoney = (amount, currency) => {
+  try {
+    return new Intl.NumberFormat("en-US", {
+      style: "currency",
+      currency,
+    }).format(Number(amount));
+  } catch {
+    return `${Number(amount).toFixed(2)} ${currency}`;
+  }
+};
+
+const formatDate = (value) =>
+  DateTime.fromJSDate(new Date(value), { zone: "utc" }).toFormat("d LLL yyyy");
+
+// Labelled totals shown under the line items
+const summaryRows = (document) =>
+  [
+    ["Accommodation", document.subtotal],
+    Number(document.discountAmount) > 0 && [
+      "Discounts applied",
+      document.discountAmount,
+    ],
+    ["Fees", document.fees],
+    ["Taxes", document.taxes],
+    ["Total", document.total],
+  ].filter(Boolean);
+
+/**
+ * Render an invoice or credit note as a standalone HTML page
+ * @param {Object} document - Invoice row
+ * @returns {string}
+ */
+export const renderInvoiceHtml = (document) => {
+  const money = (amount) => escapeHtml(formatMoney(amount, document.currency));
+  const title = TITLES[document.type];
+  const { billTo, stay } = document;
+
+  const lines = document.lineItems
+    .map(
+      (item) => `
+        <tr>
+          <td>${escapeHtml(item.description)}</td>
+          <td class="num">${item.quantity}</td>
+          <td class="num">${money(item.unitAmount)}</td>
+          <td class="num">${money(item.amount)}</td>
+        </tr>`
+    )
+    .join("");
+  const totals = summaryRows(document)
+    .map(
+      ([label, amount]) => `
+        <tr><th colspan="3">${label}</th><td class="num">${money(amount)}</td></tr>`
+    )
+    .join("");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${title} ${escapeHtml(document.number)}</title>
+  <style>
+    body { font-family: Helvetica, Arial, sans-serif; color: #222; margin: 40px; }
+    table { width: 100%; border-collapse: collapse; margin-top: 24px; }
+    td, th { padding: 6px 8px; border-bottom: 1px solid #ddd; text-align: left; }
+    .num { text-align: right; }
+    tfoot th { text-align: right; font-weight: normal; }
+  </style>
+</head>
+<body>
+  <h1>${title} ${escapeHtml(document.number)}</h1>
+  <p>Issued ${formatDate(document.issuedAt)}${
+    document.originalInvoice
+      ? ` &middot; Credits invoice ${escapeHtml(document.originalInvoice.number)}`
+      : ""
+  }</p>
+  <h2>Billed to</h2>
+  <p>${[billTo.name, billTo.email, billTo.address]
+    .filter(Boolean)
+    .map(escapeHtml)
+    .join("<br>")}</p>
+  <h2>Stay</h2>
+  <p>${escapeHtml(stay.propertyTitle)}<br>${escapeHtml(stay.address)}<br>
+    ${formatDate(stay.startDate)} &ndash; ${formatDate(stay.endDate)}</p>
+  <table>
+    <thead>
+      <tr><th>Description</th><th class="num">Qty</th><th class="num">Unit</th><th class="num">Amount</th></tr>
+    </thead>
+    <tbody>${lines}
+    </tbody>
+    <tfoot>${totals}
+    </tfoot>
+  </table>
+</body>
+</html>
+`;
+};
+
+/**
+ * Render an invoice or credit note as a PDF
+ * @param {Object} document - Invoice row
+ * @returns {Promise<Buffer>}
+ */
+export const renderInvoicePdf = (document) =>
+  new Promise((resolve, reject) => {
+    const pdf = new PDFDocument({ size: "A4", margin: 50 });
+    const chunks = [];
+    pdf.on("data", (chunk) => chunks.push(chunk));
+    pdf.on("end", () => resolve(Buffer.concat(chunks)));
+    pdf.on("error", reject);
+
+    const money = (amount) => formatMoney(amount, document.currency);
+    const { billTo, stay } = document;
+
+    pdf
+      .font("Helvetica-Bold")
+      .fontSize(20)
+      .text(`${TITLES[document.type]} ${document.number}`);
+    pdf
+      .font("Helvetica")
+      .fontSize(10)
+      .text(`Issued ${formatDate(document.issuedAt)}`);
+    if (document.originalInvoice) {
+      pdf.text(`Credits invoice ${document.originalInvoice.number}`);
+    }
+
+    pdf.moveDown().font("Helvetica-Bold").text("Billed to");
+    pdf
+      .font("Helvetica")
+      .text(
+        [billTo.name, billTo.email, billTo.address].filter(Boolean).join("\n")
+      );
+
+    pdf.moveDown().font("Helvetica-Bold").text("Stay");
+    pdf
+      .font("Helvetica")
+      .text(
+        `${stay.propertyTitle}\n${stay.address}\n${formatDate(stay.startDate)} - ${formatDate(stay.endDate)}`
+      );
+
+    // Description on the left, amounts right-aligned in a fixed column
+    const row = (label, amount, font = "Helvetica") => {
+      const y = pdf.y;
+      pdf.font(font).text(label, 50, y, { width: 340 });
+      const labelBottom = pdf.y;
+      pdf.text(amount, 400, y, { width: 145, align: "right" });
+      pdf.y = Math.max(labelBottom, pdf.y) + 4;
+    };
+
+    pdf.moveDown();
+    for (const item of document.lineItems) {
+      const label =
+        item.quantity > 1
+          ? `${item.description} (${item.quantity} x ${money(item.unitAmount)})`
+          : item.description;
+      row(label, money(item.amount));
+    }
+    pdf.moveDown(0.5);
+    for (const [label, amount] of summaryRows(document)) {
+      row(
+        label,
+        money(amount),
+        label === "Total" ? "Helvetica-Bold" : "Helvetica"
+      );
+    }
+
+    pdf.end();
+  });
@@ -0,0 +1,293 @@
+// invoices/service.js
+import prisma from "../../config/database.js";
+import logger from "../../config/logger.js";
+import pkg from "@prisma/client";
+import { DateTime } from "luxon";
+import { ForbiddenError, NotFoundError } from "../../utils/apiError.js";
+import { isAdmin } from "../../utils/roleUtils.js";
+const { InvoiceType, PaymentStatus, TaxFeeKind } = pkg;
+
+const NUMBER_PREFIXES = {
+  [InvoiceType.INVOICE]: "INV",
+  [InvoiceType.CREDIT_NOTE]: "CN",
+};
+const TAX_KINDS = [TaxFeeKind.OCCUPANCY_TAX, TaxFeeKind.VAT];
+// An invoice is only issued once money has actually been taken
+const CAPTURED_STATUSES = [
+  PaymentStatus.COMPLETED,
+  PaymentStatus.PARTIALLY_REFUNDED,
+  PaymentStatus.REFUNDED,
+];
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+class InvoiceService {
+  /**
+   * Issue the invoice for a booking, or return it if already issued
+   * @param {Object} tx - Prisma transaction client
+   * @param {string} bookingId
+   * @returns {Promise<object>} Invoice row
+   */
+  async issueInvoice(tx, bookingId) {
+    // Serialize issuers so a booking never gets two invoices
+    await tx.$queryRaw`SELECT id FROM bookings WHERE id = ${bookingId}::uuid FOR UPDATE`;
+
+    const existing = await tx.invoice.findFirst({
+      where: { bookingId, type: InvoiceType.INVOICE },
+    });
+    if (existing) return existing;
+
+    const booking = await tx.booking.findUnique({
+      where: { id: bookingId },
+      include: {
+        lineItems: { orderBy: { sortOrder: "asc" } },
+        property: {
+          select: { title: true, address: true, city: true, country: true },
+        },
+        tenant: {
+          select: {
+            username: true,
+            email: true,
+            profile: {
+              select: {
+                firstName: true,
+                lastName: true,
+                currentAddress: true,
+                city: true,
+                country: true,
+              },
+            },
+          },
+        },
+      },
+    });
+    if (!booking) throw new NotFoundError("Booking not found");
+
+    const issuedAt = new Date();
+    const invoice = await tx.invoice.create({
+      data: {
+        ...(await this.allocateNumber(tx, InvoiceType.INVOICE, issuedAt)),
+        type: InvoiceType.INVOICE,
+        bookingId,
+        currency: booking.currency,
+        subtotal: booking.basePrice,
+        taxes: booking.taxes,
+        fees: booking.fees,
+        discountAmount: booking.discountAmount,
+        total: booking.totalPrice,
+        lineItems: booking.lineItems.map((item) => ({
+          kind: item.kind,
+          description: item.description,
+          quantity: item.quantity,
+          unitAmount: Number(item.unitAmount),
+          amount: Number(item.amount),
+          rate: item.rate != null ? Number(item.rate) : null,
+        })),
+        billTo: this.buildBillTo(booking.tenant),
+        stay: {
+          propertyTitle: booking.property.title,
+          address: [
+            booking.property.address,
+            booking.property.city,
+            booking.property.country,
+          ]
+            .filter(Boolean)
+            .join(", "),
+          startDate: booking.startDate.toISOString(),
+          endDate: booking.endDate.toISOString(),
+          adults: booking.adults,
+          children: booking.children,
+          infants: booking.infants,
+        },
+        issuedAt,
+      },
+    });
+
+    logger.info(`Issued invoice ${invoice.number} for booking ${bookingId}`);
+    return invoice;
+  }
+
+  /**
+   * Issue a credit note documenting a refund against the booking's invoice.
+   * The refund is spread over the invoice lines in proportion to their
+   * amounts so taxes are credited back at the rate they were charged.
+   * @param {Object} tx - Prisma transaction client
+   * @param {string} bookingId
+   * @param {Object} refund
+   * @param {number} refund.amount - Amount refunded to the guest
+   * @param {string} [refund.refundId] - Provider refund reference
+   * @returns {Promise<object|null>} Credit note, null for a zero refund
+   */
+  async issueCreditNote(tx, bookingId, { amount, refundId = null }) {
+    if (!(Number(amount) > 0)) return null;
+
+    if (refundId) {
+      const existing = await tx.invoice.findUnique({ where: { refundId } });
+      if (existing) return existing;
+    }
+
+    const invoice = await this.issueInvoice(tx, bookingId);
+    const invoiceTotal = Number(invoice.total);
+    const creditTotal = round(Math.min(Number(amount), invoiceTotal));
+    const ratio = invoiceTotal > 0 ? creditTotal / invoiceTotal : 0;
+
+    const lineItems = invoice.lineItems.map((item) => ({
+      ...item,
+      quantity: 1,
+      unitAmount: round(item.amount * ratio),
+      amount: round(item.amount * ratio),
+    }));
+    // Put any rounding difference on the largest line
+    const drift = round(
+      creditTotal - lineItems.reduce((sum, item) => sum + item.amount, 0)
+    );
+    if (drift !== 0 && lineItems.length) {
+      const largest = lineItems.reduce((max, item) =>
+        item.amount > max.amount ? item : max
+      );
+      largest.amount = round(largest.amount + drift);
+      largest.unitAmount = largest.amount;
+    }
+
+    const sumOf = (predicate) =>
+      round(
+        lineItems.filter(predicate).reduce((sum, item) => sum + item.amount, 0)
+      );
+
+    const issuedAt = new Date();
+    const creditNote = await tx.invoice.create({
+      data: {
+        ...(await this.allocateNumber(tx, InvoiceType.CREDIT_NOTE, issuedAt)),
+        type: InvoiceType.CREDIT_NOTE,
+        bookingId,
+        originalInvoiceId: invoice.id,
+        refundId,
+        currency: invoice.currency,
+        subtotal: sumOf((item) => item.kind === "ACCOMMODATION"),
+        taxes: sumOf((item) => TAX_KINDS.includes(item.kind)),
+        fees: sumOf(
+          (item) =>
+            item.kind !== "ACCOMMODATION" && !TAX_KINDS.includes(item.kind)
+        ),
+        total: creditTotal,
+        lineItems,
+        billTo: invoice.billTo,
+        stay: invoice.stay,
+        issuedAt,
+      },
+    });
+
+    logger.info(
+      `Issued credit note ${creditNote.number} against ${invoice.number} for ${creditTotal} ${invoice.currency}`
+    );
+    return creditNote;
+  }
+
+  /**
+   * A booking's invoice and credit notes, for its guest, owner or an admin.
+   * Bookings paid before invoices were stored get theirs issued on first
+   * request.
+   * @param {string} bookingId
+   * @param {Object} user - Authenticated user
+   * @returns {Promise<{invoice: object, creditNotes: Array}>}
+   */
+  async getBookingInvoice(bookingId, user) {
+    const booking = await this.findBookingForAccess(bookingId, user);
+
+    let invoice = await prisma.invoice.findFirst({
+      where: { bookingId, type: InvoiceType.INVOICE },
+      include: { creditNotes: { orderBy: { issuedAt: "asc" } } },
+    });
+
+    if (!invoice) {
+      if (!CAPTURED_STATUSES.includes(booking.payment?.status)) {
+        throw new NotFoundError(
+          "No invoice has been issued for this booking yet"
+        );
+      }
+      invoice = await prisma.$transaction(async (tx) => {
+        const issued = await this.issueInvoice(tx, bookingId);
+        return { ...issued, creditNotes: [] };
+      });
+    }
+
+    const { creditNotes, ...document } = invoice;
+    return { invoice: document, creditNotes };
+  }
+
+  /**
+   * One of a booking's credit notes by number
+   * @param {string} bookingId
+   * @param {string} number - e.g. CN-2026-000001
+   * @param {Object} user - Authenticated user
+   */
+  async getCreditNote(bookingId, number, user) {
+    await this.findBookingForAccess(bookingId, user);
+
+    const creditNote = await prisma.invoice.findFirst({
+      where: { bookingId, number, type: InvoiceType.CREDIT_NOTE },
+      include: { originalInvoice: { select: { number: true } } },
+    });
+    if (!creditNote) throw new NotFoundError("Credit note not found");
+
+    return creditNote;
+  }
+
+  // --- Helper Methods ---
+
+  // Take the next number for the document type in the year it is issued
+  async allocateNumber(tx, type, issuedAt) {
+    const year = DateTime.fromJSDate(issuedAt, { zone: "utc" }).year;
+    const { lastNumber } = await tx.invoiceSequence.upsert({
+      where: { type_year: { type, year } },
+      create: { type, year, lastNumber: 1 },
+      update: { lastNumber: { increment: 1 } },
+    });
+
+    return {
+      year,
+      sequence: lastNumber,
+      number: `${NUMBER_PREFIXES[type]}-${year}-${String(lastNumber).padStart(6, "0")}`,
+    };
+  }
+
+  buildBillTo(tenant) {
+    const profile = tenant?.profile;
+    const name = [profile?.firstName, profile?.lastName]
+      .filter(Boolean)
+      .join(" ");
+
+    return {
+      name: name || tenant?.username || null,
+      email: tenant?.email || null,
+      address:
+        [profile?.currentAddress, profile?.city, profile?.country]
+          .filter(Boolean)
+          .join(", ") || null,
+    };
+  }
+
+  async findBookingForAccess(bookingId, user) {
+    const booking = await prisma.booking.findUnique({
+      where: { id: bookingId },
+      select: {
+        tenantId: true,
+        property: { select: { ownerId: true } },
+        payment: { select: { status: true } },
+      },
+    });
+    if (!booking) throw new NotFoundError("Booking not found");
+
+    if (
+      booking.tenantId !== user.id &&
+      booking.property?.ownerId !== user.id &&
+      !isAdmin(user)
+    ) {
+      throw new ForbiddenError("Not authorized to view this invoice");
+    }
+
+    return booking;
+  }
+}
+
+export default new InvoiceService();
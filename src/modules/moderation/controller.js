@@ -0,0 +1,227 @@
+import ModerationService from "./service.js";
+import { queueQuerySchema } from "./schemas.js";
+import { ValidationError } from "../../utils/apiError.js";
+
+class ModerationController {
+  /**
+   * @desc    Listings and revisions waiting for review, oldest first
+   * @route   GET /api/moderation/queue?type=&assignee=&page=&limit=
+   * @access  Private (admin)
+   */
+  async getQueue(req, res, next) {
+    try {
+      const { error, value } = queueQuerySchema.validate(req.query);
+      if (error) throw new ValidationError(error.message);
+
+      const result = await ModerationService.getQueue(value, req.user);
+
+      res.status(200).json({ success: true, ...result });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    A listing's review status, open change requests and history
+   * @route   GET /api/moderation/properties/:propertyId
+   * @access  Private (property owner, admin)
+   */
+  async getModeration(req, res, next) {
+    try {
+      const moderation = await ModerationService.getModeration(
+        req.params.propertyId,
+        req.user
+      );
+
+      res.status(200).json({ success: true, data: moderation });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Submit a draft for review once its checklist is complete
+   * @route   POST /api/moderation/properties/:propertyId/submit
+   * @access  Private (property owner, admin)
+   */
+  async submit(req, res, next) {
+    try {
+      const moderation = await ModerationService.submit(
+        req.params.propertyId,
+        req.user,
+        req.body
+      );
+
+      res.status(200).json({
+        success: true,
+        data: moderation,
+        message: "Listing submitted for review",
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Send a listing back for review after making changes
+   * @route   POST /api/moderation/properties/:propertyId/resubmit
+   * @access  Private (property owner, admin)
+   */
+  async resubmit(req, res, next) {
+    try {
+      const moderation = await ModerationService.resubmit(
+        req.params.propertyId,
+        req.user,
+        req.body
+      );
+
+      res.status(200).json({
+        success: true,
+        data: moderation,
+        message: "Listing resubmitted for review",
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Assign a listing to a reviewer (null unassigns)
+   * @route   PUT /api/moderation/properties/:propertyId/reviewer
+   * @access  Private (admin)
+   */
+  async assignReviewer(req, res, next) {
+    try {
+      const moderation = await ModerationService.assignReviewer(
+        req.params.propertyId,
+        req.user,
+        req.body.reviewerId
+      );
+
+      res.status(200).json({
+        success: true,
+        data: moderation,
+        message: req.body.reviewerId ? "Reviewer assigned" : "Reviewer removed",
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Approve a listing
+   * @route   POST /api/moderation/properties/:propertyId/approve
+   * @access  Private (admin)
+   */
+  async approve(req, res, next) {
+    try {
+      const moderation = await ModerationService.approve(
+        req.params.propertyId,
+        req.user,
+        req.body
+      );
+
+      res.status(200).json({
+        success: true,
+        data: moderation,
+        message: "Listing approved",
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Reject a listing with a reason
+   * @route   POST /api/moderation/properties/:propertyId/reject
+   * @access  Private (admin)
+   */
+  async reject(req, res, next) {
+    try {
+      const moderation = await ModerationService.reject(
+        req.params.propertyId,
+        req.user,
+        req.body
+      );
+
+      res.status(200).json({
+        success: true,
+        data: moderation,
+        message: "Listing rejected",
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Ask the owner for changes, with a note per field
+   * @route   POST /api/moderation/properties/:propertyId/request-changes
+   * @access  Private (admin)
+   */
+  async requestChanges(req, res, next) {
+    try {
+      const moderation = await ModerationService.requestChanges(
+        req.params.propertyId,
+        req.user,
+        req.body
+      );
+
+      res.status(200).json({
+        success: true,
+        data: moderation,
+        message: "Changes requested",
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Publish an approved listing's pending revision
+   * @route   POST /api/moderation/properties/:propertyId/revision/approve
+   * @access  Private (admin)
+   */
+  async approveRevision(req, res, next) {
+    try {
+      const moderation = await ModerationService.approveRevision(
+        req.params.propertyId,
+        req.user,
+        req.body
+      );
+
+      res.status(200).json({
+        success: true,
+        data: moderation,
+        message: "Revision approved",
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Discard an approved listing's pending revision
+   * @route   POST /api/moderation/properties/:propertyId/revision/reject
+   * @access  Private (admin)
+   */
+  async rejectRevision(req, res, next) {
+    try {
+      const moderation = await ModerationService.rejectRevision(
+        req.params.propertyId,
+        req.user,
+        req.body
+      );
+
+      res.status(200).json({
+        success: true,
+        data: moderation,
+        message: "Revision rejected",
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+export default new ModerationController();
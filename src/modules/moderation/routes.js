@@ -0,0 +1,74 @@
+import express from "express";
+import ModerationController from "./controller.js";
+import { authenticateUser } from "../../middlewares/authentication.js";
+import validateRequest from "../../middlewares/validate.js";
+import {
+  assignSchema,
+  noteSchema,
+  reasonSchema,
+  requestChangesSchema,
+} from "./schemas.js";
+
+const router = express.Router();
+const adminOnly = authenticateUser({ roles: ["admin"] });
+
+router.get("/queue", adminOnly, ModerationController.getQueue);
+
+// Owner side
+router.get(
+  "/properties/:propertyId",
+  authenticateUser(),
+  ModerationController.getModeration
+);
+router.post(
+  "/properties/:propertyId/submit",
+  authenticateUser(),
+  validateRequest(noteSchema),
+  ModerationController.submit
+);
+router.post(
+  "/properties/:propertyId/resubmit",
+  authenticateUser(),
+  validateRequest(noteSchema),
+  ModerationController.resubmit
+);
+
+// Reviewer side
+router.put(
+  "/properties/:propertyId/reviewer",
+  adminOnly,
+  validateRequest(assignSchema),
+  ModerationController.assignReviewer
+);
+router.post(
+  "/properties/:propertyId/approve",
+  adminOnly,
+  validateRequest(noteSchema),
+  ModerationController.approve
+);
+router.post(
+  "/properties/:propertyId/reject",
+  adminOnly,
+  validateRequest(reasonSchema),
+  ModerationController.reject
+);
+router.post(
+  "/properties/:propertyId/request-changes",
+  adminOnly,
+  validateRequest(requestChangesSchema),
+  ModerationController.requestChanges
+);
+router.post(
+  "/properties/:propertyId/revision/approve",
+  adminOnly,
+  validateRequest(noteSchema),
+  ModerationController.approveRevision
+);
+router.post(
+  "/properties/:propertyId/revision/reject",
+  adminOnly,
+  validateRequest(reasonSchema),
+  ModerationController.rejectRevision
+);
+
+export default router;
@@ -0,0 +1,63 @@
+// moderation/schemas.js
+import Joi from "joi";
+
+// Listing fields a reviewer can attach a change request to
+export const REVIEWABLE_FIELDS = [
+  "title",
+  "description",
+  "photos",
+  "basePrice",
+  "currency",
+  "location",
+  "address",
+  "amenities",
+  "roomSpecs",
+  "houseRules",
+  "cancellationPolicy",
+  "maxGuests",
+  "minStay",
+  "maxStay",
+  "listingType",
+  "virtualTours",
+  "other",
+];
+
+const reason = Joi.string().trim().max(2000);
+
+export const queueQuerySchema = Joi.object({
+  type: Joi.string().valid("listing", "revision"),
+  assignee: Joi.alternatives().try(
+    Joi.string().valid("me", "unassigned"),
+    Joi.string().guid({ version: "uuidv4" })
+  ),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+});
+
+export const noteSchema = Joi.object({
+  reason: reason.empty(""),
+});
+
+export const reasonSchema = Joi.object({
+  reason: reason.required(),
+});
+
+export const requestChangesSchema = Joi.object({
+  reason: reason.empty(""),
+  fields: Joi.array()
+    .items(
+      Joi.object({
+        field: Joi.string()
+          .valid(...REVIEWABLE_FIELDS)
+          .required(),
+        note: Joi.string().trim().min(1).max(1000).required(),
+      })
+    )
+    .unique("field")
+    .min(1)
+    .required(),
+});
+
+export const assignSchema = Joi.object({
+  reviewerId: Joi.string().guid({ version: "uuidv4" }).allow(null).required(),
+});
@@ -0,0 +1,675 @@
+// moderation/service.js
+import { randomUUID } from "crypto";
+import prisma from "../../config/database.js";
+import logger from "../../config/logger.js";
+import redis from "../../config/redis.js";
+import pkg from "@prisma/client";
+import Notification from "../../models/Notification.js";
+import { PropertyService } from "../properties/service.js";
+import PropertyPhotoService from "../photos/service.js";
+import SearchIndexService, { ReindexReason } from "../search/service.js";
+import { NotificationEvents } from "../../websocket/events.js";
+import {
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+  ValidationError,
+} from "../../utils/apiError.js";
+import { isAdmin } from "../../utils/roleUtils.js";
+import { getListingCompleteness } from "../properties/completeness.js";
+const { ModerationAction, PropertyStatus, RevisionStatus } = pkg;
+
+// Content of an approved listing that changes only after review
+export const REVISION_FIELDS = ["title", "description", "photos"];
+
+// Statuses each decision can be taken from
+const DECISION_FROM = {
+  [ModerationAction.SUBMITTED]: [PropertyStatus.DRAFT],
+  [ModerationAction.APPROVED]: [
+    PropertyStatus.PENDING,
+    PropertyStatus.CHANGES_REQUESTED,
+    PropertyStatus.REJECTED,
+  ],
+  [ModerationAction.REJECTED]: [
+    PropertyStatus.PENDING,
+    PropertyStatus.CHANGES_REQUESTED,
+    PropertyStatus.APPROVED,
+  ],
+  [ModerationAction.CHANGES_REQUESTED]: [PropertyStatus.PENDING],
+  [ModerationAction.RESUBMITTED]: [
+    PropertyStatus.CHANGES_REQUESTED,
+    PropertyStatus.REJECTED,
+  ],
+};
+
+const DECISION_STATUS = {
+  [ModerationAction.SUBMITTED]: PropertyStatus.PENDING,
+  [ModerationAction.APPROVED]: PropertyStatus.APPROVED,
+  [ModerationAction.REJECTED]: PropertyStatus.REJECTED,
+  [ModerationAction.CHANGES_REQUESTED]: PropertyStatus.CHANGES_REQUESTED,
+  [ModerationAction.RESUBMITTED]: PropertyStatus.PENDING,
+};
+
+const profileSelect = {
+  select: {
+    id: true,
+    email: true,
+    profile: { select: { firstName: true, lastName: true, avatarUrl: true } },
+  },
+};
+
+const sameValue = (a, b) =>
+  JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+class ModerationService {
+  /**
+   * Listings waiting for a reviewer: new or resubmitted listings, and
+   * approved listings with a pending revision. Oldest submission first.
+   * @param {Object} query
+   * @param {string} [query.type] - "listing", "revision" or both when unset
+   * @param {string} [query.assignee] - "me", "unassigned" or a reviewer id
+   * @param {Object} user - Authenticated admin
+   */
+  async getQueue({ type, assignee, page, limit }, user) {
+    const kinds = {
+      listing: { status: PropertyStatus.PENDING },
+      revision: {
+        status: PropertyStatus.APPROVED,
+        revisions: { some: { status: RevisionStatus.PENDING } },
+      },
+    };
+    const where = {
+      deletedAt: null,
+      OR: type ? [kinds[type]] : Object.values(kinds),
+      ...(assignee && {
+        reviewerId:
+          assignee === "me"
+            ? user.id
+            : assignee === "unassigned"
+              ? null
+              : assignee,
+      }),
+    };
+
+    const [properties, total] = await prisma.$transaction([
+      prisma.property.findMany({
+        where,
+        select: {
+          id: true,
+          title: true,
+          status: true,
+          city: true,
+          country: true,
+          photos: true,
+          submittedAt: true,
+          createdAt: true,
+          owner: profileSelect,
+          reviewer: profileSelect,
+          revisions: {
+            where: { status: RevisionStatus.PENDING },
+            select: { id: true, changes: true, createdAt: true },
+          },
+        },
+        orderBy: [
+          { submittedAt: { sort: "asc", nulls: "first" } },
+          { createdAt: "asc" },
+        ],
+        skip: (page - 1) * limit,
+        take: limit,
+      }),
+      prisma.property.count({ where }),
+    ]);
+
+    return {
+      data: properties.map(({ revisions, ...property }) => ({
+        ...property,
+        reviewKind:
+          property.status === PropertyStatus.APPROVED ? "revision" : "listing",
+        pendingRevision: revisions[0]
+          ? this.summarizeRevision(revisions[0])
+          : null,
+      })),
+      meta: { page, limit, total, totalPages: Math.ceil(total / limit) },
+    };
+  }
+
+  /**
+   * A listing's moderation state and full history, for its owner or an
+   * admin. `openRequest` is the decision the owner still has to act on.
+   * @param {string} propertyId
+   * @param {Object} user
+   */
+  async getModeration(propertyId, user) {
+    const property = await this.findProperty(propertyId, {
+      reviewer: profileSelect,
+    });
+    this.assertOwnerOrAdmin(property, user);
+
+    const [events, pendingRevision] = await Promise.all([
+      prisma.propertyModerationEvent.findMany({
+        where: { propertyId },
+        include: { actor: profileSelect },
+        orderBy: { createdAt: "desc" },
+      }),
+      this.findPendingRevision(prisma, propertyId),
+    ]);
+
+    const openRequest = [
+      PropertyStatus.CHANGES_REQUESTED,
+      PropertyStatus.REJECTED,
+    ].includes(property.status)
+      ? events.find((event) => event.toStatus === property.status)
+      : null;
+
+    return {
+      propertyId,
+      status: property.status,
+      submittedAt: property.submittedAt,
+      reviewer: property.reviewer,
+      openRequest: openRequest ?? null,
+      pendingRevision:
+        pendingRevision && this.summarizeRevision(pendingRevision),
+      history: events,
+    };
+  }
+
+  /**
+   * Assign a listing to a reviewer, or unassign it with a null reviewerId
+   * @param {string} propertyId
+   * @param {Object} user - Authenticated admin
+   * @param {string|null} reviewerId
+   */
+  async assignReviewer(propertyId, user, reviewerId) {
+    const property = await this.findProperty(propertyId);
+    if (reviewerId) {
+      const reviewer = await prisma.user.findFirst({
+        where: {
+          id: reviewerId,
+          isActive: true,
+          roles: { some: { role: { name: "admin" } } },
+        },
+        select: { id: true },
+      });
+      if (!reviewer) throw new BadRequestError("Reviewer must be an admin");
+    }
+    if (property.reviewerId === reviewerId) {
+      return this.getModeration(propertyId, user);
+    }
+
+    await prisma.$transaction([
+      prisma.property.update({
+        where: { id: propertyId },
+        data: { reviewerId },
+      }),
+      prisma.propertyModerationEvent.create({
+        data: {
+          propertyId,
+          actorId: user.id,
+          action: reviewerId
+            ? ModerationAction.ASSIGNED
+            : ModerationAction.UNASSIGNED,
+          assigneeId: reviewerId,
+        },
+      }),
+    ]);
+    return this.getModeration(propertyId, user);
+  }
+
+  /**
+   * Put a listing live
+   * @param {string} propertyId
+   * @param {Object} user - Authenticated admin
+   * @param {Object} [data] - reason: optional note for the owner
+   */
+  async approve(propertyId, user, { reason } = {}) {
+    return this.decide(propertyId, user, ModerationAction.APPROVED, {
+      reason,
+    });
+  }
+
+  /**
+   * Turn a listing down, or take a live one down
+   * @param {Object} data - reason, shown to the owner
+   */
+  async reject(propertyId, user, { reason }) {
+    return this.decide(propertyId, user, ModerationAction.REJECTED, {
+      reason,
+    });
+  }
+
+  /**
+   * Send a listing back to its owner with notes on what to fix
+   * @param {Object} data - reason, fields: [{ field, note }]
+   */
+  async requestChanges(propertyId, user, { reason, fields }) {
+    return this.decide(propertyId, user, ModerationAction.CHANGES_REQUESTED, {
+      reason,
+      fieldNotes: fields,
+    });
+  }
+
+  /**
+   * Send a draft into the queue once every required checklist item passes
+   * @param {string} propertyId
+   * @param {Object} user - Listing owner or admin
+   * @param {Object} [data] - reason: optional note for the reviewer
+   * @throws {ValidationError} Naming the required items still missing
+   */
+  async submit(propertyId, user, { reason } = {}) {
+    return this.enterQueue(propertyId, user, ModerationAction.SUBMITTED, {
+      reason,
+    });
+  }
+
+  /**
+   * Send a listing that had changes requested or was rejected back into
+   * the queue. The same checklist items as for a draft must pass.
+   * @param {string} propertyId
+   * @param {Object} user - Listing owner or admin
+   * @param {Object} [data] - reason: optional note for the reviewer
+   */
+  async resubmit(propertyId, user, { reason } = {}) {
+    return this.enterQueue(propertyId, user, ModerationAction.RESUBMITTED, {
+      reason,
+    });
+  }
+
+  /**
+   * Set a status directly, outside the review flow. Recorded in the
+   * history like any decision. Listings only go into the queue or live
+   * once every required checklist item passes, as through the review flow.
+   * @param {string} propertyId
+   * @param {Object} user - Authenticated admin
+   * @param {string} status - One of PropertyStatus
+   * @throws {ValidationError} Naming the required items still missing
+   */
+  async setStatus(propertyId, user, status, { reason } = {}) {
+    if ([PropertyStatus.PENDING, PropertyStatus.APPROVED].includes(status)) {
+      const { completeness } = await getListingCompleteness(propertyId);
+      if (!completeness.ready) {
+        throw new ValidationError(
+          `Complete these before setting the status to ${status}: ${completeness.missing.join(", ")}`
+        );
+      }
+    }
+
+    return this.transition(propertyId, user, {
+      action: ModerationAction.STATUS_CHANGED,
+      toStatus: status,
+      allowedFrom: Object.values(PropertyStatus).filter(
+        (from) => from !== status
+      ),
+      reason,
+    });
+  }
+
+  /**
+   * Publish a pending revision onto the live listing
+   * @param {string} propertyId
+   * @param {Object} user - Authenticated admin
+   * @param {Object} [data] - reason: optional note for the owner
+   */
+  async approveRevision(propertyId, user, { reason } = {}) {
+    await this.findProperty(propertyId);
+
+    const revision = await prisma.$transaction(async (tx) => {
+      const revision = await this.findPendingRevision(tx, propertyId);
+      if (!revision) throw new NotFoundError("No pending revision");
+
+      await this.applyRevision(tx, propertyId, revision.changes);
+      await tx.propertyRevision.update({
+        where: { id: revision.id },
+        data: {
+          status: RevisionStatus.APPROVED,
+          reviewerId: user.id,
+          reason,
+          reviewedAt: new Date(),
+        },
+      });
+      await tx.propertyModerationEvent.create({
+        data: {
+          propertyId,
+          actorId: user.id,
+          action: ModerationAction.REVISION_APPROVED,
+          revisionId: revision.id,
+          reason,
+        },
+      });
+      return revision;
+    });
+
+    await PropertyPhotoService.removeFiles(
+      revision.changes.removedPhotos ?? []
+    );
+    await PropertyService.clearPropertyCaches(
+      propertyId,
+      PropertyStatus.APPROVED
+    );
+    await this.notifyOwner(propertyId, {
+      title: "Your listing changes are live",
+      body: reason,
+    });
+    return this.getModeration(propertyId, user);
+  }
+
+  /**
+   * Discard a pending revision; the live listing stays as it is and the
+   * photo gallery goes back to the published photos
+   * @param {Object} data - reason, shown to the owner
+   */
+  async rejectRevision(propertyId, user, { reason }) {
+    await this.findProperty(propertyId);
+
+    const revision = await prisma.$transaction(async (tx) => {
+      const revision = await this.findPendingRevision(tx, propertyId);
+      if (!revision) throw new NotFoundError("No pending revision");
+
+      await tx.propertyRevision.update({
+        where: { id: revision.id },
+        data: {
+          status: RevisionStatus.REJECTED,
+          reviewerId: user.id,
+          reason,
+          reviewedAt: new Date(),
+        },
+      });
+      await tx.propertyModerationEvent.create({
+        data: {
+          propertyId,
+          actorId: user.id,
+          action: ModerationAction.REVISION_REJECTED,
+          revisionId: revision.id,
+          reason,
+        },
+      });
+      return revision;
+    });
+
+    if (revision.changes.photos) {
+      await PropertyPhotoService.restorePublished(
+        propertyId,
+        revision.changes.removedPhotos
+      );
+    }
+    await this.notifyOwner(propertyId, {
+      title: "Your listing changes were not approved",
+      body: reason,
+    });
+    return this.getModeration(propertyId, user);
+  }
+
+  /**
+   * Hold changes to an approved listing's reviewed fields in its pending
+   * revision instead of the live listing. Values matching the live listing
+   * drop out of the revision, and a revision left without changes is
+   * withdrawn.
+   * @param {Object} tx - Prisma transaction
+   * @param {string} propertyId
+   * @param {string} authorId
+   * @param {Object} changes - Any of REVISION_FIELDS, plus removedPhotos:
+   *   rows of deleted photos still shown on the live listing
+   * @returns {Promise<Object|null>} The pending revision
+   */
+  async stageRevision(tx, propertyId, authorId, changes) {
+    const [live, pending] = await Promise.all([
+      tx.property.findUnique({
+        where: { id: propertyId },
+        select: { title: true, description: true, photos: true },
+      }),
+      this.findPendingRevision(tx, propertyId),
+    ]);
+
+    const merged = {
+      ...pending?.changes,
+      ...changes,
+      removedPhotos: [
+        ...(pending?.changes.removedPhotos ?? []),
+        ...(changes.removedPhotos ?? []),
+      ],
+    };
+    for (const field of REVISION_FIELDS) {
+      if (field in merged && sameValue(merged[field], live[field])) {
+        delete merged[field];
+      }
+    }
+    if (!merged.removedPhotos.length) delete merged.removedPhotos;
+
+    if (!REVISION_FIELDS.some((field) => field in merged)) {
+      if (pending) {
+        await tx.propertyRevision.delete({ where: { id: pending.id } });
+      }
+      return null;
+    }
+
+    if (pending) {
+      return tx.propertyRevision.update({
+        where: { id: pending.id },
+        data: { changes: merged },
+      });
+    }
+
+    const revision = await tx.propertyRevision.create({
+      data: { propertyId, authorId, changes: merged },
+    });
+    await tx.property.update({
+      where: { id: propertyId },
+      data: { submittedAt: new Date() },
+    });
+    await tx.propertyModerationEvent.create({
+      data: {
+        propertyId,
+        actorId: authorId,
+        action: ModerationAction.REVISION_SUBMITTED,
+        revisionId: revision.id,
+      },
+    });
+    return revision;
+  }
+
+  // --- Helper Methods ---
+
+  async enterQueue(propertyId, user, action, { reason }) {
+    const { property, completeness } = await getListingCompleteness(propertyId);
+    this.assertOwnerOrAdmin(property, user);
+    if (!completeness.ready) {
+      throw new ValidationError(
+        `Complete these before submitting: ${completeness.missing.join(", ")}`
+      );
+    }
+
+    return this.decide(propertyId, user, action, { reason });
+  }
+
+  async decide(propertyId, user, action, { reason, fieldNotes }) {
+    return this.transition(propertyId, user, {
+      action,
+      toStatus: DECISION_STATUS[action],
+      allowedFrom: DECISION_FROM[action],
+      reason,
+      fieldNotes,
+    });
+  }
+
+  async transition(
+    propertyId,
+    user,
+    { action, toStatus, allowedFrom, reason, fieldNotes }
+  ) {
+    const property = await this.findProperty(propertyId);
+    if (allowedFrom && !allowedFrom.includes(property.status)) {
+      throw new ConflictError(
+        `A ${property.status.toLowerCase()} listing can't be ${action
+          .toLowerCase()
+          .replace(/_/g, " ")}`
+      );
+    }
+
+    const removedPhotos = await prisma.$transaction(async (tx) => {
+      // Only move the listing on from the status checked above
+      const { count } = await tx.property.updateMany({
+        where: { id: propertyId, status: property.status, deletedAt: null },
+        data: {
+          status: toStatus,
+          ...(toStatus === PropertyStatus.PENDING && {
+            submittedAt: new Date(),
+          }),
+        },
+      });
+      if (count === 0) {
+        throw new ConflictError(
+          "Listing status was changed by another request"
+        );
+      }
+
+      // A listing leaving APPROVED is reviewed as a whole from now on, so
+      // its pending revision becomes part of it
+      let removed = [];
+      if (
+        property.status === PropertyStatus.APPROVED &&
+        toStatus !== PropertyStatus.APPROVED
+      ) {
+        const revision = await this.findPendingRevision(tx, propertyId);
+        if (revision) {
+          await this.applyRevision(tx, propertyId, revision.changes);
+          await tx.propertyRevision.delete({ where: { id: revision.id } });
+          removed = revision.changes.removedPhotos ?? [];
+        }
+      }
+
+      await tx.propertyModerationEvent.create({
+        data: {
+          propertyId,
+          actorId: user.id,
+          action,
+          fromStatus: property.status,
+          toStatus,
+          reason,
+          fieldNotes,
+        },
+      });
+      // The outbox relay indexes approved properties and removes the rest
+      await SearchIndexService.enqueue(
+        tx,
+        propertyId,
+        ReindexReason.PROPERTY_STATUS_CHANGED
+      );
+      return removed;
+    });
+
+    await PropertyPhotoService.removeFiles(removedPhotos);
+    await PropertyService.clearPropertyCaches(propertyId, toStatus);
+    // Owners hear about reviewers' decisions, not their own submissions
+    if (
+      ![ModerationAction.SUBMITTED, ModerationAction.RESUBMITTED].includes(
+        action
+      )
+    ) {
+      await this.notifyOwner(propertyId, {
+        title: {
+          [PropertyStatus.APPROVED]: "Your listing is live",
+          [PropertyStatus.REJECTED]: "Your listing was not approved",
+          [PropertyStatus.CHANGES_REQUESTED]: "Your listing needs changes",
+        }[toStatus],
+        body: reason,
+      });
+    }
+
+    logger.info(
+      `Property ${propertyId} ${property.status} -> ${toStatus} by ${user.id}`
+    );
+    return this.getModeration(propertyId, user);
+  }
+
+  // Copy a revision's changes onto the listing and queue the reindex
+  async applyRevision(tx, propertyId, changes) {
+    const data = Object.fromEntries(
+      REVISION_FIELDS.filter((field) => field in changes).map((field) => [
+        field,
+        changes[field],
+      ])
+    );
+
+    await tx.property.update({ where: { id: propertyId }, data });
+    await SearchIndexService.enqueue(
+      tx,
+      propertyId,
+      data.photos
+        ? ReindexReason.PHOTOS_CHANGED
+        : ReindexReason.PROPERTY_UPDATED
+    );
+  }
+
+  async findProperty(propertyId, include = {}) {
+    const property = await prisma.property.findFirst({
+      where: { id: propertyId, deletedAt: null },
+      include,
+    });
+    if (!property) throw new NotFoundError("Property not found");
+    return property;
+  }
+
+  async findPendingRevision(client, propertyId) {
+    return client.propertyRevision.findFirst({
+      where: { propertyId, status: RevisionStatus.PENDING },
+    });
+  }
+
+  assertOwnerOrAdmin(property, user) {
+    if (property.ownerId !== user.id && !isAdmin(user)) {
+      throw new ForbiddenError("Not authorized to view this listing's review");
+    }
+  }
+
+  // Which fields a revision changes, without the photo rows it carries
+  summarizeRevision({ changes, ...revision }) {
+    return {
+      ...revision,
+      fields: REVISION_FIELDS.filter((field) => field in changes),
+      changes: Object.fromEntries(
+        REVISION_FIELDS.filter((field) => field in changes).map((field) => [
+          field,
+          changes[field],
+        ])
+      ),
+    };
+  }
+
+  // Best effort: a failed notification doesn't undo the decision
+  async notifyOwner(propertyId, { title, body }) {
+    try {
+      const property = await prisma.property.findUnique({
+        where: { id: propertyId },
+        select: { ownerId: true, title: true },
+      });
+
+      const notification = await Notification.create({
+        notificationId: randomUUID(),
+        userId: property.ownerId,
+        type: "listing_moderation",
+        content: { title, body: body || property.title },
+        actions: [
+          {
+            type: "route",
+            label: "View review",
+            value: `/properties/${propertyId}/moderation`,
+          },
+        ],
+        metadata: { context: { propertyId } },
+      });
+      await redis.publish(
+        `user:${property.ownerId}:notifications`,
+        JSON.stringify({
+          event: NotificationEvents.NEW_NOTIFICATION,
+          payload: notification.toNotificationPayload(),
+        })
+      );
+    } catch (error) {
+      logger.warn(`Moderation notification failed for ${propertyId}`, {
+        error: error.message,
+      });
+    }
+  }
+}
+
+export default new ModerationService();
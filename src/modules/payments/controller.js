@@ -0,0 +1,139 @@
+import PaymentService from "./service.js";
+import PaymentWebhookService from "./webhookService.js";
+import { ValidationError } from "../../utils/apiError.js";
+import logger from "../../config/logger.js";
+
+class PaymentController {
+  /**
+   * @desc    Get the payment attached to a booking
+   * @route   GET /api/payments/bookings/:bookingId
+   * @access  Private (tenant, property owner, admin)
+   */
+  async getBookingPayment(req, res, next) {
+    const { bookingId } = req.params;
+
+    try {
+      const payment = await PaymentService.getBookingPayment(
+        bookingId,
+        req.user
+      );
+
+      res.status(200).json({
+        success: true,
+        data: payment,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Capture an authorized payment, confirming the booking
+   * @route   POST /api/payments/bookings/:bookingId/capture
+   * @access  Private (property owner, admin)
+   */
+  async capturePayment(req, res, next) {
+    const { bookingId } = req.params;
+
+    try {
+      await PaymentService.assertCanManage(bookingId, req.user);
+      const payment = await PaymentService.captureBookingPayment(bookingId);
+
+      res.status(200).json({
+        success: true,
+        data: payment,
+        message: "Payment captured and booking confirmed",
+      });
+    } catch (error) {
+      logger.error(`Payment capture failed: ${error.message}`, {
+        bookingId,
+        userId: req.user?.id,
+      });
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Refund a captured payment (full or partial)
+   * @route   POST /api/payments/bookings/:bookingId/refund
+   * @access  Private (property owner, admin)
+   */
+  async refundPayment(req, res, next) {
+    const { bookingId } = req.params;
+    const { amount, reason } = req.body;
+
+    try {
+      if (amount != null && !(Number(amount) > 0)) {
+        throw new ValidationError("Refund amount must be a positive number");
+      }
+
+      await PaymentService.assertCanManage(bookingId, req.user);
+      const payment = await PaymentService.refundBookingPayment(bookingId, {
+        amount: amount != null ? Number(amount) : undefined,
+        reason,
+      });
+
+      res.status(200).json({
+        success: true,
+        data: payment,
+        message: "Payment refunded",
+      });
+    } catch (error) {
+      logger.error(`Payment refund failed: ${error.message}`, {
+        bookingId,
+        userId: req.user?.id,
+      });
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Void an uncaptured authorization
+   * @route   POST /api/payments/bookings/:bookingId/void
+   * @access  Private (property owner, admin)
+   */
+  async voidPayment(req, res, next) {
+    const { bookingId } = req.params;
+
+    try {
+      await PaymentService.assertCanManage(bookingId, req.user);
+      const payment = await PaymentService.voidBookingPayment(bookingId);
+
+      res.status(200).json({
+        success: true,
+        data: payment,
+        message: "Payment authorization voided",
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Receive a signed event from a payment provider
+   * @route   POST /api/payments/webhooks/:provider
+   * @access  Public (HMAC signature)
+   */
+  async handleWebhook(req, res, next) {
+    const { provider } = req.params;
+
+    try {
+      const { event, duplicate } = await PaymentWebhookService.handleWebhook(
+        provider,
+        req.rawBody,
+        req.headers
+      );
+
+      res.status(200).json({
+        success: true,
+        data: { eventId: event?.eventId, duplicate },
+        message: duplicate ? "Event already processed" : "Event processed",
+      });
+    } catch (error) {
+      logger.error(`Payment webhook failed: ${error.message}`, { provider });
+      next(error);
+    }
+  }
+}
+
+export default new PaymentController();
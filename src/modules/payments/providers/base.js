@@ -0,0 +1,83 @@
+// payments/providers/base.js
+import { ConfigurationError } from "../../../utils/apiError.js";
+
+/**
+ * @typedef {"payment.authorized"|"payment.captured"|"payment.failed"|"payment.refunded"|"payment.voided"} WebhookEventType
+ */
+
+/**
+ * Contract every payment gateway adapter implements.
+ *
+ * Amounts are decimal numbers in the payment currency; adapters that talk to
+ * gateways working in minor units are responsible for the conversion.
+ */
+export class PaymentProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Place a hold on the guest's payment method
+   * @param {Object} params
+   * @param {number} params.amount
+   * @param {string} params.currency - ISO 4217 code
+   * @param {string} params.reference - Our booking ID
+   * @param {string} [params.paymentMethod]
+   * @param {Object} [params.metadata]
+   * @returns {Promise<{intentId: string, status: "AUTHORIZED"|"FAILED", failureReason?: string}>}
+   */
+  async authorize(params) {
+    throw this.notImplemented("authorize");
+  }
+
+  /**
+   * Collect funds from a previously authorized intent
+   * @param {string} intentId
+   * @param {Object} [options]
+   * @param {number} [options.amount] - Defaults to the authorized amount
+   * @returns {Promise<{transactionId: string, amount: number, capturedAt: Date}>}
+   */
+  async capture(intentId, options = {}) {
+    throw this.notImplemented("capture");
+  }
+
+  /**
+   * Return captured funds to the guest
+   * @param {string} transactionId
+   * @param {Object} options
+   * @param {number} options.amount
+   * @param {string} [options.reason]
+   * @returns {Promise<{refundId: string, amount: number, refundedAt: Date}>}
+   */
+  async refund(transactionId, options) {
+    throw this.notImplemented("refund");
+  }
+
+  /**
+   * Release an authorization that was never captured
+   * @param {string} intentId
+   * @returns {Promise<{intentId: string, status: "VOIDED"}>}
+   */
+  async void(intentId) {
+    throw this.notImplemented("void");
+  }
+
+  /**
+   * Verify a webhook delivery and translate it into a normalized event
+   * @param {Buffer} rawBody - Request body exactly as received
+   * @param {Object} headers - Request headers
+   * @returns {{id: string, type: WebhookEventType, intentId?: string, transactionId?: string, refundId?: string, amount?: number, failureReason?: string, payload: Object}}
+   * @throws {UnauthorizedError} When the signature does not verify
+   */
+  parseWebhookEvent(rawBody, headers) {
+    throw this.notImplemented("webhooks");
+  }
+
+  notImplemented(operation) {
+    return new ConfigurationError(
+      `Payment provider "${this.name}" does not support ${operation}`
+    );
+  }
+}
+
+export default PaymentProvider;
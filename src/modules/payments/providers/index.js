@@ -0,0 +1,44 @@
+// payments/providers/index.js
+import config from "../../../config/env.js";
+import { ConfigurationError } from "../../../utils/apiError.js";
+import { MockPaymentProvider } from "./mock.js";
+
+const factories = {
+  mock: () =>
+    new MockPaymentProvider({
+      storePath: config.get("payments.mockStorePath"),
+      webhookSecret: config.get("payments.webhookSecret"),
+      webhookTolerance: config.get("payments.webhookTolerance"),
+    }),
+};
+
+const instances = new Map();
+
+/**
+ * Register an additional gateway adapter
+ * @param {string} name - Value stored in Payment.provider
+ * @param {Function} factory - Returns a PaymentProvider instance
+ */
+export const registerPaymentProvider = (name, factory) => {
+  factories[name] = factory;
+  instances.delete(name);
+};
+
+export const hasPaymentProvider = (name) =>
+  Object.prototype.hasOwnProperty.call(factories, name);
+
+/**
+ * Resolve a provider by name, defaulting to the configured gateway
+ * @param {string} [name]
+ * @returns {import("./base.js").PaymentProvider}
+ */
+export const getPaymentProvider = (name = config.get("payments.provider")) => {
+  if (!instances.has(name)) {
+    const factory = factories[name];
+    if (!factory) {
+      throw new ConfigurationError(`Unknown payment provider: ${name}`);
+    }
+    instances.set(name, factory());
+  }
+  return instances.get(name);
+};
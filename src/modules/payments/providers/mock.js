@@ -0,0 +1,239 @@
+// payments/providers/mock.js
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { PaymentProvider } from "./base.js";
+import { signWebhookPayload, verifyWebhookSignature } from "../signature.js";
+import { PaymentError, ValidationError } from "../../../utils/apiError.js";
+import logger from "../../../config/logger.js";
+
+// Payment method tokens that force failure paths in offline testing
+export const MOCK_DECLINED_METHOD = "mock_declined";
+export const MOCK_CAPTURE_FAILURE_METHOD = "mock_capture_fails";
+export const MOCK_SIGNATURE_HEADER = "x-mock-signature";
+
+/**
+ * Offline gateway that keeps intents in memory and, when a store path is
+ * configured, mirrors them to a JSON file so they survive restarts.
+ */
+export class MockPaymentProvider extends PaymentProvider {
+  constructor({ storePath, webhookSecret, webhookTolerance = 300 } = {}) {
+    super("mock");
+    this.storePath = storePath ? path.resolve(storePath) : null;
+    this.webhookSecret = webhookSecret;
+    this.webhookTolerance = webhookTolerance;
+    this.intents = new Map();
+    this.load();
+  }
+
+  async authorize({ amount, currency, reference, paymentMethod, metadata }) {
+    const intent = {
+      id: this.generateId("pi"),
+      amount: Number(amount),
+      currency,
+      reference,
+      paymentMethod: paymentMethod || null,
+      metadata: metadata || {},
+      status: "AUTHORIZED",
+      capturedAmount: 0,
+      refundedAmount: 0,
+      transactionId: null,
+      refunds: [],
+      createdAt: new Date().toISOString(),
+    };
+
+    if (!(intent.amount > 0)) {
+      intent.status = "FAILED";
+      intent.failureReason = "Amount must be greater than zero";
+    } else if (paymentMethod === MOCK_DECLINED_METHOD) {
+      intent.status = "FAILED";
+      intent.failureReason = "Card declined";
+    }
+
+    this.intents.set(intent.id, intent);
+    await this.persist();
+
+    return {
+      intentId: intent.id,
+      status: intent.status,
+      failureReason: intent.failureReason,
+    };
+  }
+
+  async capture(intentId, { amount } = {}) {
+    const intent = this.getIntent(intentId);
+    if (intent.status !== "AUTHORIZED") {
+      throw new PaymentError(`Cannot capture intent in ${intent.status} state`);
+    }
+    if (intent.paymentMethod === MOCK_CAPTURE_FAILURE_METHOD) {
+      throw new PaymentError("Capture declined by issuer");
+    }
+
+    const captureAmount = amount != null ? Number(amount) : intent.amount;
+    if (captureAmount > intent.amount) {
+      throw new PaymentError("Capture amount exceeds authorized amount");
+    }
+
+    intent.status = "CAPTURED";
+    intent.capturedAmount = captureAmount;
+    intent.transactionId = this.generateId("txn");
+    intent.capturedAt = new Date().toISOString();
+    await this.persist();
+
+    return {
+      transactionId: intent.transactionId,
+      amount: captureAmount,
+      capturedAt: new Date(intent.capturedAt),
+    };
+  }
+
+  async refund(transactionId, { amount, reason } = {}) {
+    const intent = [...this.intents.values()].find(
+      (i) => i.transactionId === transactionId
+    );
+    if (!intent) {
+      throw new PaymentError(`Unknown transaction ${transactionId}`);
+    }
+
+    const refundable = intent.capturedAmount - intent.refundedAmount;
+    const refundAmount = amount != null ? Number(amount) : refundable;
+    if (refundAmount <= 0 || refundAmount > refundable + 0.001) {
+      throw new PaymentError(
+        `Refund amount must be between 0 and ${refundable.toFixed(2)}`
+      );
+    }
+
+    const refund = {
+      id: this.generateId("re"),
+      amount: refundAmount,
+      reason: reason || null,
+      createdAt: new Date().toISOString(),
+    };
+    intent.refunds.push(refund);
+    intent.refundedAmount += refundAmount;
+    if (intent.refundedAmount >= intent.capturedAmount - 0.001) {
+      intent.status = "REFUNDED";
+    }
+    await this.persist();
+
+    return {
+      refundId: refund.id,
+      amount: refundAmount,
+      refundedAt: new Date(refund.createdAt),
+    };
+  }
+
+  async void(intentId) {
+    const intent = this.getIntent(intentId);
+    if (intent.status !== "AUTHORIZED") {
+      throw new PaymentError(`Cannot void intent in ${intent.status} state`);
+    }
+
+    intent.status = "VOIDED";
+    await this.persist();
+
+    return { intentId, status: "VOIDED" };
+  }
+
+  parseWebhookEvent(rawBody, headers) {
+    verifyWebhookSignature(
+      rawBody,
+      headers[MOCK_SIGNATURE_HEADER],
+      this.webhookSecret,
+      this.webhookTolerance
+    );
+
+    let payload;
+    try {
+      payload = JSON.parse(rawBody.toString("utf8"));
+    } catch (error) {
+      throw new ValidationError("Webhook body is not valid JSON");
+    }
+    if (!payload.id || !payload.type || !payload.data) {
+      throw new ValidationError("Webhook event is missing id, type or data");
+    }
+
+    const { data } = payload;
+    return {
+      id: payload.id,
+      type: payload.type,
+      intentId: data.intentId,
+      transactionId: data.transactionId,
+      refundId: data.refundId,
+      amount: data.amount != null ? Number(data.amount) : undefined,
+      failureReason: data.failureReason,
+      payload,
+    };
+  }
+
+  /**
+   * Produce a signed webhook delivery, e.g. to replay gateway behaviour offline
+   * @param {import("./base.js").WebhookEventType} type
+   * @param {Object} data - intentId plus transactionId/refundId/amount/failureReason
+   * @returns {{body: string, headers: Object}}
+   */
+  buildWebhookEvent(type, data) {
+    const body = JSON.stringify({
+      id: this.generateId("evt"),
+      type,
+      created: Math.floor(Date.now() / 1000),
+      data,
+    });
+
+    return {
+      body,
+      headers: {
+        "content-type": "application/json",
+        [MOCK_SIGNATURE_HEADER]: signWebhookPayload(body, this.webhookSecret),
+      },
+    };
+  }
+
+  // --- Helper Methods ---
+
+  getIntent(intentId) {
+    const intent = this.intents.get(intentId);
+    if (!intent) {
+      throw new PaymentError(`Unknown payment intent ${intentId}`);
+    }
+    return intent;
+  }
+
+  generateId(prefix) {
+    return `mock_${prefix}_${crypto.randomBytes(12).toString("hex")}`;
+  }
+
+  load() {
+    if (!this.storePath || !fs.existsSync(this.storePath)) return;
+
+    try {
+      const stored = JSON.parse(fs.readFileSync(this.storePath, "utf8"));
+      for (const intent of stored.intents || []) {
+        this.intents.set(intent.id, intent);
+      }
+      logger.info(
+        `Mock payment provider loaded ${this.intents.size} intents from ${this.storePath}`
+      );
+    } catch (error) {
+      logger.error(`Failed to load mock payment store: ${error.message}`);
+    }
+  }
+
+  async persist() {
+    if (!this.storePath) return;
+
+    try {
+      await fs.promises.mkdir(path.dirname(this.storePath), {
+        recursive: true,
+      });
+      await fs.promises.writeFile(
+        this.storePath,
+        JSON.stringify({ intents: [...this.intents.values()] }, null, 2)
+      );
+    } catch (error) {
+      logger.error(`Failed to persist mock payment store: ${error.message}`);
+    }
+  }
+}
+
+export default MockPaymentProvider;
@@ -0,0 +1,47 @@
+import express from "express";
+import rateLimit from "express-rate-limit";
+import PaymentController from "./controller.js";
+import { authenticateUser } from "../../middlewares/authentication.js";
+
+const router = express.Router();
+
+const paymentOperationLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30,
+  message: "Too many payment operations, please try again later",
+});
+
+const webhookLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 300,
+  message: "Too many webhook deliveries, please try again later",
+});
+
+// Providers authenticate with a signature, not a user session
+router.post(
+  "/webhooks/:provider",
+  webhookLimiter,
+  PaymentController.handleWebhook
+);
+
+router.use(authenticateUser());
+
+router.get("/bookings/:bookingId", PaymentController.getBookingPayment);
+
+router.post(
+  "/bookings/:bookingId/capture",
+  paymentOperationLimiter,
+  PaymentController.capturePayment
+);
+router.post(
+  "/bookings/:bookingId/refund",
+  paymentOperationLimiter,
+  PaymentController.refundPayment
+);
+router.post(
+  "/bookings/:bookingId/void",
+  paymentOperationLimiter,
+  PaymentController.voidPayment
+);
+
+export default router;
@@ -0,0 +1,345 @@
+// payments/service.js
+import prisma from "../../config/database.js";
+import logger from "../../config/logger.js";
+import pkg from "@prisma/client";
+import {
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+  PaymentError,
+  ValidationError,
+} from "../../utils/apiError.js";
+import { isAdmin } from "../../utils/roleUtils.js";
+import { getPaymentProvider } from "./providers/index.js";
+import { transitionBooking } from "../bookings/stateMachine.js";
+import InvoiceService from "../invoices/service.js";
+const { BookingStatus, PaymentStatus } = pkg;
+
+class PaymentService {
+  /**
+   * Place an authorization hold for a booking's payment
+   * @param {string} bookingId
+   * @returns {Promise<object>} Updated payment
+   */
+  async authorizeBookingPayment(bookingId) {
+    const payment = await this.findPayment(bookingId);
+
+    if (payment.status !== PaymentStatus.PENDING) {
+      return payment;
+    }
+
+    const provider = getPaymentProvider(payment.provider || undefined);
+    let result;
+    try {
+      result = await provider.authorize({
+        amount: Number(payment.amount),
+        currency: payment.currency,
+        reference: bookingId,
+        paymentMethod: payment.paymentMethod,
+        metadata: { propertyId: payment.propertyId, userId: payment.userId },
+      });
+    } catch (error) {
+      result = { status: "FAILED", failureReason: error.message };
+    }
+
+    const authorized = result.status === "AUTHORIZED";
+    const updated = await prisma.payment.update({
+      where: { id: payment.id },
+      data: {
+        provider: provider.name,
+        paymentIntentId: result.intentId,
+        status: authorized ? PaymentStatus.AUTHORIZED : PaymentStatus.FAILED,
+        failureReason: authorized ? null : result.failureReason,
+        processedAt: new Date(),
+      },
+    });
+
+    logger.info(
+      `Payment ${payment.id} for booking ${bookingId} ${
+        authorized ? "authorized" : "failed authorization"
+      } via ${provider.name}`
+    );
+    return updated;
+  }
+
+  /**
+   * Capture an authorized payment and confirm the booking it belongs to
+   * @param {string} bookingId
+   * @param {Object} [options]
+   * @param {string} [options.actorId] - User triggering the capture
+   * @returns {Promise<object>} Updated payment
+   */
+  async captureBookingPayment(bookingId, { actorId = null } = {}) {
+    let payment = await this.findPayment(bookingId);
+
+    if (payment.status === PaymentStatus.COMPLETED) {
+      return payment;
+    }
+    if (payment.status === PaymentStatus.PENDING) {
+      payment = await this.authorizeBookingPayment(bookingId);
+    }
+    if (payment.status !== PaymentStatus.AUTHORIZED) {
+      throw new PaymentError(
+        `Payment cannot be captured in ${payment.status} state`
+      );
+    }
+
+    const provider = getPaymentProvider(payment.provider);
+    let capture;
+    try {
+      capture = await provider.capture(payment.paymentIntentId, {
+        amount: Number(payment.amount),
+      });
+    } catch (error) {
+      await prisma.payment.update({
+        where: { id: payment.id },
+        data: {
+          status: PaymentStatus.FAILED,
+          failureReason: error.message?.slice(0, 255),
+          processedAt: new Date(),
+        },
+      });
+      logger.error(`Capture failed for booking ${bookingId}: ${error.message}`);
+      throw new PaymentError(`Payment capture failed: ${error.message}`);
+    }
+
+    const updated = await prisma.$transaction(async (tx) => {
+      const captured = await tx.payment.update({
+        where: { id: payment.id },
+        data: {
+          status: PaymentStatus.COMPLETED,
+          transactionId: capture.transactionId,
+          capturedAt: capture.capturedAt,
+          failureReason: null,
+          processedAt: new Date(),
+        },
+      });
+
+      // Only a successful capture moves a booking out of PENDING
+      const booking = await tx.booking.findUnique({
+        where: { id: bookingId },
+      });
+      if (booking.status === BookingStatus.PENDING) {
+        await transitionBooking(tx, booking, BookingStatus.CONFIRMED, {
+          actorId,
+          reason: "Payment captured",
+          metadata: { transactionId: capture.transactionId },
+        });
+      }
+
+      await InvoiceService.issueInvoice(tx, bookingId);
+      return captured;
+    });
+
+    logger.info(
+      `Payment ${payment.id} captured (${capture.transactionId}); booking ${bookingId} confirmed`
+    );
+    return updated;
+  }
+
+  /**
+   * Refund all or part of a captured payment
+   * @param {string} bookingId
+   * @param {Object} [options]
+   * @param {number} [options.amount] - Defaults to the remaining captured amount
+   * @param {string} [options.reason]
+   * @returns {Promise<object>} Updated payment
+   */
+  async refundBookingPayment(bookingId, { amount, reason } = {}) {
+    const payment = await this.findPayment(bookingId);
+
+    if (
+      ![PaymentStatus.COMPLETED, PaymentStatus.PARTIALLY_REFUNDED].includes(
+        payment.status
+      )
+    ) {
+      throw new PaymentError(
+        `Payment cannot be refunded in ${payment.status} state`
+      );
+    }
+
+    const alreadyRefunded = Number(payment.refundAmount || 0);
+    const refundable = Number(payment.amount) - alreadyRefunded;
+    const refundAmount = amount != null ? Number(amount) : refundable;
+
+    if (refundAmount <= 0) {
+      return payment;
+    }
+    if (refundAmount > refundable + 0.001) {
+      throw new ValidationError(
+        `Refund exceeds refundable balance of ${refundable.toFixed(2)}`
+      );
+    }
+
+    // Claim the amount before calling the gateway. The update only matches
+    // the payment as read, so of two concurrent refunds one gets a conflict
+    // instead of both being paid out.
+    const claimed = alreadyRefunded + refundAmount;
+    const { count } = await prisma.payment.updateMany({
+      where: {
+        id: payment.id,
+        status: payment.status,
+        refundAmount: payment.refundAmount,
+      },
+      data: { refundAmount: claimed },
+    });
+    if (count === 0) {
+      throw new ConflictError("Payment is already being refunded");
+    }
+
+    const provider = getPaymentProvider(payment.provider);
+    let refund;
+    try {
+      refund = await provider.refund(payment.transactionId, {
+        amount: refundAmount,
+        reason,
+      });
+    } catch (error) {
+      await prisma.payment.updateMany({
+        where: { id: payment.id, refundAmount: claimed },
+        data: { refundAmount: payment.refundAmount },
+      });
+      logger.error(`Refund failed for booking ${bookingId}: ${error.message}`);
+      throw new PaymentError(`Refund failed: ${error.message}`);
+    }
+
+    const totalRefunded = alreadyRefunded + refund.amount;
+    const updated = await prisma.$transaction(async (tx) => {
+      const refunded = await tx.payment.update({
+        where: { id: payment.id },
+        data: {
+          refundId: refund.refundId,
+          refundAmount: totalRefunded,
+          refundedAt: refund.refundedAt,
+          status:
+            totalRefunded >= Number(payment.amount) - 0.001
+              ? PaymentStatus.REFUNDED
+              : PaymentStatus.PARTIALLY_REFUNDED,
+          processedAt: new Date(),
+        },
+      });
+
+      await InvoiceService.issueCreditNote(tx, bookingId, {
+        amount: refund.amount,
+        refundId: refund.refundId,
+      });
+      return refunded;
+    });
+
+    logger.info(
+      `Refunded ${refund.amount} on payment ${payment.id} (${refund.refundId})`
+    );
+    return updated;
+  }
+
+  /**
+   * Release an authorization hold that was never captured
+   * @param {string} bookingId
+   * @returns {Promise<object>} Updated payment
+   */
+  async voidBookingPayment(bookingId) {
+    const payment = await this.findPayment(bookingId);
+
+    if (payment.status === PaymentStatus.AUTHORIZED) {
+      await getPaymentProvider(payment.provider).void(payment.paymentIntentId);
+    } else if (payment.status !== PaymentStatus.PENDING) {
+      throw new PaymentError(
+        `Payment cannot be voided in ${payment.status} state`
+      );
+    }
+
+    return prisma.payment.update({
+      where: { id: payment.id },
+      data: { status: PaymentStatus.VOIDED, processedAt: new Date() },
+    });
+  }
+
+  /**
+   * Settle the money side of a cancelled booking: void uncaptured holds,
+   * refund captured funds.
+   * @param {string} bookingId
+   * @param {number} refundAmount - Amount owed back to the guest
+   * @param {string} [reason]
+   * @returns {Promise<object|null>} Updated payment
+   */
+  async settleCancellation(bookingId, refundAmount, reason) {
+    const payment = await prisma.payment.findUnique({ where: { bookingId } });
+    if (!payment) return null;
+
+    switch (payment.status) {
+      case PaymentStatus.PENDING:
+      case PaymentStatus.AUTHORIZED:
+        return this.voidBookingPayment(bookingId);
+      case PaymentStatus.COMPLETED:
+      case PaymentStatus.PARTIALLY_REFUNDED:
+        return this.refundBookingPayment(bookingId, {
+          amount: refundAmount,
+          reason,
+        });
+      default:
+        return payment;
+    }
+  }
+
+  /**
+   * Fetch a booking's payment for someone allowed to see it
+   * @param {string} bookingId
+   * @param {Object} user - Authenticated user
+   */
+  async getBookingPayment(bookingId, user) {
+    const booking = await this.findBookingForAccess(bookingId);
+
+    if (
+      booking.tenantId !== user.id &&
+      booking.property?.ownerId !== user.id &&
+      !isAdmin(user)
+    ) {
+      throw new ForbiddenError("Not authorized to view this payment");
+    }
+
+    return this.findPayment(bookingId);
+  }
+
+  /**
+   * Ensure the user manages the booked property (owner) or is an admin
+   * @param {string} bookingId
+   * @param {Object} user - Authenticated user
+   */
+  async assertCanManage(bookingId, user) {
+    const booking = await this.findBookingForAccess(bookingId);
+
+    if (booking.property?.ownerId !== user.id && !isAdmin(user)) {
+      throw new ForbiddenError("Not authorized to manage this payment");
+    }
+
+    return booking;
+  }
+
+  // --- Helper Methods ---
+
+  async findPayment(bookingId) {
+    const payment = await prisma.payment.findUnique({ where: { bookingId } });
+    if (!payment) {
+      throw new NotFoundError("Payment not found for booking");
+    }
+    return payment;
+  }
+
+  async findBookingForAccess(bookingId) {
+    const booking = await prisma.booking.findUnique({
+      where: { id: bookingId },
+      select: {
+        id: true,
+        tenantId: true,
+        status: true,
+        property: { select: { ownerId: true } },
+      },
+    });
+    if (!booking) {
+      throw new NotFoundError("Booking not found");
+    }
+    return booking;
+  }
+}
+
+export default new PaymentService();
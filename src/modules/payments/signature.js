@@ -0,0 +1,65 @@
+// payments/signature.js
+import crypto from "crypto";
+import { UnauthorizedError } from "../../utils/apiError.js";
+
+/**
+ * Build a `t=<unix seconds>,v1=<hex hmac>` header for a webhook payload.
+ * The HMAC-SHA256 covers `${timestamp}.${rawBody}` so a captured body cannot
+ * be replayed with a fresh timestamp.
+ * @param {string|Buffer} rawBody
+ * @param {string} secret
+ * @param {number} [timestamp] - Unix seconds, defaults to now
+ * @returns {string}
+ */
+export const signWebhookPayload = (
+  rawBody,
+  secret,
+  timestamp = Math.floor(Date.now() / 1000)
+) => {
+  const digest = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${rawBody}`)
+    .digest("hex");
+  return `t=${timestamp},v1=${digest}`;
+};
+
+/**
+ * Verify a signature header produced by signWebhookPayload
+ * @param {string|Buffer} rawBody - Body exactly as received
+ * @param {string} header
+ * @param {string} secret
+ * @param {number} toleranceSeconds - Maximum accepted timestamp age
+ * @throws {UnauthorizedError} When the header is missing, stale or forged
+ */
+export const verifyWebhookSignature = (
+  rawBody,
+  header,
+  secret,
+  toleranceSeconds
+) => {
+  if (!rawBody || !header) {
+    throw new UnauthorizedError("Missing webhook signature");
+  }
+
+  const parts = Object.fromEntries(
+    header.split(",").map((part) => part.trim().split("="))
+  );
+  const timestamp = Number(parts.t);
+  if (!Number.isInteger(timestamp) || !parts.v1) {
+    throw new UnauthorizedError("Malformed webhook signature");
+  }
+  if (Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) {
+    throw new UnauthorizedError("Webhook signature has expired");
+  }
+
+  const expected = signWebhookPayload(rawBody, secret, timestamp).split(
+    "v1="
+  )[1];
+  const received = Buffer.from(parts.v1, "hex");
+  if (
+    received.length !== expected.length / 2 ||
+    !crypto.timingSafeEqual(received, Buffer.from(expected, "hex"))
+  ) {
+    throw new UnauthorizedError("Invalid webhook signature");
+  }
+};
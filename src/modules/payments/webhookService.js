@@ -0,0 +1,264 @@
+// payments/webhookService.js
+import prisma from "../../config/database.js";
+import logger from "../../config/logger.js";
+import pkg from "@prisma/client";
+import { NotFoundError } from "../../utils/apiError.js";
+import BookingService from "../bookings/service.js";
+import { transitionBooking } from "../bookings/stateMachine.js";
+import InvoiceService from "../invoices/service.js";
+import { getPaymentProvider, hasPaymentProvider } from "./providers/index.js";
+const { BookingStatus, PaymentStatus } = pkg;
+
+// Payment statuses each event type may move a payment out of. Anything else
+// is treated as a late or out-of-order delivery and only recorded. A failed
+// payment has already cancelled its booking, so a late capture is not
+// applied to it.
+const EVENT_SOURCE_STATUSES = {
+  "payment.authorized": [PaymentStatus.PENDING],
+  "payment.captured": [PaymentStatus.PENDING, PaymentStatus.AUTHORIZED],
+  "payment.failed": [PaymentStatus.PENDING, PaymentStatus.AUTHORIZED],
+  "payment.refunded": [
+    PaymentStatus.COMPLETED,
+    PaymentStatus.PARTIALLY_REFUNDED,
+  ],
+  "payment.voided": [PaymentStatus.PENDING, PaymentStatus.AUTHORIZED],
+};
+
+// A unique violation on (provider, eventId) means the event was stored
+// before; violations from applying the event are real errors. Prisma names
+// the fields, or the constraint when it can't map them back.
+const isDuplicateEvent = (error) => {
+  if (error.code !== "P2002") return false;
+  const target = error.meta?.target;
+  return Array.isArray(target)
+    ? target.includes("eventId") || target.includes("event_id")
+    : String(target ?? "").includes("event_id");
+};
+
+class PaymentWebhookService {
+  /**
+   * Verify, store and apply a provider webhook exactly once
+   * @param {string} providerName - Route parameter naming the gateway
+   * @param {Buffer} rawBody - Unparsed request body
+   * @param {Object} headers - Request headers
+   * @returns {Promise<{event: object, duplicate: boolean}>}
+   */
+  async handleWebhook(providerName, rawBody, headers) {
+    if (!hasPaymentProvider(providerName)) {
+      throw new NotFoundError(`Unknown payment provider: ${providerName}`);
+    }
+
+    const provider = getPaymentProvider(providerName);
+    const event = provider.parseWebhookEvent(rawBody, headers);
+
+    try {
+      // Storing the event and applying it commit together, so a failed
+      // apply leaves no record and the provider's retry is processed afresh
+      const stored = await prisma.$transaction(async (tx) => {
+        const record = await tx.paymentEvent.create({
+          data: {
+            provider: provider.name,
+            eventId: event.id,
+            type: event.type,
+            payload: event.payload,
+          },
+        });
+
+        const payment = await this.applyEvent(tx, event);
+
+        return tx.paymentEvent.update({
+          where: { id: record.id },
+          data: { paymentId: payment?.id, processedAt: new Date() },
+        });
+      });
+
+      logger.info(
+        `Processed ${provider.name} webhook ${event.id} (${event.type})`
+      );
+      return { event: stored, duplicate: false };
+    } catch (error) {
+      if (!isDuplicateEvent(error)) throw error;
+
+      logger.info(`Ignoring duplicate ${provider.name} webhook ${event.id}`);
+      const existing = await prisma.paymentEvent.findUnique({
+        where: {
+          provider_eventId: { provider: provider.name, eventId: event.id },
+        },
+      });
+      return { event: existing, duplicate: true };
+    }
+  }
+
+  /**
+   * Move the payment (and its booking) according to a normalized event
+   * @returns {Promise<object|null>} The payment the event refers to
+   */
+  async applyEvent(tx, event) {
+    const lookup = [
+      event.intentId && { paymentIntentId: event.intentId },
+      event.transactionId && { transactionId: event.transactionId },
+    ].filter(Boolean);
+
+    const payment = lookup.length
+      ? await tx.payment.findFirst({ where: { OR: lookup } })
+      : null;
+
+    if (!payment) {
+      logger.warn(`Webhook ${event.id} does not match any payment`);
+      return null;
+    }
+
+    const sources = EVENT_SOURCE_STATUSES[event.type];
+    if (!sources) {
+      logger.warn(`Unhandled webhook type ${event.type} (${event.id})`);
+      return payment;
+    }
+    if (!sources.includes(payment.status)) {
+      logger.warn(
+        `Skipping ${event.type} for payment ${payment.id} in ${payment.status} state`
+      );
+      return payment;
+    }
+
+    switch (event.type) {
+      case "payment.authorized":
+        return tx.payment.update({
+          where: { id: payment.id },
+          data: { status: PaymentStatus.AUTHORIZED, processedAt: new Date() },
+        });
+      case "payment.captured":
+        return this.applyCaptured(tx, payment, event);
+      case "payment.failed":
+        return this.applyFailed(tx, payment, event);
+      case "payment.refunded":
+        return this.applyRefunded(tx, payment, event);
+      case "payment.voided":
+        return this.applyVoided(tx, payment, event);
+    }
+  }
+
+  async applyCaptured(tx, payment, event) {
+    const updated = await tx.payment.update({
+      where: { id: payment.id },
+      data: {
+        status: PaymentStatus.COMPLETED,
+        transactionId: event.transactionId ?? payment.transactionId,
+        capturedAt: new Date(),
+        failureReason: null,
+        processedAt: new Date(),
+      },
+    });
+
+    const booking = await tx.booking.findUnique({
+      where: { id: payment.bookingId },
+    });
+    if (booking.status === BookingStatus.PENDING) {
+      await transitionBooking(tx, booking, BookingStatus.CONFIRMED, {
+        reason: "Payment captured",
+        metadata: { source: "webhook", eventId: event.id },
+      });
+    }
+
+    await InvoiceService.issueInvoice(tx, payment.bookingId);
+    return updated;
+  }
+
+  async applyFailed(tx, payment, event) {
+    const updated = await tx.payment.update({
+      where: { id: payment.id },
+      data: {
+        status: PaymentStatus.FAILED,
+        failureReason: event.failureReason?.slice(0, 255) || "Payment failed",
+        processedAt: new Date(),
+      },
+    });
+
+    await this.cancelPendingBooking(
+      tx,
+      payment.bookingId,
+      "Payment failed at provider",
+      event
+    );
+    return updated;
+  }
+
+  async applyRefunded(tx, payment, event) {
+    // Refunds we issued ourselves are already recorded on the payment
+    if (event.refundId && event.refundId === payment.refundId) {
+      return payment;
+    }
+
+    const alreadyRefunded = Number(payment.refundAmount || 0);
+    const totalRefunded =
+      alreadyRefunded + Number(event.amount ?? Number(payment.amount));
+    const fullyRefunded = totalRefunded >= Number(payment.amount) - 0.001;
+
+    const updated = await tx.payment.update({
+      where: { id: payment.id },
+      data: {
+        refundId: event.refundId ?? payment.refundId,
+        refundAmount: Math.min(totalRefunded, Number(payment.amount)),
+        refundedAt: new Date(),
+        status: fullyRefunded
+          ? PaymentStatus.REFUNDED
+          : PaymentStatus.PARTIALLY_REFUNDED,
+        processedAt: new Date(),
+      },
+    });
+
+    // Refunds issued from the provider dashboard still need a credit note
+    await InvoiceService.issueCreditNote(tx, payment.bookingId, {
+      amount: Math.min(totalRefunded, Number(payment.amount)) - alreadyRefunded,
+      refundId: event.refundId,
+    });
+
+    const booking = await tx.booking.findUnique({
+      where: { id: payment.bookingId },
+    });
+    if (fullyRefunded && booking.status === BookingStatus.CANCELLED) {
+      await transitionBooking(tx, booking, BookingStatus.REFUNDED, {
+        reason: "Payment fully refunded",
+        metadata: { source: "webhook", eventId: event.id },
+      });
+    }
+    return updated;
+  }
+
+  async applyVoided(tx, payment, event) {
+    const updated = await tx.payment.update({
+      where: { id: payment.id },
+      data: { status: PaymentStatus.VOIDED, processedAt: new Date() },
+    });
+
+    await this.cancelPendingBooking(
+      tx,
+      payment.bookingId,
+      "Payment authorization voided",
+      event
+    );
+    return updated;
+  }
+
+  // Cancel a booking still waiting on payment and give its dates back
+  async cancelPendingBooking(tx, bookingId, reason, event) {
+    const booking = await tx.booking.findUnique({ where: { id: bookingId } });
+    if (booking?.status !== BookingStatus.PENDING) return;
+
+    await transitionBooking(tx, booking, BookingStatus.CANCELLED, {
+      reason,
+      data: { cancellationReason: reason, cancellationDate: new Date() },
+      metadata: { source: "webhook", eventId: event.id },
+    });
+    await BookingService.releaseAvailabilitySlots(
+      tx,
+      booking.propertyId,
+      booking.id,
+      booking.startDate,
+      booking.endDate
+    );
+
+    logger.info(`Booking ${bookingId} cancelled: ${reason}`);
+  }
+}
+
+export default new PaymentWebhookService();
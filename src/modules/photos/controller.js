@@ -0,0 +1,135 @@
+import PropertyPhotoService from "./service.js";
+
+class PropertyPhotoController {
+  /**
+   * @desc    List a property's photos in display order
+   * @route   GET /api/properties/:propertyId/photos
+   * @access  Public
+   */
+  async listPhotos(req, res, next) {
+    try {
+      const photos = await PropertyPhotoService.listPhotos(
+        req.params.propertyId
+      );
+
+      res.status(200).json({ success: true, data: photos });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Upload photos (multipart field "photos", optional "captions")
+   * @route   POST /api/properties/:propertyId/photos
+   * @access  Private (property owner, admin)
+   */
+  async uploadPhotos(req, res, next) {
+    try {
+      const photos = await PropertyPhotoService.uploadPhotos(
+        req.params.propertyId,
+        req.user,
+        req.files,
+        req.body.captions
+      );
+
+      res.status(201).json({
+        success: true,
+        data: photos,
+        message: "Photos uploaded",
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Reorder a property's photos
+   * @route   PUT /api/properties/:propertyId/photos/order
+   * @access  Private (property owner, admin)
+   */
+  async reorderPhotos(req, res, next) {
+    try {
+      const photos = await PropertyPhotoService.reorderPhotos(
+        req.params.propertyId,
+        req.user,
+        req.body.photoIds
+      );
+
+      res.status(200).json({
+        success: true,
+        data: photos,
+        message: "Photos reordered",
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Set a photo's caption
+   * @route   PATCH /api/properties/:propertyId/photos/:photoId
+   * @access  Private (property owner, admin)
+   */
+  async updateCaption(req, res, next) {
+    try {
+      const photo = await PropertyPhotoService.updateCaption(
+        req.params.propertyId,
+        req.params.photoId,
+        req.user,
+        req.body
+      );
+
+      res.status(200).json({
+        success: true,
+        data: photo,
+        message: "Caption updated",
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Make a photo the property's cover
+   * @route   PUT /api/properties/:propertyId/photos/:photoId/cover
+   * @access  Private (property owner, admin)
+   */
+  async setCover(req, res, next) {
+    try {
+      const photos = await PropertyPhotoService.setCover(
+        req.params.propertyId,
+        req.params.photoId,
+        req.user
+      );
+
+      res.status(200).json({
+        success: true,
+        data: photos,
+        message: "Cover photo set",
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Delete a photo
+   * @route   DELETE /api/properties/:propertyId/photos/:photoId
+   * @access  Private (property owner, admin)
+   */
+  async deletePhoto(req, res, next) {
+    try {
+      await PropertyPhotoService.deletePhoto(
+        req.params.propertyId,
+        req.params.photoId,
+        req.user
+      );
+
+      res.status(200).json({ success: true, message: "Photo deleted" });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+export default new PropertyPhotoController();
@@ -0,0 +1,36 @@
+import express from "express";
+import PropertyPhotoController from "./controller.js";
+import { authenticateUser } from "../../middlewares/authentication.js";
+import { uploadPropertyPhotos } from "../../middlewares/upload.js";
+import validateRequest from "../../middlewares/validate.js";
+import {
+  captionSchema,
+  reorderPhotosSchema,
+  uploadPhotosSchema,
+} from "./schemas.js";
+
+// Mounted under /properties/:propertyId/photos
+const router = express.Router({ mergeParams: true });
+
+router.get("/", PropertyPhotoController.listPhotos);
+
+router.use(authenticateUser());
+
+router.post(
+  "/",
+  uploadPropertyPhotos,
+  validateRequest(uploadPhotosSchema),
+  PropertyPhotoController.uploadPhotos
+);
+router.put(
+  "/order",
+  validateRequest(reorderPhotosSchema),
+  PropertyPhotoController.reorderPhotos
+);
+router
+  .route("/:photoId")
+  .patch(validateRequest(captionSchema), PropertyPhotoController.updateCaption)
+  .delete(PropertyPhotoController.deletePhoto);
+router.put("/:photoId/cover", PropertyPhotoController.setCover);
+
+export default router;
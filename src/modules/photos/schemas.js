@@ -0,0 +1,21 @@
+// photos/schemas.js
+import Joi from "joi";
+
+const caption = Joi.string().trim().max(300).allow("", null);
+
+// Text fields sent alongside the multipart files
+export const uploadPhotosSchema = Joi.object({
+  captions: Joi.array().items(caption).single().default([]),
+});
+
+export const captionSchema = Joi.object({
+  caption: caption.required(),
+});
+
+export const reorderPhotosSchema = Joi.object({
+  photoIds: Joi.array()
+    .items(Joi.string().guid({ version: "uuidv4" }))
+    .unique()
+    .min(1)
+    .required(),
+});
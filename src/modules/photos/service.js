@@ -0,0 +1,429 @@
+// photos/service.js
+import { randomUUID } from "crypto";
+import sharp from "sharp";
+import prisma from "../../config/database.js";
+import logger from "../../config/logger.js";
+import config from "../../config/env.js";
+import redis from "../../config/redis.js";
+import SearchIndexService, { ReindexReason } from "../search/service.js";
+import ModerationService from "../moderation/service.js";
+import { getStorage } from "../../utils/storage.js";
+import pkg from "@prisma/client";
+import {
+  BadRequestError,
+  ForbiddenError,
+  NotFoundError,
+} from "../../utils/apiError.js";
+import { isAdmin } from "../../utils/roleUtils.js";
+const { PropertyStatus } = pkg;
+
+const ACCEPTED_FORMATS = ["jpeg", "png", "webp"];
+// Refuse decompression bombs before resizing
+const MAX_INPUT_PIXELS = 100_000_000;
+const EXTERNAL_DRIVER = "external";
+
+// Generated for every upload, all re-encoded as WebP without metadata
+const VARIANTS = {
+  large: { width: 2048, height: 2048, fit: "inside" },
+  medium: { width: 1024, height: 1024, fit: "inside" },
+  thumbnail: { width: 400, height: 300, fit: "cover" },
+};
+
+class PropertyPhotoService {
+  /**
+   * A property's photos in display order
+   * @param {string} propertyId
+   */
+  async listPhotos(propertyId) {
+    const property = await prisma.property.findUnique({
+      where: { id: propertyId },
+      select: { id: true, ownerId: true, photos: true },
+    });
+    if (!property) throw new NotFoundError("Property not found");
+
+    await this.importLegacyPhotos(property);
+    return this.findPhotos(propertyId);
+  }
+
+  /**
+   * Store uploaded photos with their variants and append them to the
+   * listing. The first photo a listing gets becomes its cover.
+   * @param {string} propertyId
+   * @param {Object} user - Authenticated owner or admin
+   * @param {Array<Object>} files - Multer files
+   * @param {string[]} [captions] - Captions in the same order as the files
+   * @throws {BadRequestError} When a file isn't a readable image or the
+   *   listing would go over photos.maxPerProperty
+   */
+  async uploadPhotos(propertyId, user, files = [], captions = []) {
+    if (!files.length) throw new BadRequestError("No photos uploaded");
+    const property = await this.assertCanManage(propertyId, user);
+    await this.importLegacyPhotos(property);
+
+    const maxPerProperty = config.get("photos.maxPerProperty");
+    const existing = await prisma.propertyPhoto.count({
+      where: { propertyId },
+    });
+    if (existing + files.length > maxPerProperty) {
+      throw new BadRequestError(
+        `A listing can have at most ${maxPerProperty} photos`
+      );
+    }
+
+    // Validate every file before storing any of them
+    const images = await Promise.all(files.map((file) => this.readImage(file)));
+
+    const storage = getStorage();
+    const stored = [];
+    try {
+      for (const [index, image] of images.entries()) {
+        stored.push({
+          ...(await this.storeVariants(storage, propertyId, image)),
+          caption: captions[index] || null,
+        });
+      }
+
+      await prisma.$transaction(async (tx) => {
+        const last = await tx.propertyPhoto.findFirst({
+          where: { propertyId },
+          orderBy: { position: "desc" },
+          select: { position: true },
+        });
+        const hasCover = await tx.propertyPhoto.count({
+          where: { propertyId, isCover: true },
+        });
+
+        await tx.propertyPhoto.createMany({
+          data: stored.map((photo, index) => ({
+            ...photo,
+            propertyId,
+            position: (last?.position ?? -1) + 1 + index,
+            isCover: !hasCover && index === 0,
+          })),
+        });
+        await this.syncListing(tx, propertyId, user);
+      });
+    } catch (error) {
+      await this.removeFiles(stored);
+      throw error;
+    }
+
+    await this.afterChange(propertyId);
+    logger.info(`${stored.length} photos uploaded to property ${propertyId}`);
+    return this.findPhotos(propertyId);
+  }
+
+  async updateCaption(propertyId, photoId, user, { caption }) {
+    await this.assertCanManage(propertyId, user);
+    await this.findPhoto(propertyId, photoId);
+
+    const photo = await prisma.propertyPhoto.update({
+      where: { id: photoId },
+      data: { caption: caption || null },
+    });
+    await this.afterChange(propertyId);
+    return photo;
+  }
+
+  /**
+   * Make a photo the listing's cover; it leads Property.photos and the
+   * search index
+   */
+  async setCover(propertyId, photoId, user) {
+    await this.assertCanManage(propertyId, user);
+    await this.findPhoto(propertyId, photoId);
+
+    await prisma.$transaction(async (tx) => {
+      await tx.propertyPhoto.updateMany({
+        where: { propertyId, isCover: true },
+        data: { isCover: false },
+      });
+      await tx.propertyPhoto.update({
+        where: { id: photoId },
+        data: { isCover: true },
+      });
+      await this.syncListing(tx, propertyId, user);
+    });
+
+    await this.afterChange(propertyId);
+    return this.findPhotos(propertyId);
+  }
+
+  /**
+   * Put the listing's photos in the given order
+   * @param {string[]} photoIds - Every photo of the listing, once each
+   */
+  async reorderPhotos(propertyId, user, photoIds) {
+    const property = await this.assertCanManage(propertyId, user);
+    await this.importLegacyPhotos(property);
+
+    const photos = await prisma.propertyPhoto.findMany({
+      where: { propertyId },
+      select: { id: true },
+    });
+    const known = new Set(photos.map((photo) => photo.id));
+    if (
+      photoIds.length !== known.size ||
+      new Set(photoIds).size !== photoIds.length ||
+      !photoIds.every((id) => known.has(id))
+    ) {
+      throw new BadRequestError(
+        "photoIds must list every photo of the property exactly once"
+      );
+    }
+
+    await prisma.$transaction(async (tx) => {
+      for (const [position, id] of photoIds.entries()) {
+        await tx.propertyPhoto.update({ where: { id }, data: { position } });
+      }
+      await this.syncListing(tx, propertyId, user);
+    });
+
+    await this.afterChange(propertyId);
+    return this.findPhotos(propertyId);
+  }
+
+  /**
+   * Delete a photo and its files. Deleting the cover passes it to the
+   * next photo in order. A photo the live listing still shows keeps its
+   * files until the revision removing it is reviewed.
+   */
+  async deletePhoto(propertyId, photoId, user) {
+    const property = await this.assertCanManage(propertyId, user);
+    const photo = await this.findPhoto(propertyId, photoId);
+    const isLive =
+      property.status === PropertyStatus.APPROVED &&
+      property.photos.includes(photo.url);
+
+    await prisma.$transaction(async (tx) => {
+      await tx.propertyPhoto.delete({ where: { id: photoId } });
+
+      const remaining = await tx.propertyPhoto.findMany({
+        where: { propertyId },
+        orderBy: { position: "asc" },
+        select: { id: true, position: true },
+      });
+      for (const [position, { id }] of remaining.entries()) {
+        await tx.propertyPhoto.update({
+          where: { id },
+          data: {
+            position,
+            ...(photo.isCover && position === 0 && { isCover: true }),
+          },
+        });
+      }
+      await this.syncListing(tx, propertyId, user, {
+        removedPhotos: isLive ? [photo] : [],
+      });
+    });
+
+    if (!isLive) await this.removeFiles([photo]);
+    await this.afterChange(propertyId);
+    logger.info(`Photo ${photoId} deleted from property ${propertyId}`);
+  }
+
+  // --- Helper Methods ---
+
+  async assertCanManage(propertyId, user) {
+    const property = await prisma.property.findUnique({
+      where: { id: propertyId },
+      select: { id: true, ownerId: true, status: true, photos: true },
+    });
+
+    if (!property) throw new NotFoundError("Property not found");
+    if (property.ownerId !== user.id && !isAdmin(user)) {
+      throw new ForbiddenError("Not authorized to manage this property");
+    }
+    return property;
+  }
+
+  async findPhoto(propertyId, photoId) {
+    const photo = await prisma.propertyPhoto.findFirst({
+      where: { id: photoId, propertyId },
+    });
+    if (!photo) throw new NotFoundError("Photo not found");
+    return photo;
+  }
+
+  findPhotos(propertyId) {
+    return prisma.propertyPhoto.findMany({
+      where: { propertyId },
+      orderBy: { position: "asc" },
+    });
+  }
+
+  /**
+   * Listings created before uploads existed carry bare URLs in
+   * Property.photos; they become photo rows, without variants, the first
+   * time the listing's photos are managed
+   */
+  async importLegacyPhotos(property) {
+    if (!property.photos.length) return;
+    const count = await prisma.propertyPhoto.count({
+      where: { propertyId: property.id },
+    });
+    if (count > 0) return;
+
+    await prisma.propertyPhoto.createMany({
+      data: property.photos.map((url, position) => ({
+        propertyId: property.id,
+        driver: EXTERNAL_DRIVER,
+        url,
+        mediumUrl: url,
+        thumbnailUrl: url,
+        position,
+        isCover: position === 0,
+      })),
+    });
+  }
+
+  // Decode the upload to check it really is an accepted image
+  async readImage(file) {
+    try {
+      const image = sharp(file.buffer, { limitInputPixels: MAX_INPUT_PIXELS });
+      const { format, width, height } = await image.metadata();
+      if (
+        ACCEPTED_FORMATS.includes(format) &&
+        width * height <= MAX_INPUT_PIXELS
+      ) {
+        return image;
+      }
+    } catch (error) {
+      logger.warn(`Unreadable photo upload: ${error.message}`);
+    }
+    throw new BadRequestError(
+      `${file.originalname} is not a valid JPEG, PNG or WebP image`
+    );
+  }
+
+  // Resize, strip metadata and store every variant of one image
+  async storeVariants(storage, propertyId, image) {
+    const storageKey = `properties/${propertyId}/${randomUUID()}`;
+    const urls = {};
+    let large;
+
+    for (const [name, { width, height, fit }] of Object.entries(VARIANTS)) {
+      const { data, info } = await image
+        .clone()
+        .rotate() // Apply the EXIF orientation before it's stripped
+        .resize({ width, height, fit, withoutEnlargement: true })
+        .webp({ quality: 82 })
+        .toBuffer({ resolveWithObject: true });
+
+      const { url } = await storage.put(`${storageKey}/${name}`, data, {
+        format: "webp",
+      });
+      urls[name] = url;
+      if (name === "large") large = info;
+    }
+
+    return {
+      driver: storage.name,
+      storageKey,
+      url: urls.large,
+      mediumUrl: urls.medium,
+      thumbnailUrl: urls.thumbnail,
+      width: large.width,
+      height: large.height,
+      sizeBytes: large.size,
+    };
+  }
+
+  /**
+   * Bring the photo rows back in line with the live listing after its
+   * pending revision is rejected: photos uploaded for the revision are
+   * deleted, deleted live photos come back, and the live order and cover
+   * are restored
+   * @param {string} propertyId
+   * @param {Array<Object>} [removedPhotos] - Rows recorded on the revision
+   */
+  async restorePublished(propertyId, removedPhotos = []) {
+    const { photos: live } = await prisma.property.findUnique({
+      where: { id: propertyId },
+      select: { photos: true },
+    });
+    const unpublished = await prisma.propertyPhoto.findMany({
+      where: { propertyId, url: { notIn: live } },
+    });
+
+    await prisma.$transaction(async (tx) => {
+      await tx.propertyPhoto.deleteMany({
+        where: { id: { in: unpublished.map((photo) => photo.id) } },
+      });
+      await tx.propertyPhoto.createMany({
+        data: removedPhotos
+          .filter((photo) => live.includes(photo.url))
+          .map(({ createdAt, updatedAt, ...photo }) => photo),
+        skipDuplicates: true,
+      });
+
+      const photos = await tx.propertyPhoto.findMany({
+        where: { propertyId },
+        select: { id: true, url: true },
+      });
+      for (const { id, url } of photos) {
+        const position = live.indexOf(url);
+        await tx.propertyPhoto.update({
+          where: { id },
+          data: { position, isCover: position === 0 },
+        });
+      }
+    });
+
+    await this.removeFiles(unpublished);
+    await this.afterChange(propertyId);
+  }
+
+  // Best effort: orphaned files are harmless, so failures are only logged
+  async removeFiles(photos) {
+    for (const photo of photos) {
+      if (!photo.storageKey || photo.driver === EXTERNAL_DRIVER) continue;
+      try {
+        await getStorage(photo.driver).remove(photo.storageKey);
+      } catch (error) {
+        logger.warn(`Failed to remove photo files ${photo.storageKey}`, {
+          error: error.message,
+        });
+      }
+    }
+  }
+
+  // Mirror the photo order into Property.photos, cover first, and queue a
+  // search reindex in the same transaction. An approved listing keeps its
+  // live photos; the new order goes into its pending revision for review.
+  async syncListing(tx, propertyId, user, { removedPhotos = [] } = {}) {
+    const photos = await tx.propertyPhoto.findMany({
+      where: { propertyId },
+      orderBy: [{ isCover: "desc" }, { position: "asc" }],
+      select: { url: true },
+    });
+    const { status } = await tx.property.findUnique({
+      where: { id: propertyId },
+      select: { status: true },
+    });
+
+    if (status === PropertyStatus.APPROVED) {
+      await ModerationService.stageRevision(tx, propertyId, user.id, {
+        photos: photos.map((photo) => photo.url),
+        removedPhotos,
+      });
+      return;
+    }
+
+    await tx.property.update({
+      where: { id: propertyId },
+      data: { photos: photos.map((photo) => photo.url) },
+    });
+    await SearchIndexService.enqueue(
+      tx,
+      propertyId,
+      ReindexReason.PHOTOS_CHANGED
+    );
+  }
+
+  async afterChange(propertyId) {
+    await redis.del(`property:${propertyId}`);
+  }
+}
+
+export default new PropertyPhotoService();
@@ -0,0 +1,89 @@
+import PricingRuleService from "./service.js";
+
+class PricingRuleController {
+  /**
+   * @desc    List a property's pricing rules
+   * @route   GET /api/properties/:propertyId/pricing-rules
+   * @access  Private (property owner, admin)
+   */
+  async listRules(req, res, next) {
+    try {
+      const rules = await PricingRuleService.listRules(
+        req.params.propertyId,
+        req.user
+      );
+
+      res.status(200).json({ success: true, data: rules });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Create a pricing rule
+   * @route   POST /api/properties/:propertyId/pricing-rules
+   * @access  Private (property owner, admin)
+   */
+  async createRule(req, res, next) {
+    try {
+      const rule = await PricingRuleService.createRule(
+        req.params.propertyId,
+        req.user,
+        req.body
+      );
+
+      res.status(201).json({
+        success: true,
+        data: rule,
+        message: "Pricing rule created",
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Update a pricing rule
+   * @route   PATCH /api/properties/:propertyId/pricing-rules/:ruleId
+   * @access  Private (property owner, admin)
+   */
+  async updateRule(req, res, next) {
+    try {
+      const rule = await PricingRuleService.updateRule(
+        req.params.propertyId,
+        req.params.ruleId,
+        req.user,
+        req.body
+      );
+
+      res.status(200).json({
+        success: true,
+        data: rule,
+        message: "Pricing rule updated",
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Delete a pricing rule
+   * @route   DELETE /api/properties/:propertyId/pricing-rules/:ruleId
+   * @access  Private (property owner, admin)
+   */
+  async deleteRule(req, res, next) {
+    try {
+      await PricingRuleService.deleteRule(
+        req.params.propertyId,
+        req.params.ruleId,
+        req.user
+      );
+
+      res.status(200).json({ success: true, message: "Pricing rule deleted" });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+export default new PricingRuleController();
@@ -0,0 +1,28 @@
+import express from "express";
+import PricingRuleController from "./controller.js";
+import { authenticateUser } from "../../middlewares/authentication.js";
+import validateRequest from "../../middlewares/validate.js";
+import { createPricingRuleSchema, updatePricingRuleSchema } from "./schemas.js";
+
+// Mounted under /properties/:propertyId/pricing-rules
+const router = express.Router({ mergeParams: true });
+
+router.use(authenticateUser());
+
+router
+  .route("/")
+  .get(PricingRuleController.listRules)
+  .post(
+    validateRequest(createPricingRuleSchema),
+    PricingRuleController.createRule
+  );
+
+router
+  .route("/:ruleId")
+  .patch(
+    validateRequest(updatePricingRuleSchema),
+    PricingRuleController.updateRule
+  )
+  .delete(PricingRuleController.deleteRule);
+
+export default router;
@@ -0,0 +1,78 @@
+// pricing/schemas.js
+import Joi from "joi";
+
+const RULE_TYPES = [
+  "SEASON",
+  "WEEKDAY",
+  "LENGTH_OF_STAY",
+  "LAST_MINUTE",
+  "EARLY_BIRD",
+  "PRICE_BOUNDS",
+];
+
+const ruleFields = {
+  name: Joi.string().trim().max(100).allow(null, ""),
+  adjustmentType: Joi.string().valid("PERCENTAGE", "FIXED"),
+  adjustmentValue: Joi.number().min(-100000).max(100000),
+  startDate: Joi.date().iso().allow(null),
+  endDate: Joi.date().iso().min(Joi.ref("startDate")).allow(null).messages({
+    "date.min": "End date must be on or after start date",
+  }),
+  weekdays: Joi.array()
+    .items(Joi.number().integer().min(1).max(7))
+    .unique()
+    .messages({ "number.min": "Weekdays use 1 (Monday) to 7 (Sunday)" }),
+  minNights: Joi.number().integer().min(1).allow(null),
+  daysBeforeCheckIn: Joi.number().integer().min(0).allow(null),
+  minPrice: Joi.number().min(0).allow(null),
+  maxPrice: Joi.number().min(Joi.ref("minPrice")).allow(null).messages({
+    "number.min": "Maximum price must not be below the minimum price",
+  }),
+  priority: Joi.number().integer().min(0).max(1000),
+  isActive: Joi.boolean(),
+};
+
+/**
+ * Create schema: each rule type requires the fields it is evaluated on
+ */
+export const createPricingRuleSchema = Joi.object({
+  type: Joi.string()
+    .valid(...RULE_TYPES)
+    .required(),
+  ...ruleFields,
+  adjustmentType: ruleFields.adjustmentType.default("PERCENTAGE"),
+  adjustmentValue: ruleFields.adjustmentValue.when("type", {
+    is: "PRICE_BOUNDS",
+    then: Joi.forbidden(),
+    otherwise: Joi.required(),
+  }),
+  startDate: ruleFields.startDate.when("type", {
+    is: "SEASON",
+    then: Joi.required(),
+  }),
+  endDate: ruleFields.endDate.when("type", {
+    is: "SEASON",
+    then: Joi.required(),
+  }),
+  weekdays: ruleFields.weekdays.when("type", {
+    is: "WEEKDAY",
+    then: Joi.array().min(1).required(),
+  }),
+  minNights: ruleFields.minNights.when("type", {
+    is: "LENGTH_OF_STAY",
+    then: Joi.required(),
+  }),
+  daysBeforeCheckIn: ruleFields.daysBeforeCheckIn.when("type", {
+    is: Joi.valid("LAST_MINUTE", "EARLY_BIRD"),
+    then: Joi.required(),
+  }),
+})
+  .when(Joi.object({ type: Joi.valid("PRICE_BOUNDS") }).unknown(), {
+    then: Joi.object().or("minPrice", "maxPrice"),
+  })
+  .options({ stripUnknown: true });
+
+// The rule type is fixed once created; type-specific checks run in the service
+export const updatePricingRuleSchema = Joi.object(ruleFields)
+  .min(1)
+  .options({ stripUnknown: true });
@@ -0,0 +1,127 @@
+// pricing/service.js
+import prisma from "../../config/database.js";
+import logger from "../../config/logger.js";
+import pkg from "@prisma/client";
+import {
+  ForbiddenError,
+  NotFoundError,
+  ValidationError,
+} from "../../utils/apiError.js";
+import { isAdmin } from "../../utils/roleUtils.js";
+const { PricingRuleType } = pkg;
+
+// Columns each rule type must carry after an update
+const REQUIRED_FIELDS = {
+  [PricingRuleType.SEASON]: ["startDate", "endDate"],
+  [PricingRuleType.WEEKDAY]: ["weekdays"],
+  [PricingRuleType.LENGTH_OF_STAY]: ["minNights"],
+  [PricingRuleType.LAST_MINUTE]: ["daysBeforeCheckIn"],
+  [PricingRuleType.EARLY_BIRD]: ["daysBeforeCheckIn"],
+  [PricingRuleType.PRICE_BOUNDS]: [],
+};
+
+class PricingRuleService {
+  /**
+   * List a property's pricing rules in evaluation order
+   * @param {string} propertyId
+   * @param {Object} user - Authenticated owner or admin
+   */
+  async listRules(propertyId, user) {
+    await this.assertCanManage(propertyId, user);
+
+    return prisma.pricingRule.findMany({
+      where: { propertyId },
+      orderBy: [{ priority: "asc" }, { createdAt: "asc" }],
+    });
+  }
+
+  /**
+   * Add a pricing rule to a property
+   * @param {string} propertyId
+   * @param {Object} user - Authenticated owner or admin
+   * @param {Object} data - Validated by createPricingRuleSchema
+   */
+  async createRule(propertyId, user, data) {
+    await this.assertCanManage(propertyId, user);
+
+    const rule = await prisma.pricingRule.create({
+      data: { ...data, propertyId },
+    });
+
+    logger.info(
+      `Pricing rule ${rule.id} (${rule.type}) created for property ${propertyId}`
+    );
+    return rule;
+  }
+
+  /**
+   * Update a pricing rule; the resulting rule must still be complete
+   * @param {string} propertyId
+   * @param {string} ruleId
+   * @param {Object} user - Authenticated owner or admin
+   * @param {Object} data - Validated by updatePricingRuleSchema
+   */
+  async updateRule(propertyId, ruleId, user, data) {
+    await this.assertCanManage(propertyId, user);
+    const existing = await this.findRule(propertyId, ruleId);
+
+    const merged = { ...existing, ...data };
+    const missing = REQUIRED_FIELDS[existing.type].filter((field) =>
+      Array.isArray(merged[field])
+        ? !merged[field].length
+        : merged[field] == null
+    );
+    if (missing.length) {
+      throw new ValidationError(
+        `${existing.type} rules require: ${missing.join(", ")}`
+      );
+    }
+    if (
+      merged.startDate &&
+      merged.endDate &&
+      new Date(merged.endDate) < new Date(merged.startDate)
+    ) {
+      throw new ValidationError("End date must be on or after start date");
+    }
+
+    return prisma.pricingRule.update({ where: { id: ruleId }, data });
+  }
+
+  /**
+   * Remove a pricing rule
+   * @param {string} propertyId
+   * @param {string} ruleId
+   * @param {Object} user - Authenticated owner or admin
+   */
+  async deleteRule(propertyId, ruleId, user) {
+    await this.assertCanManage(propertyId, user);
+    await this.findRule(propertyId, ruleId);
+
+    await prisma.pricingRule.delete({ where: { id: ruleId } });
+    logger.info(`Pricing rule ${ruleId} deleted from property ${propertyId}`);
+  }
+
+  // --- Helper Methods ---
+
+  async assertCanManage(propertyId, user) {
+    const property = await prisma.property.findUnique({
+      where: { id: propertyId },
+      select: { ownerId: true },
+    });
+
+    if (!property) throw new NotFoundError("Property not found");
+    if (property.ownerId !== user.id && !isAdmin(user)) {
+      throw new ForbiddenError("Not authorized to manage this property");
+    }
+  }
+
+  async findRule(propertyId, ruleId) {
+    const rule = await prisma.pricingRule.findFirst({
+      where: { id: ruleId, propertyId },
+    });
+    if (!rule) throw new NotFoundError("Pricing rule not found");
+    return rule;
+  }
+}
+
+export default new PricingRuleService();
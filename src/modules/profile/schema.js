@@ -69,6 +69,15 @@ export const profileSchema = Joi.object({
 
   postalCode: Joi.string().max(20).allow(null, ""),
 
+  preferredCurrency: Joi.string()
+    .uppercase()
+    .length(3)
+    .pattern(/^[A-Z]{3}$/)
+    .allow(null)
+    .messages({
+      "string.pattern.base": "Preferred currency must be an ISO 4217 code",
+    }),
+
   // timeZone: Joi.string()
   //   .valid(...timezones)
   //   .messages({
@@ -0,0 +1,190 @@
+// properties/completeness.js
+import prisma from "../../config/database.js";
+import config from "../../config/env.js";
+import { NotFoundError } from "../../utils/apiError.js";
+
+// Meters per degree of latitude, near enough for judging pin precision
+const METERS_PER_DEGREE = 111320;
+
+const filled = (value) =>
+  value !== null && value !== undefined && String(value).trim() !== "";
+
+/**
+ * How precisely the listing's pin is placed, in meters: the reported
+ * accuracy when the client sent one, otherwise what the coordinates'
+ * decimal places can resolve
+ * @param {Object|null} location - Property.location
+ * @returns {number|null}
+ */
+export const pinPrecisionMeters = (location) => {
+  if (typeof location?.plusAccuracy === "number") return location.plusAccuracy;
+  if (!Array.isArray(location?.coordinates)) return null;
+
+  const decimals = Math.min(
+    ...location.coordinates.map(
+      (value) => (String(value).split(".")[1] ?? "").length
+    )
+  );
+  return METERS_PER_DEGREE / 10 ** decimals;
+};
+
+/**
+ * Checklist items in display order. Required items gate submission;
+ * weights add up to 100 and make up the score.
+ */
+const CHECKS = [
+  {
+    key: "basics",
+    label: "Title, listing type, price and guest capacity",
+    required: true,
+    weight: 15,
+    check: (property) => ({
+      passed:
+        filled(property.title) &&
+        filled(property.listingType) &&
+        Number(property.basePrice) > 0 &&
+        property.maxGuests > 0,
+    }),
+  },
+  {
+    key: "address",
+    label: "Full address",
+    required: true,
+    weight: 10,
+    check: (property) => ({
+      passed: ["address", "city", "state", "country", "postalCode"].every(
+        (field) => filled(property[field])
+      ),
+    }),
+  },
+  {
+    key: "location",
+    label: "Precise map location",
+    required: true,
+    weight: 10,
+    check: (property, limits) => {
+      const precision = pinPrecisionMeters(property.location);
+      return {
+        passed:
+          precision !== null && precision <= limits.locationPrecisionMeters,
+        detail:
+          precision === null
+            ? "No map location"
+            : `Accurate to about ${Math.round(precision)} m`,
+      };
+    },
+  },
+  {
+    key: "photos",
+    label: "Photos",
+    required: true,
+    weight: 20,
+    check: (property, limits) => ({
+      passed: property.photos.length >= limits.minPhotos,
+      detail: `${property.photos.length} of ${limits.minPhotos} photos`,
+    }),
+  },
+  {
+    key: "description",
+    label: "Description",
+    required: true,
+    weight: 15,
+    check: (property, limits) => {
+      const length = property.description?.trim().length ?? 0;
+      return {
+        passed: length >= limits.minDescriptionLength,
+        detail: `${length} of ${limits.minDescriptionLength} characters`,
+      };
+    },
+  },
+  {
+    key: "amenities",
+    label: "Amenities",
+    required: false,
+    weight: 10,
+    check: (property, limits) => ({
+      passed: property.amenities.length >= limits.minAmenities,
+      detail: `${property.amenities.length} of ${limits.minAmenities} amenities`,
+    }),
+  },
+  {
+    key: "roomSpecs",
+    label: "Room details",
+    required: false,
+    weight: 10,
+    check: (property) => ({ passed: property.roomSpecs.length > 0 }),
+  },
+  {
+    key: "houseRules",
+    label: "House rules",
+    required: false,
+    weight: 5,
+    check: (property) => ({
+      passed:
+        property.houseRules !== null &&
+        typeof property.houseRules === "object" &&
+        Object.keys(property.houseRules).length > 0,
+    }),
+  },
+  {
+    key: "cancellationPolicy",
+    label: "Cancellation policy",
+    required: false,
+    weight: 5,
+    // Custom policies only count once their refund windows are set
+    check: (property) => ({
+      passed:
+        filled(property.cancellationPolicy) &&
+        (property.cancellationPolicy !== "CUSTOM" ||
+          property.cancellationPolicyTerms?.windows?.length > 0),
+    }),
+  },
+];
+
+/**
+ * Score a listing against the checklist
+ * @param {Object} property - With amenities and roomSpecs
+ * @returns {{score: number, ready: boolean, missing: string[], checklist: Array}}
+ *   `ready` when every required item passes; `missing` lists the labels of
+ *   the required items that don't
+ */
+export const assessCompleteness = (property) => {
+  const limits = config.get("listings");
+  const checklist = CHECKS.map(({ key, label, required, weight, check }) => ({
+    key,
+    label,
+    required,
+    weight,
+    detail: null,
+    ...check(property, limits),
+  }));
+  const missing = checklist.filter((item) => item.required && !item.passed);
+
+  return {
+    score: checklist.reduce(
+      (score, item) => score + (item.passed ? item.weight : 0),
+      0
+    ),
+    ready: missing.length === 0,
+    missing: missing.map((item) => item.label),
+    checklist,
+  };
+};
+
+/**
+ * Load a listing and score it
+ * @param {string} propertyId
+ * @throws {NotFoundError}
+ */
+export const getListingCompleteness = async (propertyId) => {
+  const property = await prisma.property.findFirst({
+    where: { id: propertyId, deletedAt: null },
+    include: {
+      amenities: { select: { id: true } },
+      roomSpecs: { select: { id: true } },
+    },
+  });
+  if (!property) throw new NotFoundError("Property not found");
+
+  return { property, completeness: assessCompleteness(property) };
+};
@@ -1,10 +1,14 @@
 // properties/controller.js
 import { PropertyService } from "./service.js";
+import { getSuggestions } from "../search/suggestions.js";
+import RecommendationService from "../recommendations/service.js";
+import ModerationService from "../moderation/service.js";
 import {
-  propertySchema,
+  draftPropertySchema,
   validateWithJoi,
   searchParamsSchema,
   suggestionsSchema,
+  autocompleteSchema,
   reindexSchema,
 } from "./schema.js";
 
@@ -16,6 +20,7 @@ import {
   NotFoundError,
   ValidationError,
 } from "../../utils/apiError.js";
+import { isAdmin } from "../../utils/roleUtils.js";
 import { logger } from "../../config/logger.js";
 import Joi from "joi";
 import prisma from "../../config/database.js";
@@ -26,9 +31,10 @@ export class PropertyController {
       if (!req.user?.id) {
         throw new AuthError("Authentication required");
       }
-      // 2. Validate input with reusable Joi validator
+      // 2. Validate input with reusable Joi validator; the listing starts
+      // as a draft, so only what was sent is checked
       const { error, value: validatedData } = validateWithJoi(
-        propertySchema,
+        draftPropertySchema,
         req.body
       );
 
@@ -106,9 +112,32 @@ export class PropertyController {
   static async getProperty(req, res) {
     try {
       const property = await PropertyService.getProperty(req.params.id);
+      const isPublic = property?.status === "APPROVED";
+
+      // Drafts and listings under review are only shown to their owner and
+      // admins; everyone else gets the same 404 as a missing listing
+      if (
+        property &&
+        !isPublic &&
+        property.ownerId !== req.user?.id &&
+        !isAdmin(req.user)
+      ) {
+        throw new NotFoundError("Property not found");
+      }
+
+      if (req.user && property && property.ownerId !== req.user.id) {
+        // History is best-effort; it never fails the page
+        RecommendationService.recordView(req.user.id, property.id).catch(
+          (error) =>
+            logger.warn(`Failed to record property view: ${error.message}`)
+        );
+      }
 
       res
-        .set("Cache-Control", "public, max-age=3600")
+        .set(
+          "Cache-Control",
+          isPublic ? "public, max-age=3600" : "private, no-store"
+        )
         .json(property || { error: "Not found" });
     } catch (error) {
       res.status(error.statusCode || 500).json({
@@ -116,6 +145,24 @@ export class PropertyController {
       });
     }
   }
+  // Owner's checklist of what a listing still needs before review
+  static async getCompleteness(req, res) {
+    try {
+      const completeness = await PropertyService.getCompleteness(
+        req.params.id,
+        req.user
+      );
+      res.json({
+        status: "success",
+        data: completeness,
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        error: error.message || "Failed to check listing completeness",
+      });
+    }
+  }
+
   static async listApprovedProperties(req, res) {
     try {
       const { page = 1, limit = 10 } = await Joi.object({
@@ -137,36 +184,44 @@ export class PropertyController {
     }
   }
 
-  // Admin approves a property (status -> APPROVED)
+  // Admin approves a property (status -> APPROVED); kept for older
+  // clients, see the moderation routes
   static async approveProperty(req, res) {
     try {
       const propertyId = req.params.id;
-      // Only allow status change to APPROVED
-      const property = await PropertyService.updatePropertyStatus(propertyId, "APPROVED");
+      const moderation = await ModerationService.approve(
+        propertyId,
+        req.user,
+        { reason: req.body?.reason }
+      );
       res.json({
         status: "success",
-        data: property,
+        data: moderation,
         message: "Property approved and indexed",
       });
     } catch (error) {
-      res.status(500).json({
+      res.status(error.statusCode || 500).json({
         error: "Approval failed",
         details: error.message,
       });
     }
   }
 
-  // Admin rejects a property (delete it)
+  // Admin rejects a property (status -> REJECTED); kept for older
+  // clients, see the moderation routes
   static async rejectProperty(req, res) {
     try {
       const propertyId = req.params.id;
-      await PropertyService.deleteProperty(propertyId);
+      const moderation = await ModerationService.reject(propertyId, req.user, {
+        reason: req.body?.reason,
+      });
       res.json({
         status: "success",
-        message: "Property rejected and deleted",
+        data: moderation,
+        message: "Property rejected",
       });
     } catch (error) {
-      res.status(500).json({
+      res.status(error.statusCode || 500).json({
         error: "Rejection failed",
         details: error.message,
       });
@@ -363,11 +418,8 @@ export class PropertyController {
       // Perform search
       const results = await PropertyService.searchProperties(normalizedParams);
 
-      res.json({
-        status: "success",
-        data: results.data,
-        pagination: results.pagination,
-      });
+      // List mode pages results; cluster mode returns map markers
+      res.json({ status: "success", ...results });
     } catch (error) {
       console.error("Property search failed:", error);
       res.status(500).json({
@@ -412,6 +464,40 @@ export class PropertyController {
     }
   }
 
+  /**
+   * Typeahead over place names and listing titles
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  static async autocomplete(req, res) {
+    try {
+      const { error, value } = autocompleteSchema.validate(req.query);
+
+      if (error) {
+        return res.status(400).json({
+          status: "error",
+          message: error.details[0].message,
+        });
+      }
+
+      const suggestions = await getSuggestions(value.q, {
+        types: value.types,
+        limit: value.limit,
+      });
+
+      res.json({
+        status: "success",
+        data: suggestions,
+      });
+    } catch (error) {
+      logger.error("Failed to get autocomplete suggestions:", error);
+      res.status(500).json({
+        status: "error",
+        message: "Failed to get autocomplete suggestions",
+      });
+    }
+  }
+
   /**
    * Reindex a property in search database
    * @param {Object} req - Express request
@@ -474,7 +560,14 @@ export class PropertyController {
 
       // Validate status input  PENDING
 
-      const validStatuses = ["PENDING", "APPROVED", "REJECTED", "ARCHIVED"];
+      const validStatuses = [
+        "DRAFT",
+        "PENDING",
+        "APPROVED",
+        "REJECTED",
+        "CHANGES_REQUESTED",
+        "ARCHIVED",
+      ];
       if (!validStatuses.includes(status)) {
         return res.status(400).json({ error: "Invalid status value" });
       }
@@ -487,15 +580,17 @@ export class PropertyController {
         return res.status(404).json({ error: "Property not found" });
       }
 
-      // Update status and handle indexing
-      const property = await PropertyService.updatePropertyStatus(
+      // Update status, record it in the moderation history and reindex
+      const moderation = await ModerationService.setStatus(
         propertyId,
-        status
+        req.user,
+        status,
+        { reason: req.body.reason }
       );
 
       res.json({
         status: "success",
-        data: property,
+        data: moderation,
         message:
           status === "APPROVED"
             ? "Property approved and indexed"
@@ -503,7 +598,7 @@ export class PropertyController {
       });
     } catch (error) {
       console.error("Update Error:", error);
-      res.status(500).json({
+      res.status(error.statusCode || 500).json({
         error: "Status update failed",
         details: error.message,
       });
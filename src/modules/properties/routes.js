@@ -201,6 +201,42 @@ router.get(
  */
 router.get("/suggestions", PropertyController.getSearchSuggestions);
 
+/**
+ * @swagger
+ * /api/properties/autocomplete:
+ *   get:
+ *     summary: Autocomplete places and listing titles
+ *     tags: [Properties]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: What the user has typed so far; each word matches by prefix
+ *       - in: query
+ *         name: types
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [place, listing]
+ *         description: Suggestion types to return (default both)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 8
+ *     responses:
+ *       200:
+ *         description: Places with coordinates and bounds, then listings
+ *       400:
+ *         description: Invalid parameters
+ *       500:
+ *         description: Server error
+ */
+router.get("/autocomplete", PropertyController.autocomplete);
+
 /**
  * @swagger
  * /api/properties/reindex/{propertyId}:
@@ -250,6 +286,13 @@ router.get(
   authenticateUser(),
   PropertyController.getRoomSpec
 );
+
+// Draft checklist; submitting goes through the moderation routes
+router.get(
+  "/:id/completeness",
+  authenticateUser(),
+  PropertyController.getCompleteness
+);
 // Admin routes
 
 router.patch(
@@ -267,22 +310,24 @@ router.get(
   PropertyController.getlistPENDINGProperties
 );
 
-// Anyone can approve a property
+// Older moderation endpoints; the moderation routes cover the full flow
 router.patch(
   "/:id/approve",
-  // authenticateUser(),
-  // authorizeAccess("properties", "manage"),
+  authenticateUser({ roles: ["admin"] }),
   PropertyController.approveProperty
 );
 
-// Anyone can reject (delete) a property
 router.delete(
   "/:id/reject",
-  // authenticateUser(),
-  // authorizeAccess("properties", "manage"),
+  authenticateUser({ roles: ["admin"] }),
   PropertyController.rejectProperty
 );
 
-router.get("/:id", PropertyController.getProperty);
+router.get(
+  "/:id",
+  // Signed-in views feed the recently viewed history
+  authenticateUser({ optional: true, requireVerified: false }),
+  PropertyController.getProperty
+);
 router.get("/", PropertyController.listApprovedProperties);
 export default router;
@@ -1,5 +1,39 @@
 // properties/validation.js
 import Joi from "joi";
+import pkg from "@prisma/client";
+import { cancellationTermsSchema } from "../bookings/cancellationPolicy.js";
+import { geoJSON, spatialHelpers } from "../../utils/geospatial.js";
+const { CancellationPolicyType } = pkg;
+
+// Terms that only apply to one listing type, stored in SaleDetails /
+// RentalDetails
+export const saleDetailsSchema = Joi.object({
+  salePrice: Joi.number().positive().required(),
+  priceNegotiable: Joi.boolean().default(false),
+  propertyTaxRate: Joi.number().min(0).max(100).optional(),
+  hoaFee: Joi.number().min(0).optional(),
+  yearBuilt: Joi.number()
+    .integer()
+    .min(1800)
+    .max(new Date().getFullYear())
+    .optional(),
+  lastRenovation: Joi.number()
+    .integer()
+    .min(Joi.ref("yearBuilt"))
+    .max(new Date().getFullYear())
+    .optional(),
+  ownershipType: Joi.string().trim().max(50).optional(),
+});
+
+export const rentalDetailsSchema = Joi.object({
+  monthlyRate: Joi.number().positive().required(),
+  weeklyRate: Joi.number().positive().optional(),
+  dailyRate: Joi.number().positive().optional(),
+  securityDeposit: Joi.number().min(0).optional(),
+  utilitiesIncluded: Joi.boolean().default(false),
+  leaseTermMonths: Joi.number().integer().min(1).max(120).optional(),
+  availableFrom: Joi.date().iso().default(() => new Date()),
+});
 
 // Reusable validation schemas
 export const propertySchema = Joi.object({
@@ -10,6 +44,7 @@ export const propertySchema = Joi.object({
   currency: Joi.string().length(3).default("USD"),
   address: Joi.string().max(255).required(),
   city: Joi.string().max(100).required(),
+  neighbourhood: Joi.string().trim().max(80).allow(null),
   state: Joi.string().max(100).required(),
   country: Joi.string().max(100).required(),
   postalCode: Joi.string()
@@ -32,6 +67,14 @@ export const propertySchema = Joi.object({
   maxGuests: Joi.number().integer().positive().required(),
   minStay: Joi.number().integer().positive().required(),
   maxStay: Joi.number().integer().positive().optional(),
+  cancellationPolicy: Joi.string()
+    .valid(...Object.values(CancellationPolicyType))
+    .optional(),
+  cancellationPolicyTerms: Joi.when("cancellationPolicy", {
+    is: CancellationPolicyType.CUSTOM,
+    then: cancellationTermsSchema.required(),
+    otherwise: Joi.forbidden(),
+  }),
   amenities: Joi.array().items(Joi.string()).optional(),
   location: Joi.alternatives().try(
     // Old format: { lat, lng }
@@ -57,8 +100,33 @@ export const propertySchema = Joi.object({
   photos: Joi.array().items(Joi.string().uri()).optional(),
   virtualTours: Joi.array().items(Joi.string().uri()).optional(),
   sizeSqft: Joi.number().positive().required(),
+  saleDetails: Joi.when("listingType", {
+    is: "SALE",
+    then: saleDetailsSchema.optional(),
+    otherwise: Joi.forbidden(),
+  }),
+  rentalDetails: Joi.when("listingType", {
+    is: "RENT",
+    then: rentalDetailsSchema.optional(),
+    otherwise: Joi.forbidden(),
+  }),
 });
 
+// A listing being created or saved as a draft: only the title is needed
+// up front; the rest is checked when present and gated at submission by
+// properties/completeness.js
+export const draftPropertySchema = propertySchema
+  .fork(
+    Object.keys(propertySchema.describe().keys).filter(
+      (key) => key !== "title"
+    ),
+    (schema) => schema.optional()
+  )
+  .keys({
+    // Drafts can hold a description that is still being written
+    description: Joi.string().trim().max(2000).allow(""),
+  });
+
 // Reusable validation function
 export const validateWithJoi = (schema, data) => {
   const options = {
@@ -70,11 +138,44 @@ export const validateWithJoi = (schema, data) => {
   return schema.validate(data, options);
 };
 
+// Map viewport as "south,west,north,east", the order map SDKs print bounds in
+const boundingBox = Joi.string().custom((value, helpers) => {
+  const parts = value.split(",").map(Number);
+  if (parts.length !== 4 || parts.some(Number.isNaN)) {
+    return helpers.error("any.invalid");
+  }
+  const [minLat, minLng, maxLat, maxLng] = parts;
+  const bbox = { minLat, minLng, maxLat, maxLng };
+  geoJSON.boundingBoxToGeometry(bbox);
+  return bbox;
+});
+
+// Drawn area as "lat,lng;lat,lng;..."
+const polygon = Joi.string().custom((value) => {
+  const points = value.split(";").map(spatialHelpers.parseLocation);
+  if (points.length > 100) {
+    throw new Error("polygon can have at most 100 points");
+  }
+  geoJSON.createPolygon(points);
+  return points;
+});
+
+// Filters on sale or rental terms rule out the other listing type
+const saleFilter = (schema) =>
+  schema.when("listingType", { is: "RENT", then: Joi.forbidden() });
+const rentalFilter = (schema) =>
+  schema.when("listingType", { is: "SALE", then: Joi.forbidden() });
+
 export const searchParamsSchema = Joi.object({
   query: Joi.string().trim().optional(),
-  latitude: Joi.number().min(-90).max(90).optional(),
+  latitude: Joi.number()
+    .min(-90)
+    .max(90)
+    .when("sort", { is: "distance", then: Joi.required() }),
   longitude: Joi.number().min(-180).max(180).optional(),
   radius: Joi.number().integer().min(100).max(50000).default(5000),
+  bbox: boundingBox.optional(),
+  polygon: polygon.optional(),
   minPrice: Joi.number().min(0).optional(),
   maxPrice: Joi.number().min(0).optional(),
   minBedrooms: Joi.number().integer().min(0).optional(),
@@ -82,9 +183,47 @@ export const searchParamsSchema = Joi.object({
     .try(Joi.string(), Joi.array().items(Joi.string()))
     .optional(),
   propertyType: Joi.string().optional(),
+  listingType: Joi.string().valid("RENT", "SALE").optional(),
+  city: Joi.string().trim().max(50).optional(),
+  minSalePrice: saleFilter(Joi.number().min(0)),
+  maxSalePrice: saleFilter(Joi.number().min(0)),
+  negotiable: saleFilter(Joi.boolean()),
+  minYearBuilt: saleFilter(Joi.number().integer().min(1800)),
+  maxYearBuilt: saleFilter(Joi.number().integer().min(1800)),
+  maxHoaFee: saleFilter(Joi.number().min(0)),
+  ownershipType: saleFilter(Joi.string().trim().max(50)),
+  minMonthlyRate: rentalFilter(Joi.number().min(0)),
+  maxMonthlyRate: rentalFilter(Joi.number().min(0)),
+  minLeaseTerm: rentalFilter(Joi.number().integer().min(1)),
+  maxLeaseTerm: rentalFilter(Joi.number().integer().min(1)),
+  utilitiesIncluded: rentalFilter(Joi.boolean()),
+  // Stays only make sense for rentals
+  checkIn: rentalFilter(Joi.date().iso().min("now")),
+  checkOut: Joi.date().iso().greater(Joi.ref("checkIn")).optional(),
+  guests: Joi.number().integer().min(1).optional(),
+  includeFacets: Joi.boolean().default(true),
+  mode: Joi.string().valid("list", "cluster").default("list"),
+  sort: Joi.string()
+    .valid(
+      "relevance",
+      "price_asc",
+      "price_desc",
+      "rating",
+      "newest",
+      "distance"
+    )
+    .default("relevance"),
+  zoom: Joi.number().integer().min(0).max(22).when("mode", {
+    is: "cluster",
+    then: Joi.required(),
+    otherwise: Joi.forbidden(),
+  }),
   page: Joi.number().integer().min(1).default(1),
   limit: Joi.number().integer().min(1).max(100).default(20),
-}).with("latitude", "longitude");
+})
+  .with("latitude", "longitude")
+  .oxor("latitude", "bbox", "polygon")
+  .and("checkIn", "checkOut");
 
 export const suggestionsSchema = Joi.object({
   terms: Joi.string().required().messages({
@@ -93,6 +232,15 @@ export const suggestionsSchema = Joi.object({
   }),
 });
 
+export const autocompleteSchema = Joi.object({
+  q: Joi.string().trim().min(1).max(100).required(),
+  types: Joi.array()
+    .items(Joi.string().valid("place", "listing"))
+    .single()
+    .default(["place", "listing"]),
+  limit: Joi.number().integer().min(1).max(20).default(8),
+});
+
 export const reindexSchema = Joi.object({
   propertyId: Joi.string()
     .uuid({
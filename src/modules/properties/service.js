@@ -8,16 +8,36 @@ import {
   NotFoundError,
   InvalidInputError,
   AuthError,
+  ForbiddenError,
 } from "../../utils/apiError.js";
+import { isAdmin } from "../../utils/roleUtils.js";
 import { geoJSON } from "../../utils/geospatial.js";
 import redis from "../../config/redis.js";
-import { Prisma } from "@prisma/client";
+import logger from "../../config/logger.js";
+import { Prisma, BookingStatus } from "@prisma/client";
 import { validate as isValidUUID } from "uuid";
 import PropertySearch from "../../models/PropertyDetails.js";
+import { resolveCancellationPolicy } from "../bookings/cancellationPolicy.js";
+import { saleDetailsSchema, rentalDetailsSchema } from "./schema.js";
+import BookingService from "../bookings/service.js";
+import SearchIndexService, { ReindexReason } from "../search/service.js";
+import AvailabilityService from "../availability/service.js";
+import ModerationService, { REVISION_FIELDS } from "../moderation/service.js";
+import { getListingCompleteness } from "./completeness.js";
+import {
+  buildBaseMatch,
+  buildFilterMatch,
+  priceFieldFor,
+} from "../search/query.js";
+import { getSearchFacets } from "../search/facets.js";
+import { getMarkerClusters } from "../search/clusters.js";
+import { getRankedPage, SortOption } from "../search/ranking.js";
+import { DateTime } from "luxon";
 
 export class PropertyService {
   /**
-   * Create new property with full transactional safety
+   * Create new property with full transactional safety. It starts as a
+   * DRAFT that the owner completes and then submits for review.
    */
   static async createProperty(ownerId, propertyData) {
     try {
@@ -25,10 +45,16 @@ export class PropertyService {
         const property = await tx.property.create({
           data: {
             ownerId,
-            status: "PENDING",
+            status: "DRAFT",
             ...this.sanitizePropertyData(propertyData),
             photos: propertyData.photos || [],
             virtualTours: propertyData.virtualTours || [],
+            ...(propertyData.saleDetails && {
+              saleDetails: { create: propertyData.saleDetails },
+            }),
+            ...(propertyData.rentalDetails && {
+              rentalDetails: { create: propertyData.rentalDetails },
+            }),
           },
           include: { amenities: true, roomSpecs: true },
         });
@@ -36,6 +62,11 @@ export class PropertyService {
         if (propertyData.amenities || propertyData.roomSpecs) {
           await this.createRelationalData(tx, property.id, propertyData);
         }
+        await SearchIndexService.enqueue(
+          tx,
+          property.id,
+          ReindexReason.PROPERTY_CREATED
+        );
 
         // await this.createRelationalData(tx, property.id, propertyData);
         return property;
@@ -75,6 +106,7 @@ export class PropertyService {
         include: {
           amenities: true,
           roomSpecs: true,
+          photoAssets: { orderBy: { position: "asc" } },
           availability: {
             where: { isAvailable: true },
             orderBy: { startDate: "asc" },
@@ -352,9 +384,13 @@ export class PropertyService {
   }
 
   /**
-   * Sophisticated availability management with conflict detection
+   * Apply availability ranges on top of the existing calendar. Each range
+   * sets its nights' price, opening nights that had no slot, then blocks or
+   * reopens them; nights outside the ranges and booked nights keep their
+   * slots, bookings and notes.
+   * @param {string} propertyId
+   * @param {Array<{startDate: Date, endDate: Date, basePrice: number, isAvailable?: boolean, minStay?: number|null}>} availabilitySlots
    */
-
   static async updateAvailability(propertyId, availabilitySlots) {
     try {
       // Validate input structure
@@ -363,6 +399,16 @@ export class PropertyService {
       }
 
       return await prisma.$transaction(async (tx) => {
+        // Serialise with bookings and other calendar edits on the property
+        await AvailabilityService.lockCalendar(tx, propertyId);
+
+        // Owner's price floor/ceiling applies to every stored nightly rate;
+        // the remaining rules are evaluated per stay in calculateTotalPrice
+        const pricingRules = await PricingService.getActiveRules(
+          tx,
+          propertyId
+        );
+
         // 1. Validate slots before any DB operations
         const validatedSlots = availabilitySlots.map((slot) => {
           const startDate = new Date(slot.startDate);
@@ -379,14 +425,20 @@ export class PropertyService {
           if (typeof slot.basePrice !== "number" || slot.basePrice < 0) {
             throw new ValidationError("Invalid base price");
           }
+          if (
+            slot.minStay != null &&
+            (!Number.isInteger(slot.minStay) || slot.minStay < 1)
+          ) {
+            throw new ValidationError("Invalid minimum stay");
+          }
 
           return {
             ...slot,
             startDate,
             endDate,
-            price: PricingService.calculateDynamicPrice(
+            price: PricingService.applyPriceBounds(
               slot.basePrice,
-              slot.dates
+              pricingRules
             ),
           };
         });
@@ -403,49 +455,43 @@ export class PropertyService {
           }
         }
 
-        // 3. Find overlapping bookings
-        const bookingConflict = await tx.booking.findFirst({
-          where: {
+        // 3. Edit each range in place; booked nights are skipped, and the
+        // range operations queue the search reindex
+        for (const slot of sortedSlots) {
+          const { startDate, endDate } = slot;
+          await AvailabilityService.setPriceRange(
+            tx,
             propertyId,
-            status: { not: "CANCELLED" },
-            OR: validatedSlots.map((slot) => ({
-              AND: [
-                { startDate: { lt: slot.endDate } },
-                { endDate: { gt: slot.startDate } },
-              ],
-            })),
-          },
-          select: { id: true, startDate: true, endDate: true },
-        });
-
-        if (bookingConflict) {
-          throw new ConflictError(
-            `Conflicts with booking ${bookingConflict.id} ` +
-              `(${bookingConflict.startDate.toISOString()} - ` +
-              `${bookingConflict.endDate.toISOString()})`
+            startDate,
+            endDate,
+            slot.price
           );
-        }
-
-        // 4. Atomic update in batches
-        await tx.availability.deleteMany({ where: { propertyId } });
-
-        const BATCH_SIZE = 100;
-        for (let i = 0; i < validatedSlots.length; i += BATCH_SIZE) {
-          await tx.availability.createMany({
-            data: validatedSlots.slice(i, i + BATCH_SIZE).map((slot) => ({
+          if (slot.isAvailable === false) {
+            await AvailabilityService.blockRange(
+              tx,
               propertyId,
-              startDate: slot.startDate,
-              endDate: slot.endDate,
-              price: slot.price,
-              isAvailable: slot.isAvailable,
-            })),
-            skipDuplicates: true,
-          });
+              startDate,
+              endDate
+            );
+          } else {
+            await AvailabilityService.unblockRange(
+              tx,
+              propertyId,
+              startDate,
+              endDate
+            );
+          }
+          if (slot.minStay !== undefined) {
+            await AvailabilityService.updateRange(
+              tx,
+              propertyId,
+              startDate,
+              endDate,
+              { minStay: slot.minStay }
+            );
+          }
         }
 
-        // 5. Update search index after successful transaction
-        // await SearchIndexService.refreshPricing(propertyId);
-
         return { success: true, updatedSlots: validatedSlots.length };
       });
     } catch (error) {
@@ -476,10 +522,18 @@ export class PropertyService {
       await prisma.payment.deleteMany({ where: { propertyId } });
       await prisma.rentalDetails.deleteMany({ where: { propertyId } });
       await prisma.saleDetails.deleteMany({ where: { propertyId } });
+      await prisma.pricingRule.deleteMany({ where: { propertyId } });
       // Add any other related tables here if needed
 
-      // 3. Delete the property itself
-      await prisma.property.delete({ where: { id: propertyId } });
+      // 3. Delete the property itself and drop its search document
+      await prisma.$transaction([
+        prisma.property.delete({ where: { id: propertyId } }),
+        SearchIndexService.enqueue(
+          prisma,
+          propertyId,
+          ReindexReason.PROPERTY_DELETED
+        ),
+      ]);
       return { success: true };
     } catch (error) {
       console.error("Error in deleteProperty:", error);
@@ -488,7 +542,10 @@ export class PropertyService {
   }
 
   /**
-   * Full property update with complex data relationships
+   * Full property update with complex data relationships. On an approved
+   * listing, changes to the reviewed fields (REVISION_FIELDS) go into its
+   * pending revision and the live listing keeps its current values until a
+   * reviewer approves them.
    */
   static async updateProperty(propertyId, ownerId, updateData) {
     const CACHE_TTL = 3600; // 1 hour
@@ -496,22 +553,74 @@ export class PropertyService {
       // Verify property ownership first
       const existingProperty = await prisma.property.findUnique({
         where: { id: propertyId },
-        select: { ownerId: true, status: true },
+        select: {
+          ownerId: true,
+          status: true,
+          listingType: true,
+          cancellationPolicy: true,
+          cancellationPolicyTerms: true,
+        },
       });
 
       if (!existingProperty) throw new NotFoundError("Property not found");
+
+      const details = this.validateListingDetails(
+        updateData.listingType ?? existingProperty.listingType,
+        updateData
+      );
+
+      if (updateData.cancellationPolicy || updateData.cancellationPolicyTerms) {
+        const policy = resolveCancellationPolicy(
+          updateData.cancellationPolicy ?? existingProperty.cancellationPolicy,
+          updateData.cancellationPolicyTerms ??
+            existingProperty.cancellationPolicyTerms
+        );
+        // Terms only mean something for custom policies
+        updateData = {
+          ...updateData,
+          cancellationPolicy: policy.type,
+          cancellationPolicyTerms:
+            policy.type === "CUSTOM"
+              ? { windows: policy.windows }
+              : Prisma.DbNull,
+        };
+      }
       // if (existingProperty.ownerId !== ownerId) {
       //   throw new AuthError("Unauthorized property update");
       // }
 
+      const reviewed = {};
+      if (existingProperty.status === "APPROVED") {
+        for (const field of REVISION_FIELDS) {
+          if (updateData[field] === undefined) continue;
+          reviewed[field] = updateData[field];
+        }
+      }
+      const liveData = this.sanitizePropertyData(updateData);
+      for (const field of Object.keys(reviewed)) delete liveData[field];
+      // sanitizePropertyData defaults these for creation; an update that
+      // doesn't send them leaves them as they are
+      if (updateData.photos === undefined) delete liveData.photos;
+      if (updateData.virtualTours === undefined) delete liveData.virtualTours;
+
+      let pendingRevision = null;
       const updatedProperty = await prisma.$transaction(async (tx) => {
         //  Core property update
         const property = await tx.property.update({
           where: { id: propertyId },
-          data: this.sanitizePropertyData(updateData),
+          data: liveData,
           include: { amenities: true, roomSpecs: true },
         });
 
+        if (Object.keys(reviewed).length > 0) {
+          pendingRevision = await ModerationService.stageRevision(
+            tx,
+            propertyId,
+            ownerId,
+            reviewed
+          );
+        }
+
         //  Conditional relational data updates
         const updateOperations = [];
 
@@ -540,17 +649,55 @@ export class PropertyService {
           );
         }
 
+        // Terms of the listing type it no longer has would go stale
+        if (
+          updateData.listingType &&
+          updateData.listingType !== existingProperty.listingType
+        ) {
+          updateOperations.push(
+            updateData.listingType === "SALE"
+              ? tx.rentalDetails.deleteMany({ where: { propertyId } })
+              : tx.saleDetails.deleteMany({ where: { propertyId } })
+          );
+        }
+
+        if (details.saleDetails) {
+          updateOperations.push(
+            tx.saleDetails.upsert({
+              where: { propertyId },
+              create: { propertyId, ...details.saleDetails },
+              update: details.saleDetails,
+            })
+          );
+        }
+
+        if (details.rentalDetails) {
+          updateOperations.push(
+            tx.rentalDetails.upsert({
+              where: { propertyId },
+              create: { propertyId, ...details.rentalDetails },
+              update: details.rentalDetails,
+            })
+          );
+        }
+
         if (updateOperations.length > 0) {
           await Promise.all(updateOperations);
         }
 
+        await SearchIndexService.enqueue(
+          tx,
+          propertyId,
+          updateData.amenities
+            ? ReindexReason.AMENITIES_CHANGED
+            : ReindexReason.PROPERTY_UPDATED
+        );
         return property;
       });
 
       //  Post-update operations
       await Promise.all([
         redis.del(`property:${propertyId}`),
-        SearchIndexService.update(propertyId),
         redis.setex(
           `property:${propertyId}`,
           CACHE_TTL,
@@ -558,7 +705,9 @@ export class PropertyService {
         ),
       ]);
 
-      return updatedProperty;
+      return pendingRevision
+        ? { ...updatedProperty, pendingRevisionId: pendingRevision.id }
+        : updatedProperty;
     } catch (error) {
       if (error instanceof Prisma.PrismaClientKnownRequestError) {
         this.handleDatabaseError(error, "Database update failed");
@@ -567,8 +716,41 @@ export class PropertyService {
     }
   }
 
+  /**
+   * The listing's completeness checklist and score, for its owner or an
+   * admin
+   * @param {string} propertyId
+   * @param {Object} user
+   */
+  static async getCompleteness(propertyId, user) {
+    const { property, completeness } =
+      await getListingCompleteness(propertyId);
+    if (property.ownerId !== user.id && !isAdmin(user)) {
+      throw new ForbiddenError("Not authorized to view this listing");
+    }
+    return { propertyId, status: property.status, ...completeness };
+  }
+
   // --- Helper Methods ---
 
+  // Check sale/rental terms in an update against the listing type
+  static validateListingDetails(listingType, data) {
+    const details = {};
+    for (const [key, schema, type] of [
+      ["saleDetails", saleDetailsSchema, "SALE"],
+      ["rentalDetails", rentalDetailsSchema, "RENT"],
+    ]) {
+      if (!data[key]) continue;
+      if (listingType !== type) {
+        throw new ValidationError(`${key} only apply to ${type} listings`);
+      }
+      const { error, value } = schema.validate(data[key]);
+      if (error) throw new ValidationError(`Invalid ${key}: ${error.message}`);
+      details[key] = value;
+    }
+    return details;
+  }
+
   static sanitizePropertyData(data) {
     // Handle location data - support both old format and new format
     let locationData;
@@ -587,10 +769,9 @@ export class PropertyService {
         // Fallback to default location
         locationData = geoJSON.forDatabase(31.5204, 74.3587); // Lahore default
       }
-    } else {
-      // Fallback to default location
-      locationData = geoJSON.forDatabase(31.5204, 74.3587); // Lahore default
     }
+    // Without a location the column is left alone: empty on a new draft,
+    // unchanged on an update
 
     return {
       title: data.title,
@@ -600,6 +781,7 @@ export class PropertyService {
       location: locationData,
       address: data.address,
       city: data.city,
+      neighbourhood: data.neighbourhood,
       state: data.state,
       country: data.country,
       postalCode: data.postalCode,
@@ -607,10 +789,13 @@ export class PropertyService {
       minStay: data.minStay,
       maxStay: data.maxStay,
       houseRules: data.houseRules,
+      cancellationPolicy: data.cancellationPolicy,
+      cancellationPolicyTerms: data.cancellationPolicyTerms,
       photos: data.photos || [],
       virtualTours: data.virtualTours || [],
       sizeSqft: data.sizeSqft,
       listingType: data.listingType,
+      PropertyType: data.propertyType,
     };
   }
 
@@ -666,6 +851,9 @@ export class PropertyService {
    * @param {number} params.minBedrooms - Minimum bedrooms
    * @param {string[]} params.amenities - Required amenities
    * @param {string} params.propertyType - Property type filter
+   * @param {Date} [params.checkIn] - Only properties bookable for the whole stay
+   * @param {Date} [params.checkOut]
+   * @param {number} [params.guests] - Party size the property must fit
    * @param {number} params.page - Pagination page
    * @param {number} params.limit - Results per page
    * @returns {Promise<Object>} Search results
@@ -675,91 +863,86 @@ export class PropertyService {
     latitude,
     longitude,
     radius = 5000,
-    minPrice,
-    maxPrice,
-    minBedrooms,
-    amenities = [],
-    propertyType,
+    bbox,
+    polygon,
+    checkIn,
+    checkOut,
+    guests,
+    includeFacets = true,
+    mode = "list",
+    zoom,
+    sort = SortOption.RELEVANCE,
     page = 1,
     limit = 20,
+    // Chip filters: price, bedrooms, amenities, type, city, and sale or
+    // rental terms
+    ...filters
   }) {
     try {
-      // Build the MongoDB search query
-      const mongoQuery = {};
-      const prismaWhere = {};
-
-      // Text search
-      if (query) {
-        mongoQuery.$text = { $search: query };
-      }
-
-      // Location-based search
-      if (latitude && longitude) {
-        mongoQuery.location = {
-          $near: {
-            $geometry: {
-              type: "Point",
-              coordinates: [longitude, latitude],
-            },
-            $maxDistance: radius,
-          },
-        };
-
-        // Add to Prisma where for additional filtering
-        prismaWhere.location = {
-          path: ["lat", "lng"],
-          equals: [latitude, longitude],
-        };
-      }
-
-      // Price range filter
-      if (minPrice || maxPrice) {
-        prismaWhere.basePrice = {};
-        if (minPrice) prismaWhere.basePrice.gte = new Prisma.Decimal(minPrice);
-        if (maxPrice) prismaWhere.basePrice.lte = new Prisma.Decimal(maxPrice);
-      }
-
-      // Bedrooms filter
-      if (minBedrooms) {
-        prismaWhere.roomSpecs = {
-          some: {
-            type: "BEDROOM",
-            count: { gte: minBedrooms },
-          },
-        };
+      // Restrict to properties bookable for the requested stay before
+      // paginating, so every page is full of bookable listings
+      let bookable = null;
+      if (checkIn && checkOut) {
+        bookable = await this.findBookableProperties({
+          checkIn,
+          checkOut,
+          guests,
+        });
       }
 
-      // Amenities filter
-      if (amenities.length > 0) {
-        prismaWhere.amenities = {
-          some: {
-            name: { in: amenities },
-          },
+      // Every filter runs against the search index so the page, the total
+      // and the facet counts all agree
+      const baseMatch = buildBaseMatch({
+        query,
+        latitude,
+        longitude,
+        radius,
+        bbox,
+        polygon,
+        guests,
+        propertyIds: bookable ? [...bookable.keys()] : undefined,
+      });
+      const mongoQuery = { ...baseMatch, ...buildFilterMatch(filters) };
+
+      // Map view: grouped markers for the zoom level instead of a page
+      if (mode === "cluster") {
+        const [{ clusters, cellSize }, total, facets] = await Promise.all([
+          getMarkerClusters(mongoQuery, zoom),
+          PropertySearch.countDocuments(mongoQuery),
+          includeFacets ? getSearchFacets(baseMatch, filters) : null,
+        ]);
+        return {
+          data: clusters,
+          facets,
+          clustering: { zoom, cellSize, total },
         };
       }
 
-      // Property type filter
-      if (propertyType) {
-        prismaWhere.roomSpecs = {
-          some: {
-            type: propertyType,
-          },
-        };
-      }
-      this.syncAllApprovedProperties();
-      // First search in MongoDB for performance
-      const mongoResults = await PropertySearch.find(mongoQuery)
-        .skip((page - 1) * limit)
-        .limit(limit)
-        .lean();
+      const [mongoResults, totalCount, facets] = await Promise.all([
+        getRankedPage(mongoQuery, {
+          sort,
+          hasText: Boolean(query),
+          latitude,
+          longitude,
+          radius,
+          priceField: priceFieldFor(filters.listingType),
+          skip: (page - 1) * limit,
+          limit,
+        }),
+        PropertySearch.countDocuments(mongoQuery),
+        includeFacets ? getSearchFacets(baseMatch, filters) : null,
+      ]);
 
       // Then get full details from Prisma
       const propertyIds = mongoResults.map((p) => p.propertyId);
+      const ranking = new Map(
+        mongoResults.map((p) => [
+          p.propertyId,
+          { relevance: p.relevance, distance: p.distance ?? null },
+        ])
+      );
       const prismaResults = await prisma.property.findMany({
-        where: {
-          ...prismaWhere,
-          id: { in: propertyIds },
-        },
+        where: { id: { in: propertyIds } },
         include: {
           roomSpecs: true,
           amenities: true,
@@ -775,18 +958,33 @@ export class PropertyService {
             },
           },
         },
-        skip: (page - 1) * limit,
-        take: limit,
       });
+      const byId = new Map(prismaResults.map((p) => [p.id, p]));
+      const properties = propertyIds
+        .map((id) => byId.get(id))
+        .filter(Boolean);
+
+      // Price the stay for the listings on this page
+      const stayPrices = bookable
+        ? await this.priceStays(properties, bookable, {
+            checkIn,
+            checkOut,
+            guests,
+          })
+        : new Map();
 
       // Calculate average ratings
-      const resultsWithStats = prismaResults.map((property) => {
+      const resultsWithStats = properties.map((property) => {
         const avgRating =
           property.reviews.reduce((sum, review) => sum + review.rating, 0) /
           (property.reviews.length || 1);
+        const stay = stayPrices.get(property.id) || null;
 
         return {
           ...property,
+          stay,
+          displayPrice: stay ? stay.totalPrice : Number(property.basePrice),
+          ...ranking.get(property.id),
           quickStats: {
             rating: avgRating,
             reviewCount: property._count.reviews,
@@ -795,11 +993,9 @@ export class PropertyService {
         };
       });
 
-      // Get total count for pagination
-      const totalCount = await PropertySearch.countDocuments(mongoQuery);
-
       return {
         data: resultsWithStats,
+        facets,
         pagination: {
           total: totalCount,
           page,
@@ -814,33 +1010,138 @@ export class PropertyService {
   }
 
   /**
-   * Update property status and handle search indexing
-   * @param {string} propertyId
-   * @param {string} status
-   * @returns {Promise<Property>}
+   * Properties that can take a booking for the whole stay: approved, big
+   * enough, within stay limits (the arrival slot's minimum stay included,
+   * as validateStay applies it), free of overlapping live bookings and with
+   * an open availability slot for every night
+   * @param {Object} stay
+   * @param {Date} stay.checkIn
+   * @param {Date} stay.checkOut
+   * @param {number} [stay.guests]
+   * @param {string[]} [stay.propertyIds] - Only consider these properties
+   * @returns {Promise<Map<string, Array>>} Property id -> open slots for the stay
    */
-  static async updatePropertyStatus(propertyId, status) {
-    const property = await prisma.property.update({
-      where: { id: propertyId },
-      data: { status },
-      include: {
-        roomSpecs: true,
-        amenities: true,
+  static async findBookableProperties({
+    checkIn,
+    checkOut,
+    guests,
+    propertyIds,
+  }) {
+    const nights = Math.round(
+      DateTime.fromJSDate(checkOut).diff(DateTime.fromJSDate(checkIn), "days")
+        .days
+    );
+    const openSlots = {
+      isAvailable: true,
+      bookingId: null,
+      startDate: { lt: checkOut },
+      endDate: { gt: checkIn },
+    };
+
+    const candidates = await prisma.property.findMany({
+      where: {
+        status: "APPROVED",
+        deletedAt: null,
+        ...(propertyIds && { id: { in: propertyIds } }),
+        ...(guests && { maxGuests: { gte: guests } }),
+        minStay: { lte: nights },
+        OR: [{ maxStay: null }, { maxStay: { gte: nights } }],
+        bookings: {
+          none: {
+            status: {
+              notIn: [BookingStatus.CANCELLED, BookingStatus.REFUNDED],
+            },
+            startDate: { lt: checkOut },
+            endDate: { gt: checkIn },
+          },
+        },
+        availability: { some: openSlots },
+      },
+      select: {
+        id: true,
+        availability: {
+          where: openSlots,
+          orderBy: { startDate: "asc" },
+        },
       },
     });
 
-    // Clear relevant caches when status changes
-    await this.clearPropertyCaches(propertyId, status);
+    return new Map(
+      candidates
+        .filter(
+          ({ availability }) =>
+            this.coversEveryNight(availability, checkIn, checkOut) &&
+            this.meetsArrivalMinStay(availability, checkIn, nights)
+        )
+        .map(({ id, availability }) => [id, availability])
+    );
+  }
+
+  // A minimum stay on the arrival night's slot overrides the property's
+  static meetsArrivalMinStay(slots, checkIn, nights) {
+    const arrival = slots.find(
+      (slot) => slot.startDate <= checkIn && checkIn < slot.endDate
+    );
+    return !arrival?.minStay || nights >= arrival.minStay;
+  }
 
-    // Automatically index when status changes to APPROVED
-    if (status === "APPROVED") {
-      await this.indexProperty(propertyId);
-    } else if (status !== "APPROVED") {
-      // Remove from search index if status changes from APPROVED
-      await PropertySearch.deleteOne({ propertyId });
+  static coversEveryNight(slots, checkIn, checkOut) {
+    const end = DateTime.fromJSDate(checkOut);
+    for (
+      let night = DateTime.fromJSDate(checkIn);
+      night < end;
+      night = night.plus({ days: 1 })
+    ) {
+      const covered = slots.some(
+        (slot) =>
+          night >= DateTime.fromJSDate(slot.startDate) &&
+          night < DateTime.fromJSDate(slot.endDate)
+      );
+      if (!covered) return false;
     }
+    return true;
+  }
+
+  /**
+   * Price the stay for each property exactly as a booking would be charged
+   * @returns {Promise<Map<string, object>>} Property id -> stay totals
+   */
+  static async priceStays(properties, bookable, { checkIn, checkOut, guests }) {
+    const priced = await Promise.all(
+      properties.map(async (property) => {
+        try {
+          const pricing = await BookingService.calculateTotalPrice(
+            prisma,
+            property.id,
+            bookable.get(property.id) || [],
+            checkIn,
+            checkOut,
+            guests || 1
+          );
+          return [
+            property.id,
+            {
+              checkIn,
+              checkOut,
+              nights: pricing.nightlyPrices.length,
+              basePrice: pricing.basePrice,
+              taxes: pricing.taxes,
+              fees: pricing.fees,
+              discountAmount: pricing.discountAmount,
+              totalPrice: pricing.totalPrice,
+              currency: pricing.currency,
+            },
+          ];
+        } catch (error) {
+          logger.error(`Stay pricing failed for property ${property.id}`, {
+            error: error.message,
+          });
+          return [property.id, null];
+        }
+      })
+    );
 
-    return property;
+    return new Map(priced);
   }
 
   /**
@@ -895,6 +1196,8 @@ export class PropertyService {
         include: {
           roomSpecs: true,
           amenities: true,
+          saleDetails: true,
+          rentalDetails: true,
           reviews: { select: { rating: true } },
           _count: { select: { bookings: true } },
         },
@@ -916,7 +1219,7 @@ export class PropertyService {
         propertyId: property.id,
         title: property.title,
         description: property.description,
-        basePrice: property.basePrice,
+        basePrice: Number(property.basePrice),
         currency: property.currency,
         location: {
           type: "Point",
@@ -928,17 +1231,58 @@ export class PropertyService {
         address: property.address,
         maxGuests: property.maxGuests,
         amenities: property.amenities.map((a) => a.name),
-        propertyType: property.roomSpecs.find((r) => r.type !== "BEDROOM")
-          ?.type,
+        propertyType: property.PropertyType,
+        listingType: property.listingType,
+        city: property.city,
+        neighbourhood: property.neighbourhood,
+        state: property.state,
+        country: property.country,
         bedrooms:
           property.roomSpecs.find((r) => r.type === "BEDROOM")?.count || 0,
         photos: property.photos,
+        sale: property.saleDetails && {
+          price: Number(property.saleDetails.salePrice),
+          negotiable: property.saleDetails.priceNegotiable,
+          yearBuilt: property.saleDetails.yearBuilt,
+          hoaFee:
+            property.saleDetails.hoaFee != null
+              ? Number(property.saleDetails.hoaFee)
+              : null,
+          ownershipType: property.saleDetails.ownershipType,
+        },
+        rental: property.rentalDetails && {
+          monthlyRate: Number(property.rentalDetails.monthlyRate),
+          leaseTermMonths: property.rentalDetails.leaseTermMonths,
+          utilitiesIncluded: property.rentalDetails.utilitiesIncluded,
+          securityDeposit:
+            property.rentalDetails.securityDeposit != null
+              ? Number(property.rentalDetails.securityDeposit)
+              : null,
+          availableFrom: property.rentalDetails.availableFrom,
+        },
         stats: {
           rating: avgRating,
           reviewCount: property.reviews.length,
           bookedCount: property._count.bookings,
         },
+        // Terms a guest might type that aren't in the title or description
+        searchTags: [
+          ...new Set(
+            [
+              ...property.amenities.map((a) => a.name),
+              property.PropertyType,
+              property.neighbourhood,
+              property.city,
+              property.state,
+              property.country,
+            ]
+              .filter(Boolean)
+              .map((tag) => tag.toLowerCase())
+          ),
+        ],
+        searchBoost: property.searchBoost,
         createdAt: property.createdAt,
+        sourceUpdatedAt: property.updatedAt,
         updatedAt: new Date(),
       };
 
@@ -1041,41 +1385,22 @@ export class PropertyService {
     }
   }
 
-  static async syncAllApprovedProperties() {
-    try {
-      const approvedProperties = await prisma.property.findMany({
-        where: { status: "APPROVED" },
-        select: { id: true },
-      });
-
-      const results = await Promise.allSettled(
-        approvedProperties.map((p) => PropertyService.indexProperty(p.id))
-      );
-
-      const successful = results.filter((r) => r.status === "fulfilled").length;
-      const failed = results.filter((r) => r.status === "rejected").length;
-
-      console.log(`Search index sync complete. 
-        Successful: ${successful}, Failed: ${failed}`);
-
-      return { successful, failed };
-    } catch (error) {
-      console.error("Bulk sync failed:", error);
-      throw error;
-    }
-  }
 
   static async CreateRoomSpec(propertyId, roomSpecData) {
     try {
-      const roomSpec = await prisma.roomSpec.create({
-        data: {
+      const [roomSpec] = await prisma.$transaction([
+        prisma.roomSpec.create({
+          data: {
+            propertyId,
+            ...roomSpecData,
+          },
+        }),
+        SearchIndexService.enqueue(
+          prisma,
           propertyId,
-          ...roomSpecData,
-        },
-      });
-
-      // Update the search index if necessary
-      await PropertyService.indexProperty(propertyId);
+          ReindexReason.ROOM_SPECS_CHANGED
+        ),
+      ]);
 
       return roomSpec;
     } catch (error) {
@@ -1096,13 +1421,17 @@ export class PropertyService {
         select: { id: true },
       });
       if (!roomSpec) throw new NotFoundError("Room specification not found");
-      const UpdateRoomSpec = await prisma.roomSpec.update({
-        where: { id: roomSpecId },
-        data: roomSpecData,
-      });
-
-      // Update the search index if necessary
-      await PropertyService.indexProperty(propertyId);
+      const [UpdateRoomSpec] = await prisma.$transaction([
+        prisma.roomSpec.update({
+          where: { id: roomSpecId },
+          data: roomSpecData,
+        }),
+        SearchIndexService.enqueue(
+          prisma,
+          propertyId,
+          ReindexReason.ROOM_SPECS_CHANGED
+        ),
+      ]);
 
       return UpdateRoomSpec;
     } catch (error) {
@@ -1124,12 +1453,16 @@ export class PropertyService {
       });
       if (!roomSpec) throw new NotFoundError("Room specification not found");
 
-      const deletedRoomSpec = await prisma.roomSpec.delete({
-        where: { id: roomSpecId },
-      });
-
-      // Update the search index if necessary
-      await PropertyService.indexProperty(propertyId);
+      const [deletedRoomSpec] = await prisma.$transaction([
+        prisma.roomSpec.delete({
+          where: { id: roomSpecId },
+        }),
+        SearchIndexService.enqueue(
+          prisma,
+          propertyId,
+          ReindexReason.ROOM_SPECS_CHANGED
+        ),
+      ]);
 
       return deletedRoomSpec;
     } catch (error) {
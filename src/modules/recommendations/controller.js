@@ -0,0 +1,84 @@
+import RecommendationService from "./service.js";
+import { listQuerySchema } from "./schemas.js";
+import { ValidationError } from "../../utils/apiError.js";
+
+const parseLimit = (query) => {
+  const { error, value } = listQuerySchema.validate(query);
+  if (error) throw new ValidationError(error.message);
+  return value;
+};
+
+class RecommendationController {
+  /**
+   * @desc    Nearby listings similar to this one
+   * @route   GET /api/properties/:id/similar
+   * @access  Public
+   */
+  async getSimilarListings(req, res, next) {
+    try {
+      const listings = await RecommendationService.getSimilarListings(
+        req.params.id,
+        parseLimit(req.query)
+      );
+
+      res.status(200).json({ success: true, data: listings });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    The user's recently viewed listings
+   * @route   GET /api/properties/recently-viewed
+   * @access  Private
+   */
+  async getRecentlyViewed(req, res, next) {
+    try {
+      const listings = await RecommendationService.getRecentlyViewed(
+        req.user.id,
+        parseLimit(req.query)
+      );
+
+      res.status(200).json({ success: true, data: listings });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Clear the user's recently viewed history
+   * @route   DELETE /api/properties/recently-viewed
+   * @access  Private
+   */
+  async clearRecentlyViewed(req, res, next) {
+    try {
+      await RecommendationService.clearRecentlyViewed(req.user.id);
+
+      res
+        .status(200)
+        .json({ success: true, message: "Recently viewed history cleared" });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    "Because you viewed" rails built from recent views
+   * @route   GET /api/properties/recommendations/because-you-viewed
+   * @access  Private
+   */
+  async getBecauseYouViewed(req, res, next) {
+    try {
+      const rails = await RecommendationService.getBecauseYouViewed(
+        req.user.id,
+        parseLimit(req.query)
+      );
+
+      res.status(200).json({ success: true, data: rails });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+export default new RecommendationController();
@@ -0,0 +1,26 @@
+import express from "express";
+import RecommendationController from "./controller.js";
+import { authenticateUser } from "../../middlewares/authentication.js";
+
+// Mounted on /properties ahead of the property routes, so these paths
+// aren't taken for property ids
+const router = express.Router();
+
+router.get(
+  "/recently-viewed",
+  authenticateUser(),
+  RecommendationController.getRecentlyViewed
+);
+router.delete(
+  "/recently-viewed",
+  authenticateUser(),
+  RecommendationController.clearRecentlyViewed
+);
+router.get(
+  "/recommendations/because-you-viewed",
+  authenticateUser(),
+  RecommendationController.getBecauseYouViewed
+);
+router.get("/:id/similar", RecommendationController.getSimilarListings);
+
+export default router;
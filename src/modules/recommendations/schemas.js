@@ -0,0 +1,6 @@
+// recommendations/schemas.js
+import Joi from "joi";
+
+export const listQuerySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(50),
+}).options({ stripUnknown: true });
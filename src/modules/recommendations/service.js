@@ -0,0 +1,269 @@
+// recommendations/service.js
+import config from "../../config/env.js";
+import redis from "../../config/redis.js";
+import PropertySearch from "../../models/PropertyDetails.js";
+import { distanceFrom } from "../search/ranking.js";
+import { priceFieldFor } from "../search/query.js";
+import { NotFoundError } from "../../utils/apiError.js";
+
+const EARTH_RADIUS_METERS = 6378100;
+const DAY_SECONDS = 24 * 60 * 60;
+const SIMILAR_CACHE_TTL = 600; // 10 minutes
+// Most recent views that each get a "because you viewed" rail
+const RAIL_SOURCES = 3;
+const RAIL_SIZE = 8;
+
+const recentlyViewedKey = (userId) => `user:${userId}:recently-viewed`;
+
+const valueAt = (doc, path) =>
+  path.split(".").reduce((value, key) => value?.[key], doc);
+
+// 1 when the field equals the target, falling to 0 at `scale` apart
+const closeness = (field, target, scale) => ({
+  $max: [
+    0,
+    {
+      $subtract: [
+        1,
+        {
+          $divide: [
+            { $abs: { $subtract: [{ $ifNull: [field, 0] }, target] } },
+            scale,
+          ],
+        },
+      ],
+    },
+  ],
+});
+
+// Shared amenities over all amenities of the pair
+const amenityOverlap = (amenities) => {
+  if (!amenities.length) return 0;
+  const candidate = { $ifNull: ["$amenities", []] };
+
+  return {
+    $let: {
+      vars: { shared: { $size: { $setIntersection: [candidate, amenities] } } },
+      in: {
+        $divide: [
+          "$$shared",
+          {
+            $subtract: [
+              { $add: [amenities.length, { $size: candidate }] },
+              "$$shared",
+            ],
+          },
+        ],
+      },
+    },
+  };
+};
+
+class RecommendationService {
+  /**
+   * Nearby approved listings like this one: same listing type, within
+   * recommendations.similarRadiusMeters and the price band, ranked by how
+   * close price, guest capacity, bedrooms, amenities and location are
+   * @param {string} propertyId
+   * @param {Object} [options]
+   * @param {number} [options.limit]
+   * @throws {NotFoundError} When the listing isn't in the search index
+   */
+  async getSimilarListings(propertyId, { limit = 12 } = {}) {
+    const cacheKey = `property:${propertyId}:similar:${limit}`;
+    const cached = await redis.get(cacheKey);
+    if (cached) return JSON.parse(cached);
+
+    const source = await PropertySearch.findOne({ propertyId }).lean();
+    if (!source) throw new NotFoundError("Property not found");
+
+    const listings = await this.findSimilar(source, { limit });
+    await redis.setex(cacheKey, SIMILAR_CACHE_TTL, JSON.stringify(listings));
+    return listings;
+  }
+
+  /**
+   * Add a listing to the top of the user's recently viewed history
+   * @param {string} userId
+   * @param {string} propertyId
+   */
+  async recordView(userId, propertyId) {
+    const key = recentlyViewedKey(userId);
+    const max = config.get("recommendations.recentlyViewedMax");
+
+    await redis
+      .multi()
+      .zadd(key, Date.now(), propertyId)
+      .zremrangebyrank(key, 0, -(max + 1))
+      .expire(
+        key,
+        config.get("recommendations.recentlyViewedDays") * DAY_SECONDS
+      )
+      .exec();
+  }
+
+  /**
+   * The user's recently viewed listings, latest first. Listings no longer
+   * searchable are left out.
+   * @param {string} userId
+   * @param {Object} [options]
+   * @param {number} [options.limit]
+   */
+  async getRecentlyViewed(userId, { limit = 12 } = {}) {
+    const views = await this.readHistory(userId, limit);
+    const docs = await this.findDocuments(views.map((view) => view.propertyId));
+
+    return views
+      .filter((view) => docs.has(view.propertyId))
+      .map((view) => ({
+        ...this.present(docs.get(view.propertyId)),
+        viewedAt: view.viewedAt,
+      }));
+  }
+
+  async clearRecentlyViewed(userId) {
+    await redis.del(recentlyViewedKey(userId));
+  }
+
+  /**
+   * "Because you viewed" rails: listings similar to each of the user's
+   * latest views, leaving out anything they've already seen or that an
+   * earlier rail shows
+   * @param {string} userId
+   * @param {Object} [options]
+   * @param {number} [options.limit] - Listings per rail
+   * @returns {Promise<Array<{basedOn: Object, listings: Array}>>}
+   */
+  async getBecauseYouViewed(userId, { limit = RAIL_SIZE } = {}) {
+    const views = await this.readHistory(userId);
+    const docs = await this.findDocuments(views.map((view) => view.propertyId));
+    const shown = new Set(views.map((view) => view.propertyId));
+
+    const rails = [];
+    for (const view of views) {
+      if (rails.length >= RAIL_SOURCES) break;
+      const source = docs.get(view.propertyId);
+      if (!source) continue;
+
+      const listings = await this.findSimilar(source, {
+        limit,
+        exclude: [...shown],
+      });
+      if (!listings.length) continue;
+
+      listings.forEach((listing) => shown.add(listing.propertyId));
+      rails.push({
+        basedOn: {
+          propertyId: source.propertyId,
+          title: source.title,
+          photo: source.photos?.[0] || null,
+        },
+        listings,
+      });
+    }
+
+    return rails;
+  }
+
+  // --- Helper Methods ---
+
+  async findSimilar(source, { limit, exclude = [] }) {
+    const radius = config.get("recommendations.similarRadiusMeters");
+    const band = config.get("recommendations.priceBand");
+    const priceField = priceFieldFor(source.listingType);
+    const price = valueAt(source, priceField) || 0;
+    const [longitude, latitude] = source.location.coordinates;
+    const guests = source.maxGuests || 1;
+    const bedrooms = source.bedrooms || 0;
+
+    const match = {
+      propertyId: { $nin: [source.propertyId, ...exclude] },
+      listingType: source.listingType,
+      location: {
+        $geoWithin: {
+          $centerSphere: [[longitude, latitude], radius / EARTH_RADIUS_METERS],
+        },
+      },
+    };
+    if (price > 0) {
+      match[priceField] = {
+        $gte: price * (1 - band),
+        $lte: price * (1 + band),
+      };
+    }
+
+    // Each signal is 0..1, so the average is too
+    const signals = [
+      closeness(`$${priceField}`, price, Math.max(price * band, 1)),
+      closeness("$maxGuests", guests, Math.max(guests, 2)),
+      closeness("$bedrooms", bedrooms, 2),
+      amenityOverlap([...new Set(source.amenities || [])]),
+      { $max: [0, { $subtract: [1, { $divide: ["$distance", radius] }] }] },
+    ];
+
+    const docs = await PropertySearch.aggregate([
+      { $match: match },
+      { $addFields: { distance: distanceFrom(latitude, longitude) } },
+      {
+        $addFields: {
+          similarity: { $divide: [{ $add: signals }, signals.length] },
+        },
+      },
+      { $sort: { similarity: -1, _id: 1 } },
+      { $limit: limit },
+    ]);
+
+    return docs.map((doc) => ({
+      ...this.present(doc),
+      distance: Math.round(doc.distance),
+      similarity: Math.round(doc.similarity * 1000) / 1000,
+    }));
+  }
+
+  // History entries latest first, all of them unless limited
+  async readHistory(userId, limit) {
+    const flat = await redis.zrevrange(
+      recentlyViewedKey(userId),
+      0,
+      limit ? limit - 1 : -1,
+      "WITHSCORES"
+    );
+
+    const views = [];
+    for (let i = 0; i < flat.length; i += 2) {
+      views.push({
+        propertyId: flat[i],
+        viewedAt: new Date(Number(flat[i + 1])),
+      });
+    }
+    return views;
+  }
+
+  async findDocuments(propertyIds) {
+    if (!propertyIds.length) return new Map();
+
+    const docs = await PropertySearch.find({
+      propertyId: { $in: propertyIds },
+    }).lean();
+    return new Map(docs.map((doc) => [doc.propertyId, doc]));
+  }
+
+  present(doc) {
+    return {
+      propertyId: doc.propertyId,
+      title: doc.title,
+      photo: doc.photos?.[0] || null,
+      city: doc.city,
+      listingType: doc.listingType,
+      basePrice: doc.basePrice,
+      salePrice: doc.sale?.price ?? null,
+      currency: doc.currency,
+      maxGuests: doc.maxGuests,
+      bedrooms: doc.bedrooms,
+      rating: doc.stats?.rating || 0,
+      reviewCount: doc.stats?.reviewCount || 0,
+    };
+  }
+}
+
+export default new RecommendationService();
@@ -5,6 +5,7 @@ import mongoClient from "../../config/mongodb.js";
 import { ForbiddenError, NotFoundError } from "../../utils/apiError.js";
 import { sanitizeReview } from "./schema.js";
 import logger from "../../config/logger.js";
+import SearchIndexService, { ReindexReason } from "../search/service.js";
 
 const REVIEW_CACHE_TTL = 3600; // 1 hour
 const RATING_CACHE_TTL = 86400; // 24 hours
@@ -45,6 +46,12 @@ export const createReview = async (userId, { bookingId, rating, comment }) => {
       },
     });
 
+    // Ratings are denormalized into the search document
+    await SearchIndexService.enqueue(
+      tx,
+      booking.propertyId,
+      ReindexReason.REVIEW_CHANGED
+    );
     await updateRatingCache(booking.propertyId);
     await updateTopReviewsCache(booking.propertyId);
 
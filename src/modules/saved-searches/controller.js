@@ -0,0 +1,119 @@
+import SavedSearchService from "./service.js";
+
+class SavedSearchController {
+  /**
+   * @desc    List the user's saved searches
+   * @route   GET /api/saved-searches
+   * @access  Private
+   */
+  async listSavedSearches(req, res, next) {
+    try {
+      const searches = await SavedSearchService.listSavedSearches(req.user.id);
+
+      res.status(200).json({ success: true, data: searches });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Save a search with an alert frequency
+   * @route   POST /api/saved-searches
+   * @access  Private
+   */
+  async createSavedSearch(req, res, next) {
+    try {
+      const search = await SavedSearchService.createSavedSearch(
+        req.user.id,
+        req.body
+      );
+
+      res.status(201).json({
+        success: true,
+        data: search,
+        message: "Search saved",
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Get one saved search
+   * @route   GET /api/saved-searches/:id
+   * @access  Private
+   */
+  async getSavedSearch(req, res, next) {
+    try {
+      const search = await SavedSearchService.getSavedSearch(
+        req.user.id,
+        req.params.id
+      );
+
+      res.status(200).json({ success: true, data: search });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Rename a saved search or change its criteria or alerts
+   * @route   PATCH /api/saved-searches/:id
+   * @access  Private
+   */
+  async updateSavedSearch(req, res, next) {
+    try {
+      const search = await SavedSearchService.updateSavedSearch(
+        req.user.id,
+        req.params.id,
+        req.body
+      );
+
+      res.status(200).json({
+        success: true,
+        data: search,
+        message: "Saved search updated",
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Delete a saved search
+   * @route   DELETE /api/saved-searches/:id
+   * @access  Private
+   */
+  async deleteSavedSearch(req, res, next) {
+    try {
+      await SavedSearchService.deleteSavedSearch(req.user.id, req.params.id);
+
+      res.status(200).json({ success: true, message: "Saved search deleted" });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Run a saved search
+   * @route   GET /api/saved-searches/:id/results
+   * @access  Private
+   */
+  async runSavedSearch(req, res, next) {
+    try {
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+      const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+      const results = await SavedSearchService.runSavedSearch(
+        req.user.id,
+        req.params.id,
+        { page, limit }
+      );
+
+      res.status(200).json({ success: true, ...results });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+export default new SavedSearchController();
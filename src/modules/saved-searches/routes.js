@@ -0,0 +1,26 @@
+import express from "express";
+import SavedSearchController from "./controller.js";
+import { authenticateUser } from "../../middlewares/authentication.js";
+import validateRequest from "../../middlewares/validate.js";
+import { createSavedSearchSchema, updateSavedSearchSchema } from "./schemas.js";
+
+const router = express.Router();
+
+router.use(authenticateUser());
+
+router.get("/", SavedSearchController.listSavedSearches);
+router.post(
+  "/",
+  validateRequest(createSavedSearchSchema),
+  SavedSearchController.createSavedSearch
+);
+router.get("/:id", SavedSearchController.getSavedSearch);
+router.patch(
+  "/:id",
+  validateRequest(updateSavedSearchSchema),
+  SavedSearchController.updateSavedSearch
+);
+router.delete("/:id", SavedSearchController.deleteSavedSearch);
+router.get("/:id/results", SavedSearchController.runSavedSearch);
+
+export default router;
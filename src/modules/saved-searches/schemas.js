@@ -0,0 +1,27 @@
+// saved-searches/schemas.js
+import Joi from "joi";
+import { searchParamsSchema } from "../properties/schema.js";
+
+export const ALERT_FREQUENCIES = ["NONE", "INSTANT", "DAILY", "WEEKLY"];
+
+// The /properties/search parameters, minus paging and presentation. Stay
+// dates would go stale, so saved searches can't carry them.
+const savedSearchParamsSchema = searchParamsSchema
+  .fork(["checkIn", "checkOut"], (schema) => schema.forbidden())
+  .fork(["page", "limit", "includeFacets", "mode", "zoom"], (schema) =>
+    schema.strip()
+  );
+
+export const createSavedSearchSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required(),
+  params: savedSearchParamsSchema.required(),
+  alertFrequency: Joi.string()
+    .valid(...ALERT_FREQUENCIES)
+    .default("DAILY"),
+});
+
+export const updateSavedSearchSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100),
+  params: savedSearchParamsSchema,
+  alertFrequency: Joi.string().valid(...ALERT_FREQUENCIES),
+}).min(1);
@@ -0,0 +1,463 @@
+// saved-searches/service.js
+import { randomUUID } from "crypto";
+import mongoose from "mongoose";
+import prisma from "../../config/database.js";
+import logger from "../../config/logger.js";
+import config from "../../config/env.js";
+import redis from "../../config/redis.js";
+import pkg from "@prisma/client";
+import UserPreferences from "../../models/UserPreferences.js";
+import SavedSearchMatch from "../../models/SavedSearchMatch.js";
+import Notification from "../../models/Notification.js";
+import PropertySearch from "../../models/PropertyDetails.js";
+import { PropertyService } from "../properties/service.js";
+import { buildBaseMatch, buildFilterMatch } from "../search/query.js";
+import { NotificationEvents } from "../../websocket/events.js";
+import { sendEmail } from "../../utils/email.js";
+import { BadRequestError, NotFoundError } from "../../utils/apiError.js";
+const { PropertyStatus } = pkg;
+
+const DUPLICATE_KEY = 11000;
+// Listings named in one alert; the rest are summarised as a count
+const MAX_LISTINGS_PER_ALERT = 10;
+// Instant matches younger than this may still be mid-alert
+const INSTANT_RETRY_AFTER_MINUTES = 10;
+
+const escapeHtml = (value) =>
+  String(value ?? "").replace(
+    /[&<>"']/g,
+    (char) =>
+      ({
+        "&": "&amp;",
+        "<": "&lt;",
+        ">": "&gt;",
+        '"': "&quot;",
+        "'": "&#39;",
+      })[char]
+  );
+
+class SavedSearchService {
+  async listSavedSearches(userId) {
+    const preferences = await UserPreferences.findOne(
+      { userId },
+      { savedSearches: 1 }
+    ).lean();
+
+    return preferences?.savedSearches || [];
+  }
+
+  async getSavedSearch(userId, id) {
+    this.assertSearchId(id);
+    const preferences = await UserPreferences.findOne(
+      { userId, "savedSearches._id": id },
+      { "savedSearches.$": 1 }
+    ).lean();
+    if (!preferences) throw new NotFoundError("Saved search not found");
+
+    return preferences.savedSearches[0];
+  }
+
+  /**
+   * Save a named search
+   * @param {string} userId
+   * @param {Object} data - name, params (validated search params), alertFrequency
+   * @throws {BadRequestError} When the user is at savedSearches.maxPerUser
+   */
+  async createSavedSearch(userId, { name, params, alertFrequency }) {
+    const maxPerUser = config.get("savedSearches.maxPerUser");
+    await UserPreferences.updateOne(
+      { userId },
+      { $setOnInsert: { userId } },
+      { upsert: true }
+    );
+
+    // The size guard keeps concurrent saves from going over the limit
+    const preferences = await UserPreferences.findOneAndUpdate(
+      { userId, [`savedSearches.${maxPerUser - 1}`]: { $exists: false } },
+      {
+        $push: {
+          savedSearches: {
+            name,
+            params: this.normalizeParams(params),
+            alertFrequency,
+          },
+        },
+      },
+      { new: true, projection: { savedSearches: { $slice: -1 } } }
+    ).lean();
+    if (!preferences) {
+      throw new BadRequestError(
+        `You can keep at most ${maxPerUser} saved searches`
+      );
+    }
+
+    return preferences.savedSearches[0];
+  }
+
+  async updateSavedSearch(userId, id, changes) {
+    this.assertSearchId(id);
+    const $set = {};
+    if (changes.name !== undefined) $set["savedSearches.$.name"] = changes.name;
+    if (changes.params !== undefined) {
+      $set["savedSearches.$.params"] = this.normalizeParams(changes.params);
+    }
+    if (changes.alertFrequency !== undefined) {
+      $set["savedSearches.$.alertFrequency"] = changes.alertFrequency;
+    }
+    $set["savedSearches.$.updatedAt"] = new Date();
+
+    const { matchedCount } = await UserPreferences.updateOne(
+      { userId, "savedSearches._id": id },
+      { $set }
+    );
+    if (matchedCount === 0) throw new NotFoundError("Saved search not found");
+
+    // Matches found under the old criteria no longer apply
+    if (changes.params !== undefined) {
+      await SavedSearchMatch.deleteMany({ savedSearchId: id, alertedAt: null });
+    }
+
+    return this.getSavedSearch(userId, id);
+  }
+
+  async deleteSavedSearch(userId, id) {
+    this.assertSearchId(id);
+    const { modifiedCount } = await UserPreferences.updateOne(
+      { userId, "savedSearches._id": id },
+      { $pull: { savedSearches: { _id: id } } }
+    );
+    if (modifiedCount === 0) throw new NotFoundError("Saved search not found");
+
+    await SavedSearchMatch.deleteMany({ savedSearchId: id });
+  }
+
+  /**
+   * Run a saved search exactly as /properties/search would
+   * @param {string} userId
+   * @param {string} id
+   * @param {Object} paging - page, limit
+   */
+  async runSavedSearch(userId, id, { page = 1, limit = 20 } = {}) {
+    const search = await this.getSavedSearch(userId, id);
+
+    return PropertyService.searchProperties({ ...search.params, page, limit });
+  }
+
+  /**
+   * Check a newly searchable listing against every saved search with alerts.
+   * Instant searches are alerted straight away; the rest wait for their
+   * digest. A failed instant alert is left for sendMissedInstantAlerts.
+   * @param {string} propertyId
+   * @returns {Promise<number>} Saved searches matched
+   * @throws {Error} While the listing's search document isn't written yet,
+   *   so the job is retried
+   */
+  async matchNewListing(propertyId) {
+    const property = await prisma.property.findUnique({
+      where: { id: propertyId },
+      select: { ownerId: true, status: true, deletedAt: true },
+    });
+    if (property?.status !== PropertyStatus.APPROVED || property.deletedAt) {
+      return 0;
+    }
+    // Matching is queued before indexing, so the document may lag behind
+    if (!(await PropertySearch.exists({ propertyId }))) {
+      throw new Error(`Listing ${propertyId} is not indexed yet`);
+    }
+
+    let matched = 0;
+    const cursor = UserPreferences.find({
+      userId: { $ne: property.ownerId },
+      "savedSearches.alertFrequency": { $in: ["INSTANT", "DAILY", "WEEKLY"] },
+    })
+      .lean()
+      .cursor();
+
+    for await (const preferences of cursor) {
+      for (const search of preferences.savedSearches) {
+        if (search.alertFrequency === "NONE") continue;
+
+        const isMatch = await PropertySearch.exists({
+          ...this.buildMatch(search.params),
+          propertyId,
+        });
+        if (!isMatch) continue;
+
+        try {
+          await SavedSearchMatch.create({
+            userId: preferences.userId,
+            savedSearchId: search._id,
+            propertyId,
+          });
+        } catch (error) {
+          // Already matched on an earlier run
+          if (error.code === DUPLICATE_KEY) continue;
+          throw error;
+        }
+        matched += 1;
+
+        if (search.alertFrequency === "INSTANT") {
+          await this.sendPendingAlerts(preferences.userId, [search]).catch(
+            (error) =>
+              logger.error(
+                `Instant saved search alert failed for user ${preferences.userId}`,
+                { error: error.message }
+              )
+          );
+        }
+      }
+    }
+
+    if (matched) {
+      logger.info(`Listing ${propertyId} matched ${matched} saved searches`);
+    }
+    return matched;
+  }
+
+  /**
+   * Send every user their pending matches for searches of one frequency
+   * @param {"DAILY"|"WEEKLY"} frequency
+   * @returns {Promise<number>} Users alerted
+   */
+  async sendDigests(frequency) {
+    let alerted = 0;
+    const cursor = UserPreferences.find({
+      "savedSearches.alertFrequency": frequency,
+    })
+      .lean()
+      .cursor();
+
+    for await (const preferences of cursor) {
+      const searches = preferences.savedSearches.filter(
+        (search) => search.alertFrequency === frequency
+      );
+      try {
+        if (await this.sendPendingAlerts(preferences.userId, searches)) {
+          alerted += 1;
+        }
+      } catch (error) {
+        logger.error(
+          `Saved search digest failed for user ${preferences.userId}`,
+          { error: error.message }
+        );
+      }
+    }
+
+    logger.info(
+      `Sent ${alerted} ${frequency.toLowerCase()} saved search digests`
+    );
+    return alerted;
+  }
+
+  /**
+   * Retry instant alerts that failed when their match was recorded. Only
+   * matches old enough that their first attempt has finished are picked up.
+   * @returns {Promise<number>} Users alerted
+   */
+  async sendMissedInstantAlerts() {
+    const userIds = await SavedSearchMatch.distinct("userId", {
+      alertedAt: null,
+      createdAt: {
+        $lte: new Date(Date.now() - INSTANT_RETRY_AFTER_MINUTES * 60 * 1000),
+      },
+    });
+
+    let alerted = 0;
+    for (const userId of userIds) {
+      const preferences = await UserPreferences.findOne(
+        { userId },
+        { savedSearches: 1 }
+      ).lean();
+      const searches = (preferences?.savedSearches || []).filter(
+        (search) => search.alertFrequency === "INSTANT"
+      );
+      if (!searches.length) continue;
+
+      try {
+        if (await this.sendPendingAlerts(userId, searches)) alerted += 1;
+      } catch (error) {
+        logger.error(`Instant saved search retry failed for user ${userId}`, {
+          error: error.message,
+        });
+      }
+    }
+
+    if (alerted)
+      logger.info(`Re-sent instant saved search alerts to ${alerted} users`);
+    return alerted;
+  }
+
+  // --- Helper Methods ---
+
+  assertSearchId(id) {
+    if (!mongoose.isValidObjectId(id)) {
+      throw new NotFoundError("Saved search not found");
+    }
+  }
+
+  // Search params as PropertyService.searchProperties takes them
+  normalizeParams(params) {
+    const { amenities, ...rest } = params;
+    if (amenities === undefined) return rest;
+
+    return { ...rest, amenities: [].concat(amenities) };
+  }
+
+  buildMatch(params) {
+    return { ...buildBaseMatch(params), ...buildFilterMatch(params) };
+  }
+
+  /**
+   * Alert the user to unalerted matches of the given searches in one
+   * notification and email, then mark them alerted
+   * @returns {Promise<boolean>} Whether there was anything to send
+   */
+  async sendPendingAlerts(userId, searches) {
+    const matches = await SavedSearchMatch.find({
+      userId,
+      savedSearchId: { $in: searches.map((search) => search._id) },
+      alertedAt: null,
+    }).lean();
+    if (!matches.length) return false;
+
+    // Listings taken down since they matched aren't worth alerting about
+    const properties = await prisma.property.findMany({
+      where: {
+        id: { in: [...new Set(matches.map((match) => match.propertyId))] },
+        status: PropertyStatus.APPROVED,
+        deletedAt: null,
+      },
+      select: {
+        id: true,
+        title: true,
+        city: true,
+        basePrice: true,
+        currency: true,
+      },
+    });
+    const byId = new Map(properties.map((property) => [property.id, property]));
+
+    const groups = searches
+      .map((search) => ({
+        search,
+        properties: matches
+          .filter(
+            (match) =>
+              match.savedSearchId.equals(search._id) &&
+              byId.has(match.propertyId)
+          )
+          .map((match) => byId.get(match.propertyId)),
+      }))
+      .filter((group) => group.properties.length);
+
+    if (groups.length) await this.deliverAlert(userId, groups);
+
+    await Promise.all([
+      SavedSearchMatch.updateMany(
+        { _id: { $in: matches.map((match) => match._id) } },
+        { $set: { alertedAt: new Date() } }
+      ),
+      UserPreferences.updateOne(
+        { userId },
+        { $set: { "savedSearches.$[search].lastAlertedAt": new Date() } },
+        {
+          arrayFilters: [
+            { "search._id": { $in: groups.map((group) => group.search._id) } },
+          ],
+        }
+      ),
+    ]);
+
+    return groups.length > 0;
+  }
+
+  // In-app notification plus email, each honouring the profile preferences
+  async deliverAlert(userId, groups) {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: {
+        email: true,
+        profile: { select: { notificationPreferences: true } },
+      },
+    });
+    if (!user) return;
+
+    const preferences = user.profile?.notificationPreferences || {};
+    const total = groups.reduce(
+      (sum, group) => sum + group.properties.length,
+      0
+    );
+    const title =
+      groups.length === 1
+        ? `${total} new ${total === 1 ? "listing" : "listings"} for "${groups[0].search.name}"`
+        : `${total} new listings for your saved searches`;
+    const frontendUrl = config.get("frontendUrl");
+    const listingUrl = (property) => `${frontendUrl}/properties/${property.id}`;
+
+    if (preferences.inApp !== false) {
+      const notification = await Notification.create({
+        notificationId: randomUUID(),
+        userId,
+        type: "saved_search",
+        content: {
+          title,
+          body: groups
+            .flatMap((group) => group.properties)
+            .slice(0, MAX_LISTINGS_PER_ALERT)
+            .map((property) => property.title)
+            .join(", "),
+        },
+        actions: groups.map((group) => ({
+          type: "route",
+          label: `View "${group.search.name}"`,
+          value: `/saved-searches/${group.search._id}`,
+        })),
+        metadata: {
+          context: {
+            savedSearches: groups.map((group) => ({
+              id: String(group.search._id),
+              propertyIds: group.properties.map((property) => property.id),
+            })),
+          },
+        },
+      });
+
+      await redis.publish(
+        `user:${userId}:notifications`,
+        JSON.stringify({
+          event: NotificationEvents.NEW_NOTIFICATION,
+          payload: notification.toNotificationPayload(),
+        })
+      );
+    }
+
+    if (preferences.email !== false) {
+      const sections = groups
+        .map(({ search, properties }) => {
+          const items = properties
+            .slice(0, MAX_LISTINGS_PER_ALERT)
+            .map(
+              (property) =>
+                `<li><a href="${escapeHtml(listingUrl(property))}">${escapeHtml(property.title)}</a>` +
+                `${property.city ? ` &middot; ${escapeHtml(property.city)}` : ""}` +
+                ` &middot; ${Number(property.basePrice)} ${escapeHtml(property.currency)}</li>`
+            )
+            .join("");
+          const more =
+            properties.length > MAX_LISTINGS_PER_ALERT
+              ? `<p>and ${properties.length - MAX_LISTINGS_PER_ALERT} more</p>`
+              : "";
+          return `<h3>${escapeHtml(search.name)}</h3><ul>${items}</ul>${more}`;
+        })
+        .join("");
+
+      await sendEmail(
+        user.email,
+        title,
+        `<p>${escapeHtml(title)}</p>${sections}`
+      );
+    }
+  }
+}
+
+export default new SavedSearchService();
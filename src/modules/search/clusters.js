@@ -0,0 +1,57 @@
+// search/clusters.js
+import PropertySearch from "../../models/PropertyDetails.js";
+
+// Grid cells per 256px map tile edge, i.e. one cluster per ~64px square
+const CELLS_PER_TILE = 4;
+const MAX_CLUSTERS = 1000;
+
+/**
+ * Group matching listings into grid cells sized for the map zoom level, so
+ * the map gets one marker per cell instead of a pin per listing
+ * @param {Object} match - Mongo filter for the listings to cluster
+ * @param {number} zoom - Web map zoom level (0-22)
+ * @returns {Promise<{clusters: Array, cellSize: number}>}
+ *   Clusters carry their centroid, count, cheapest base price and cell
+ *   bounds; a cluster of one also names its property
+ */
+export const getMarkerClusters = async (match, zoom) => {
+  const cellSize = 360 / (2 ** zoom * CELLS_PER_TILE);
+  const lng = { $arrayElemAt: ["$location.coordinates", 0] };
+  const lat = { $arrayElemAt: ["$location.coordinates", 1] };
+  const cell = (coordinate, offset) => ({
+    $floor: { $divide: [{ $add: [coordinate, offset] }, cellSize] },
+  });
+
+  const rows = await PropertySearch.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { x: cell(lng, 180), y: cell(lat, 90) },
+        count: { $sum: 1 },
+        lng: { $avg: lng },
+        lat: { $avg: lat },
+        minPrice: { $min: "$basePrice" },
+        propertyId: { $first: "$propertyId" },
+      },
+    },
+    { $sort: { count: -1 } },
+    { $limit: MAX_CLUSTERS },
+  ]);
+
+  const clusters = rows.map(
+    ({ _id, count, lat, lng, minPrice, propertyId }) => ({
+      centroid: { lat, lng },
+      count,
+      minPrice,
+      propertyId: count === 1 ? propertyId : null,
+      bounds: {
+        minLat: _id.y * cellSize - 90,
+        maxLat: Math.min((_id.y + 1) * cellSize - 90, 90),
+        minLng: _id.x * cellSize - 180,
+        maxLng: Math.min((_id.x + 1) * cellSize - 180, 180),
+      },
+    })
+  );
+
+  return { clusters, cellSize };
+};
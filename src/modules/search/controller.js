@@ -0,0 +1,121 @@
+import SearchIndexService, { ReindexReason } from "./service.js";
+import prisma from "../../config/database.js";
+
+class SearchIndexController {
+  /**
+   * @desc    Outbox backlog, index lag and Postgres/Mongo drift
+   * @route   GET /api/search-index/status
+   * @access  Private (admin)
+   */
+  async getStatus(req, res, next) {
+    try {
+      const status = await SearchIndexService.getIndexStatus();
+
+      res.status(200).json({ success: true, data: status });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Queue reindexes for every drifted property
+   * @route   POST /api/search-index/repair
+   * @access  Private (admin)
+   */
+  async repairDrift(req, res, next) {
+    try {
+      const queued = await SearchIndexService.repairDrift();
+
+      res.status(202).json({
+        success: true,
+        data: { queued },
+        message: "Reindex queued for drifted properties",
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Queue a reindex of one property
+   * @route   POST /api/search-index/properties/:propertyId
+   * @access  Private (admin)
+   */
+  async reindexProperty(req, res, next) {
+    try {
+      const entry = await SearchIndexService.enqueue(
+        prisma,
+        req.params.propertyId,
+        ReindexReason.MANUAL
+      );
+
+      res.status(202).json({
+        success: true,
+        data: entry,
+        message: "Reindex queued",
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Set a property's ranking boost
+   * @route   PUT /api/search-index/properties/:propertyId/boost
+   * @access  Private (admin)
+   */
+  async setBoost(req, res, next) {
+    try {
+      const property = await SearchIndexService.setBoost(
+        req.params.propertyId,
+        req.body.boost
+      );
+
+      res.status(200).json({
+        success: true,
+        data: property,
+        message: "Search boost updated; reindex queued",
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    List outbox entries that ran out of retries
+   * @route   GET /api/search-index/dead-letters
+   * @access  Private (admin)
+   */
+  async listDeadLetters(req, res, next) {
+    try {
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+      const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+      const result = await SearchIndexService.listDeadLetters({ page, limit });
+
+      res.status(200).json({ success: true, ...result });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Requeue a dead-lettered entry
+   * @route   POST /api/search-index/dead-letters/:id/retry
+   * @access  Private (admin)
+   */
+  async retryDeadLetter(req, res, next) {
+    try {
+      const entry = await SearchIndexService.retryDeadLetter(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        data: entry,
+        message: "Entry requeued",
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+export default new SearchIndexController();
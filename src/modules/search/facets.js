@@ -0,0 +1,116 @@
+// search/facets.js
+import config from "../../config/env.js";
+import PropertySearch from "../../models/PropertyDetails.js";
+import { buildFilterMatch, priceFieldFor } from "./query.js";
+
+const MAX_FACET_VALUES = 30;
+
+// Which filters each facet ignores when counting. Single-choice facets drop
+// their own filter so the other options still show what picking them would
+// leave; amenities are combined with AND, so their counts keep every filter.
+const FACET_OWN_FILTERS = {
+  amenities: [],
+  propertyType: ["propertyType"],
+  bedrooms: ["minBedrooms"],
+  price: ["minPrice", "maxPrice", "minSalePrice", "maxSalePrice"],
+  listingType: ["listingType"],
+  city: ["city"],
+  ownershipType: ["ownershipType"],
+};
+
+const countBy = (field, match) => [
+  { $match: match },
+  ...(field === "$amenities" ? [{ $unwind: "$amenities" }] : []),
+  { $match: { [field.slice(1)]: { $nin: [null, ""] } } },
+  { $group: { _id: field, count: { $sum: 1 } } },
+  { $sort: { count: -1, _id: 1 } },
+  { $limit: MAX_FACET_VALUES },
+];
+
+// Asking prices for sale listings sit on a different scale to nightly rates
+const priceBounds = (listingType) =>
+  config
+    .get(
+      listingType === "SALE"
+        ? "search.salePriceFacetBounds"
+        : "search.priceFacetBounds"
+    )
+    .map(Number)
+    .sort((a, b) => a - b);
+
+/**
+ * Count how many listings each filter option leaves, in one aggregation
+ * @param {Object} baseMatch - From buildBaseMatch
+ * @param {Object} filters - Chip filters as passed to buildFilterMatch
+ * @returns {Promise<Object>} Facet name to [{value, count}], and the price
+ *   histogram as [{min, max, count}] with max null on the open-ended bucket
+ */
+export const getSearchFacets = async (baseMatch, filters) => {
+  const bounds = priceBounds(filters.listingType);
+  const priceField = priceFieldFor(filters.listingType);
+  const matchFor = (facet) =>
+    buildFilterMatch(filters, FACET_OWN_FILTERS[facet]);
+
+  const [result] = await PropertySearch.aggregate([
+    { $match: baseMatch },
+    {
+      $facet: {
+        amenities: countBy("$amenities", matchFor("amenities")),
+        propertyType: countBy("$propertyType", matchFor("propertyType")),
+        listingType: countBy("$listingType", matchFor("listingType")),
+        city: countBy("$city", matchFor("city")),
+        ownershipType: countBy(
+          "$sale.ownershipType",
+          matchFor("ownershipType")
+        ),
+        bedrooms: [
+          { $match: matchFor("bedrooms") },
+          {
+            $group: { _id: { $ifNull: ["$bedrooms", 0] }, count: { $sum: 1 } },
+          },
+          { $sort: { _id: 1 } },
+        ],
+        price: [
+          {
+            $match: {
+              ...matchFor("price"),
+              [priceField]: { $gte: bounds[0] },
+            },
+          },
+          {
+            $bucket: {
+              groupBy: `$${priceField}`,
+              boundaries: bounds,
+              default: "overflow",
+              output: { count: { $sum: 1 } },
+            },
+          },
+        ],
+      },
+    },
+  ]);
+
+  const values = (rows) =>
+    rows.map(({ _id, count }) => ({ value: _id, count }));
+  const priceCounts = new Map(
+    result.price.map(({ _id, count }) => [_id, count])
+  );
+
+  return {
+    amenities: values(result.amenities),
+    propertyType: values(result.propertyType),
+    bedrooms: values(result.bedrooms),
+    listingType: values(result.listingType),
+    city: values(result.city),
+    ownershipType: values(result.ownershipType),
+    // Empty buckets are reported too so the histogram keeps its shape
+    price: bounds.map((min, index) => ({
+      min,
+      max: bounds[index + 1] ?? null,
+      count:
+        (index < bounds.length - 1
+          ? priceCounts.get(min)
+          : priceCounts.get("overflow")) || 0,
+    })),
+  };
+};
@@ -0,0 +1,101 @@
+// search/query.js
+import { geoJSON } from "../../utils/geospatial.js";
+
+const EARTH_RADIUS_METERS = 6378100;
+
+/**
+ * The part of a search every facet shares: text, area, guest count and stay
+ * availability. The area is a drawn polygon, a map viewport or a radius
+ * around a point; all use $geoWithin since $near can't be counted or
+ * aggregated.
+ * @param {Object} params
+ * @param {Array<{lat: number, lng: number}>} [params.polygon]
+ * @param {Object} [params.bbox] - { minLat, maxLat, minLng, maxLng }
+ * @param {string[]} [params.propertyIds] - Restrict to these properties
+ * @returns {Object} Mongo filter
+ */
+export const buildBaseMatch = ({
+  query,
+  latitude,
+  longitude,
+  radius,
+  bbox,
+  polygon,
+  guests,
+  propertyIds,
+}) => {
+  const match = {};
+
+  if (query) match.$text = { $search: query };
+  if (polygon) {
+    match.location = {
+      $geoWithin: { $geometry: geoJSON.createPolygon(polygon) },
+    };
+  } else if (bbox) {
+    match.location = {
+      $geoWithin: { $geometry: geoJSON.boundingBoxToGeometry(bbox) },
+    };
+  } else if (latitude && longitude) {
+    match.location = {
+      $geoWithin: {
+        $centerSphere: [[longitude, latitude], radius / EARTH_RADIUS_METERS],
+      },
+    };
+  }
+  if (propertyIds) match.propertyId = { $in: propertyIds };
+  else if (guests) match.maxGuests = { $gte: guests };
+
+  return match;
+};
+
+// Numeric filters as [min param, max param, indexed field]
+const RANGE_FILTERS = [
+  ["minPrice", "maxPrice", "basePrice"],
+  ["minBedrooms", null, "bedrooms"],
+  ["minSalePrice", "maxSalePrice", "sale.price"],
+  ["minYearBuilt", "maxYearBuilt", "sale.yearBuilt"],
+  [null, "maxHoaFee", "sale.hoaFee"],
+  ["minMonthlyRate", "maxMonthlyRate", "rental.monthlyRate"],
+  ["minLeaseTerm", "maxLeaseTerm", "rental.leaseTermMonths"],
+];
+
+// Filters matched by equality, as [param, indexed field]
+const EXACT_FILTERS = [
+  ["propertyType", "propertyType"],
+  ["listingType", "listingType"],
+  ["city", "city"],
+  ["negotiable", "sale.negotiable"],
+  ["ownershipType", "sale.ownershipType"],
+  ["utilitiesIncluded", "rental.utilitiesIncluded"],
+];
+
+/**
+ * Mongo conditions for the chip filters
+ * @param {Object} filters - Search params; unset ones are skipped
+ * @param {string[]} [except] - Filter names to leave out
+ * @returns {Object} Mongo filter
+ */
+export const buildFilterMatch = (filters, except = []) => {
+  const isSet = (name) =>
+    name && !except.includes(name) && filters[name] != null;
+  const match = {};
+
+  for (const [minName, maxName, field] of RANGE_FILTERS) {
+    const range = {};
+    if (isSet(minName)) range.$gte = filters[minName];
+    if (isSet(maxName)) range.$lte = filters[maxName];
+    if (Object.keys(range).length) match[field] = range;
+  }
+  for (const [name, field] of EXACT_FILTERS) {
+    if (isSet(name) && filters[name] !== "") match[field] = filters[name];
+  }
+  if (isSet("amenities") && filters.amenities.length > 0) {
+    match.amenities = { $all: filters.amenities };
+  }
+
+  return match;
+};
+
+// Sale listings are priced by their asking price rather than a nightly rate
+export const priceFieldFor = (listingType) =>
+  listingType === "SALE" ? "sale.price" : "basePrice";
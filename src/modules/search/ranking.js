@@ -0,0 +1,185 @@
+// search/ranking.js
+import config from "../../config/env.js";
+import PropertySearch from "../../models/PropertyDetails.js";
+
+const EARTH_RADIUS_METERS = 6378100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const SortOption = Object.freeze({
+  RELEVANCE: "relevance",
+  PRICE_ASC: "price_asc",
+  PRICE_DESC: "price_desc",
+  RATING: "rating",
+  NEWEST: "newest",
+  DISTANCE: "distance",
+});
+
+// _id last so pages never shuffle between requests
+const sortStage = (sort, priceField) =>
+  ({
+    [SortOption.RELEVANCE]: { relevance: -1, _id: 1 },
+    [SortOption.PRICE_ASC]: { [priceField]: 1, _id: 1 },
+    [SortOption.PRICE_DESC]: { [priceField]: -1, _id: 1 },
+    [SortOption.RATING]: {
+      "stats.rating": -1,
+      "stats.reviewCount": -1,
+      _id: 1,
+    },
+    [SortOption.NEWEST]: { createdAt: -1, _id: 1 },
+    [SortOption.DISTANCE]: { distance: 1, _id: 1 },
+  })[sort];
+
+// Great-circle distance in meters from a fixed point to the document
+export const distanceFrom = (latitude, longitude) => {
+  const lat = {
+    $degreesToRadians: { $arrayElemAt: ["$location.coordinates", 1] },
+  };
+  const lng = {
+    $degreesToRadians: { $arrayElemAt: ["$location.coordinates", 0] },
+  };
+  const originLat = (latitude * Math.PI) / 180;
+  const originLng = (longitude * Math.PI) / 180;
+  const halfSinSquared = (delta) => ({
+    $pow: [{ $sin: { $divide: [delta, 2] } }, 2],
+  });
+
+  return {
+    $multiply: [
+      2 * EARTH_RADIUS_METERS,
+      {
+        $asin: {
+          $sqrt: {
+            // Clamped so float error can't push $asin out of its domain
+            $min: [
+              1,
+              {
+                $add: [
+                  halfSinSquared({ $subtract: [lat, originLat] }),
+                  {
+                    $multiply: [
+                      Math.cos(originLat),
+                      { $cos: lat },
+                      halfSinSquared({ $subtract: [lng, originLng] }),
+                    ],
+                  },
+                ],
+              },
+            ],
+          },
+        },
+      },
+    ],
+  };
+};
+
+// 0 for none, rising to 1 at the saturation count on a log scale
+const saturating = (field, saturationCount) => ({
+  $min: [
+    1,
+    {
+      $divide: [
+        { $ln: { $add: [1, { $ifNull: [field, 0] }] } },
+        Math.log(1 + saturationCount),
+      ],
+    },
+  ],
+});
+
+/**
+ * Weighted sum of the relevance signals, each scaled to 0..1 except the
+ * admin boost. Weights come from search.ranking.
+ */
+const relevanceScore = ({ hasText, hasPoint, radius, now }) => {
+  const weights = config.get("search.ranking");
+  const signals = [
+    [weights.rating, { $divide: [{ $ifNull: ["$stats.rating", 0] }, 5] }],
+    [
+      weights.reviews,
+      saturating("$stats.reviewCount", weights.saturationCount),
+    ],
+    [
+      weights.popularity,
+      saturating("$stats.bookedCount", weights.saturationCount),
+    ],
+    [
+      weights.freshness,
+      {
+        $exp: {
+          $divide: [
+            { $subtract: [{ $ifNull: ["$createdAt", new Date(0)] }, now] },
+            weights.freshnessDays * DAY_MS,
+          ],
+        },
+      },
+    ],
+    [weights.boost, { $ifNull: ["$searchBoost", 0] }],
+  ];
+  if (hasText) {
+    const score = { $meta: "textScore" };
+    signals.push([weights.text, { $divide: [score, { $add: [score, 1] }] }]);
+  }
+  if (hasPoint) {
+    signals.push([
+      weights.distance,
+      { $max: [0, { $subtract: [1, { $divide: ["$distance", radius] }] }] },
+    ]);
+  }
+
+  return {
+    $add: signals
+      .filter(([weight]) => weight !== 0)
+      .map(([weight, signal]) => ({ $multiply: [weight, signal] })),
+  };
+};
+
+/**
+ * One page of matching search documents in the requested order. Each comes
+ * back with its `relevance` score, and its `distance` in meters when
+ * searching around a point.
+ * @param {Object} match - Mongo filter for the listings
+ * @param {Object} options
+ * @param {string} [options.sort] - One of SortOption
+ * @param {boolean} [options.hasText] - The match contains a $text search
+ * @param {number} [options.latitude]
+ * @param {number} [options.longitude]
+ * @param {number} [options.radius] - Meters, scales the distance signal
+ * @param {string} [options.priceField] - Field the price sorts order by
+ * @param {number} options.skip
+ * @param {number} options.limit
+ * @returns {Promise<Array>} Search documents
+ */
+export const getRankedPage = (
+  match,
+  {
+    sort = SortOption.RELEVANCE,
+    hasText = false,
+    latitude,
+    longitude,
+    radius = 5000,
+    priceField = "basePrice",
+    skip,
+    limit,
+  }
+) => {
+  const hasPoint = latitude != null && longitude != null;
+
+  return PropertySearch.aggregate([
+    { $match: match },
+    ...(hasPoint
+      ? [{ $addFields: { distance: distanceFrom(latitude, longitude) } }]
+      : []),
+    {
+      $addFields: {
+        relevance: relevanceScore({
+          hasText,
+          hasPoint,
+          radius,
+          now: new Date(),
+        }),
+      },
+    },
+    { $sort: sortStage(sort, priceField) },
+    { $skip: skip },
+    { $limit: limit },
+  ]);
+};
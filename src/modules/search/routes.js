@@ -0,0 +1,22 @@
+import express from "express";
+import SearchIndexController from "./controller.js";
+import { authenticateUser } from "../../middlewares/authentication.js";
+import validateRequest from "../../middlewares/validate.js";
+import { boostSchema } from "./schemas.js";
+
+const router = express.Router();
+
+router.use(authenticateUser({ roles: ["admin"] }));
+
+router.get("/status", SearchIndexController.getStatus);
+router.post("/repair", SearchIndexController.repairDrift);
+router.post("/properties/:propertyId", SearchIndexController.reindexProperty);
+router.put(
+  "/properties/:propertyId/boost",
+  validateRequest(boostSchema),
+  SearchIndexController.setBoost
+);
+router.get("/dead-letters", SearchIndexController.listDeadLetters);
+router.post("/dead-letters/:id/retry", SearchIndexController.retryDeadLetter);
+
+export default router;
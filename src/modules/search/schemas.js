@@ -0,0 +1,6 @@
+// search/schemas.js
+import Joi from "joi";
+
+export const boostSchema = Joi.object({
+  boost: Joi.number().min(-10).max(10).required(),
+}).options({ stripUnknown: true });
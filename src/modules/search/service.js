@@ -0,0 +1,373 @@
+// search/service.js
+import prisma from "../../config/database.js";
+import logger from "../../config/logger.js";
+import config from "../../config/env.js";
+import pkg from "@prisma/client";
+import { DateTime } from "luxon";
+import PropertySearch from "../../models/PropertyDetails.js";
+import { PropertyService } from "../properties/service.js";
+import { NotFoundError } from "../../utils/apiError.js";
+import { queueListingMatch } from "../../jobs/savedSearches.js";
+import { syncListingSuggestion } from "./suggestions.js";
+const { PropertyStatus, SearchOutboxStatus } = pkg;
+
+export const ReindexReason = Object.freeze({
+  PROPERTY_CREATED: "PROPERTY_CREATED",
+  PROPERTY_UPDATED: "PROPERTY_UPDATED",
+  PROPERTY_STATUS_CHANGED: "PROPERTY_STATUS_CHANGED",
+  PROPERTY_DELETED: "PROPERTY_DELETED",
+  AMENITIES_CHANGED: "AMENITIES_CHANGED",
+  ROOM_SPECS_CHANGED: "ROOM_SPECS_CHANGED",
+  AVAILABILITY_CHANGED: "AVAILABILITY_CHANGED",
+  REVIEW_CHANGED: "REVIEW_CHANGED",
+  BOOST_CHANGED: "BOOST_CHANGED",
+  PHOTOS_CHANGED: "PHOTOS_CHANGED",
+  DRIFT_REPAIR: "DRIFT_REPAIR",
+  MANUAL: "MANUAL",
+});
+
+// A claim older than this belongs to a worker that died mid-run
+const CLAIM_TIMEOUT_MINUTES = 5;
+const MAX_BACKOFF_SECONDS = 3600;
+const DRIFT_SAMPLE_SIZE = 20;
+
+class SearchIndexService {
+  /**
+   * Queue a reindex of one property's search document. Pass the transaction
+   * making the change so the entry commits (or rolls back) with it.
+   * @param {Object} client - Prisma client or transaction
+   * @param {string} propertyId
+   * @param {string} reason - One of ReindexReason
+   * @returns {Prisma.PrismaPromise} Usable in batch transactions
+   */
+  enqueue(client, propertyId, reason) {
+    return client.searchOutbox.create({ data: { propertyId, reason } });
+  }
+
+  /**
+   * Bring one property's search document in line with Postgres: index it
+   * while it is approved, remove it otherwise
+   * @param {string} propertyId
+   * @returns {Promise<"indexed"|"removed">}
+   */
+  async reindex(propertyId) {
+    const property = await prisma.property.findUnique({
+      where: { id: propertyId },
+      select: { status: true, deletedAt: true },
+    });
+
+    if (property?.status === PropertyStatus.APPROVED && !property.deletedAt) {
+      // Newly searchable listings are checked against saved searches. The
+      // match is queued first: if queueing fails the entry is retried while
+      // the listing is still unindexed, and the job waits for the document.
+      const wasIndexed = await PropertySearch.exists({ propertyId });
+      if (!wasIndexed) await queueListingMatch(propertyId);
+      await PropertyService.indexProperty(propertyId);
+      await syncListingSuggestion(propertyId);
+      return "indexed";
+    }
+
+    await PropertySearch.deleteOne({ propertyId });
+    await syncListingSuggestion(propertyId);
+    return "removed";
+  }
+
+  /**
+   * Claim due outbox entries and apply them. Several entries for the same
+   * property collapse into one reindex; failures are retried with
+   * exponential backoff and dead-lettered after search.outboxMaxAttempts.
+   * @param {number} [batchSize]
+   * @returns {Promise<{processed: number, retried: number, dead: number}>}
+   */
+  async processOutbox(batchSize = config.get("search.outboxBatchSize")) {
+    const claimed = await this.claimDueEntries(batchSize);
+    const summary = { processed: 0, retried: 0, dead: 0 };
+    if (!claimed.length) return summary;
+
+    const byProperty = new Map();
+    for (const entry of claimed) {
+      byProperty.set(entry.propertyId, [
+        ...(byProperty.get(entry.propertyId) || []),
+        entry,
+      ]);
+    }
+
+    for (const [propertyId, entries] of byProperty) {
+      try {
+        await this.reindex(propertyId);
+        await prisma.searchOutbox.updateMany({
+          where: { id: { in: entries.map((entry) => entry.id) } },
+          data: {
+            status: SearchOutboxStatus.DONE,
+            processedAt: new Date(),
+            lockedAt: null,
+            lastError: null,
+          },
+        });
+        summary.processed += entries.length;
+      } catch (error) {
+        logger.error(`Search reindex failed for property ${propertyId}`, {
+          error: error.message,
+        });
+        for (const entry of entries) {
+          const dead = await this.recordFailure(entry, error);
+          summary[dead ? "dead" : "retried"] += 1;
+        }
+      }
+    }
+
+    logger.info(`Search outbox run: ${JSON.stringify(summary)}`);
+    return summary;
+  }
+
+  /**
+   * Outbox backlog, how far the index trails Postgres, and which documents
+   * are missing, orphaned or older than their property
+   */
+  async getIndexStatus() {
+    const [counts, oldestPending, lastProcessed, properties, documents] =
+      await Promise.all([
+        prisma.searchOutbox.groupBy({
+          by: ["status"],
+          _count: { _all: true },
+        }),
+        prisma.searchOutbox.findFirst({
+          where: {
+            status: {
+              in: [SearchOutboxStatus.PENDING, SearchOutboxStatus.PROCESSING],
+            },
+          },
+          orderBy: { createdAt: "asc" },
+          select: { createdAt: true },
+        }),
+        prisma.searchOutbox.findFirst({
+          where: { status: SearchOutboxStatus.DONE },
+          orderBy: { processedAt: "desc" },
+          select: { processedAt: true },
+        }),
+        this.findIndexableProperties(),
+        PropertySearch.find({}, { propertyId: 1, sourceUpdatedAt: 1 }).lean(),
+      ]);
+
+    const drift = this.compareIndex(properties, documents);
+    const outbox = Object.fromEntries(
+      Object.values(SearchOutboxStatus).map((status) => [
+        status.toLowerCase(),
+        counts.find((row) => row.status === status)?._count._all || 0,
+      ])
+    );
+
+    return {
+      outbox,
+      lag: {
+        oldestPendingAt: oldestPending?.createdAt || null,
+        lagSeconds: oldestPending
+          ? Math.round((Date.now() - oldestPending.createdAt) / 1000)
+          : 0,
+        lastProcessedAt: lastProcessed?.processedAt || null,
+      },
+      drift: {
+        postgresCount: properties.length,
+        mongoCount: documents.length,
+        missing: drift.missing.length,
+        orphaned: drift.orphaned.length,
+        stale: drift.stale.length,
+        sample: {
+          missing: drift.missing.slice(0, DRIFT_SAMPLE_SIZE),
+          orphaned: drift.orphaned.slice(0, DRIFT_SAMPLE_SIZE),
+          stale: drift.stale.slice(0, DRIFT_SAMPLE_SIZE),
+        },
+      },
+    };
+  }
+
+  /**
+   * Queue a reindex for every property whose document has drifted
+   * @returns {Promise<number>} Entries queued
+   */
+  async repairDrift() {
+    const [properties, documents] = await Promise.all([
+      this.findIndexableProperties(),
+      PropertySearch.find({}, { propertyId: 1, sourceUpdatedAt: 1 }).lean(),
+    ]);
+    const { missing, orphaned, stale } = this.compareIndex(
+      properties,
+      documents
+    );
+    const propertyIds = [...missing, ...orphaned, ...stale];
+
+    const { count } = await prisma.searchOutbox.createMany({
+      data: propertyIds.map((propertyId) => ({
+        propertyId,
+        reason: ReindexReason.DRIFT_REPAIR,
+      })),
+    });
+
+    logger.info(`Queued ${count} search reindexes to repair drift`);
+    return count;
+  }
+
+  /**
+   * Nudge a property up or down the relevance ranking
+   * @param {string} propertyId
+   * @param {number} boost - Added to the relevance score, scaled by
+   *   search.ranking.boost; 0 removes the nudge
+   */
+  async setBoost(propertyId, boost) {
+    const property = await prisma.property.findUnique({
+      where: { id: propertyId },
+      select: { id: true },
+    });
+    if (!property) throw new NotFoundError("Property not found");
+
+    const [updated] = await prisma.$transaction([
+      prisma.property.update({
+        where: { id: propertyId },
+        data: { searchBoost: boost },
+        select: { id: true, searchBoost: true },
+      }),
+      this.enqueue(prisma, propertyId, ReindexReason.BOOST_CHANGED),
+    ]);
+
+    return updated;
+  }
+
+  async listDeadLetters({ page = 1, limit = 20 } = {}) {
+    const where = { status: SearchOutboxStatus.DEAD };
+    const [entries, total] = await Promise.all([
+      prisma.searchOutbox.findMany({
+        where,
+        orderBy: { createdAt: "desc" },
+        skip: (page - 1) * limit,
+        take: limit,
+      }),
+      prisma.searchOutbox.count({ where }),
+    ]);
+
+    return {
+      data: entries,
+      pagination: { total, page, limit, totalPages: Math.ceil(total / limit) },
+    };
+  }
+
+  /**
+   * Put a dead-lettered entry back in the queue with a fresh attempt budget
+   * @param {string} id - Outbox entry id
+   */
+  async retryDeadLetter(id) {
+    const { count } = await prisma.searchOutbox.updateMany({
+      where: { id, status: SearchOutboxStatus.DEAD },
+      data: {
+        status: SearchOutboxStatus.PENDING,
+        attempts: 0,
+        availableAt: new Date(),
+        lockedAt: null,
+      },
+    });
+    if (count === 0) throw new NotFoundError("Dead-lettered entry not found");
+
+    return prisma.searchOutbox.findUnique({ where: { id } });
+  }
+
+  // --- Helper Methods ---
+
+  async claimDueEntries(batchSize) {
+    const now = new Date();
+    const dueWhere = {
+      OR: [
+        { status: SearchOutboxStatus.PENDING, availableAt: { lte: now } },
+        {
+          status: SearchOutboxStatus.PROCESSING,
+          lockedAt: {
+            lt: DateTime.fromJSDate(now)
+              .minus({ minutes: CLAIM_TIMEOUT_MINUTES })
+              .toJSDate(),
+          },
+        },
+      ],
+    };
+
+    const due = await prisma.searchOutbox.findMany({
+      where: dueWhere,
+      orderBy: { createdAt: "asc" },
+      take: batchSize,
+      select: { id: true },
+    });
+    if (!due.length) return [];
+
+    // Re-check the due condition so entries another worker claimed first
+    // are skipped
+    const lockedAt = new Date();
+    await prisma.searchOutbox.updateMany({
+      where: { ...dueWhere, id: { in: due.map((entry) => entry.id) } },
+      data: { status: SearchOutboxStatus.PROCESSING, lockedAt },
+    });
+
+    return prisma.searchOutbox.findMany({
+      where: {
+        id: { in: due.map((entry) => entry.id) },
+        status: SearchOutboxStatus.PROCESSING,
+        lockedAt,
+      },
+    });
+  }
+
+  // Schedule the next attempt, or dead-letter the entry when out of attempts
+  async recordFailure(entry, error) {
+    const attempts = entry.attempts + 1;
+    const dead = attempts >= config.get("search.outboxMaxAttempts");
+    const delaySeconds = Math.min(10 * 2 ** attempts, MAX_BACKOFF_SECONDS);
+
+    await prisma.searchOutbox.update({
+      where: { id: entry.id },
+      data: {
+        attempts,
+        status: dead ? SearchOutboxStatus.DEAD : SearchOutboxStatus.PENDING,
+        availableAt: DateTime.now().plus({ seconds: delaySeconds }).toJSDate(),
+        lockedAt: null,
+        lastError: error.message?.slice(0, 500),
+      },
+    });
+
+    if (dead) {
+      logger.warn(
+        `Search outbox entry ${entry.id} dead-lettered after ${attempts} attempts`
+      );
+    }
+    return dead;
+  }
+
+  async findIndexableProperties() {
+    return prisma.property.findMany({
+      where: { status: PropertyStatus.APPROVED, deletedAt: null },
+      select: { id: true, updatedAt: true },
+    });
+  }
+
+  compareIndex(properties, documents) {
+    const indexed = new Map(
+      documents.map((doc) => [doc.propertyId, doc.sourceUpdatedAt])
+    );
+    const indexable = new Set(properties.map((property) => property.id));
+
+    return {
+      missing: properties
+        .filter((property) => !indexed.has(property.id))
+        .map((property) => property.id),
+      orphaned: documents
+        .filter((doc) => !indexable.has(doc.propertyId))
+        .map((doc) => doc.propertyId),
+      stale: properties
+        .filter((property) => {
+          const sourceUpdatedAt = indexed.get(property.id);
+          return (
+            indexed.has(property.id) &&
+            (!sourceUpdatedAt || sourceUpdatedAt < property.updatedAt)
+          );
+        })
+        .map((property) => property.id),
+    };
+  }
+}
+
+export default new SearchIndexService();
@@ -0,0 +1,254 @@
+// search/suggestions.js
+import PropertySearch from "../../models/PropertyDetails.js";
+import SearchSuggestion from "../../models/SearchSuggestion.js";
+
+const MAX_QUERY_WORDS = 5;
+const WRITE_BATCH_SIZE = 500;
+
+// Each place level with the fields that identify it, most specific first
+const PLACE_LEVELS = [
+  ["neighbourhood", ["neighbourhood", "city", "state", "country"]],
+  ["city", ["city", "state", "country"]],
+  ["state", ["state", "country"]],
+  ["country", ["country"]],
+];
+
+/**
+ * Lowercased words with accents stripped, so "São Paulo" and "sao paulo"
+ * index and match alike. Only letters and digits survive, which keeps the
+ * words safe to use in a regex.
+ * @param {...string} texts
+ * @returns {string[]}
+ */
+export const tokenize = (...texts) => [
+  ...new Set(
+    texts
+      .filter(Boolean)
+      .join(" ")
+      .normalize("NFKD")
+      .replace(/\p{M}/gu, "")
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(Boolean)
+  ),
+];
+
+const toPoint = (location) =>
+  location?.coordinates?.length === 2
+    ? { lat: location.coordinates[1], lng: location.coordinates[0] }
+    : null;
+
+// Suggestion for one search document
+const listingEntry = (doc) => {
+  const context = [doc.neighbourhood, doc.city, doc.country]
+    .filter(Boolean)
+    .join(", ");
+
+  return {
+    kind: "listing",
+    key: `listing:${doc.propertyId}`,
+    propertyId: doc.propertyId,
+    label: doc.title,
+    context,
+    tokens: tokenize(doc.title, context),
+    location: doc.location,
+    photo: doc.photos?.[0],
+    weight: (doc.stats?.reviewCount || 0) + (doc.stats?.bookedCount || 0),
+  };
+};
+
+const upsertOps = (entries, builtAt) =>
+  entries.map((entry) => ({
+    updateOne: {
+      filter: { key: entry.key },
+      update: { $set: { ...entry, builtAt } },
+      upsert: true,
+    },
+  }));
+
+// Every place at one level, with its listing count, centroid and extent
+const aggregatePlaces = async (placeType, fields) => {
+  const lng = { $arrayElemAt: ["$location.coordinates", 0] };
+  const lat = { $arrayElemAt: ["$location.coordinates", 1] };
+
+  const rows = await PropertySearch.aggregate([
+    { $match: { [placeType]: { $nin: [null, ""] } } },
+    {
+      $group: {
+        // Spelling variants like "lahore" and "Lahore " are one place
+        _id: Object.fromEntries(
+          fields.map((field) => [
+            field,
+            { $toLower: { $trim: { input: { $ifNull: [`$${field}`, ""] } } } },
+          ])
+        ),
+        names: {
+          $first: Object.fromEntries(
+            fields.map((field) => [field, `$${field}`])
+          ),
+        },
+        listingCount: { $sum: 1 },
+        lat: { $avg: lat },
+        lng: { $avg: lng },
+        south: { $min: lat },
+        north: { $max: lat },
+        west: { $min: lng },
+        east: { $max: lng },
+      },
+    },
+  ]);
+
+  return rows.map((row) => {
+    const [name, ...parents] = fields.map((field) => row.names[field]?.trim());
+    const context = parents.filter(Boolean).join(", ");
+
+    return {
+      kind: "place",
+      key: `${placeType}:${fields.map((field) => row._id[field]).join("|")}`,
+      placeType,
+      label: name,
+      context,
+      tokens: tokenize(name, context),
+      location: { type: "Point", coordinates: [row.lng, row.lat] },
+      bounds: {
+        south: row.south,
+        west: row.west,
+        north: row.north,
+        east: row.east,
+      },
+      listingCount: row.listingCount,
+      weight: row.listingCount,
+    };
+  });
+};
+
+/**
+ * Rebuild the autocomplete index from the property search index. Entries
+ * not touched by this run are places and listings that no longer exist.
+ * @returns {Promise<{places: number, listings: number, removed: number}>}
+ */
+export const rebuildSuggestions = async () => {
+  const builtAt = new Date();
+  const summary = { places: 0, listings: 0, removed: 0 };
+
+  for (const [placeType, fields] of PLACE_LEVELS) {
+    const places = await aggregatePlaces(placeType, fields);
+    if (places.length) {
+      await SearchSuggestion.bulkWrite(upsertOps(places, builtAt), {
+        ordered: false,
+      });
+    }
+    summary.places += places.length;
+  }
+
+  let batch = [];
+  const flush = async () => {
+    if (!batch.length) return;
+    await SearchSuggestion.bulkWrite(upsertOps(batch, builtAt), {
+      ordered: false,
+    });
+    summary.listings += batch.length;
+    batch = [];
+  };
+  const cursor = PropertySearch.find(
+    {},
+    {
+      propertyId: 1,
+      title: 1,
+      neighbourhood: 1,
+      city: 1,
+      country: 1,
+      location: 1,
+      photos: { $slice: 1 },
+      stats: 1,
+    }
+  )
+    .lean()
+    .cursor();
+  for await (const doc of cursor) {
+    batch.push(listingEntry(doc));
+    if (batch.length >= WRITE_BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  const { deletedCount } = await SearchSuggestion.deleteMany({
+    builtAt: { $lt: builtAt },
+  });
+  summary.removed = deletedCount;
+
+  return summary;
+};
+
+/**
+ * Keep a listing's suggestion in step with its search document between
+ * rebuilds. Places catch up on the next rebuild.
+ * @param {string} propertyId
+ */
+export const syncListingSuggestion = async (propertyId) => {
+  const doc = await PropertySearch.findOne({ propertyId }).lean();
+  if (!doc) {
+    await SearchSuggestion.deleteOne({ key: `listing:${propertyId}` });
+    return;
+  }
+
+  await SearchSuggestion.bulkWrite(upsertOps([listingEntry(doc)], new Date()));
+};
+
+/**
+ * Typeahead suggestions for what the user has typed so far. Every word
+ * must start a word of the suggestion, so "new yo" finds "New York".
+ * Places come first; listings keep up to a third of the slots.
+ * @param {string} text
+ * @param {Object} options
+ * @param {string[]} [options.types] - "place" and/or "listing"
+ * @param {number} [options.limit]
+ * @returns {Promise<Array>} Places carry coordinates and bounds for a map
+ *   search; listings carry their property id
+ */
+export const getSuggestions = async (
+  text,
+  { types = ["place", "listing"], limit = 8 } = {}
+) => {
+  const words = tokenize(text).slice(0, MAX_QUERY_WORDS);
+  if (!words.length) return [];
+
+  const find = (kind) =>
+    types.includes(kind)
+      ? SearchSuggestion.find({
+          kind,
+          $and: words.map((word) => ({ tokens: { $regex: `^${word}` } })),
+        })
+          .sort({ weight: -1, label: 1 })
+          .limit(limit)
+          .lean()
+      : [];
+  const [places, listings] = await Promise.all([
+    find("place"),
+    find("listing"),
+  ]);
+
+  const listingSlots = Math.min(
+    listings.length,
+    places.length ? Math.ceil(limit / 3) : limit
+  );
+
+  return [
+    ...places.slice(0, limit - listingSlots).map((place) => ({
+      type: "place",
+      placeType: place.placeType,
+      label: place.label,
+      context: place.context,
+      location: toPoint(place.location),
+      bounds: place.bounds,
+      listingCount: place.listingCount,
+    })),
+    ...listings.slice(0, listingSlots).map((listing) => ({
+      type: "listing",
+      propertyId: listing.propertyId,
+      label: listing.label,
+      context: listing.context,
+      location: toPoint(listing.location),
+      photo: listing.photo || null,
+    })),
+  ];
+};
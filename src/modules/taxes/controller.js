@@ -0,0 +1,85 @@
+import TaxFeeService from "./service.js";
+
+class TaxFeeController {
+  /**
+   * @desc    List tax and fee rules
+   * @route   GET /api/tax-fee-rules
+   * @access  Private (admin)
+   */
+  async listRules(req, res, next) {
+    const { country, state, city, kind, active } = req.query;
+
+    try {
+      const rules = await TaxFeeService.listRules({
+        country,
+        state,
+        city,
+        kind,
+        isActive: active === undefined ? undefined : active === "true",
+      });
+
+      res.status(200).json({ success: true, data: rules });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Create a tax or fee rule for a jurisdiction
+   * @route   POST /api/tax-fee-rules
+   * @access  Private (admin)
+   */
+  async createRule(req, res, next) {
+    try {
+      const rule = await TaxFeeService.createRule(req.body);
+
+      res.status(201).json({
+        success: true,
+        data: rule,
+        message: "Tax/fee rule created",
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Update a tax or fee rule
+   * @route   PATCH /api/tax-fee-rules/:id
+   * @access  Private (admin)
+   */
+  async updateRule(req, res, next) {
+    try {
+      const rule = await TaxFeeService.updateRule(req.params.id, req.body);
+
+      res.status(200).json({
+        success: true,
+        data: rule,
+        message: "Tax/fee rule updated",
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Deactivate a tax or fee rule
+   * @route   DELETE /api/tax-fee-rules/:id
+   * @access  Private (admin)
+   */
+  async deactivateRule(req, res, next) {
+    try {
+      const rule = await TaxFeeService.deactivateRule(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        data: rule,
+        message: "Tax/fee rule deactivated",
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+export default new TaxFeeController();
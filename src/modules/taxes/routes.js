@@ -0,0 +1,21 @@
+import express from "express";
+import TaxFeeController from "./controller.js";
+import { authenticateUser } from "../../middlewares/authentication.js";
+import validateRequest from "../../middlewares/validate.js";
+import { createTaxFeeRuleSchema, updateTaxFeeRuleSchema } from "./schemas.js";
+
+const router = express.Router();
+
+router.use(authenticateUser({ roles: ["admin"] }));
+
+router
+  .route("/")
+  .get(TaxFeeController.listRules)
+  .post(validateRequest(createTaxFeeRuleSchema), TaxFeeController.createRule);
+
+router
+  .route("/:id")
+  .patch(validateRequest(updateTaxFeeRuleSchema), TaxFeeController.updateRule)
+  .delete(TaxFeeController.deactivateRule);
+
+export default router;
@@ -0,0 +1,42 @@
+// taxes/schemas.js
+import Joi from "joi";
+
+const ruleFields = {
+  name: Joi.string().trim().max(100),
+  kind: Joi.string().valid(
+    "OCCUPANCY_TAX",
+    "VAT",
+    "CLEANING_FEE",
+    "EXTRA_GUEST_FEE",
+    "SERVICE_FEE"
+  ),
+  calculation: Joi.string().valid("PERCENTAGE", "PER_STAY", "PER_NIGHT"),
+  rate: Joi.number().min(0).max(1000000),
+  country: Joi.string().trim().max(50),
+  state: Joi.string().trim().max(50).allow(null),
+  city: Joi.string().trim().max(50).allow(null),
+  guestThreshold: Joi.number().integer().min(0).allow(null),
+  effectiveFrom: Joi.date().iso().allow(null),
+  effectiveTo: Joi.date()
+    .iso()
+    .greater(Joi.ref("effectiveFrom"))
+    .allow(null)
+    .messages({ "date.greater": "effectiveTo must be after effectiveFrom" }),
+  isActive: Joi.boolean(),
+};
+
+export const createTaxFeeRuleSchema = Joi.object({
+  ...ruleFields,
+  name: ruleFields.name.required(),
+  kind: ruleFields.kind.required(),
+  calculation: ruleFields.calculation.default("PERCENTAGE"),
+  rate: ruleFields.rate.required(),
+  country: ruleFields.country.required(),
+})
+  // A city-level rule must say which state it belongs to
+  .with("city", "state")
+  .options({ stripUnknown: true });
+
+export const updateTaxFeeRuleSchema = Joi.object(ruleFields)
+  .min(1)
+  .options({ stripUnknown: true });
@@ -0,0 +1,224 @@
+// taxes/service.js
+import prisma from "../../config/database.js";
+import logger from "../../config/logger.js";
+import pkg from "@prisma/client";
+import { NotFoundError } from "../../utils/apiError.js";
+const { TaxFeeKind, TaxFeeCalculation } = pkg;
+
+// Line item order on quotes and invoices; fees come before the taxes
+// that may be levied on them
+const KIND_ORDER = [
+  TaxFeeKind.CLEANING_FEE,
+  TaxFeeKind.EXTRA_GUEST_FEE,
+  TaxFeeKind.SERVICE_FEE,
+  TaxFeeKind.OCCUPANCY_TAX,
+  TaxFeeKind.VAT,
+];
+export const TAX_KINDS = [TaxFeeKind.OCCUPANCY_TAX, TaxFeeKind.VAT];
+const DEFAULT_GUEST_THRESHOLD = 2;
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+class TaxFeeService {
+  /**
+   * List tax/fee rules, optionally filtered by jurisdiction or kind
+   * @param {Object} [filters]
+   */
+  async listRules({ country, state, city, kind, isActive } = {}) {
+    return prisma.taxFeeRule.findMany({
+      where: {
+        ...(country && { country: { equals: country, mode: "insensitive" } }),
+        ...(state && { state: { equals: state, mode: "insensitive" } }),
+        ...(city && { city: { equals: city, mode: "insensitive" } }),
+        ...(kind && { kind }),
+        ...(isActive !== undefined && { isActive }),
+      },
+      orderBy: [{ country: "asc" }, { state: "asc" }, { city: "asc" }],
+    });
+  }
+
+  async createRule(data) {
+    const rule = await prisma.taxFeeRule.create({ data });
+    logger.info(
+      `Tax/fee rule ${rule.id} (${rule.kind}) created for ${this.describeJurisdiction(rule)}`
+    );
+    return rule;
+  }
+
+  async updateRule(ruleId, data) {
+    await this.findRule(ruleId);
+    return prisma.taxFeeRule.update({ where: { id: ruleId }, data });
+  }
+
+  /**
+   * Retire a rule. Rules stay in the table because booked line items
+   * reference them.
+   * @param {string} ruleId
+   */
+  async deactivateRule(ruleId) {
+    await this.findRule(ruleId);
+    return prisma.taxFeeRule.update({
+      where: { id: ruleId },
+      data: { isActive: false, effectiveTo: new Date() },
+    });
+  }
+
+  /**
+   * Find the rules in force for a property's location: for each kind the
+   * most specific jurisdiction (city, then state, then country) wins
+   * @param {Object} client - Prisma client or transaction
+   * @param {{country: string, state?: string, city?: string}} location
+   * @param {Date} [at]
+   * @returns {Promise<Array>} At most one rule per kind
+   */
+  async resolveRules(client, { country, state, city }, at = new Date()) {
+    if (!country) return [];
+
+    const insensitive = (value) => ({ equals: value, mode: "insensitive" });
+    const candidates = await client.taxFeeRule.findMany({
+      where: {
+        isActive: true,
+        country: insensitive(country),
+        AND: [
+          {
+            OR: [
+              { state: null },
+              ...(state ? [{ state: insensitive(state) }] : []),
+            ],
+          },
+          {
+            OR: [
+              { city: null },
+              ...(city ? [{ city: insensitive(city) }] : []),
+            ],
+          },
+          { OR: [{ effectiveFrom: null }, { effectiveFrom: { lte: at } }] },
+          { OR: [{ effectiveTo: null }, { effectiveTo: { gt: at } }] },
+        ],
+      },
+      orderBy: { createdAt: "desc" },
+    });
+
+    const specificity = (rule) => (rule.city ? 2 : rule.state ? 1 : 0);
+    const byKind = new Map();
+    for (const rule of candidates) {
+      const current = byKind.get(rule.kind);
+      if (!current || specificity(rule) > specificity(current)) {
+        byKind.set(rule.kind, rule);
+      }
+    }
+
+    return [...byKind.values()];
+  }
+
+  /**
+   * Build the priced line items for a stay
+   * @param {Object} params
+   * @param {number} params.accommodation - Sum of nightly prices
+   * @param {number} params.nights
+   * @param {number} params.guests - Adults and children
+   * @param {Array} params.rules - From resolveRules
+   * @returns {{lineItems: Array, taxes: number, fees: number, total: number}}
+   */
+  buildLineItems({ accommodation, nights, guests, rules }) {
+    const lineItems = [
+      {
+        kind: "ACCOMMODATION",
+        description: `${nights} night${nights === 1 ? "" : "s"}`,
+        quantity: nights,
+        unitAmount: round(accommodation / Math.max(nights, 1)),
+        amount: round(accommodation),
+        rate: null,
+        taxFeeRuleId: null,
+      },
+    ];
+
+    let fees = 0;
+    let taxes = 0;
+    const ordered = [...rules].sort(
+      (a, b) => KIND_ORDER.indexOf(a.kind) - KIND_ORDER.indexOf(b.kind)
+    );
+
+    for (const rule of ordered) {
+      // VAT is levied on the fees as well as the stay itself
+      const base =
+        rule.kind === TaxFeeKind.VAT ? accommodation + fees : accommodation;
+      const item = this.priceRule(rule, { base, nights, guests });
+      if (!item || item.amount <= 0) continue;
+
+      lineItems.push(item);
+      if (TAX_KINDS.includes(rule.kind)) taxes += item.amount;
+      else fees += item.amount;
+    }
+
+    return {
+      lineItems: lineItems.map((item, sortOrder) => ({ ...item, sortOrder })),
+      taxes: round(taxes),
+      fees: round(fees),
+      total: round(accommodation + taxes + fees),
+    };
+  }
+
+  /**
+   * Resolve the rules for a property and price the stay in one step
+   * @param {Object} client - Prisma client or transaction
+   * @param {{country: string, state?: string, city?: string}} property
+   * @param {{accommodation: number, nights: number, guests: number}} stay
+   */
+  async calculateCharges(client, property, stay) {
+    const rules = await this.resolveRules(client, property);
+    return this.buildLineItems({ ...stay, rules });
+  }
+
+  // --- Helper Methods ---
+
+  priceRule(rule, { base, nights, guests }) {
+    const rate = Number(rule.rate);
+    let quantity = 1;
+
+    if (rule.kind === TaxFeeKind.EXTRA_GUEST_FEE) {
+      quantity = Math.max(
+        guests - (rule.guestThreshold ?? DEFAULT_GUEST_THRESHOLD),
+        0
+      );
+      if (quantity === 0) return null;
+    }
+
+    let unitAmount;
+    switch (rule.calculation) {
+      case TaxFeeCalculation.PERCENTAGE:
+        unitAmount = (base * rate) / 100;
+        break;
+      case TaxFeeCalculation.PER_NIGHT:
+        unitAmount = rate * nights;
+        break;
+      default:
+        unitAmount = rate;
+    }
+
+    return {
+      kind: rule.kind,
+      description:
+        rule.calculation === TaxFeeCalculation.PERCENTAGE
+          ? `${rule.name} (${rate}%)`
+          : rule.name,
+      quantity,
+      unitAmount: round(unitAmount),
+      amount: round(unitAmount * quantity),
+      rate: rule.calculation === TaxFeeCalculation.PERCENTAGE ? rate : null,
+      taxFeeRuleId: rule.id,
+    };
+  }
+
+  async findRule(ruleId) {
+    const rule = await prisma.taxFeeRule.findUnique({ where: { id: ruleId } });
+    if (!rule) throw new NotFoundError("Tax/fee rule not found");
+    return rule;
+  }
+
+  describeJurisdiction({ country, state, city }) {
+    return [city, state, country].filter(Boolean).join(", ");
+  }
+}
+
+export default new TaxFeeService();
@@ -0,0 +1,226 @@
+import WishlistService from "./service.js";
+import { stayQuerySchema } from "./schemas.js";
+import { ValidationError } from "../../utils/apiError.js";
+
+const parseStay = (query) => {
+  const { error, value } = stayQuerySchema.validate(query);
+  if (error) throw new ValidationError(error.message);
+  return value;
+};
+
+class WishlistController {
+  /**
+   * @desc    List the user's wishlists
+   * @route   GET /api/wishlists
+   * @access  Private
+   */
+  async listWishlists(req, res, next) {
+    try {
+      const wishlists = await WishlistService.listWishlists(req.user.id);
+
+      res.status(200).json({ success: true, data: wishlists });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Create a wishlist
+   * @route   POST /api/wishlists
+   * @access  Private
+   */
+  async createWishlist(req, res, next) {
+    try {
+      const wishlist = await WishlistService.createWishlist(
+        req.user.id,
+        req.body
+      );
+
+      res.status(201).json({
+        success: true,
+        data: wishlist,
+        message: "Wishlist created",
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Wishlist contents with current price and availability
+   * @route   GET /api/wishlists/:id?checkIn=&checkOut=&guests=
+   * @access  Private
+   */
+  async getWishlist(req, res, next) {
+    try {
+      const wishlist = await WishlistService.getWishlist(
+        req.user.id,
+        req.params.id,
+        parseStay(req.query)
+      );
+
+      res.status(200).json({ success: true, data: wishlist });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Rename a wishlist
+   * @route   PATCH /api/wishlists/:id
+   * @access  Private
+   */
+  async renameWishlist(req, res, next) {
+    try {
+      const wishlist = await WishlistService.renameWishlist(
+        req.user.id,
+        req.params.id,
+        req.body
+      );
+
+      res.status(200).json({
+        success: true,
+        data: wishlist,
+        message: "Wishlist renamed",
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Delete a wishlist
+   * @route   DELETE /api/wishlists/:id
+   * @access  Private
+   */
+  async deleteWishlist(req, res, next) {
+    try {
+      await WishlistService.deleteWishlist(req.user.id, req.params.id);
+
+      res.status(200).json({ success: true, message: "Wishlist deleted" });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Add a property to a wishlist
+   * @route   PUT /api/wishlists/:id/properties/:propertyId
+   * @access  Private
+   */
+  async addProperty(req, res, next) {
+    try {
+      const wishlist = await WishlistService.addProperty(
+        req.user.id,
+        req.params.id,
+        req.params.propertyId
+      );
+
+      res.status(200).json({
+        success: true,
+        data: wishlist,
+        message: "Property added to wishlist",
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Remove a property from a wishlist
+   * @route   DELETE /api/wishlists/:id/properties/:propertyId
+   * @access  Private
+   */
+  async removeProperty(req, res, next) {
+    try {
+      const wishlist = await WishlistService.removeProperty(
+        req.user.id,
+        req.params.id,
+        req.params.propertyId
+      );
+
+      res.status(200).json({
+        success: true,
+        data: wishlist,
+        message: "Property removed from wishlist",
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Turn on the wishlist's read-only share link
+   * @route   POST /api/wishlists/:id/share
+   * @access  Private
+   */
+  async shareWishlist(req, res, next) {
+    try {
+      const wishlist = await WishlistService.shareWishlist(
+        req.user.id,
+        req.params.id
+      );
+
+      res.status(200).json({ success: true, data: wishlist });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    Revoke the wishlist's share link
+   * @route   DELETE /api/wishlists/:id/share
+   * @access  Private
+   */
+  async unshareWishlist(req, res, next) {
+    try {
+      const wishlist = await WishlistService.unshareWishlist(
+        req.user.id,
+        req.params.id
+      );
+
+      res.status(200).json({
+        success: true,
+        data: wishlist,
+        message: "Share link revoked",
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    View a shared wishlist
+   * @route   GET /api/wishlists/shared/:token
+   * @access  Public
+   */
+  async getSharedWishlist(req, res, next) {
+    try {
+      const wishlist = await WishlistService.getSharedWishlist(
+        req.params.token,
+        parseStay(req.query)
+      );
+
+      res.status(200).json({ success: true, data: wishlist });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @desc    How many users favorited each of the owner's listings
+   * @route   GET /api/wishlists/owner/favorite-counts
+   * @access  Private (owner)
+   */
+  async getOwnerFavoriteCounts(req, res, next) {
+    try {
+      const counts = await WishlistService.getOwnerFavoriteCounts(req.user.id);
+
+      res.status(200).json({ success: true, data: counts });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+export default new WishlistController();
@@ -0,0 +1,33 @@
+import express from "express";
+import WishlistController from "./controller.js";
+import { authenticateUser } from "../../middlewares/authentication.js";
+import validateRequest from "../../middlewares/validate.js";
+import { wishlistSchema } from "./schemas.js";
+
+const router = express.Router();
+
+// Share links work without an account
+router.get("/shared/:token", WishlistController.getSharedWishlist);
+
+router.use(authenticateUser());
+
+router.get("/owner/favorite-counts", WishlistController.getOwnerFavoriteCounts);
+router.get("/", WishlistController.listWishlists);
+router.post(
+  "/",
+  validateRequest(wishlistSchema),
+  WishlistController.createWishlist
+);
+router.get("/:id", WishlistController.getWishlist);
+router.patch(
+  "/:id",
+  validateRequest(wishlistSchema),
+  WishlistController.renameWishlist
+);
+router.delete("/:id", WishlistController.deleteWishlist);
+router.put("/:id/properties/:propertyId", WishlistController.addProperty);
+router.delete("/:id/properties/:propertyId", WishlistController.removeProperty);
+router.post("/:id/share", WishlistController.shareWishlist);
+router.delete("/:id/share", WishlistController.unshareWishlist);
+
+export default router;
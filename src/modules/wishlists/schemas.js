@@ -0,0 +1,15 @@
+// wishlists/schemas.js
+import Joi from "joi";
+
+export const wishlistSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required(),
+}).options({ stripUnknown: true });
+
+// Optional stay to check and price every listing for
+export const stayQuerySchema = Joi.object({
+  checkIn: Joi.date().iso().min("now"),
+  checkOut: Joi.date().iso().greater(Joi.ref("checkIn")),
+  guests: Joi.number().integer().min(1),
+})
+  .and("checkIn", "checkOut")
+  .options({ stripUnknown: true });
@@ -0,0 +1,368 @@
+// wishlists/service.js
+import { randomBytes } from "crypto";
+import mongoose from "mongoose";
+import prisma from "../../config/database.js";
+import config from "../../config/env.js";
+import pkg from "@prisma/client";
+import Wishlist from "../../models/Wishlist.js";
+import UserPreferences from "../../models/UserPreferences.js";
+import { PropertyService } from "../properties/service.js";
+import {
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+} from "../../utils/apiError.js";
+const { PropertyStatus } = pkg;
+
+const MAX_LISTS_PER_USER = 50;
+const MAX_ITEMS_PER_LIST = 500;
+const LEGACY_LIST_NAME = "Favorites";
+
+class WishlistService {
+  /**
+   * The user's wishlists with item counts, newest first
+   * @param {string} userId
+   */
+  async listWishlists(userId) {
+    await this.importLegacyFavorites(userId);
+
+    const wishlists = await Wishlist.find({ userId })
+      .sort({ createdAt: -1 })
+      .lean();
+
+    return wishlists.map(({ items, ...wishlist }) => ({
+      ...this.present(wishlist),
+      itemCount: items.length,
+      previewPropertyIds: items.slice(-4).map((item) => item.propertyId),
+    }));
+  }
+
+  async createWishlist(userId, { name }) {
+    const count = await Wishlist.countDocuments({ userId });
+    if (count >= MAX_LISTS_PER_USER) {
+      throw new BadRequestError(
+        `You can keep at most ${MAX_LISTS_PER_USER} wishlists`
+      );
+    }
+
+    const wishlist = await Wishlist.create({ userId, name });
+    return this.present(wishlist.toObject());
+  }
+
+  async renameWishlist(userId, id, { name }) {
+    const wishlist = await Wishlist.findOneAndUpdate(
+      { _id: this.toObjectId(id), userId },
+      { $set: { name } },
+      { new: true }
+    ).lean();
+    if (!wishlist) throw new NotFoundError("Wishlist not found");
+
+    return this.present(wishlist);
+  }
+
+  async deleteWishlist(userId, id) {
+    const { deletedCount } = await Wishlist.deleteOne({
+      _id: this.toObjectId(id),
+      userId,
+    });
+    if (deletedCount === 0) throw new NotFoundError("Wishlist not found");
+  }
+
+  /**
+   * A wishlist with its listings' current price and availability
+   * @param {string} userId
+   * @param {string} id
+   * @param {Object} [stay] - checkIn, checkOut, guests to check and price
+   */
+  async getWishlist(userId, id, stay = {}) {
+    const wishlist = await Wishlist.findOne({
+      _id: this.toObjectId(id),
+      userId,
+    }).lean();
+    if (!wishlist) throw new NotFoundError("Wishlist not found");
+
+    return {
+      ...this.present(wishlist),
+      items: await this.hydrateItems(wishlist.items, stay),
+    };
+  }
+
+  /**
+   * Read-only view of a shared wishlist; the owner isn't disclosed
+   * @param {string} token - Share token from the link
+   * @param {Object} [stay] - checkIn, checkOut, guests
+   */
+  async getSharedWishlist(token, stay = {}) {
+    const wishlist = await Wishlist.findOne({ shareToken: token }).lean();
+    if (!wishlist) throw new NotFoundError("Wishlist not found");
+
+    return {
+      name: wishlist.name,
+      updatedAt: wishlist.updatedAt,
+      items: await this.hydrateItems(wishlist.items, stay),
+    };
+  }
+
+  async addProperty(userId, id, propertyId) {
+    const property = await prisma.property.findUnique({
+      where: { id: propertyId },
+      select: { status: true, deletedAt: true },
+    });
+    if (property?.status !== PropertyStatus.APPROVED || property.deletedAt) {
+      throw new NotFoundError("Property not found");
+    }
+
+    const wishlist = await Wishlist.findOneAndUpdate(
+      {
+        _id: this.toObjectId(id),
+        userId,
+        "items.propertyId": { $ne: propertyId },
+        [`items.${MAX_ITEMS_PER_LIST - 1}`]: { $exists: false },
+      },
+      { $push: { items: { propertyId, addedAt: new Date() } } },
+      { new: true }
+    ).lean();
+
+    if (!wishlist) {
+      const existing = await Wishlist.findOne(
+        { _id: this.toObjectId(id), userId },
+        { items: 1 }
+      ).lean();
+      if (!existing) throw new NotFoundError("Wishlist not found");
+      if (existing.items.some((item) => item.propertyId === propertyId)) {
+        throw new ConflictError("Property is already in this wishlist");
+      }
+      throw new BadRequestError(
+        `A wishlist can hold at most ${MAX_ITEMS_PER_LIST} properties`
+      );
+    }
+
+    return { ...this.present(wishlist), itemCount: wishlist.items.length };
+  }
+
+  async removeProperty(userId, id, propertyId) {
+    const wishlist = await Wishlist.findOneAndUpdate(
+      { _id: this.toObjectId(id), userId },
+      { $pull: { items: { propertyId } } },
+      { new: true }
+    ).lean();
+    if (!wishlist) throw new NotFoundError("Wishlist not found");
+
+    return { ...this.present(wishlist), itemCount: wishlist.items.length };
+  }
+
+  /**
+   * Turn on the read-only share link, keeping the existing token if any
+   * @returns {Promise<{shareToken: string, shareUrl: string}>}
+   */
+  async shareWishlist(userId, id) {
+    const wishlist = await Wishlist.findOne({
+      _id: this.toObjectId(id),
+      userId,
+    });
+    if (!wishlist) throw new NotFoundError("Wishlist not found");
+
+    if (!wishlist.shareToken) {
+      wishlist.shareToken = randomBytes(18).toString("base64url");
+      await wishlist.save();
+    }
+
+    return this.present(wishlist.toObject());
+  }
+
+  // Revoking breaks every link handed out so far
+  async unshareWishlist(userId, id) {
+    const wishlist = await Wishlist.findOneAndUpdate(
+      { _id: this.toObjectId(id), userId },
+      { $unset: { shareToken: 1 } },
+      { new: true }
+    ).lean();
+    if (!wishlist) throw new NotFoundError("Wishlist not found");
+
+    return this.present(wishlist);
+  }
+
+  /**
+   * How many distinct users have favorited each of the owner's listings
+   * @param {string} ownerId
+   * @returns {Promise<Array<{propertyId: string, title: string, favoritedBy: number}>>}
+   */
+  async getOwnerFavoriteCounts(ownerId) {
+    const properties = await prisma.property.findMany({
+      where: { ownerId, deletedAt: null },
+      select: { id: true, title: true, status: true },
+      orderBy: { createdAt: "desc" },
+    });
+    const counts = await this.countFavorites(properties.map((p) => p.id));
+
+    return properties.map((property) => ({
+      propertyId: property.id,
+      title: property.title,
+      status: property.status,
+      favoritedBy: counts.get(property.id) || 0,
+    }));
+  }
+
+  // --- Helper Methods ---
+
+  /**
+   * Distinct users per property across all wishlists
+   * @param {string[]} propertyIds
+   * @returns {Promise<Map<string, number>>}
+   */
+  async countFavorites(propertyIds) {
+    if (!propertyIds.length) return new Map();
+
+    const rows = await Wishlist.aggregate([
+      { $match: { "items.propertyId": { $in: propertyIds } } },
+      { $unwind: "$items" },
+      { $match: { "items.propertyId": { $in: propertyIds } } },
+      {
+        $group: {
+          _id: "$items.propertyId",
+          users: { $addToSet: "$userId" },
+        },
+      },
+      { $project: { count: { $size: "$users" } } },
+    ]);
+
+    return new Map(rows.map((row) => [row._id, row.count]));
+  }
+
+  // Listings in list order, priced and checked against the stay if given
+  async hydrateItems(items, { checkIn, checkOut, guests } = {}) {
+    const propertyIds = items.map((item) => item.propertyId);
+    const now = new Date();
+
+    const properties = await prisma.property.findMany({
+      where: { id: { in: propertyIds } },
+      select: {
+        id: true,
+        title: true,
+        city: true,
+        country: true,
+        photos: true,
+        listingType: true,
+        basePrice: true,
+        currency: true,
+        maxGuests: true,
+        status: true,
+        deletedAt: true,
+        availability: {
+          where: { isAvailable: true, bookingId: null, endDate: { gt: now } },
+          orderBy: { startDate: "asc" },
+          take: 1,
+          select: { startDate: true },
+        },
+      },
+    });
+    const listed = properties.filter(
+      (p) => p.status === PropertyStatus.APPROVED && !p.deletedAt
+    );
+
+    let bookable = null;
+    let stayPrices = new Map();
+    if (checkIn && checkOut) {
+      bookable = await PropertyService.findBookableProperties({
+        checkIn,
+        checkOut,
+        guests,
+        propertyIds: listed.map((p) => p.id),
+      });
+      stayPrices = await PropertyService.priceStays(
+        listed.filter((p) => bookable.has(p.id)),
+        bookable,
+        { checkIn, checkOut, guests }
+      );
+    }
+
+    const byId = new Map(properties.map((p) => [p.id, p]));
+    return items.map(({ propertyId, addedAt }) => {
+      const property = byId.get(propertyId);
+      // Listings taken down stay in the list so the user can see what went
+      if (
+        !property ||
+        property.status !== PropertyStatus.APPROVED ||
+        property.deletedAt
+      ) {
+        return { propertyId, addedAt, listed: false, property: null };
+      }
+
+      const nextAvailable = property.availability[0]?.startDate || null;
+      return {
+        propertyId,
+        addedAt,
+        listed: true,
+        property: {
+          id: property.id,
+          title: property.title,
+          city: property.city,
+          country: property.country,
+          photo: property.photos[0] || null,
+          listingType: property.listingType,
+          basePrice: Number(property.basePrice),
+          currency: property.currency,
+          maxGuests: property.maxGuests,
+        },
+        availability: bookable
+          ? { available: bookable.has(propertyId), checkIn, checkOut }
+          : {
+              available: Boolean(nextAvailable),
+              nextAvailableFrom: nextAvailable
+                ? new Date(Math.max(nextAvailable, now))
+                : null,
+            },
+        stay: stayPrices.get(propertyId) || null,
+      };
+    });
+  }
+
+  // Move the old UserPreferences.favorites array into a wishlist, once.
+  // The array is only cleared after the wishlist exists, and only if it is
+  // still what was copied; otherwise the copy is dropped and a later call
+  // imports again.
+  async importLegacyFavorites(userId) {
+    const preferences = await UserPreferences.findOne(
+      { userId, "favorites.0": { $exists: true } },
+      { favorites: 1 }
+    ).lean();
+    if (!preferences) return;
+
+    const wishlist = await Wishlist.create({
+      userId,
+      name: LEGACY_LIST_NAME,
+      items: [...new Set(preferences.favorites)]
+        .slice(0, MAX_ITEMS_PER_LIST)
+        .map((propertyId) => ({ propertyId })),
+    });
+
+    const { modifiedCount } = await UserPreferences.updateOne(
+      { userId, favorites: preferences.favorites },
+      { $set: { favorites: [] } }
+    );
+    if (!modifiedCount) {
+      await Wishlist.deleteOne({ _id: wishlist._id });
+    }
+  }
+
+  toObjectId(id) {
+    if (!mongoose.isValidObjectId(id)) {
+      throw new NotFoundError("Wishlist not found");
+    }
+    return id;
+  }
+
+  present({ _id, userId, items, __v, shareToken, ...wishlist }) {
+    return {
+      id: String(_id),
+      ...wishlist,
+      shared: Boolean(shareToken),
+      shareToken: shareToken || null,
+      shareUrl: shareToken
+        ? `${config.get("frontendUrl")}/wishlists/shared/${shareToken}`
+        : null,
+    };
+  }
+}
+
+export default new WishlistService();
@@ -9,6 +9,7 @@ import { disconnectMongoDB } from "./config/mongodb.js";
 import { disconnectRedis } from "./config/redis.js";
 import { logger } from "./config/logger.js";
 import { initializeSocket } from "./websocket/socketManager.js";
+import { startJobs, stopJobs } from "./jobs/index.js";
 
 const PORT = config.get("port");
 
@@ -33,6 +34,7 @@ const startServer = async () => {
       },
       onSignal: async () => {
         logger.info("⚠️ Closing connections...");
+        await stopJobs();
         await Promise.all([
           disconnectDB(),
           disconnectRedis(),
@@ -74,6 +76,8 @@ const startServer = async () => {
       `);
     });
 
+    await startJobs();
+
     return server;
   } catch (error) {
     logger.error("❌ Failed to start server:", error);
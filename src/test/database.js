@@ -0,0 +1,19 @@
+import  prisma  from '../config/database.js';
+import redis from "../config/redis.js";
+
+// Tests that run against Postgres and Redis call this at the top of the
+// file: each test starts without users and the connections close afterwards
+export const useTestDatabase = () => {
+  beforeEach(async () => {
+    await prisma.$transaction([
+      prisma.session.deleteMany(),
+      prisma.oTPVerification.deleteMany(),
+      prisma.user.deleteMany(),
+    ]);
+  });
+
+  afterAll(async () => {
+    await prisma.$disconnect();
+    await redis.quit(); 
+  });
+};
@@ -121,6 +121,12 @@ export class BookingError extends ApiError {
   }
 }
 
+export class PaymentError extends ApiError {
+  constructor(message = "Payment error") {
+    super("PAYMENT_ERROR", 402, message, "Payment processing failed");
+  }
+}
+
 export class InvalidInputError extends ApiError {
   constructor(message = "Invalid input") {
     super("INVALID_INPUT", 400, message, "Invalid input provided");
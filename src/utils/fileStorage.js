@@ -24,4 +24,8 @@ export async function uploadToCloudinary(buffer, options = {}) {
 
     uploadStream.end(buffer);
   });
-}
\ No newline at end of file
+}
+
+export async function deleteFromCloudinary(publicId, options = {}) {
+  return cloudinary.uploader.destroy(publicId, options);
+}
@@ -159,6 +159,74 @@ export const geoJSON = {
     return inside;
   },
 
+  /**
+   * Create a GeoJSON Polygon from a ring of points, closing it if needed
+   * @param {Array} points - Array of { lat, lng } points (at least 3)
+   * @returns {Object} GeoJSON Polygon geometry
+   * @throws {InvalidInputError} If the ring is too short or a point is invalid
+   */
+  createPolygon(points) {
+    points.forEach((p) => this.validateCoordinates(p.lat, p.lng));
+
+    const ring = points.map((p) => [p.lng, p.lat]);
+    const [first, last] = [ring[0], ring[ring.length - 1]];
+    if (first && (first[0] !== last[0] || first[1] !== last[1])) {
+      ring.push(first);
+    }
+    if (ring.length < 4) {
+      throw new InvalidInputError("A polygon needs at least 3 distinct points");
+    }
+
+    return { type: "Polygon", coordinates: [ring] };
+  },
+
+  /**
+   * Convert a bounding box to GeoJSON for a 2dsphere query. Edges are
+   * geodesics there, so wide boxes are cut into strips of at most 90 degrees
+   * of longitude, and a box crossing the antimeridian (minLng > maxLng) is
+   * split at 180 degrees.
+   * @param {Object} box - { minLat, maxLat, minLng, maxLng }
+   * @returns {Object} GeoJSON Polygon or MultiPolygon geometry
+   */
+  boundingBoxToGeometry({ minLat, maxLat, minLng, maxLng }) {
+    this.validateCoordinates(minLat, minLng);
+    this.validateCoordinates(maxLat, maxLng);
+    if (minLat >= maxLat || minLng === maxLng) {
+      throw new InvalidInputError("Bounding box has no area");
+    }
+
+    const ranges =
+      minLng < maxLng
+        ? [[minLng, maxLng]]
+        : [
+            [minLng, 180],
+            [-180, maxLng],
+          ];
+    const strips = ranges.flatMap(([west, east]) => {
+      const count = Math.ceil((east - west) / 90);
+      const width = (east - west) / count;
+      return Array.from({ length: count }, (_, i) => [
+        west + i * width,
+        i === count - 1 ? east : west + (i + 1) * width,
+      ]);
+    });
+    const polygons = strips
+      .filter(([west, east]) => east > west)
+      .map(
+        ([west, east]) =>
+          this.createPolygon([
+            { lat: minLat, lng: west },
+            { lat: minLat, lng: east },
+            { lat: maxLat, lng: east },
+            { lat: maxLat, lng: west },
+          ]).coordinates
+      );
+
+    return polygons.length === 1
+      ? { type: "Polygon", coordinates: polygons[0] }
+      : { type: "MultiPolygon", coordinates: polygons };
+  },
+
   /**
    * Generate GeoJSON for database queries
    * @param {number} lat - Latitude
@@ -0,0 +1,105 @@
+import dns from "dns/promises";
+import { lookup as dnsLookup } from "dns";
+import net from "net";
+import { Agent } from "undici";
+import { BadRequestError } from "./apiError.js";
+
+// Loopback, private, link-local, carrier-grade NAT, multicast and reserved
+// ranges: nothing a user-supplied URL should reach from inside our network.
+// BlockList checks IPv4-mapped IPv6 addresses against the IPv4 ranges.
+const PRIVATE_RANGES = new net.BlockList();
+for (const [network, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+]) {
+  PRIVATE_RANGES.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [
+  ["::", 127], // unspecified and loopback
+  ["64:ff9b::", 96], // NAT64
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  PRIVATE_RANGES.addSubnet(network, prefix, "ipv6");
+}
+
+/**
+ * Whether an IP address is outside the public internet
+ * @param {string} address
+ * @returns {boolean}
+ */
+export const isPrivateAddress = (address) => {
+  const family = net.isIP(address);
+  if (!family) return true;
+  return PRIVATE_RANGES.check(address, family === 6 ? "ipv6" : "ipv4");
+};
+
+/**
+ * Check that a user-supplied URL is http(s) and that every address its host
+ * resolves to is public, so fetching it can't reach internal services
+ * @param {string} url
+ * @throws {BadRequestError}
+ */
+export const assertPublicUrl = async (url) => {
+  const { protocol, hostname } = new URL(url);
+  if (!["http:", "https:"].includes(protocol)) {
+    throw new BadRequestError("URL must use http or https");
+  }
+
+  // IPv6 literals keep their brackets in URL.hostname
+  const host = hostname.replace(/^\[|\]$/g, "");
+  let addresses;
+  try {
+    addresses = net.isIP(host)
+      ? [{ address: host }]
+      : await dns.lookup(host, { all: true, verbatim: true });
+  } catch {
+    throw new BadRequestError(`Could not resolve ${host}`);
+  }
+
+  if (
+    !addresses.length ||
+    addresses.some(({ address }) => isPrivateAddress(address))
+  ) {
+    throw new BadRequestError("URL must point to a public address");
+  }
+};
+
+/**
+ * dns.lookup for outgoing sockets that refuses hosts resolving to a private
+ * address. Checking at connect time covers the address actually dialled, so
+ * a host can't pass assertPublicUrl and then re-resolve somewhere internal.
+ */
+export const publicLookup = (hostname, options, callback) => {
+  dnsLookup(
+    hostname,
+    { ...options, all: true, verbatim: true },
+    (error, addresses) => {
+      if (error) return callback(error);
+      if (
+        !addresses.length ||
+        addresses.some(({ address }) => isPrivateAddress(address))
+      ) {
+        return callback(
+          new BadRequestError("URL must point to a public address")
+        );
+      }
+
+      if (options.all) return callback(null, addresses);
+      callback(null, addresses[0].address, addresses[0].family);
+    }
+  );
+};
+
+// Dispatcher for fetching user-supplied URLs
+export const publicAgent = new Agent({ connect: { lookup: publicLookup } });
@@ -1,138 +1,191 @@
 // utils/pricing.js
+import { DateTime } from "luxon";
+import pkg from "@prisma/client";
+const { PricingRuleType, PriceAdjustmentType } = pkg;
+
+// Rules that depend on the night being priced
+const NIGHTLY_RULE_TYPES = [PricingRuleType.SEASON, PricingRuleType.WEEKDAY];
+
 export class PricingService {
   /**
-   * Calculate dynamic price for a given availability slot
-   * @param {Object} availability - Availability slot
-   * @param {Date} availability.startDate - Start date of availability
-   * @param {Date} availability.endDate - End date of availability
-   * @param {number} availability.basePrice - Base price for the property
-   * @param {Object} property - Property details
-   * @returns {number} - Final calculated price
+   * Load a property's active pricing rules in evaluation order
+   * @param {Object} client - Prisma client or transaction
+   * @param {string} propertyId
+   * @returns {Promise<Array>} PricingRule rows, lowest priority first
    */
-  static calculateDynamicPrice(availability, property) {
-    // console.log("Calculating price for:", availability, property);
+  static async getActiveRules(client, propertyId) {
+    return client.pricingRule.findMany({
+      where: { propertyId, isActive: true },
+      orderBy: [{ priority: "asc" }, { createdAt: "asc" }],
+    });
+  }
 
-    if (
-      !availability ||
-      typeof availability !== "object" ||
-      !availability.startDate ||
-      !availability.endDate
-    ) {
-      console.error("Invalid availability object:", availability);
-      return 0; // Return a safe default price
-    }
+  /**
+   * Price each night of a stay from its base nightly rate.
+   *
+   * Season and weekday rules apply to the nights they match; the best
+   * matching length-of-stay tier, last-minute and early-bird rules apply to
+   * every night; price bounds clamp the result.
+   * @param {Array<{date: DateTime, baseRate: number}>} nights
+   * @param {Array} rules - From getActiveRules
+   * @param {Object} [context]
+   * @param {DateTime} [context.bookedAt] - When the guest books, defaults to now
+   * @returns {{nights: Array<{date: string, baseRate: number, price: number, appliedRuleIds: string[]}>, subtotal: number}}
+   */
+  static priceStay(nights, rules = [], { bookedAt = DateTime.now() } = {}) {
+    const checkIn = nights[0]?.date;
+    const leadDays = checkIn
+      ? Math.floor(
+          checkIn.startOf("day").diff(bookedAt.startOf("day"), "days").days
+        )
+      : 0;
 
-    const basePrice = availability.basePrice;
-    const stayDuration = this.calculateStayDuration(availability);
+    const stayRules = this.selectStayRules(rules, nights.length, leadDays);
+    const bounds = this.getPriceBounds(rules);
 
-    let finalPrice = basePrice;
-    finalPrice *= this.getSeasonalMultiplier(new Date(availability.startDate));
-    finalPrice *= this.getDemandMultiplier(new Date(availability.startDate));
-    finalPrice = this.applyLengthOfStayDiscount(finalPrice, stayDuration);
-    finalPrice = this.applyPromotionalDiscount(
-      finalPrice,
-      property?.promotions || []
-    );
+    const priced = nights.map(({ date, baseRate }) => {
+      const applied = [
+        ...rules.filter(
+          (rule) =>
+            NIGHTLY_RULE_TYPES.includes(rule.type) &&
+            this.matchesNight(rule, date)
+        ),
+        ...stayRules,
+      ];
+      const adjusted = applied.reduce(
+        (price, rule) => this.applyAdjustment(price, rule),
+        baseRate
+      );
 
-    return Math.max(finalPrice, property?.minPrice || basePrice * 0.5);
+      return {
+        date: date.toISODate(),
+        baseRate,
+        price: this.round(this.clamp(adjusted, bounds)),
+        appliedRuleIds: applied.map((rule) => rule.id),
+      };
+    });
+
+    return {
+      nights: priced,
+      subtotal: this.round(priced.reduce((sum, night) => sum + night.price, 0)),
+    };
   }
 
   /**
-   * Calculate seasonal multiplier based on date
-   * @param {Date} date - Target date
-   * @returns {number} - Seasonal multiplier (1.0 = base price)
+   * Clamp a nightly price to the property's PRICE_BOUNDS rules
+   * @param {number} price
+   * @param {Array} rules
+   * @returns {number}
    */
-
-  static getSeasonalMultiplier(date) {
-    if (!date || isNaN(new Date(date).getTime())) {
-      console.error("Invalid date in getSeasonalMultiplier", date);
-      return 1;
-    }
-    date = new Date(date);
-    const month = date.getMonth() + 1;
-    if (month >= 6 && month <= 8) return 1.5;
-    if ((month >= 4 && month <= 5) || (month >= 9 && month <= 10)) return 1.2;
-    return 0.8;
+  static applyPriceBounds(price, rules = []) {
+    return this.round(this.clamp(price, this.getPriceBounds(rules)));
   }
 
   /**
-   * Calculate demand multiplier based on booking trends
-   * @param {Date} date - Target date
-   * @returns {number} - Demand multiplier (1.0 = base price)
+   * Check whether a nightly rule covers the given night
+   * @param {Object} rule - SEASON or WEEKDAY rule
+   * @param {DateTime} date
+   * @returns {boolean}
    */
-
-  static getDemandMultiplier(date) {
-    if (!date || isNaN(new Date(date).getTime())) {
-      console.error("Invalid date in getDemandMultiplier", date);
-      return 1;
+  static matchesNight(rule, date) {
+    switch (rule.type) {
+      case PricingRuleType.SEASON: {
+        // @db.Date columns come back as UTC midnight
+        const night = date.toISODate();
+        const from = rule.startDate
+          ? DateTime.fromJSDate(rule.startDate, { zone: "utc" }).toISODate()
+          : null;
+        const to = rule.endDate
+          ? DateTime.fromJSDate(rule.endDate, { zone: "utc" }).toISODate()
+          : null;
+        return (!from || night >= from) && (!to || night <= to);
+      }
+      case PricingRuleType.WEEKDAY:
+        return (rule.weekdays || []).includes(date.weekday);
+      default:
+        return false;
     }
-    date = new Date(date);
-    return date.getDay() === 5 || date.getDay() === 6 ? 1.2 : 1.0;
   }
 
   /**
-   * Apply length-of-stay discounts
-   * @param {number} price - Current price
-   * @param {number} duration - Stay duration in days
-   * @returns {number} - Price after length-of-stay discount
+   * Pick the stay-wide rules that apply: the longest matching
+   * length-of-stay tier, the tightest last-minute window and the longest
+   * early-bird lead time
+   * @param {Array} rules
+   * @param {number} nightCount
+   * @param {number} leadDays - Days between booking and check-in
+   * @returns {Array}
    */
-  static applyLengthOfStayDiscount(price, duration) {
-    // Example discounts:
-    // 7+ days: 10% discount
-    // 14+ days: 20% discount
-    // 30+ days: 30% discount
-    if (duration >= 30) return price * 0.7;
-    if (duration >= 14) return price * 0.8;
-    if (duration >= 7) return price * 0.9;
-    return price;
+  static selectStayRules(rules, nightCount, leadDays) {
+    const best = (type, matches, rank) =>
+      rules
+        .filter((rule) => rule.type === type && matches(rule))
+        .sort((a, b) => rank(b) - rank(a))[0];
+
+    return [
+      best(
+        PricingRuleType.LENGTH_OF_STAY,
+        (rule) => nightCount >= (rule.minNights ?? 0),
+        (rule) => rule.minNights ?? 0
+      ),
+      best(
+        PricingRuleType.LAST_MINUTE,
+        (rule) => leadDays <= (rule.daysBeforeCheckIn ?? 0),
+        (rule) => -(rule.daysBeforeCheckIn ?? 0)
+      ),
+      best(
+        PricingRuleType.EARLY_BIRD,
+        (rule) => leadDays >= (rule.daysBeforeCheckIn ?? 0),
+        (rule) => rule.daysBeforeCheckIn ?? 0
+      ),
+    ].filter(Boolean);
   }
 
   /**
-   * Apply promotional discounts
-   * @param {number} price - Current price
-   * @param {Array} promotions - Active promotions
-   * @returns {number} - Price after promotional discounts
+   * Combine PRICE_BOUNDS rules into the tightest floor and ceiling
+   * @param {Array} rules
+   * @returns {{min: number|null, max: number|null}}
    */
-  static applyPromotionalDiscount(price, promotions = []) {
-    if (!Array.isArray(promotions)) {
-      console.error("Invalid promotions array:", promotions);
-      return price; // Return original price if promotions is not an array
-    }
-
-    return promotions.reduce((currentPrice, promotion) => {
-      if (
-        promotion &&
-        typeof promotion.discount === "number" &&
-        this.isPromotionValid(promotion)
-      ) {
-        return currentPrice * (1 - promotion.discount);
-      }
-      return currentPrice;
-    }, price);
+  static getPriceBounds(rules) {
+    return rules
+      .filter((rule) => rule.type === PricingRuleType.PRICE_BOUNDS)
+      .reduce(
+        (bounds, rule) => ({
+          min:
+            rule.minPrice != null
+              ? Math.max(bounds.min ?? 0, Number(rule.minPrice))
+              : bounds.min,
+          max:
+            rule.maxPrice != null
+              ? Math.min(bounds.max ?? Infinity, Number(rule.maxPrice))
+              : bounds.max,
+        }),
+        { min: null, max: null }
+      );
   }
 
   /**
-   * Check if promotion is valid
-   * @param {Object} promotion - Promotion details
-   * @returns {boolean} - True if promotion is valid
+   * Apply one rule's signed adjustment to a price
+   * @param {number} price
+   * @param {Object} rule
+   * @returns {number} Never below zero
    */
-  static isPromotionValid(promotion) {
-    const now = new Date();
-    return (
-      promotion.active &&
-      new Date(promotion.startDate) <= now &&
-      new Date(promotion.endDate) >= now
-    );
+  static applyAdjustment(price, rule) {
+    const value = Number(rule.adjustmentValue || 0);
+    const adjusted =
+      rule.adjustmentType === PriceAdjustmentType.FIXED
+        ? price + value
+        : price * (1 + value / 100);
+    return Math.max(adjusted, 0);
   }
 
-  /**
-   * Calculate stay duration in days
-   * @param {Object} availability - Availability slot
-   * @returns {number} - Duration in days
-   */
-  static calculateStayDuration(availability) {
-    const timeDiff =
-      new Date(availability.endDate) - new Date(availability.startDate);
-    return Math.ceil(timeDiff / (1000 * 60 * 60 * 24));
+  static clamp(price, { min, max }) {
+    if (min != null && price < min) return min;
+    if (max != null && price > max) return max;
+    return price;
+  }
+
+  static round(amount) {
+    return Math.round(amount * 100) / 100;
   }
 }
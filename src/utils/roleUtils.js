@@ -8,3 +8,9 @@ export const validateRoleHierarchy = (existingRole, updateData) => {
     }
   }
 };
+
+// req.user carries UserRole rows (see authenticateUser), not role names
+export const hasRole = (user, roleName) =>
+  Boolean(user?.roles?.some((userRole) => userRole.role?.name === roleName));
+
+export const isAdmin = (user) => hasRole(user, "admin");
@@ -0,0 +1,72 @@
+// utils/storage.js
+import { mkdir, rm, writeFile } from "fs/promises";
+import path from "path";
+import config from "../config/env.js";
+import { deleteFromCloudinary, uploadToCloudinary } from "./fileStorage.js";
+
+/**
+ * Storage drivers share one interface:
+ *   put(key, buffer, { format }) -> Promise<{ url }>  store a file
+ *   remove(prefix) -> Promise<void>  delete every file under a prefix
+ * Keys are slash-separated paths without an extension, e.g.
+ * "properties/<propertyId>/<photoId>/medium".
+ */
+
+const cloudinaryDriver = {
+  name: "cloudinary",
+
+  async put(key, buffer, { format }) {
+    const result = await uploadToCloudinary(buffer, {
+      public_id: key,
+      resource_type: "image",
+      format,
+      overwrite: true,
+    });
+    return { url: result.secure_url };
+  },
+
+  async remove(prefix) {
+    // Cloudinary has no prefix delete on the upload API, so the known
+    // variant names are removed one by one
+    await Promise.all(
+      PHOTO_VARIANT_NAMES.map((variant) =>
+        deleteFromCloudinary(`${prefix}/${variant}`, { invalidate: true })
+      )
+    );
+  },
+};
+
+const localDriver = {
+  name: "local",
+
+  async put(key, buffer, { format }) {
+    const file = path.join(config.get("storage.localDir"), `${key}.${format}`);
+    await mkdir(path.dirname(file), { recursive: true });
+    await writeFile(file, buffer);
+
+    return { url: `${config.get("storage.localBaseUrl")}/${key}.${format}` };
+  },
+
+  async remove(prefix) {
+    await rm(path.join(config.get("storage.localDir"), prefix), {
+      recursive: true,
+      force: true,
+    });
+  },
+};
+
+const drivers = { cloudinary: cloudinaryDriver, local: localDriver };
+
+// Variant files written for each photo
+export const PHOTO_VARIANT_NAMES = ["large", "medium", "thumbnail"];
+
+/**
+ * The driver named by storage.driver, or a specific one, e.g. to delete
+ * files stored before the setting changed
+ * @param {string} [name]
+ */
+export const getStorage = (name = config.get("storage.driver")) => {
+  const driver = drivers[name];
+  if (!driver) throw new Error(`Unknown storage driver: ${name}`);
+  return driver;
+};
@@ -0,0 +1,212 @@
+import AvailabilityService from "../src/modules/availability/service.js";
+import { ConflictError } from "../src/utils/apiError.js";
+
+jest.mock("../src/config/database.js", () => ({
+  __esModule: true,
+  default: {},
+}));
+jest.mock("../src/modules/search/service.js", () => ({
+  __esModule: true,
+  default: { enqueue: jest.fn() },
+  ReindexReason: { AVAILABILITY_CHANGED: "AVAILABILITY_CHANGED" },
+}));
+
+const PROPERTY_ID = "8d0c1c38-8f5e-4b8c-9a37-4c1d2b0e5f11";
+const day = (n) => new Date(Date.UTC(2030, 0, n));
+
+const matches = (row, where = {}) =>
+  Object.entries(where).every(([column, condition]) => {
+    if (condition === null || typeof condition !== "object") {
+      return row[column] === condition;
+    }
+    if (condition instanceof Date) return +row[column] === +condition;
+    if (condition.in) return condition.in.includes(row[column]);
+    return (
+      (condition.lt === undefined || row[column] < condition.lt) &&
+      (condition.gt === undefined || row[column] > condition.gt)
+    );
+  });
+
+// Just enough of a Prisma transaction for the availability range methods
+const createCalendar = (slots) => {
+  let nextId = 0;
+  const slot = (data) => ({
+    id: `slot-${++nextId}`,
+    propertyId: PROPERTY_ID,
+    price: 100,
+    isAvailable: true,
+    bookingId: null,
+    notes: null,
+    minStay: null,
+    calendarFeedId: null,
+    externalUid: null,
+    ...data,
+  });
+  let rows = slots.map(slot);
+
+  const tx = {
+    $queryRaw: jest.fn().mockResolvedValue([]),
+    availability: {
+      findMany: jest.fn(async ({ where }) =>
+        rows
+          .filter((row) => matches(row, where))
+          .sort((a, b) => a.startDate - b.startDate)
+          .map((row) => ({ ...row }))
+      ),
+      deleteMany: jest.fn(async ({ where }) => {
+        const before = rows.length;
+        rows = rows.filter((row) => !matches(row, where));
+        return { count: before - rows.length };
+      }),
+      createMany: jest.fn(async ({ data }) => {
+        rows.push(...data.map(slot));
+        return { count: data.length };
+      }),
+      update: jest.fn(async ({ where, data }) => {
+        const row = rows.find((candidate) => candidate.id === where.id);
+        Object.assign(row, data);
+        return { ...row };
+      }),
+    },
+  };
+
+  const calendar = () =>
+    [...rows]
+      .sort((a, b) => a.startDate - b.startDate)
+      .map((row) => ({
+        start: row.startDate.getUTCDate(),
+        end: row.endDate.getUTCDate(),
+        price: row.price,
+        isAvailable: row.isAvailable,
+        bookingId: row.bookingId,
+      }));
+
+  return { tx, calendar };
+};
+
+describe("AvailabilityService range edits", () => {
+  it("splits an open slot around a blocked range", async () => {
+    const { tx, calendar } = createCalendar([
+      { startDate: day(1), endDate: day(11) },
+    ]);
+
+    const changed = await AvailabilityService.blockRange(
+      tx,
+      PROPERTY_ID,
+      day(4),
+      day(6)
+    );
+
+    expect(changed).toBe(1);
+    expect(calendar()).toEqual([
+      { start: 1, end: 4, price: 100, isAvailable: true, bookingId: null },
+      { start: 4, end: 6, price: 100, isAvailable: false, bookingId: null },
+      { start: 6, end: 11, price: 100, isAvailable: true, bookingId: null },
+    ]);
+  });
+
+  it("merges the pieces back once the range is reopened", async () => {
+    const { tx, calendar } = createCalendar([
+      { startDate: day(1), endDate: day(11) },
+    ]);
+
+    await AvailabilityService.blockRange(tx, PROPERTY_ID, day(4), day(6));
+    await AvailabilityService.unblockRange(tx, PROPERTY_ID, day(4), day(6));
+
+    expect(calendar()).toEqual([
+      { start: 1, end: 11, price: 100, isAvailable: true, bookingId: null },
+    ]);
+  });
+
+  it("only merges neighbours holding the same values", async () => {
+    const { tx, calendar } = createCalendar([
+      { startDate: day(1), endDate: day(11) },
+    ]);
+
+    await AvailabilityService.updateRange(tx, PROPERTY_ID, day(3), day(5), {
+      price: 150,
+    });
+    await AvailabilityService.updateRange(tx, PROPERTY_ID, day(5), day(7), {
+      price: 150,
+    });
+
+    expect(calendar()).toEqual([
+      { start: 1, end: 3, price: 100, isAvailable: true, bookingId: null },
+      { start: 3, end: 7, price: 150, isAvailable: true, bookingId: null },
+      { start: 7, end: 11, price: 100, isAvailable: true, bookingId: null },
+    ]);
+  });
+
+  it("leaves booked nights alone and opens nights without a slot", async () => {
+    const { tx, calendar } = createCalendar([
+      { startDate: day(1), endDate: day(3) },
+      {
+        startDate: day(3),
+        endDate: day(5),
+        isAvailable: false,
+        bookingId: "booking-1",
+      },
+    ]);
+
+    const changed = await AvailabilityService.setPriceRange(
+      tx,
+      PROPERTY_ID,
+      day(1),
+      day(8),
+      120
+    );
+
+    expect(changed).toBe(2);
+    expect(calendar()).toEqual([
+      { start: 1, end: 3, price: 120, isAvailable: true, bookingId: null },
+      {
+        start: 3,
+        end: 5,
+        price: 100,
+        isAvailable: false,
+        bookingId: "booking-1",
+      },
+      { start: 5, end: 8, price: 120, isAvailable: true, bookingId: null },
+    ]);
+  });
+
+  it("takes the calendar lock before reading slots", async () => {
+    const { tx } = createCalendar([{ startDate: day(1), endDate: day(11) }]);
+
+    await AvailabilityService.blockRange(tx, PROPERTY_ID, day(4), day(6));
+
+    expect(tx.$queryRaw).toHaveBeenCalled();
+    expect(tx.$queryRaw.mock.invocationCallOrder[0]).toBeLessThan(
+      tx.availability.findMany.mock.invocationCallOrder[0]
+    );
+  });
+
+  it("aborts when the slots were deleted by another edit", async () => {
+    const { tx, calendar } = createCalendar([
+      { startDate: day(1), endDate: day(11) },
+    ]);
+    tx.availability.deleteMany.mockResolvedValueOnce({ count: 0 });
+
+    await expect(
+      AvailabilityService.blockRange(tx, PROPERTY_ID, day(4), day(6))
+    ).rejects.toThrow(ConflictError);
+    expect(tx.availability.createMany).not.toHaveBeenCalled();
+    expect(calendar()).toHaveLength(1);
+  });
+
+  it("checks whether a booking holds every night of its stay", async () => {
+    const { tx } = createCalendar([
+      { startDate: day(1), endDate: day(4) },
+      { startDate: day(4), endDate: day(6), bookingId: "booking-1" },
+      { startDate: day(7), endDate: day(9), bookingId: "booking-1" },
+    ]);
+    const held = (start, end) =>
+      AvailabilityService.coversRange(tx, PROPERTY_ID, start, end, {
+        bookingId: "booking-1",
+      });
+
+    await expect(held(day(4), day(6))).resolves.toBe(true);
+    await expect(held(day(4), day(9))).resolves.toBe(false);
+    await expect(held(day(3), day(6))).resolves.toBe(false);
+  });
+});
@@ -0,0 +1,97 @@
+import pkg from "@prisma/client";
+import {
+  assertTransition,
+  canTransition,
+  transitionBooking,
+} from "../src/modules/bookings/stateMachine.js";
+import { BookingError, ConflictError } from "../src/utils/apiError.js";
+const { BookingStatus } = pkg;
+
+const createTx = ({ count = 1 } = {}) => ({
+  booking: {
+    updateMany: jest.fn().mockResolvedValue({ count }),
+    findUnique: jest.fn(async ({ where }) => ({
+      id: where.id,
+      status: BookingStatus.CONFIRMED,
+    })),
+  },
+  auditLog: { create: jest.fn().mockResolvedValue({}) },
+});
+
+describe("booking state machine", () => {
+  it.each([
+    [BookingStatus.PENDING, BookingStatus.CONFIRMED],
+    [BookingStatus.PENDING, BookingStatus.CANCELLED],
+    [BookingStatus.CONFIRMED, BookingStatus.ACTIVE],
+    [BookingStatus.CONFIRMED, BookingStatus.CANCELLED],
+    [BookingStatus.ACTIVE, BookingStatus.COMPLETED],
+    [BookingStatus.CANCELLED, BookingStatus.REFUNDED],
+  ])("allows %s → %s", (from, to) => {
+    expect(canTransition(from, to)).toBe(true);
+    expect(() => assertTransition(from, to)).not.toThrow();
+  });
+
+  it.each([
+    [BookingStatus.PENDING, BookingStatus.COMPLETED],
+    [BookingStatus.ACTIVE, BookingStatus.CANCELLED],
+    [BookingStatus.COMPLETED, BookingStatus.CANCELLED],
+    [BookingStatus.REFUNDED, BookingStatus.CONFIRMED],
+    [BookingStatus.CANCELLED, BookingStatus.CONFIRMED],
+  ])("rejects %s → %s", (from, to) => {
+    expect(canTransition(from, to)).toBe(false);
+    expect(() => assertTransition(from, to)).toThrow(BookingError);
+  });
+
+  it("rejects an unknown current status", () => {
+    expect(() => assertTransition("ARCHIVED", BookingStatus.CONFIRMED)).toThrow(
+      "Invalid current status: ARCHIVED"
+    );
+  });
+
+  it("updates conditionally on the status read and audits the change", async () => {
+    const tx = createTx();
+    const booking = { id: "booking-1", status: BookingStatus.PENDING };
+
+    const updated = await transitionBooking(
+      tx,
+      booking,
+      BookingStatus.CONFIRMED,
+      { actorId: "owner-1", reason: "Accepted" }
+    );
+
+    expect(tx.booking.updateMany).toHaveBeenCalledWith({
+      where: { id: "booking-1", status: BookingStatus.PENDING },
+      data: { status: BookingStatus.CONFIRMED },
+    });
+    expect(tx.auditLog.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({
+        entityId: "booking-1",
+        userId: "owner-1",
+        oldValues: { status: BookingStatus.PENDING },
+        newValues: { status: BookingStatus.CONFIRMED },
+        metadata: { reason: "Accepted" },
+      }),
+    });
+    expect(updated.status).toBe(BookingStatus.CONFIRMED);
+  });
+
+  it("fails when another request changed the status first", async () => {
+    const tx = createTx({ count: 0 });
+    const booking = { id: "booking-1", status: BookingStatus.PENDING };
+
+    await expect(
+      transitionBooking(tx, booking, BookingStatus.CONFIRMED)
+    ).rejects.toThrow(ConflictError);
+    expect(tx.auditLog.create).not.toHaveBeenCalled();
+  });
+
+  it("does not write anything for an illegal transition", async () => {
+    const tx = createTx();
+    const booking = { id: "booking-1", status: BookingStatus.COMPLETED };
+
+    await expect(
+      transitionBooking(tx, booking, BookingStatus.CANCELLED)
+    ).rejects.toThrow(BookingError);
+    expect(tx.booking.updateMany).not.toHaveBeenCalled();
+  });
+});
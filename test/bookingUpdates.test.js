@@ -0,0 +1,198 @@
+import pkg from "@prisma/client";
+import prisma from "../src/config/database.js";
+import AvailabilityService from "../src/modules/availability/service.js";
+import BookingService from "../src/modules/bookings/service.js";
+import { BookingError } from "../src/utils/apiError.js";
+const { BookingStatus, PaymentStatus } = pkg;
+
+jest.mock("../src/config/database.js", () => ({
+  __esModule: true,
+  default: { $transaction: jest.fn() },
+}));
+jest.mock("../src/config/redis.js", () => ({
+  __esModule: true,
+  default: {},
+}));
+jest.mock("../src/modules/search/service.js", () => ({
+  __esModule: true,
+  default: {},
+  ReindexReason: {},
+}));
+jest.mock("../src/modules/payments/service.js", () => ({
+  __esModule: true,
+  default: {},
+}));
+jest.mock("../src/modules/availability/service.js", () => ({
+  __esModule: true,
+  default: { lockCalendar: jest.fn() },
+}));
+
+const GUEST_ID = "guest-1";
+const day = (n) => new Date(Date.UTC(2030, 0, n));
+
+const pricing = (totalPrice) => ({
+  totalPrice,
+  basePrice: totalPrice - 40,
+  taxes: 25,
+  fees: 15,
+  discountAmount: 0,
+  currency: "EUR",
+  propertyCurrency: "EUR",
+  exchangeRate: 1,
+  lineItems: [{ type: "ACCOMMODATION", amount: totalPrice - 40 }],
+});
+
+describe("BookingService.updateBooking", () => {
+  let tx;
+  let booking;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    booking = {
+      id: "booking-1",
+      propertyId: "property-1",
+      tenantId: GUEST_ID,
+      status: BookingStatus.PENDING,
+      startDate: day(4),
+      endDate: day(7),
+      adults: 2,
+      children: 0,
+      totalPrice: "340",
+      currency: "EUR",
+      payment: {
+        amount: "340",
+        currency: "EUR",
+        status: PaymentStatus.PENDING,
+      },
+    };
+    tx = {
+      booking: {
+        findUnique: jest.fn(async () => booking),
+        update: jest.fn(async ({ data }) => data),
+      },
+    };
+    prisma.$transaction.mockImplementation((callback) => callback(tx));
+
+    jest.spyOn(BookingService, "releaseAvailabilitySlots").mockResolvedValue();
+    jest.spyOn(BookingService, "updateAvailabilitySlots").mockResolvedValue();
+    jest
+      .spyOn(BookingService, "validateStay")
+      .mockResolvedValue({ availability: [], totalGuests: 2 });
+    jest
+      .spyOn(BookingService, "calculateTotalPrice")
+      .mockResolvedValue({ totalPrice: 440 });
+    jest
+      .spyOn(BookingService, "convertToGuestCurrency")
+      .mockResolvedValue(pricing(440));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const update = (updates) =>
+    BookingService.updateBooking(booking.id, GUEST_ID, updates);
+
+  it("reprices new dates and moves the booking onto them", async () => {
+    const data = await update({
+      startDate: day(4).toISOString(),
+      endDate: day(8).toISOString(),
+    });
+
+    expect(AvailabilityService.lockCalendar).toHaveBeenCalledWith(
+      tx,
+      "property-1"
+    );
+    expect(BookingService.releaseAvailabilitySlots).toHaveBeenCalledWith(
+      tx,
+      "property-1",
+      "booking-1",
+      day(4),
+      day(7)
+    );
+    expect(BookingService.validateStay).toHaveBeenCalledWith(tx, {
+      propertyId: "property-1",
+      startDate: day(4),
+      endDate: day(8),
+      adults: 2,
+      children: 0,
+    });
+    expect(BookingService.convertToGuestCurrency).toHaveBeenCalledWith(
+      tx,
+      { totalPrice: 440 },
+      GUEST_ID,
+      "EUR"
+    );
+    expect(data).toMatchObject({
+      startDate: day(4),
+      endDate: day(8),
+      totalPrice: 440,
+      basePrice: 400,
+      lineItems: {
+        deleteMany: {},
+        create: [{ type: "ACCOMMODATION", amount: 400 }],
+      },
+      payment: { update: { amount: 440, currency: "EUR", exchangeRate: 1 } },
+    });
+    expect(BookingService.updateAvailabilitySlots).toHaveBeenCalledWith(
+      tx,
+      "property-1",
+      "booking-1",
+      day(4),
+      day(8)
+    );
+  });
+
+  it("reprices a change of party size", async () => {
+    await update({ adults: 3 });
+
+    expect(BookingService.validateStay).toHaveBeenCalledWith(
+      tx,
+      expect.objectContaining({ adults: 3, startDate: day(4) })
+    );
+    expect(BookingService.updateAvailabilitySlots).toHaveBeenCalled();
+  });
+
+  it("leaves the stay and price alone for other edits", async () => {
+    const data = await update({ specialRequests: "Late arrival" });
+
+    expect(data).not.toHaveProperty("totalPrice");
+    expect(data.specialRequests).toBe("Late arrival");
+    expect(BookingService.releaseAvailabilitySlots).not.toHaveBeenCalled();
+    expect(BookingService.updateAvailabilitySlots).not.toHaveBeenCalled();
+  });
+
+  it.each([BookingStatus.CANCELLED, BookingStatus.COMPLETED])(
+    "refuses to change the stay of a %s booking",
+    async (status) => {
+      booking.status = status;
+
+      await expect(update({ endDate: day(9).toISOString() })).rejects.toThrow(
+        BookingError
+      );
+      expect(BookingService.releaseAvailabilitySlots).not.toHaveBeenCalled();
+      expect(tx.booking.update).not.toHaveBeenCalled();
+    }
+  );
+
+  it("refuses a new total once the payment is held", async () => {
+    booking.payment.status = PaymentStatus.AUTHORIZED;
+
+    await expect(update({ endDate: day(8).toISOString() })).rejects.toThrow(
+      "Payment is already authorized, so the total can't change from 340 to 440 EUR"
+    );
+    expect(tx.booking.update).not.toHaveBeenCalled();
+  });
+
+  it("moves a held booking when the total stays the same", async () => {
+    booking.status = BookingStatus.CONFIRMED;
+    booking.payment.status = PaymentStatus.COMPLETED;
+    BookingService.convertToGuestCurrency.mockResolvedValue(pricing(340));
+
+    const data = await update({
+      startDate: day(10).toISOString(),
+      endDate: day(13).toISOString(),
+    });
+
+    expect(data).toMatchObject({ startDate: day(10), totalPrice: 340 });
+    expect(BookingService.updateAvailabilitySlots).toHaveBeenCalled();
+  });
+});
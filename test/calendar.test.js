@@ -0,0 +1,196 @@
+import http from "http";
+import dns from "dns";
+import dnsPromises from "dns/promises";
+import prisma from "../src/config/database.js";
+import CalendarService from "../src/modules/calendar/service.js";
+import { parseCalendar } from "../src/modules/calendar/ical.js";
+import { BadRequestError, NotFoundError } from "../src/utils/apiError.js";
+
+jest.mock("../src/config/database.js", () => ({
+  __esModule: true,
+  default: {
+    property: { findUnique: jest.fn() },
+    booking: { findMany: jest.fn() },
+    availability: { findMany: jest.fn() },
+  },
+}));
+jest.mock("../src/modules/availability/service.js", () => ({
+  __esModule: true,
+  default: {},
+}));
+jest.mock("dns", () => ({ ...jest.requireActual("dns"), lookup: jest.fn() }));
+jest.mock("dns/promises", () => ({ lookup: jest.fn() }));
+
+const day = (iso) => new Date(`${iso}T00:00:00Z`);
+
+beforeEach(() => jest.clearAllMocks());
+
+describe("CalendarService.getExportFeed", () => {
+  beforeEach(() => {
+    prisma.property.findUnique.mockResolvedValue({
+      title: "Loft",
+      calendarExportToken: "secret",
+    });
+  });
+
+  it("rejects a wrong token", async () => {
+    await expect(CalendarService.getExportFeed("p1", "guess")).rejects.toThrow(
+      NotFoundError
+    );
+    expect(prisma.booking.findMany).not.toHaveBeenCalled();
+  });
+
+  it("publishes bookings and the property's own blocks only", async () => {
+    prisma.booking.findMany.mockResolvedValue([
+      { id: "b1", startDate: day("2099-01-01"), endDate: day("2099-01-04") },
+    ]);
+    prisma.availability.findMany.mockResolvedValue([
+      { id: "a1", startDate: day("2099-02-01"), endDate: day("2099-02-02") },
+    ]);
+
+    const feed = await CalendarService.getExportFeed("p1", "secret");
+
+    expect(prisma.availability.findMany).toHaveBeenCalledWith(
+      expect.objectContaining({
+        where: expect.objectContaining({
+          isAvailable: false,
+          bookingId: null,
+          calendarFeedId: null,
+        }),
+      })
+    );
+    expect(parseCalendar(feed)).toEqual([
+      {
+        uid: "booking-b1@corent",
+        startDate: day("2099-01-01"),
+        endDate: day("2099-01-04"),
+        summary: "Reserved",
+      },
+      {
+        uid: "block-a1@corent",
+        startDate: day("2099-02-01"),
+        endDate: day("2099-02-02"),
+        summary: "Not available",
+      },
+    ]);
+  });
+});
+
+describe("CalendarService.download", () => {
+  let server;
+  let requests = 0;
+
+  beforeAll(
+    () =>
+      new Promise((resolve) => {
+        server = http.createServer((req, res) => {
+          requests += 1;
+          res.end("BEGIN:VCALENDAR\r\nEND:VCALENDAR\r\n");
+        });
+        server.listen(0, "127.0.0.1", resolve);
+      })
+  );
+  afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+  it("refuses a host that re-resolves to a private address", async () => {
+    // Public when checked, loopback when the socket connects
+    dnsPromises.lookup.mockResolvedValue([
+      { address: "93.184.216.34", family: 4 },
+    ]);
+    dns.lookup.mockImplementation((hostname, options, callback) =>
+      callback(null, [{ address: "127.0.0.1", family: 4 }])
+    );
+
+    await expect(
+      CalendarService.download(
+        `http://calendar.example:${server.address().port}/feed.ics`
+      )
+    ).rejects.toThrow(
+      new BadRequestError("URL must point to a public address")
+    );
+    expect(requests).toBe(0);
+  });
+});
+
+describe("parseCalendar", () => {
+  const ics = (...lines) =>
+    ["BEGIN:VCALENDAR", ...lines, "END:VCALENDAR"].join("\r\n");
+  const event = (...lines) => ["BEGIN:VEVENT", ...lines, "END:VEVENT"];
+
+  it("reads all-day events with an exclusive end", () => {
+    expect(
+      parseCalendar(
+        ics(
+          ...event(
+            "UID:abc@airbnb",
+            "DTSTART;VALUE=DATE:20990301",
+            "DTEND;VALUE=DATE:20990305",
+            "SUMMARY:Reserved\\, thanks\\; bye"
+          )
+        )
+      )
+    ).toEqual([
+      {
+        uid: "abc@airbnb",
+        startDate: day("2099-03-01"),
+        endDate: day("2099-03-05"),
+        summary: "Reserved, thanks; bye",
+      },
+    ]);
+  });
+
+  it("keeps the local date of timed events", () => {
+    const [stay] = parseCalendar(
+      ics(
+        ...event(
+          "UID:timed",
+          "DTSTART;TZID=Pacific/Auckland:20990301T150000",
+          "DTEND:20990304T230000Z"
+        )
+      )
+    );
+
+    expect(stay.startDate).toEqual(day("2099-03-01"));
+    expect(stay.endDate).toEqual(day("2099-03-04"));
+  });
+
+  it("unfolds continuation lines", () => {
+    const [stay] = parseCalendar(
+      ics(...event("UID:fold", "DTSTART:20990301", "SUMMARY:Long", "  stay"))
+    );
+
+    expect(stay.summary).toBe("Long stay");
+  });
+
+  it("lasts one day without a usable end and derives missing UIDs", () => {
+    expect(
+      parseCalendar(
+        ics(
+          ...event("DTSTART:20990301"),
+          ...event("UID:backwards", "DTSTART:20990310", "DTEND:20990308")
+        )
+      ).map(({ uid, endDate }) => [uid, endDate])
+    ).toEqual([
+      ["2099-03-01@no-uid", day("2099-03-02")],
+      ["backwards", day("2099-03-11")],
+    ]);
+  });
+
+  it("skips cancelled and undated events", () => {
+    expect(
+      parseCalendar(
+        ics(
+          ...event("UID:gone", "STATUS:CANCELLED", "DTSTART:20990301"),
+          ...event("UID:undated", "SUMMARY:Blocked"),
+          ...event("UID:garbled", "DTSTART:tomorrow")
+        )
+      )
+    ).toEqual([]);
+  });
+
+  it("rejects text that isn't a calendar", () => {
+    expect(() => parseCalendar("<html></html>")).toThrow(
+      "Not an iCalendar document"
+    );
+  });
+});
@@ -0,0 +1,162 @@
+import pkg from "@prisma/client";
+import {
+  calculateRefund,
+  resolveCancellationPolicy,
+} from "../src/modules/bookings/cancellationPolicy.js";
+import { ValidationError } from "../src/utils/apiError.js";
+const { BookingStatus, CancellationPolicyType } = pkg;
+
+const checkIn = new Date("2030-01-10T15:00:00Z");
+const hoursBefore = (hours) =>
+  new Date(checkIn.getTime() - hours * 60 * 60 * 1000);
+
+const booking = (policy, fields = {}) => ({
+  status: BookingStatus.CONFIRMED,
+  startDate: checkIn,
+  totalPrice: "250.00",
+  currency: "USD",
+  cancellationPolicy: resolveCancellationPolicy(policy.type, policy.terms),
+  ...fields,
+});
+
+describe("resolveCancellationPolicy", () => {
+  it("defaults to the moderate template", () => {
+    expect(resolveCancellationPolicy().type).toBe(
+      CancellationPolicyType.MODERATE
+    );
+  });
+
+  it("sorts custom windows widest first", () => {
+    const { windows } = resolveCancellationPolicy(
+      CancellationPolicyType.CUSTOM,
+      {
+        windows: [
+          { hoursBeforeCheckIn: 48, refundPercentage: 50 },
+          { hoursBeforeCheckIn: 240, refundPercentage: 90 },
+        ],
+      }
+    );
+
+    expect(windows.map((window) => window.hoursBeforeCheckIn)).toEqual([
+      240, 48,
+    ]);
+  });
+
+  it("rejects custom policies without valid windows", () => {
+    expect(() =>
+      resolveCancellationPolicy(CancellationPolicyType.CUSTOM, {
+        windows: [{ hoursBeforeCheckIn: 24, refundPercentage: 150 }],
+      })
+    ).toThrow(ValidationError);
+    expect(() => resolveCancellationPolicy("LENIENT")).toThrow(
+      "Unknown cancellation policy: LENIENT"
+    );
+  });
+});
+
+describe("calculateRefund", () => {
+  const moderate = { type: CancellationPolicyType.MODERATE };
+
+  it.each([
+    [200, 100, 250, 0],
+    [120, 100, 250, 0],
+    [119, 50, 125, 125],
+    [24, 50, 125, 125],
+    [23, 0, 0, 250],
+  ])(
+    "refunds a moderate booking cancelled %i hours out at %i%%",
+    (hours, refundPercentage, refundAmount, cancellationFee) => {
+      const refund = calculateRefund(booking(moderate), hoursBefore(hours));
+
+      expect(refund).toMatchObject({
+        policy: CancellationPolicyType.MODERATE,
+        refundPercentage,
+        refundAmount,
+        cancellationFee,
+        totalPaid: 250,
+        currency: "USD",
+      });
+    }
+  );
+
+  it("refunds in full before the owner confirms", () => {
+    const refund = calculateRefund(
+      booking(
+        { type: CancellationPolicyType.NON_REFUNDABLE },
+        { status: BookingStatus.PENDING }
+      ),
+      hoursBefore(1)
+    );
+
+    expect(refund.refundAmount).toBe(250);
+  });
+
+  it("refunds nothing after check-in", () => {
+    const refund = calculateRefund(
+      booking({ type: CancellationPolicyType.FLEXIBLE }),
+      hoursBefore(-2)
+    );
+
+    expect(refund).toMatchObject({ refundAmount: 0, cancellationFee: 250 });
+  });
+
+  it("refunds nothing on a non-refundable booking", () => {
+    const refund = calculateRefund(
+      booking({ type: CancellationPolicyType.NON_REFUNDABLE }),
+      hoursBefore(1000)
+    );
+
+    expect(refund).toMatchObject({
+      refundAmount: 0,
+      explanation: "Non-refundable booking",
+    });
+  });
+
+  it("rounds partial refunds to the cent", () => {
+    const refund = calculateRefund(
+      booking(
+        {
+          type: CancellationPolicyType.CUSTOM,
+          terms: { windows: [{ hoursBeforeCheckIn: 0, refundPercentage: 33 }] },
+        },
+        { totalPrice: "99.99" }
+      ),
+      hoursBefore(10)
+    );
+
+    expect(refund.refundAmount).toBe(33);
+    expect(refund.cancellationFee).toBe(66.99);
+  });
+
+  it("uses the snapshot taken at booking over the live policy", () => {
+    const refund = calculateRefund(
+      {
+        ...booking({ type: CancellationPolicyType.FLEXIBLE }),
+        property: { cancellationPolicy: CancellationPolicyType.STRICT },
+      },
+      hoursBefore(48)
+    );
+
+    expect(refund).toMatchObject({
+      policy: CancellationPolicyType.FLEXIBLE,
+      refundAmount: 250,
+    });
+  });
+
+  it("falls back to the property's policy without a snapshot", () => {
+    const refund = calculateRefund(
+      {
+        ...booking(moderate),
+        cancellationPolicy: null,
+        property: { cancellationPolicy: CancellationPolicyType.STRICT },
+      },
+      hoursBefore(200)
+    );
+
+    expect(refund).toMatchObject({
+      policy: CancellationPolicyType.STRICT,
+      refundPercentage: 50,
+      refundAmount: 125,
+    });
+  });
+});
@@ -0,0 +1,120 @@
+import {
+  assessCompleteness,
+  pinPrecisionMeters,
+} from "../src/modules/properties/completeness.js";
+
+jest.mock("../src/config/database.js", () => ({
+  __esModule: true,
+  default: {},
+}));
+
+const completeListing = (fields = {}) => ({
+  title: "Sunny loft",
+  listingType: "RENT",
+  basePrice: "120",
+  maxGuests: 4,
+  address: "Rua Augusta 1",
+  city: "Lisbon",
+  state: "Lisboa",
+  country: "PT",
+  postalCode: "1100-048",
+  location: { coordinates: [-9.13652, 38.71018] },
+  photos: ["1.jpg", "2.jpg", "3.jpg", "4.jpg", "5.jpg"],
+  description: "A".repeat(150),
+  amenities: [{ id: 1 }, { id: 2 }, { id: 3 }],
+  roomSpecs: [{ id: 1 }],
+  houseRules: { smoking: false },
+  cancellationPolicy: "MODERATE",
+  ...fields,
+});
+
+const item = (result, key) =>
+  result.checklist.find((entry) => entry.key === key);
+
+describe("pinPrecisionMeters", () => {
+  it("prefers the accuracy the client reported", () => {
+    expect(
+      pinPrecisionMeters({ coordinates: [-9.1, 38.7], plusAccuracy: 12 })
+    ).toBe(12);
+  });
+
+  it("judges precision by the least precise coordinate", () => {
+    expect(pinPrecisionMeters({ coordinates: [-9.13652, 38.7102] })).toBe(
+      11.132
+    );
+    expect(pinPrecisionMeters({ coordinates: [-9, 38.71018] })).toBe(111320);
+  });
+
+  it("has nothing to judge without coordinates", () => {
+    expect(pinPrecisionMeters(null)).toBeNull();
+    expect(pinPrecisionMeters({})).toBeNull();
+  });
+});
+
+describe("assessCompleteness", () => {
+  it("scores a complete listing 100 and ready", () => {
+    expect(assessCompleteness(completeListing())).toMatchObject({
+      score: 100,
+      ready: true,
+      missing: [],
+    });
+  });
+
+  it("names the required items that fail", () => {
+    const result = assessCompleteness(
+      completeListing({
+        postalCode: " ",
+        photos: ["1.jpg"],
+        location: { coordinates: [-9.1, 38.7] },
+      })
+    );
+
+    expect(result.ready).toBe(false);
+    expect(result.missing).toEqual([
+      "Full address",
+      "Precise map location",
+      "Photos",
+    ]);
+    expect(result.score).toBe(60);
+    expect(item(result, "photos").detail).toBe("1 of 5 photos");
+    expect(item(result, "location").detail).toBe("Accurate to about 11132 m");
+  });
+
+  it("only costs score when optional items fail", () => {
+    const result = assessCompleteness(
+      completeListing({
+        amenities: [],
+        roomSpecs: [],
+        houseRules: {},
+        cancellationPolicy: null,
+      })
+    );
+
+    expect(result).toMatchObject({ ready: true, missing: [], score: 70 });
+  });
+
+  it("counts custom cancellation policies once they have windows", () => {
+    const custom = (terms) =>
+      item(
+        assessCompleteness(
+          completeListing({
+            cancellationPolicy: "CUSTOM",
+            cancellationPolicyTerms: terms,
+          })
+        ),
+        "cancellationPolicy"
+      ).passed;
+
+    expect(custom(null)).toBe(false);
+    expect(custom({ windows: [] })).toBe(false);
+    expect(custom({ windows: [{ daysBefore: 7, refundPercent: 100 }] })).toBe(
+      true
+    );
+  });
+
+  it("requires a priced listing with guest capacity", () => {
+    expect(
+      assessCompleteness(completeListing({ basePrice: "0" })).missing
+    ).toEqual(["Title, listing type, price and guest capacity"]);
+  });
+});
@@ -0,0 +1,127 @@
+import pkg from "@prisma/client";
+import prisma from "../src/config/database.js";
+import TaxFeeService from "../src/modules/taxes/service.js";
+import CurrencyService from "../src/modules/currency/service.js";
+import { ValidationError } from "../src/utils/apiError.js";
+const { TaxFeeKind, TaxFeeCalculation } = pkg;
+
+jest.mock("../src/config/database.js", () => ({
+  __esModule: true,
+  default: {
+    exchangeRate: {
+      createMany: jest.fn(async ({ data }) => ({ count: data.length })),
+    },
+  },
+}));
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+describe("CurrencyService.convertCharges", () => {
+  const rules = [
+    [TaxFeeKind.VAT, TaxFeeCalculation.PERCENTAGE, 20],
+    [TaxFeeKind.CLEANING_FEE, TaxFeeCalculation.PER_STAY, 30],
+    [TaxFeeKind.SERVICE_FEE, TaxFeeCalculation.PERCENTAGE, 10],
+  ].map(([kind, calculation, rate]) => ({
+    id: `${kind.toLowerCase()}-rule`,
+    kind,
+    calculation,
+    rate: String(rate),
+    name: kind,
+  }));
+
+  it("keeps converted totals equal to the converted line items", () => {
+    const charges = TaxFeeService.buildLineItems({
+      accommodation: 100.05,
+      nights: 3,
+      guests: 2,
+      rules,
+    });
+
+    const converted = CurrencyService.convertCharges(
+      {
+        ...charges,
+        currency: "USD",
+        basePrice: 100.05,
+        totalPrice: charges.total,
+      },
+      1.335,
+      "EUR"
+    );
+
+    expect(converted.totalPrice).toBe(
+      round(converted.lineItems.reduce((sum, item) => sum + item.amount, 0))
+    );
+    expect(converted.totalPrice).toBe(
+      round(converted.basePrice + converted.taxes + converted.fees)
+    );
+    expect(converted).toMatchObject({
+      currency: "EUR",
+      propertyCurrency: "USD",
+      exchangeRate: 1.335,
+    });
+  });
+
+  it("converts the totals directly when there are no line items", () => {
+    const converted = CurrencyService.convertCharges(
+      { currency: "USD", basePrice: 100, taxes: 20, fees: 0, totalPrice: 120 },
+      0.5,
+      "GBP"
+    );
+
+    expect(converted).toMatchObject({
+      basePrice: 50,
+      taxes: 10,
+      totalPrice: 60,
+    });
+  });
+});
+
+describe("CurrencyService.saveRates", () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it("normalises codes and stores each rate once", async () => {
+    await expect(
+      CurrencyService.saveRates([
+        {
+          baseCurrency: "usd",
+          quoteCurrency: "eur",
+          rate: "0.92",
+          effectiveAt: "2030-01-01T00:00:00Z",
+        },
+      ])
+    ).resolves.toBe(1);
+
+    expect(prisma.exchangeRate.createMany).toHaveBeenCalledWith({
+      data: [
+        {
+          baseCurrency: "USD",
+          quoteCurrency: "EUR",
+          rate: 0.92,
+          source: "admin",
+          effectiveAt: new Date("2030-01-01T00:00:00Z"),
+        },
+      ],
+      skipDuplicates: true,
+    });
+  });
+
+  it.each([
+    [{ baseCurrency: "US", quoteCurrency: "EUR", rate: 1 }, "currency code"],
+    [{ baseCurrency: "USD", quoteCurrency: "USD", rate: 1 }, "rate"],
+    [{ baseCurrency: "USD", quoteCurrency: "EUR", rate: 0 }, "rate"],
+    [
+      {
+        baseCurrency: "USD",
+        quoteCurrency: "EUR",
+        rate: 1,
+        effectiveAt: "next tuesday",
+      },
+      "effectiveAt",
+    ],
+  ])("rejects %p", async (entry, field) => {
+    await expect(CurrencyService.saveRates([entry])).rejects.toThrow(
+      new ValidationError(`Rate 1: invalid ${field}`)
+    );
+    expect(prisma.exchangeRate.createMany).not.toHaveBeenCalled();
+  });
+});
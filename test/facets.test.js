@@ -0,0 +1,104 @@
+import PropertySearch from "../src/models/PropertyDetails.js";
+import { getSearchFacets } from "../src/modules/search/facets.js";
+
+jest.mock("../src/models/PropertyDetails.js", () => ({
+  __esModule: true,
+  default: { aggregate: jest.fn() },
+}));
+
+const emptyResult = {
+  amenities: [],
+  propertyType: [],
+  listingType: [],
+  city: [],
+  ownershipType: [],
+  bedrooms: [],
+  price: [],
+};
+
+describe("getSearchFacets", () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  const facetsFor = async (filters, result = {}) => {
+    PropertySearch.aggregate.mockResolvedValue([{ ...emptyResult, ...result }]);
+    const facets = await getSearchFacets({ maxGuests: { $gte: 2 } }, filters);
+    const [[pipeline]] = PropertySearch.aggregate.mock.calls;
+    return { facets, pipeline };
+  };
+  const matchOf = (pipeline, facet) => pipeline[1].$facet[facet][0].$match;
+
+  it("counts each single-choice facet without its own filter", async () => {
+    const { pipeline } = await facetsFor({
+      propertyType: "VILLA",
+      city: "Lisbon",
+      minBedrooms: 2,
+      amenities: ["pool"],
+    });
+
+    expect(pipeline[0]).toEqual({ $match: { maxGuests: { $gte: 2 } } });
+    expect(matchOf(pipeline, "propertyType")).toEqual({
+      city: "Lisbon",
+      bedrooms: { $gte: 2 },
+      amenities: { $all: ["pool"] },
+    });
+    expect(matchOf(pipeline, "city")).toEqual({
+      propertyType: "VILLA",
+      bedrooms: { $gte: 2 },
+      amenities: { $all: ["pool"] },
+    });
+    expect(matchOf(pipeline, "bedrooms")).not.toHaveProperty("bedrooms");
+  });
+
+  it("keeps every filter when counting amenities", async () => {
+    const { pipeline } = await facetsFor({
+      propertyType: "VILLA",
+      amenities: ["pool", "wifi"],
+    });
+
+    expect(matchOf(pipeline, "amenities")).toEqual({
+      propertyType: "VILLA",
+      amenities: { $all: ["pool", "wifi"] },
+    });
+    expect(pipeline[1].$facet.amenities).toContainEqual({
+      $unwind: "$amenities",
+    });
+  });
+
+  it("reports counts as values and keeps empty price buckets", async () => {
+    const { facets } = await facetsFor(
+      {},
+      {
+        city: [
+          { _id: "Porto", count: 4 },
+          { _id: "Lisbon", count: 2 },
+        ],
+        price: [
+          { _id: 5000, count: 3 },
+          { _id: "overflow", count: 1 },
+        ],
+      }
+    );
+
+    expect(facets.city).toEqual([
+      { value: "Porto", count: 4 },
+      { value: "Lisbon", count: 2 },
+    ]);
+    expect(facets.price).toEqual([
+      { min: 0, max: 5000, count: 0 },
+      { min: 5000, max: 10000, count: 3 },
+      { min: 10000, max: 20000, count: 0 },
+      { min: 20000, max: 35000, count: 0 },
+      { min: 35000, max: 50000, count: 0 },
+      { min: 50000, max: 75000, count: 0 },
+      { min: 75000, max: 100000, count: 0 },
+      { min: 100000, max: null, count: 1 },
+    ]);
+  });
+
+  it("buckets sale listings by asking price", async () => {
+    const { facets, pipeline } = await facetsFor({ listingType: "SALE" });
+
+    expect(pipeline[1].$facet.price[1].$bucket.groupBy).toBe("$sale.price");
+    expect(facets.price[1]).toMatchObject({ min: 5000000, max: 10000000 });
+  });
+});
@@ -0,0 +1,166 @@
+import pkg from "@prisma/client";
+import InvoiceService from "../src/modules/invoices/service.js";
+const { InvoiceType, TaxFeeKind } = pkg;
+
+jest.mock("../src/config/database.js", () => ({
+  __esModule: true,
+  default: {},
+}));
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// Numbering sequences and stored documents, as a transaction sees them
+const createLedger = (invoices = []) => {
+  const sequences = new Map();
+  const tx = {
+    $queryRaw: jest.fn().mockResolvedValue([]),
+    invoiceSequence: {
+      upsert: jest.fn(async ({ where }) => {
+        const key = `${where.type_year.type}:${where.type_year.year}`;
+        const lastNumber = (sequences.get(key) || 0) + 1;
+        sequences.set(key, lastNumber);
+        return { lastNumber };
+      }),
+    },
+    invoice: {
+      findFirst: jest.fn(
+        async ({ where }) =>
+          invoices.find(
+            (invoice) =>
+              invoice.bookingId === where.bookingId &&
+              invoice.type === where.type
+          ) || null
+      ),
+      findUnique: jest.fn(
+        async ({ where }) =>
+          invoices.find((invoice) => invoice.refundId === where.refundId) ||
+          null
+      ),
+      create: jest.fn(async ({ data }) => {
+        const invoice = { id: `invoice-${invoices.length + 1}`, ...data };
+        invoices.push(invoice);
+        return invoice;
+      }),
+    },
+  };
+  return tx;
+};
+
+const invoice = {
+  id: "invoice-0",
+  type: InvoiceType.INVOICE,
+  bookingId: "booking-1",
+  number: "INV-2030-000001",
+  currency: "USD",
+  total: "534.07",
+  lineItems: [
+    { kind: "ACCOMMODATION", quantity: 3, unitAmount: 103.67, amount: 311 },
+    { kind: TaxFeeKind.CLEANING_FEE, quantity: 1, unitAmount: 30, amount: 30 },
+    {
+      kind: TaxFeeKind.SERVICE_FEE,
+      quantity: 1,
+      unitAmount: 91.1,
+      amount: 91.1,
+    },
+    {
+      kind: TaxFeeKind.OCCUPANCY_TAX,
+      quantity: 1,
+      unitAmount: 15.55,
+      amount: 15.55,
+    },
+    { kind: TaxFeeKind.VAT, quantity: 1, unitAmount: 86.42, amount: 86.42 },
+  ],
+};
+
+describe("InvoiceService.allocateNumber", () => {
+  it("numbers each document type in its own yearly sequence", async () => {
+    const tx = createLedger();
+    const at = (year) => new Date(Date.UTC(year, 5, 1));
+    const number = async (type, year) =>
+      (await InvoiceService.allocateNumber(tx, type, at(year))).number;
+
+    expect(await number(InvoiceType.INVOICE, 2030)).toBe("INV-2030-000001");
+    expect(await number(InvoiceType.INVOICE, 2030)).toBe("INV-2030-000002");
+    expect(await number(InvoiceType.CREDIT_NOTE, 2030)).toBe("CN-2030-000001");
+    expect(await number(InvoiceType.INVOICE, 2031)).toBe("INV-2031-000001");
+  });
+
+  it("uses the UTC year at the turn of the year", async () => {
+    const tx = createLedger();
+
+    const { year, sequence } = await InvoiceService.allocateNumber(
+      tx,
+      InvoiceType.INVOICE,
+      new Date("2030-12-31T23:30:00-02:00")
+    );
+
+    expect({ year, sequence }).toEqual({ year: 2031, sequence: 1 });
+  });
+});
+
+describe("InvoiceService.issueCreditNote", () => {
+  it("spreads a partial refund over the invoice lines", async () => {
+    const tx = createLedger([invoice]);
+
+    const creditNote = await InvoiceService.issueCreditNote(tx, "booking-1", {
+      amount: 267.04,
+      refundId: "re-1",
+    });
+
+    expect(creditNote).toMatchObject({
+      type: InvoiceType.CREDIT_NOTE,
+      number: expect.stringMatching(/^CN-\d{4}-000001$/),
+      originalInvoiceId: "invoice-0",
+      refundId: "re-1",
+      total: 267.04,
+    });
+    expect(creditNote.lineItems.map((item) => item.amount)).toEqual([
+      155.5, 15, 45.55, 7.78, 43.21,
+    ]);
+    expect(
+      round(creditNote.lineItems.reduce((sum, item) => sum + item.amount, 0))
+    ).toBe(267.04);
+    expect(creditNote.taxes).toBe(50.99);
+    expect(
+      round(creditNote.subtotal + creditNote.taxes + creditNote.fees)
+    ).toBe(creditNote.total);
+  });
+
+  it("never credits more than was invoiced", async () => {
+    const tx = createLedger([invoice]);
+
+    const creditNote = await InvoiceService.issueCreditNote(tx, "booking-1", {
+      amount: 900,
+    });
+
+    expect(creditNote.total).toBe(534.07);
+    expect(creditNote.lineItems.map((item) => item.amount)).toEqual(
+      invoice.lineItems.map((item) => item.amount)
+    );
+  });
+
+  it("issues one credit note per refund", async () => {
+    const tx = createLedger([invoice]);
+
+    const first = await InvoiceService.issueCreditNote(tx, "booking-1", {
+      amount: 50,
+      refundId: "re-1",
+    });
+    const again = await InvoiceService.issueCreditNote(tx, "booking-1", {
+      amount: 50,
+      refundId: "re-1",
+    });
+
+    expect(again).toBe(first);
+    expect(tx.invoice.create).toHaveBeenCalledTimes(1);
+  });
+
+  it("skips a zero refund", async () => {
+    const tx = createLedger([invoice]);
+
+    await expect(
+      InvoiceService.issueCreditNote(tx, "booking-1", { amount: 0 })
+    ).resolves.toBeNull();
+    expect(tx.invoice.create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,169 @@
+import PropertySearch from "../src/models/PropertyDetails.js";
+import { geoJSON } from "../src/utils/geospatial.js";
+import { buildBaseMatch } from "../src/modules/search/query.js";
+import { getMarkerClusters } from "../src/modules/search/clusters.js";
+import { InvalidInputError } from "../src/utils/apiError.js";
+
+jest.mock("../src/models/PropertyDetails.js", () => ({
+  __esModule: true,
+  default: { aggregate: jest.fn() },
+}));
+
+const triangle = [
+  { lat: 38.7, lng: -9.2 },
+  { lat: 38.8, lng: -9.1 },
+  { lat: 38.7, lng: -9.0 },
+];
+
+describe("geoJSON.createPolygon", () => {
+  it("closes the ring in [lng, lat] order", () => {
+    expect(geoJSON.createPolygon(triangle)).toEqual({
+      type: "Polygon",
+      coordinates: [
+        [
+          [-9.2, 38.7],
+          [-9.1, 38.8],
+          [-9.0, 38.7],
+          [-9.2, 38.7],
+        ],
+      ],
+    });
+  });
+
+  it("rejects rings with fewer than three points", () => {
+    expect(() => geoJSON.createPolygon(triangle.slice(0, 2))).toThrow(
+      InvalidInputError
+    );
+  });
+});
+
+describe("geoJSON.boundingBoxToGeometry", () => {
+  const lngRanges = (geometry) =>
+    (geometry.type === "Polygon"
+      ? [geometry.coordinates]
+      : geometry.coordinates
+    ).map(([ring]) => [ring[0][0], ring[1][0]]);
+
+  it("keeps a small viewport as one polygon", () => {
+    const geometry = geoJSON.boundingBoxToGeometry({
+      minLat: 38,
+      maxLat: 39,
+      minLng: -10,
+      maxLng: -9,
+    });
+
+    expect(geometry.type).toBe("Polygon");
+    expect(lngRanges(geometry)).toEqual([[-10, -9]]);
+  });
+
+  it("cuts wide viewports into strips of at most 90 degrees", () => {
+    const geometry = geoJSON.boundingBoxToGeometry({
+      minLat: -10,
+      maxLat: 10,
+      minLng: -100,
+      maxLng: 100,
+    });
+
+    expect(lngRanges(geometry)).toEqual([
+      [-100, -33.33333333333333],
+      [-33.33333333333333, 33.33333333333334],
+      [33.33333333333334, 100],
+    ]);
+  });
+
+  it("splits a viewport crossing the antimeridian", () => {
+    const geometry = geoJSON.boundingBoxToGeometry({
+      minLat: -20,
+      maxLat: -10,
+      minLng: 170,
+      maxLng: -170,
+    });
+
+    expect(lngRanges(geometry)).toEqual([
+      [170, 180],
+      [-180, -170],
+    ]);
+  });
+
+  it("rejects a box without area", () => {
+    expect(() =>
+      geoJSON.boundingBoxToGeometry({
+        minLat: 10,
+        maxLat: 10,
+        minLng: 0,
+        maxLng: 1,
+      })
+    ).toThrow("Bounding box has no area");
+  });
+});
+
+describe("buildBaseMatch", () => {
+  it("prefers a drawn polygon over the viewport and point", () => {
+    const match = buildBaseMatch({
+      polygon: triangle,
+      bbox: { minLat: 0, maxLat: 1, minLng: 0, maxLng: 1 },
+      latitude: 38.7,
+      longitude: -9.1,
+      radius: 1000,
+    });
+
+    expect(match.location.$geoWithin.$geometry.type).toBe("Polygon");
+  });
+
+  it("searches a radius around a point as a spherical cap", () => {
+    const match = buildBaseMatch({
+      latitude: 38.7,
+      longitude: -9.1,
+      radius: 6378.1,
+    });
+
+    expect(match.location).toEqual({
+      $geoWithin: { $centerSphere: [[-9.1, 38.7], 0.001] },
+    });
+  });
+
+  it("narrows to known properties instead of the guest count", () => {
+    expect(buildBaseMatch({ guests: 4, propertyIds: ["a"] })).toEqual({
+      propertyId: { $in: ["a"] },
+    });
+    expect(buildBaseMatch({ guests: 4, query: "beach" })).toEqual({
+      $text: { $search: "beach" },
+      maxGuests: { $gte: 4 },
+    });
+  });
+});
+
+describe("getMarkerClusters", () => {
+  it("sizes cells by zoom and reports each cell's bounds", async () => {
+    PropertySearch.aggregate.mockResolvedValue([
+      {
+        _id: { x: 6, y: 5 },
+        count: 3,
+        lat: 40,
+        lng: -5,
+        minPrice: 80,
+        propertyId: "p1",
+      },
+      {
+        _id: { x: 7, y: 5 },
+        count: 1,
+        lat: 41,
+        lng: 10,
+        minPrice: 120,
+        propertyId: "p2",
+      },
+    ]);
+
+    const { clusters, cellSize } = await getMarkerClusters({}, 2);
+
+    expect(cellSize).toBe(22.5);
+    expect(clusters[0]).toEqual({
+      centroid: { lat: 40, lng: -5 },
+      count: 3,
+      minPrice: 80,
+      propertyId: null,
+      bounds: { minLat: 22.5, maxLat: 45, minLng: -45, maxLng: -22.5 },
+    });
+    expect(clusters[1].propertyId).toBe("p2");
+  });
+});
@@ -0,0 +1,243 @@
+import pkg from "@prisma/client";
+import prisma from "../src/config/database.js";
+import { PropertyService } from "../src/modules/properties/service.js";
+import PropertyPhotoService from "../src/modules/photos/service.js";
+import SearchIndexService from "../src/modules/search/service.js";
+import ModerationService from "../src/modules/moderation/service.js";
+import { getListingCompleteness } from "../src/modules/properties/completeness.js";
+import { ConflictError, ValidationError } from "../src/utils/apiError.js";
+const { ModerationAction, PropertyStatus } = pkg;
+
+jest.mock("../src/config/database.js", () => ({
+  __esModule: true,
+  default: { property: { findFirst: jest.fn() }, $transaction: jest.fn() },
+}));
+jest.mock("../src/config/redis.js", () => ({
+  __esModule: true,
+  default: {},
+}));
+jest.mock("../src/models/Notification.js", () => ({
+  __esModule: true,
+  default: {},
+}));
+jest.mock("../src/modules/properties/service.js", () => ({
+  PropertyService: { clearPropertyCaches: jest.fn() },
+}));
+jest.mock("../src/modules/photos/service.js", () => ({
+  __esModule: true,
+  default: { removeFiles: jest.fn() },
+}));
+jest.mock("../src/modules/search/service.js", () => ({
+  __esModule: true,
+  default: { enqueue: jest.fn() },
+  ReindexReason: { PROPERTY_STATUS_CHANGED: "PROPERTY_STATUS_CHANGED" },
+}));
+jest.mock("../src/modules/properties/completeness.js", () => ({
+  getListingCompleteness: jest.fn(),
+}));
+
+const admin = { id: "admin-1" };
+
+describe("ModerationService transitions", () => {
+  let tx;
+
+  const listing = (status) =>
+    prisma.property.findFirst.mockResolvedValue({
+      id: "property-1",
+      ownerId: "owner-1",
+      status,
+    });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    tx = {
+      property: {
+        updateMany: jest.fn(async () => ({ count: 1 })),
+        update: jest.fn(),
+      },
+      propertyRevision: { findFirst: jest.fn(), delete: jest.fn() },
+      propertyModerationEvent: { create: jest.fn() },
+    };
+    prisma.$transaction.mockImplementation((callback) => callback(tx));
+    jest.spyOn(ModerationService, "getModeration").mockResolvedValue({});
+    jest.spyOn(ModerationService, "notifyOwner").mockResolvedValue();
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it("moves the listing on from the status it was read in", async () => {
+    listing(PropertyStatus.PENDING);
+
+    await ModerationService.approve("property-1", admin, { reason: "Nice" });
+
+    expect(tx.property.updateMany).toHaveBeenCalledWith({
+      where: {
+        id: "property-1",
+        status: PropertyStatus.PENDING,
+        deletedAt: null,
+      },
+      data: { status: PropertyStatus.APPROVED },
+    });
+    expect(tx.propertyModerationEvent.create).toHaveBeenCalledWith({
+      data: {
+        propertyId: "property-1",
+        actorId: "admin-1",
+        action: ModerationAction.APPROVED,
+        fromStatus: PropertyStatus.PENDING,
+        toStatus: PropertyStatus.APPROVED,
+        reason: "Nice",
+        fieldNotes: undefined,
+      },
+    });
+    expect(SearchIndexService.enqueue).toHaveBeenCalledWith(
+      tx,
+      "property-1",
+      "PROPERTY_STATUS_CHANGED"
+    );
+    expect(PropertyService.clearPropertyCaches).toHaveBeenCalledWith(
+      "property-1",
+      PropertyStatus.APPROVED
+    );
+    expect(ModerationService.notifyOwner).toHaveBeenCalledWith("property-1", {
+      title: "Your listing is live",
+      body: "Nice",
+    });
+  });
+
+  it("refuses decisions the current status doesn't allow", async () => {
+    listing(PropertyStatus.APPROVED);
+
+    await expect(
+      ModerationService.requestChanges("property-1", admin, {
+        reason: "Blurry photos",
+      })
+    ).rejects.toThrow(
+      new ConflictError("A approved listing can't be changes requested")
+    );
+    expect(prisma.$transaction).not.toHaveBeenCalled();
+  });
+
+  it("loses to a decision made after the status was read", async () => {
+    listing(PropertyStatus.PENDING);
+    tx.property.updateMany.mockResolvedValue({ count: 0 });
+
+    await expect(
+      ModerationService.reject("property-1", admin, { reason: "Spam" })
+    ).rejects.toThrow(
+      new ConflictError("Listing status was changed by another request")
+    );
+    expect(tx.propertyModerationEvent.create).not.toHaveBeenCalled();
+    expect(PropertyService.clearPropertyCaches).not.toHaveBeenCalled();
+    expect(ModerationService.notifyOwner).not.toHaveBeenCalled();
+  });
+
+  it("folds a pending revision in when a live listing is taken down", async () => {
+    listing(PropertyStatus.APPROVED);
+    tx.propertyRevision.findFirst.mockResolvedValue({
+      id: "revision-1",
+      changes: { title: "New title", removedPhotos: ["old.jpg"] },
+    });
+
+    await ModerationService.reject("property-1", admin, { reason: "Closed" });
+
+    expect(tx.property.update).toHaveBeenCalledWith({
+      where: { id: "property-1" },
+      data: { title: "New title" },
+    });
+    expect(tx.propertyRevision.delete).toHaveBeenCalledWith({
+      where: { id: "revision-1" },
+    });
+    expect(PropertyPhotoService.removeFiles).toHaveBeenCalledWith(["old.jpg"]);
+  });
+
+  it("stamps submissions and doesn't notify owners of their own", async () => {
+    listing(PropertyStatus.CHANGES_REQUESTED);
+
+    await ModerationService.decide(
+      "property-1",
+      { id: "owner-1" },
+      ModerationAction.RESUBMITTED,
+      {}
+    );
+
+    expect(tx.property.updateMany).toHaveBeenCalledWith(
+      expect.objectContaining({
+        data: { status: PropertyStatus.PENDING, submittedAt: expect.any(Date) },
+      })
+    );
+    expect(ModerationService.notifyOwner).not.toHaveBeenCalled();
+  });
+
+  describe("setStatus", () => {
+    const completeness = (missing) =>
+      getListingCompleteness.mockResolvedValue({
+        completeness: { ready: missing.length === 0, missing },
+      });
+
+    it.each([PropertyStatus.PENDING, PropertyStatus.APPROVED])(
+      "won't set %s on an incomplete listing",
+      async (status) => {
+        listing(PropertyStatus.DRAFT);
+        completeness(["Photos", "Description"]);
+
+        await expect(
+          ModerationService.setStatus("property-1", admin, status)
+        ).rejects.toThrow(
+          new ValidationError(
+            `Complete these before setting the status to ${status}: Photos, Description`
+          )
+        );
+        expect(prisma.$transaction).not.toHaveBeenCalled();
+      }
+    );
+
+    it("approves a complete listing from any other status", async () => {
+      listing(PropertyStatus.ARCHIVED);
+      completeness([]);
+
+      await ModerationService.setStatus(
+        "property-1",
+        admin,
+        PropertyStatus.APPROVED
+      );
+
+      expect(tx.property.updateMany).toHaveBeenCalledWith(
+        expect.objectContaining({
+          where: expect.objectContaining({ status: PropertyStatus.ARCHIVED }),
+          data: { status: PropertyStatus.APPROVED },
+        })
+      );
+      expect(tx.propertyModerationEvent.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          action: ModerationAction.STATUS_CHANGED,
+        }),
+      });
+    });
+
+    it("archives without checking completeness", async () => {
+      listing(PropertyStatus.DRAFT);
+
+      await ModerationService.setStatus(
+        "property-1",
+        admin,
+        PropertyStatus.ARCHIVED
+      );
+
+      expect(getListingCompleteness).not.toHaveBeenCalled();
+      expect(tx.property.updateMany).toHaveBeenCalled();
+    });
+
+    it("refuses to set the status a listing already has", async () => {
+      listing(PropertyStatus.REJECTED);
+
+      await expect(
+        ModerationService.setStatus(
+          "property-1",
+          admin,
+          PropertyStatus.REJECTED
+        )
+      ).rejects.toThrow(ConflictError);
+      expect(prisma.$transaction).not.toHaveBeenCalled();
+    });
+  });
+});
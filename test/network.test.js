@@ -0,0 +1,136 @@
+import dns from "dns";
+import dnsPromises from "dns/promises";
+import {
+  assertPublicUrl,
+  isPrivateAddress,
+  publicLookup,
+} from "../src/utils/network.js";
+import { BadRequestError } from "../src/utils/apiError.js";
+
+jest.mock("dns", () => ({ ...jest.requireActual("dns"), lookup: jest.fn() }));
+jest.mock("dns/promises", () => ({ lookup: jest.fn() }));
+
+const lookup = (options) =>
+  new Promise((resolve, reject) =>
+    publicLookup("feeds.example", options, (error, ...result) =>
+      error ? reject(error) : resolve(result)
+    )
+  );
+
+describe("isPrivateAddress", () => {
+  it.each([
+    "127.0.0.1",
+    "10.1.2.3",
+    "172.31.255.255",
+    "192.168.0.10",
+    "169.254.169.254",
+    "100.64.0.1",
+    "0.0.0.0",
+    "::1",
+    "::",
+    "fd12::1",
+    "fe80::1",
+    "::ffff:127.0.0.1",
+    "64:ff9b::a00:1",
+    "not-an-ip",
+  ])("blocks %s", (address) => {
+    expect(isPrivateAddress(address)).toBe(true);
+  });
+
+  it.each(["93.184.216.34", "172.32.0.1", "2606:2800:220:1::1"])(
+    "allows %s",
+    (address) => {
+      expect(isPrivateAddress(address)).toBe(false);
+    }
+  );
+});
+
+describe("assertPublicUrl", () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it("accepts http(s) hosts resolving only to public addresses", async () => {
+    dnsPromises.lookup.mockResolvedValue([
+      { address: "93.184.216.34", family: 4 },
+    ]);
+
+    await expect(
+      assertPublicUrl("https://feeds.example/cal.ics")
+    ).resolves.toBeUndefined();
+    expect(dnsPromises.lookup).toHaveBeenCalledWith("feeds.example", {
+      all: true,
+      verbatim: true,
+    });
+  });
+
+  it.each([
+    ["file:///etc/passwd", "URL must use http or https"],
+    ["http://[::1]:8080/", "URL must point to a public address"],
+    ["http://169.254.169.254/latest", "URL must point to a public address"],
+  ])("rejects %s", async (url, message) => {
+    await expect(assertPublicUrl(url)).rejects.toThrow(
+      new BadRequestError(message)
+    );
+    expect(dnsPromises.lookup).not.toHaveBeenCalled();
+  });
+
+  it("rejects hosts with any private or no address", async () => {
+    dnsPromises.lookup.mockResolvedValueOnce([
+      { address: "93.184.216.34", family: 4 },
+      { address: "10.0.0.8", family: 4 },
+    ]);
+    dnsPromises.lookup.mockRejectedValueOnce(new Error("ENOTFOUND"));
+
+    await expect(assertPublicUrl("http://mixed.example")).rejects.toThrow(
+      "URL must point to a public address"
+    );
+    await expect(assertPublicUrl("http://missing.example")).rejects.toThrow(
+      "Could not resolve missing.example"
+    );
+  });
+});
+
+describe("publicLookup", () => {
+  const resolvesTo = (...addresses) =>
+    dns.lookup.mockImplementation((hostname, options, callback) =>
+      callback(null, addresses)
+    );
+
+  beforeEach(() => jest.clearAllMocks());
+
+  it("answers in the form the socket asked for", async () => {
+    resolvesTo(
+      { address: "2606:2800:220:1::1", family: 6 },
+      { address: "93.184.216.34", family: 4 }
+    );
+
+    await expect(lookup({})).resolves.toEqual(["2606:2800:220:1::1", 6]);
+    await expect(lookup({ all: true })).resolves.toEqual([
+      [
+        { address: "2606:2800:220:1::1", family: 6 },
+        { address: "93.184.216.34", family: 4 },
+      ],
+    ]);
+    expect(dns.lookup).toHaveBeenCalledWith(
+      "feeds.example",
+      { all: true, verbatim: true },
+      expect.any(Function)
+    );
+  });
+
+  it("refuses a host with any private address", async () => {
+    resolvesTo(
+      { address: "93.184.216.34", family: 4 },
+      { address: "::ffff:10.0.0.5", family: 6 }
+    );
+
+    await expect(lookup({ all: true })).rejects.toThrow(BadRequestError);
+  });
+
+  it("passes resolver errors through", async () => {
+    dns.lookup.mockImplementation((hostname, options, callback) =>
+      callback(Object.assign(new Error("not found"), { code: "ENOTFOUND" }))
+    );
+
+    await expect(lookup({})).rejects.toMatchObject({ code: "ENOTFOUND" });
+  });
+});
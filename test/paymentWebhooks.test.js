@@ -0,0 +1,170 @@
+import prisma from "../src/config/database.js";
+import PaymentWebhookService from "../src/modules/payments/webhookService.js";
+import {
+  signWebhookPayload,
+  verifyWebhookSignature,
+} from "../src/modules/payments/signature.js";
+import {
+  getPaymentProvider,
+  hasPaymentProvider,
+} from "../src/modules/payments/providers/index.js";
+import { UnauthorizedError } from "../src/utils/apiError.js";
+
+jest.mock("../src/config/database.js", () => ({
+  __esModule: true,
+  default: {
+    paymentEvent: { findUnique: jest.fn() },
+    $transaction: jest.fn(),
+  },
+}));
+jest.mock("../src/modules/bookings/service.js", () => ({
+  __esModule: true,
+  default: {},
+}));
+jest.mock("../src/modules/invoices/service.js", () => ({
+  __esModule: true,
+  default: {},
+}));
+jest.mock("../src/modules/payments/providers/index.js", () => ({
+  getPaymentProvider: jest.fn(),
+  hasPaymentProvider: jest.fn(),
+}));
+
+const SECRET = "whsec_test";
+const body = JSON.stringify({ id: "evt_1", type: "payment.captured" });
+
+describe("webhook signatures", () => {
+  const now = Math.floor(Date.now() / 1000);
+
+  it("accepts a payload signed with the shared secret", () => {
+    const header = signWebhookPayload(body, SECRET, now);
+
+    expect(header).toMatch(/^t=\d+,v1=[0-9a-f]{64}$/);
+    expect(() =>
+      verifyWebhookSignature(Buffer.from(body), header, SECRET, 300)
+    ).not.toThrow();
+  });
+
+  it.each([
+    ["a tampered body", `${body} `, signWebhookPayload(body, SECRET, now)],
+    ["another secret", body, signWebhookPayload(body, "whsec_other", now)],
+    [
+      "a replayed signature with a new timestamp",
+      body,
+      signWebhookPayload(body, SECRET, now).replace(/^t=\d+/, `t=${now + 1}`),
+    ],
+  ])("rejects %s", (_case, received, header) => {
+    expect(() => verifyWebhookSignature(received, header, SECRET, 300)).toThrow(
+      "Invalid webhook signature"
+    );
+  });
+
+  it("rejects a signature older than the tolerance", () => {
+    const header = signWebhookPayload(body, SECRET, now - 301);
+
+    expect(() => verifyWebhookSignature(body, header, SECRET, 300)).toThrow(
+      "Webhook signature has expired"
+    );
+  });
+
+  it.each([
+    ["a missing header", undefined, "Missing webhook signature"],
+    ["a header without a timestamp", "v1=abc", "Malformed webhook signature"],
+    ["a truncated digest", `t=${now},v1=abcd`, "Invalid webhook signature"],
+  ])("rejects %s", (_case, header, message) => {
+    expect(() => verifyWebhookSignature(body, header, SECRET, 300)).toThrow(
+      new UnauthorizedError(message)
+    );
+  });
+});
+
+describe("PaymentWebhookService.handleWebhook", () => {
+  const event = {
+    id: "evt_1",
+    type: "payment.captured",
+    intentId: "pi_1",
+    payload: {},
+  };
+  const uniqueViolation = (target) =>
+    Object.assign(new Error("Unique constraint failed"), {
+      code: "P2002",
+      meta: { target },
+    });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    hasPaymentProvider.mockReturnValue(true);
+    getPaymentProvider.mockReturnValue({
+      name: "mock",
+      parseWebhookEvent: () => event,
+    });
+  });
+
+  it("stores and applies a new event in one transaction", async () => {
+    const tx = {
+      paymentEvent: {
+        create: jest.fn().mockResolvedValue({ id: "record-1" }),
+        update: jest.fn(async ({ data }) => ({ id: "record-1", ...data })),
+      },
+      payment: { findFirst: jest.fn().mockResolvedValue(null) },
+    };
+    prisma.$transaction.mockImplementation((callback) => callback(tx));
+
+    const result = await PaymentWebhookService.handleWebhook("mock", body, {});
+
+    expect(tx.paymentEvent.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ provider: "mock", eventId: "evt_1" }),
+    });
+    expect(result.duplicate).toBe(false);
+  });
+
+  it("only records a capture that arrives after the payment failed", async () => {
+    const failed = { id: "payment-1", status: "FAILED" };
+    const tx = {
+      payment: {
+        findFirst: jest.fn().mockResolvedValue(failed),
+        update: jest.fn(),
+        updateMany: jest.fn(),
+      },
+    };
+
+    await expect(PaymentWebhookService.applyEvent(tx, event)).resolves.toBe(
+      failed
+    );
+    expect(tx.payment.update).not.toHaveBeenCalled();
+    expect(tx.payment.updateMany).not.toHaveBeenCalled();
+  });
+
+  it.each([
+    [["provider", "eventId"]],
+    ["payment_events_provider_event_id_key"],
+  ])(
+    "answers a redelivered event with the stored record (target %p)",
+    async (target) => {
+      const stored = { id: "record-1", eventId: "evt_1" };
+      prisma.$transaction.mockRejectedValue(uniqueViolation(target));
+      prisma.paymentEvent.findUnique.mockResolvedValue(stored);
+
+      const result = await PaymentWebhookService.handleWebhook(
+        "mock",
+        body,
+        {}
+      );
+
+      expect(result).toEqual({ event: stored, duplicate: true });
+      expect(prisma.paymentEvent.findUnique).toHaveBeenCalledWith({
+        where: { provider_eventId: { provider: "mock", eventId: "evt_1" } },
+      });
+    }
+  );
+
+  it("rethrows unique violations raised while applying the event", async () => {
+    const error = uniqueViolation(["transactionId"]);
+    prisma.$transaction.mockRejectedValue(error);
+
+    await expect(
+      PaymentWebhookService.handleWebhook("mock", body, {})
+    ).rejects.toBe(error);
+    expect(prisma.paymentEvent.findUnique).not.toHaveBeenCalled();
+  });
+});
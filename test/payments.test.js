@@ -0,0 +1,99 @@
+import pkg from "@prisma/client";
+import prisma from "../src/config/database.js";
+import PaymentService from "../src/modules/payments/service.js";
+import { getPaymentProvider } from "../src/modules/payments/providers/index.js";
+import { ConflictError, PaymentError } from "../src/utils/apiError.js";
+const { PaymentStatus } = pkg;
+
+jest.mock("../src/config/database.js", () => ({
+  __esModule: true,
+  default: {
+    payment: {
+      findUnique: jest.fn(),
+      updateMany: jest.fn(),
+    },
+    $transaction: jest.fn(),
+  },
+}));
+jest.mock("../src/modules/payments/providers/index.js", () => ({
+  getPaymentProvider: jest.fn(),
+}));
+jest.mock("../src/modules/invoices/service.js", () => ({
+  __esModule: true,
+  default: { issueCreditNote: jest.fn() },
+}));
+
+const payment = {
+  id: "payment-1",
+  bookingId: "booking-1",
+  provider: "mock",
+  transactionId: "tx-1",
+  amount: "200.00",
+  refundAmount: null,
+  status: PaymentStatus.COMPLETED,
+};
+
+describe("PaymentService.refundBookingPayment", () => {
+  let provider;
+  let tx;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    provider = {
+      refund: jest.fn(async (transactionId, { amount }) => ({
+        refundId: "re-1",
+        amount,
+        refundedAt: new Date(),
+      })),
+    };
+    getPaymentProvider.mockReturnValue(provider);
+    tx = { payment: { update: jest.fn(async ({ data }) => data) } };
+    prisma.payment.findUnique.mockResolvedValue(payment);
+    prisma.payment.updateMany.mockResolvedValue({ count: 1 });
+    prisma.$transaction.mockImplementation((callback) => callback(tx));
+  });
+
+  it("claims the amount on the payment as read before refunding", async () => {
+    const updated = await PaymentService.refundBookingPayment("booking-1", {
+      amount: 50,
+    });
+
+    expect(prisma.payment.updateMany).toHaveBeenCalledWith({
+      where: {
+        id: "payment-1",
+        status: PaymentStatus.COMPLETED,
+        refundAmount: null,
+      },
+      data: { refundAmount: 50 },
+    });
+    expect(prisma.payment.updateMany.mock.invocationCallOrder[0]).toBeLessThan(
+      provider.refund.mock.invocationCallOrder[0]
+    );
+    expect(updated).toMatchObject({
+      refundAmount: 50,
+      status: PaymentStatus.PARTIALLY_REFUNDED,
+    });
+  });
+
+  it("does not refund when another request claimed the payment first", async () => {
+    prisma.payment.updateMany.mockResolvedValueOnce({ count: 0 });
+
+    await expect(
+      PaymentService.refundBookingPayment("booking-1")
+    ).rejects.toThrow(ConflictError);
+    expect(provider.refund).not.toHaveBeenCalled();
+  });
+
+  it("gives the claim back when the gateway refuses the refund", async () => {
+    provider.refund.mockRejectedValueOnce(new Error("card closed"));
+
+    await expect(
+      PaymentService.refundBookingPayment("booking-1")
+    ).rejects.toThrow(PaymentError);
+    expect(prisma.payment.updateMany).toHaveBeenLastCalledWith({
+      where: { id: "payment-1", refundAmount: 200 },
+      data: { refundAmount: null },
+    });
+    expect(tx.payment.update).not.toHaveBeenCalled();
+  });
+});
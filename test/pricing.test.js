@@ -0,0 +1,87 @@
+import { DateTime } from "luxon";
+import pkg from "@prisma/client";
+import { PricingService } from "../src/utils/pricing.js";
+const { PricingRuleType, PriceAdjustmentType } = pkg;
+
+// Friday 4 to Monday 7 January 2030
+const nights = [4, 5, 6].map((day) => ({
+  date: DateTime.utc(2030, 1, day),
+  baseRate: 100,
+}));
+const bookedAt = DateTime.utc(2029, 6, 1);
+
+const rule = (type, fields) => ({
+  id: `${type.toLowerCase()}-rule`,
+  type,
+  adjustmentType: PriceAdjustmentType.PERCENTAGE,
+  ...fields,
+});
+
+describe("PricingService.priceStay", () => {
+  it("prices nights at their base rate without rules", () => {
+    const { nights: priced, subtotal } = PricingService.priceStay(nights, [], {
+      bookedAt,
+    });
+
+    expect(priced.map((night) => night.price)).toEqual([100, 100, 100]);
+    expect(subtotal).toBe(300);
+  });
+
+  it("applies nightly rules, the best stay tier and price bounds", () => {
+    const rules = [
+      rule(PricingRuleType.WEEKDAY, { weekdays: [5, 6], adjustmentValue: 20 }),
+      rule(PricingRuleType.LENGTH_OF_STAY, {
+        id: "week",
+        minNights: 7,
+        adjustmentValue: -25,
+      }),
+      rule(PricingRuleType.LENGTH_OF_STAY, {
+        id: "three-nights",
+        minNights: 3,
+        adjustmentValue: -10,
+      }),
+      rule(PricingRuleType.PRICE_BOUNDS, { minPrice: "95" }),
+    ];
+
+    const { nights: priced, subtotal } = PricingService.priceStay(
+      nights,
+      rules,
+      { bookedAt }
+    );
+
+    // Friday and Saturday: 100 * 1.2 * 0.9; Sunday: 90, raised to the floor
+    expect(priced.map((night) => night.price)).toEqual([108, 108, 95]);
+    expect(priced[0].appliedRuleIds).toEqual(["weekday-rule", "three-nights"]);
+    expect(subtotal).toBe(311);
+  });
+
+  it("only applies a last-minute rule inside its window", () => {
+    const rules = [
+      rule(PricingRuleType.LAST_MINUTE, {
+        daysBeforeCheckIn: 3,
+        adjustmentValue: -20,
+      }),
+    ];
+    const price = (booked) =>
+      PricingService.priceStay(nights, rules, { bookedAt: booked }).subtotal;
+
+    expect(price(DateTime.utc(2030, 1, 2))).toBe(240);
+    expect(price(DateTime.utc(2029, 12, 20))).toBe(300);
+  });
+
+  it("never prices a night below zero", () => {
+    const rules = [
+      rule(PricingRuleType.WEEKDAY, {
+        weekdays: [5],
+        adjustmentType: PriceAdjustmentType.FIXED,
+        adjustmentValue: -150,
+      }),
+    ];
+
+    const { nights: priced } = PricingService.priceStay(nights, rules, {
+      bookedAt,
+    });
+
+    expect(priced[0].price).toBe(0);
+  });
+});
@@ -0,0 +1,107 @@
+import jwt from "jsonwebtoken";
+import config from "../src/config/env.js";
+import BookingService from "../src/modules/bookings/service.js";
+import { BookingError, ValidationError } from "../src/utils/apiError.js";
+
+jest.mock("../src/config/database.js", () => ({
+  __esModule: true,
+  default: {},
+}));
+jest.mock("../src/config/redis.js", () => ({
+  __esModule: true,
+  default: {},
+}));
+jest.mock("../src/modules/search/service.js", () => ({
+  __esModule: true,
+  default: {},
+  ReindexReason: {},
+}));
+jest.mock("../src/modules/payments/service.js", () => ({
+  __esModule: true,
+  default: {},
+}));
+
+const USER_ID = "2b6f0c1e-5a44-4d1f-9a0e-7f3c2d1b0a99";
+const stay = {
+  propertyId: "8d0c1c38-8f5e-4b8c-9a37-4c1d2b0e5f11",
+  startDate: "2030-01-04T00:00:00.000Z",
+  endDate: "2030-01-07T00:00:00.000Z",
+  adults: 2,
+  children: 1,
+  infants: 0,
+};
+const charges = { currency: "EUR", totalPrice: 534.07, lineItems: [] };
+
+const sign = (payload = { stay, charges }, options = {}) =>
+  jwt.sign(payload, config.get("bookings.quoteSecret"), {
+    subject: USER_ID,
+    audience: "booking-quote",
+    expiresIn: 60,
+    ...options,
+  });
+
+const request = (fields = {}) => ({
+  propertyId: stay.propertyId,
+  userId: USER_ID,
+  startDate: new Date(stay.startDate),
+  endDate: new Date(stay.endDate),
+  adults: 2,
+  children: 1,
+  ...fields,
+});
+
+describe("BookingService.verifyQuoteToken", () => {
+  it("returns the quoted charges for the stay it was issued for", () => {
+    expect(BookingService.verifyQuoteToken(sign(), request())).toEqual(charges);
+    expect(
+      BookingService.verifyQuoteToken(sign(), request({ currency: "eur" }))
+    ).toEqual(charges);
+  });
+
+  it.each([
+    [
+      "another property",
+      { propertyId: "5f0e6a52-1c2b-4d3e-8f9a-0b1c2d3e4f50" },
+    ],
+    ["other dates", { endDate: new Date("2030-01-08T00:00:00.000Z") }],
+    ["a larger party", { adults: 3 }],
+    ["another currency", { currency: "USD" }],
+  ])("rejects a quote used for %s", (_case, fields) => {
+    expect(() =>
+      BookingService.verifyQuoteToken(sign(), request(fields))
+    ).toThrow(new ValidationError("Quote does not match the booking request"));
+  });
+
+  it("rejects a quote issued to another guest", () => {
+    expect(() =>
+      BookingService.verifyQuoteToken(
+        sign(undefined, { subject: "someone-else" }),
+        request()
+      )
+    ).toThrow(new ValidationError("Invalid quote token"));
+  });
+
+  it("rejects a token signed with another secret", () => {
+    const forged = jwt.sign({ stay, charges }, "not-the-secret", {
+      subject: USER_ID,
+      audience: "booking-quote",
+    });
+
+    expect(() => BookingService.verifyQuoteToken(forged, request())).toThrow(
+      ValidationError
+    );
+  });
+
+  it("asks for a new quote once it has expired", () => {
+    // Issued two minutes ago with a one-minute lifetime
+    const expired = sign({
+      stay,
+      charges,
+      iat: Math.floor(Date.now() / 1000) - 120,
+    });
+
+    expect(() => BookingService.verifyQuoteToken(expired, request())).toThrow(
+      BookingError
+    );
+  });
+});
@@ -0,0 +1,164 @@
+import PropertySearch from "../src/models/PropertyDetails.js";
+import {
+  distanceFrom,
+  getRankedPage,
+  SortOption,
+} from "../src/modules/search/ranking.js";
+
+jest.mock("../src/models/PropertyDetails.js", () => ({
+  __esModule: true,
+  default: { aggregate: jest.fn(async () => []) },
+}));
+
+// Evaluates the aggregation operators the ranking expressions use
+const evaluate = (expression, doc) => {
+  if (typeof expression === "string" && expression.startsWith("$")) {
+    return expression
+      .slice(1)
+      .split(".")
+      .reduce((value, key) => value?.[key], doc);
+  }
+  if (expression instanceof Date) return expression.getTime();
+  if (!expression || typeof expression !== "object") return expression;
+
+  const [[operator, operand]] = Object.entries(expression);
+  if (operator === "$meta") return doc.textScore;
+  const args = (Array.isArray(operand) ? operand : [operand]).map((arg) =>
+    evaluate(arg, doc)
+  );
+  const number = (value) => (value instanceof Date ? value.getTime() : value);
+  const operators = {
+    $add: () => args.reduce((sum, value) => sum + number(value), 0),
+    $subtract: () => number(args[0]) - number(args[1]),
+    $multiply: () => args.reduce((product, value) => product * value, 1),
+    $divide: () => args[0] / args[1],
+    $pow: () => args[0] ** args[1],
+    $min: () => Math.min(...args),
+    $max: () => Math.max(...args),
+    $sqrt: () => Math.sqrt(args[0]),
+    $asin: () => Math.asin(args[0]),
+    $sin: () => Math.sin(args[0]),
+    $cos: () => Math.cos(args[0]),
+    $ln: () => Math.log(args[0]),
+    $exp: () => Math.exp(args[0]),
+    $degreesToRadians: () => (args[0] * Math.PI) / 180,
+    $arrayElemAt: () => args[0][args[1]],
+    $ifNull: () => args[0] ?? args[1],
+  };
+  return operators[operator]();
+};
+
+const pipelineFor = async (options) => {
+  PropertySearch.aggregate.mockClear();
+  await getRankedPage({}, { skip: 0, limit: 20, ...options });
+  return PropertySearch.aggregate.mock.calls[0][0];
+};
+const relevanceOf = (pipeline, doc) =>
+  evaluate(
+    pipeline.find((stage) => stage.$addFields?.relevance).$addFields.relevance,
+    doc
+  );
+
+const listing = (fields = {}) => ({
+  location: { coordinates: [-9.14, 38.71] },
+  stats: { rating: 4, reviewCount: 10, bookedCount: 10 },
+  createdAt: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000),
+  searchBoost: 0,
+  ...fields,
+});
+
+describe("distanceFrom", () => {
+  it("measures great-circle distance in meters", () => {
+    const lisbon = { location: { coordinates: [-9.1393, 38.7223] } };
+    const madrid = { location: { coordinates: [-3.7038, 40.4168] } };
+
+    expect(evaluate(distanceFrom(38.7223, -9.1393), lisbon)).toBeCloseTo(0);
+    expect(evaluate(distanceFrom(38.7223, -9.1393), madrid) / 1000).toBeCloseTo(
+      503,
+      0
+    );
+  });
+});
+
+describe("getRankedPage", () => {
+  it("ranks better reviewed, more booked listings higher", async () => {
+    const pipeline = await pipelineFor({});
+    const quiet = listing({ stats: { rating: 3, reviewCount: 1 } });
+    const popular = listing({
+      stats: { rating: 4.8, reviewCount: 90, bookedCount: 200 },
+    });
+
+    expect(relevanceOf(pipeline, popular)).toBeGreaterThan(
+      relevanceOf(pipeline, quiet)
+    );
+  });
+
+  it("stops rewarding review counts past the saturation point", async () => {
+    const pipeline = await pipelineFor({});
+    const reviews = (reviewCount) =>
+      relevanceOf(pipeline, listing({ stats: { rating: 4, reviewCount } }));
+
+    expect(reviews(100)).toBeCloseTo(reviews(5000));
+    expect(reviews(100)).toBeGreaterThan(reviews(10));
+  });
+
+  it("adds the admin boost and decays freshness with age", async () => {
+    const pipeline = await pipelineFor({});
+    const day = 24 * 60 * 60 * 1000;
+
+    expect(
+      relevanceOf(pipeline, listing({ searchBoost: 2 })) -
+        relevanceOf(pipeline, listing())
+    ).toBeCloseTo(2);
+    expect(
+      relevanceOf(pipeline, listing({ createdAt: new Date() })) -
+        relevanceOf(
+          pipeline,
+          listing({ createdAt: new Date(Date.now() - 365 * day) })
+        )
+    ).toBeCloseTo(0.5, 1);
+  });
+
+  it("scores closeness to the searched point within the radius", async () => {
+    const pipeline = await pipelineFor({
+      latitude: 38.71,
+      longitude: -9.14,
+      radius: 10000,
+    });
+    const withDistance = (doc) => ({
+      ...doc,
+      distance: evaluate(pipeline[1].$addFields.distance, doc),
+    });
+    const here = withDistance(listing());
+    const far = withDistance(listing({ location: { coordinates: [-8, 41] } }));
+
+    expect(
+      relevanceOf(pipeline, here) - relevanceOf(pipeline, far)
+    ).toBeCloseTo(2);
+  });
+
+  it("only adds distance when searching around a point", async () => {
+    const pipeline = await pipelineFor({ sort: SortOption.RATING });
+
+    expect(pipeline.some((stage) => stage.$addFields?.distance)).toBe(false);
+    expect(pipeline.find((stage) => stage.$sort).$sort).toEqual({
+      "stats.rating": -1,
+      "stats.reviewCount": -1,
+      _id: 1,
+    });
+  });
+
+  it("pages in a stable order", async () => {
+    const pipeline = await pipelineFor({
+      sort: SortOption.PRICE_ASC,
+      skip: 40,
+      limit: 20,
+    });
+
+    expect(pipeline.slice(-3)).toEqual([
+      { $sort: { basePrice: 1, _id: 1 } },
+      { $skip: 40 },
+      { $limit: 20 },
+    ]);
+  });
+});
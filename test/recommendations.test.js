@@ -0,0 +1,196 @@
+import redis from "../src/config/redis.js";
+import PropertySearch from "../src/models/PropertyDetails.js";
+import RecommendationService from "../src/modules/recommendations/service.js";
+import { NotFoundError } from "../src/utils/apiError.js";
+
+jest.mock("../src/config/redis.js", () => ({
+  __esModule: true,
+  default: {
+    get: jest.fn(),
+    setex: jest.fn(),
+    zrevrange: jest.fn(),
+    multi: jest.fn(),
+  },
+}));
+jest.mock("../src/models/PropertyDetails.js", () => ({
+  __esModule: true,
+  default: { aggregate: jest.fn(), find: jest.fn(), findOne: jest.fn() },
+}));
+
+const lean = (value) => ({ lean: () => value });
+const doc = (propertyId, fields = {}) => ({
+  propertyId,
+  title: `Home ${propertyId}`,
+  photos: [`${propertyId}.jpg`],
+  listingType: "RENT",
+  basePrice: 100,
+  location: { type: "Point", coordinates: [-9.14, 38.71] },
+  maxGuests: 4,
+  bedrooms: 2,
+  amenities: ["wifi", "pool"],
+  ...fields,
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  PropertySearch.aggregate.mockResolvedValue([]);
+});
+
+describe("RecommendationService.getSimilarListings", () => {
+  it("serves cached results", async () => {
+    redis.get.mockResolvedValue(JSON.stringify([{ propertyId: "p2" }]));
+
+    await expect(
+      RecommendationService.getSimilarListings("p1")
+    ).resolves.toEqual([{ propertyId: "p2" }]);
+    expect(PropertySearch.findOne).not.toHaveBeenCalled();
+  });
+
+  it("rejects listings missing from the search index", async () => {
+    redis.get.mockResolvedValue(null);
+    PropertySearch.findOne.mockReturnValue(lean(null));
+
+    await expect(
+      RecommendationService.getSimilarListings("p1")
+    ).rejects.toThrow(NotFoundError);
+  });
+
+  it("caches what it finds", async () => {
+    redis.get.mockResolvedValue(null);
+    PropertySearch.findOne.mockReturnValue(lean(doc("p1")));
+    PropertySearch.aggregate.mockResolvedValue([
+      { ...doc("p2"), distance: 812.4, similarity: 0.87654 },
+    ]);
+
+    const listings = await RecommendationService.getSimilarListings("p1", {
+      limit: 4,
+    });
+
+    expect(listings).toEqual([
+      expect.objectContaining({
+        propertyId: "p2",
+        photo: "p2.jpg",
+        distance: 812,
+        similarity: 0.877,
+      }),
+    ]);
+    expect(redis.setex).toHaveBeenCalledWith(
+      "property:p1:similar:4",
+      600,
+      JSON.stringify(listings)
+    );
+  });
+});
+
+describe("RecommendationService.findSimilar", () => {
+  const matchFor = async (source, options = {}) => {
+    await RecommendationService.findSimilar(source, { limit: 12, ...options });
+    return PropertySearch.aggregate.mock.calls[0][0][0].$match;
+  };
+
+  it("keeps to the same listing type, radius and price band", async () => {
+    expect(await matchFor(doc("p1"), { exclude: ["p9"] })).toEqual({
+      propertyId: { $nin: ["p1", "p9"] },
+      listingType: "RENT",
+      location: {
+        $geoWithin: {
+          $centerSphere: [[-9.14, 38.71], 25000 / 6378100],
+        },
+      },
+      basePrice: { $gte: 70, $lte: 130 },
+    });
+  });
+
+  it("compares sale listings on their asking price", async () => {
+    const match = await matchFor(
+      doc("p1", { listingType: "SALE", sale: { price: 300000 } })
+    );
+
+    expect(match["sale.price"]).toEqual({ $gte: 210000, $lte: 390000 });
+    expect(match).not.toHaveProperty("basePrice");
+  });
+
+  it("skips the price band for unpriced listings", async () => {
+    expect(await matchFor(doc("p1", { basePrice: 0 }))).not.toHaveProperty(
+      "basePrice"
+    );
+  });
+});
+
+describe("recently viewed history", () => {
+  it("records a view, trimming and refreshing the history", async () => {
+    const chain = {};
+    ["zadd", "zremrangebyrank", "expire"].forEach((command) => {
+      chain[command] = jest.fn(() => chain);
+    });
+    chain.exec = jest.fn();
+    redis.multi.mockReturnValue(chain);
+
+    await RecommendationService.recordView("u1", "p1");
+
+    const key = "user:u1:recently-viewed";
+    expect(chain.zadd).toHaveBeenCalledWith(key, expect.any(Number), "p1");
+    expect(chain.zremrangebyrank).toHaveBeenCalledWith(key, 0, -51);
+    expect(chain.expire).toHaveBeenCalledWith(key, 90 * 24 * 60 * 60);
+    expect(chain.exec).toHaveBeenCalled();
+  });
+
+  it("lists searchable views latest first", async () => {
+    redis.zrevrange.mockResolvedValue([
+      "p2",
+      "2000",
+      "gone",
+      "1500",
+      "p1",
+      "1000",
+    ]);
+    PropertySearch.find.mockReturnValue(lean([doc("p1"), doc("p2")]));
+
+    const views = await RecommendationService.getRecentlyViewed("u1", {
+      limit: 3,
+    });
+
+    expect(redis.zrevrange).toHaveBeenCalledWith(
+      "user:u1:recently-viewed",
+      0,
+      2,
+      "WITHSCORES"
+    );
+    expect(
+      views.map(({ propertyId, viewedAt }) => [propertyId, viewedAt])
+    ).toEqual([
+      ["p2", new Date(2000)],
+      ["p1", new Date(1000)],
+    ]);
+  });
+});
+
+describe("RecommendationService.getBecauseYouViewed", () => {
+  it("builds up to three rails without repeating listings", async () => {
+    const viewed = ["v1", "v2", "v3", "v4", "v5"];
+    redis.zrevrange.mockResolvedValue(
+      viewed.flatMap((id, index) => [id, String(5000 - index)])
+    );
+    PropertySearch.find.mockReturnValue(lean(viewed.map((id) => doc(id))));
+    const findSimilar = jest
+      .spyOn(RecommendationService, "findSimilar")
+      .mockResolvedValueOnce([{ propertyId: "s1" }, { propertyId: "s2" }])
+      .mockResolvedValueOnce([])
+      .mockResolvedValueOnce([{ propertyId: "s3" }])
+      .mockResolvedValueOnce([{ propertyId: "s4" }]);
+
+    const rails = await RecommendationService.getBecauseYouViewed("u1");
+
+    expect(rails.map((rail) => rail.basedOn.propertyId)).toEqual([
+      "v1",
+      "v3",
+      "v4",
+    ]);
+    expect(findSimilar).toHaveBeenCalledTimes(4);
+    expect(findSimilar.mock.calls[2][1]).toEqual({
+      limit: 8,
+      exclude: [...viewed, "s1", "s2"],
+    });
+    findSimilar.mockRestore();
+  });
+});
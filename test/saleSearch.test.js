@@ -0,0 +1,121 @@
+import {
+  buildFilterMatch,
+  priceFieldFor,
+} from "../src/modules/search/query.js";
+import { searchParamsSchema } from "../src/modules/properties/schema.js";
+import { PropertyService } from "../src/modules/properties/service.js";
+import { ValidationError } from "../src/utils/apiError.js";
+
+jest.mock("../src/config/database.js", () => ({
+  __esModule: true,
+  default: {},
+}));
+jest.mock("../src/config/redis.js", () => ({
+  __esModule: true,
+  default: {},
+}));
+jest.mock("../src/modules/bookings/service.js", () => ({
+  __esModule: true,
+  default: {},
+}));
+jest.mock("../src/modules/search/service.js", () => ({
+  __esModule: true,
+  default: {},
+  ReindexReason: {},
+}));
+
+describe("buildFilterMatch", () => {
+  it("matches sale and rental terms on their indexed fields", () => {
+    expect(
+      buildFilterMatch({
+        listingType: "SALE",
+        minSalePrice: 200000,
+        maxSalePrice: 450000,
+        negotiable: false,
+        maxHoaFee: 300,
+        ownershipType: "Freehold",
+      })
+    ).toEqual({
+      listingType: "SALE",
+      "sale.price": { $gte: 200000, $lte: 450000 },
+      "sale.negotiable": false,
+      "sale.hoaFee": { $lte: 300 },
+      "sale.ownershipType": "Freehold",
+    });
+    expect(
+      buildFilterMatch({
+        minMonthlyRate: 900,
+        minLeaseTerm: 6,
+        maxLeaseTerm: 12,
+        utilitiesIncluded: true,
+      })
+    ).toEqual({
+      "rental.monthlyRate": { $gte: 900 },
+      "rental.leaseTermMonths": { $gte: 6, $lte: 12 },
+      "rental.utilitiesIncluded": true,
+    });
+  });
+
+  it("prices sale listings by their asking price", () => {
+    expect(priceFieldFor("SALE")).toBe("sale.price");
+    expect(priceFieldFor("RENT")).toBe("basePrice");
+    expect(priceFieldFor()).toBe("basePrice");
+  });
+});
+
+describe("searchParamsSchema", () => {
+  const validate = (query) =>
+    searchParamsSchema.validate(query, { abortEarly: false });
+
+  it("accepts sale filters on sale searches", () => {
+    const { error, value } = validate({
+      listingType: "SALE",
+      minSalePrice: "200000",
+      negotiable: "true",
+    });
+
+    expect(error).toBeUndefined();
+    expect(value).toMatchObject({ minSalePrice: 200000, negotiable: true });
+  });
+
+  it.each([
+    [{ listingType: "RENT", minSalePrice: 1 }, "minSalePrice"],
+    [{ listingType: "SALE", maxMonthlyRate: 1000 }, "maxMonthlyRate"],
+    [
+      { listingType: "SALE", checkIn: "2099-01-01", checkOut: "2099-01-05" },
+      "checkIn",
+    ],
+  ])("rejects %p", (query, field) => {
+    const { error } = validate(query);
+
+    expect(error.details.map((detail) => detail.path[0])).toContain(field);
+  });
+});
+
+describe("PropertyService.validateListingDetails", () => {
+  it("returns the terms matching the listing type with defaults applied", () => {
+    expect(
+      PropertyService.validateListingDetails("SALE", {
+        saleDetails: { salePrice: 350000 },
+      })
+    ).toEqual({
+      saleDetails: { salePrice: 350000, priceNegotiable: false },
+    });
+  });
+
+  it("rejects terms for the other listing type", () => {
+    expect(() =>
+      PropertyService.validateListingDetails("RENT", {
+        saleDetails: { salePrice: 350000 },
+      })
+    ).toThrow(new ValidationError("saleDetails only apply to SALE listings"));
+  });
+
+  it("rejects invalid terms", () => {
+    expect(() =>
+      PropertyService.validateListingDetails("RENT", {
+        rentalDetails: { monthlyRate: 1200, leaseTermMonths: 0 },
+      })
+    ).toThrow(ValidationError);
+  });
+});
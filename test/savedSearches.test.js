@@ -0,0 +1,236 @@
+import mongoose from "mongoose";
+import prisma from "../src/config/database.js";
+import redis from "../src/config/redis.js";
+import UserPreferences from "../src/models/UserPreferences.js";
+import SavedSearchMatch from "../src/models/SavedSearchMatch.js";
+import Notification from "../src/models/Notification.js";
+import PropertySearch from "../src/models/PropertyDetails.js";
+import { sendEmail } from "../src/utils/email.js";
+import SavedSearchService from "../src/modules/saved-searches/service.js";
+
+jest.mock("../src/config/database.js", () => ({
+  __esModule: true,
+  default: {
+    property: { findUnique: jest.fn(), findMany: jest.fn() },
+    user: { findUnique: jest.fn() },
+  },
+}));
+jest.mock("../src/config/redis.js", () => ({
+  __esModule: true,
+  default: { publish: jest.fn() },
+}));
+jest.mock("../src/models/UserPreferences.js", () => ({
+  __esModule: true,
+  default: { find: jest.fn(), findOne: jest.fn(), updateOne: jest.fn() },
+}));
+jest.mock("../src/models/SavedSearchMatch.js", () => ({
+  __esModule: true,
+  default: {
+    create: jest.fn(),
+    find: jest.fn(),
+    distinct: jest.fn(),
+    updateMany: jest.fn(),
+  },
+}));
+jest.mock("../src/models/Notification.js", () => ({
+  __esModule: true,
+  default: { create: jest.fn() },
+}));
+jest.mock("../src/models/PropertyDetails.js", () => ({
+  __esModule: true,
+  default: { exists: jest.fn() },
+}));
+jest.mock("../src/modules/properties/service.js", () => ({
+  PropertyService: {},
+}));
+jest.mock("../src/utils/email.js", () => ({ sendEmail: jest.fn() }));
+
+const lean = (value) => ({ lean: () => value });
+const cursorOf = (documents) => lean({ cursor: () => documents });
+
+const search = (alertFrequency, params = { city: "Porto" }) => ({
+  _id: new mongoose.Types.ObjectId(),
+  name: `${alertFrequency} search`,
+  params,
+  alertFrequency,
+});
+const listing = {
+  id: "p1",
+  title: "Loft <by the river>",
+  city: "Porto",
+  basePrice: "95",
+  currency: "EUR",
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  prisma.property.findUnique.mockResolvedValue({
+    ownerId: "owner",
+    status: "APPROVED",
+    deletedAt: null,
+  });
+  prisma.property.findMany.mockResolvedValue([listing]);
+  prisma.user.findUnique.mockResolvedValue({
+    email: "guest@example.com",
+    profile: { notificationPreferences: {} },
+  });
+  PropertySearch.exists.mockResolvedValue({ _id: "doc" });
+  Notification.create.mockResolvedValue({
+    toNotificationPayload: () => ({}),
+  });
+});
+
+describe("SavedSearchService.matchNewListing", () => {
+  it("waits for the listing's search document", async () => {
+    PropertySearch.exists.mockResolvedValueOnce(null);
+
+    await expect(SavedSearchService.matchNewListing("p1")).rejects.toThrow(
+      "Listing p1 is not indexed yet"
+    );
+    expect(UserPreferences.find).not.toHaveBeenCalled();
+  });
+
+  it("ignores listings that are not approved", async () => {
+    prisma.property.findUnique.mockResolvedValueOnce({
+      status: "PENDING",
+      deletedAt: null,
+    });
+
+    await expect(SavedSearchService.matchNewListing("p1")).resolves.toBe(0);
+  });
+
+  it("records matches, skipping the owner and searches without alerts", async () => {
+    const daily = search("DAILY");
+    UserPreferences.find.mockReturnValue(
+      cursorOf([{ userId: "u1", savedSearches: [daily, search("NONE")] }])
+    );
+
+    await expect(SavedSearchService.matchNewListing("p1")).resolves.toBe(1);
+
+    expect(UserPreferences.find).toHaveBeenCalledWith(
+      expect.objectContaining({ userId: { $ne: "owner" } })
+    );
+    expect(PropertySearch.exists).toHaveBeenLastCalledWith({
+      city: "Porto",
+      propertyId: "p1",
+    });
+    expect(SavedSearchMatch.create).toHaveBeenCalledWith({
+      userId: "u1",
+      savedSearchId: daily._id,
+      propertyId: "p1",
+    });
+    expect(sendEmail).not.toHaveBeenCalled();
+  });
+
+  it("does not count a listing matched on an earlier run", async () => {
+    UserPreferences.find.mockReturnValue(
+      cursorOf([{ userId: "u1", savedSearches: [search("INSTANT")] }])
+    );
+    SavedSearchMatch.create.mockRejectedValueOnce(
+      Object.assign(new Error("duplicate"), { code: 11000 })
+    );
+
+    await expect(SavedSearchService.matchNewListing("p1")).resolves.toBe(0);
+    expect(SavedSearchMatch.find).not.toHaveBeenCalled();
+  });
+
+  it("keeps matching other users when an instant alert fails", async () => {
+    UserPreferences.find.mockReturnValue(
+      cursorOf([
+        { userId: "u1", savedSearches: [search("INSTANT")] },
+        { userId: "u2", savedSearches: [search("INSTANT")] },
+      ])
+    );
+    const sendPendingAlerts = jest
+      .spyOn(SavedSearchService, "sendPendingAlerts")
+      .mockRejectedValueOnce(new Error("SMTP down"))
+      .mockResolvedValueOnce(true);
+
+    await expect(SavedSearchService.matchNewListing("p1")).resolves.toBe(2);
+    expect(sendPendingAlerts).toHaveBeenCalledTimes(2);
+    sendPendingAlerts.mockRestore();
+  });
+});
+
+describe("SavedSearchService.sendPendingAlerts", () => {
+  it("sends one escaped alert and marks the matches alerted", async () => {
+    const instant = search("INSTANT");
+    SavedSearchMatch.find.mockReturnValue(
+      lean([
+        { _id: "m1", savedSearchId: instant._id, propertyId: "p1" },
+        { _id: "m2", savedSearchId: instant._id, propertyId: "gone" },
+      ])
+    );
+
+    await expect(
+      SavedSearchService.sendPendingAlerts("u1", [instant])
+    ).resolves.toBe(true);
+
+    const [to, subject, html] = sendEmail.mock.calls[0];
+    expect(to).toBe("guest@example.com");
+    expect(subject).toBe('1 new listing for "INSTANT search"');
+    expect(html).toContain("Loft &lt;by the river&gt;");
+    expect(redis.publish).toHaveBeenCalledWith(
+      "user:u1:notifications",
+      expect.any(String)
+    );
+    expect(SavedSearchMatch.updateMany).toHaveBeenCalledWith(
+      { _id: { $in: ["m1", "m2"] } },
+      { $set: { alertedAt: expect.any(Date) } }
+    );
+  });
+
+  it("honours the user's notification preferences", async () => {
+    const instant = search("INSTANT");
+    SavedSearchMatch.find.mockReturnValue(
+      lean([{ _id: "m1", savedSearchId: instant._id, propertyId: "p1" }])
+    );
+    prisma.user.findUnique.mockResolvedValueOnce({
+      email: "guest@example.com",
+      profile: { notificationPreferences: { email: false } },
+    });
+
+    await SavedSearchService.sendPendingAlerts("u1", [instant]);
+
+    expect(Notification.create).toHaveBeenCalled();
+    expect(sendEmail).not.toHaveBeenCalled();
+  });
+
+  it("has nothing to send without pending matches", async () => {
+    SavedSearchMatch.find.mockReturnValue(lean([]));
+
+    await expect(
+      SavedSearchService.sendPendingAlerts("u1", [search("DAILY")])
+    ).resolves.toBe(false);
+    expect(prisma.property.findMany).not.toHaveBeenCalled();
+  });
+});
+
+describe("SavedSearchService.sendMissedInstantAlerts", () => {
+  it("retries old unalerted matches per user", async () => {
+    SavedSearchMatch.distinct.mockResolvedValue(["u1", "u2", "u3"]);
+    UserPreferences.findOne.mockImplementation(({ userId }) =>
+      lean({
+        savedSearches:
+          userId === "u2" ? [search("DAILY")] : [search("INSTANT")],
+      })
+    );
+    const sendPendingAlerts = jest
+      .spyOn(SavedSearchService, "sendPendingAlerts")
+      .mockRejectedValueOnce(new Error("SMTP down"))
+      .mockResolvedValueOnce(true);
+
+    await expect(SavedSearchService.sendMissedInstantAlerts()).resolves.toBe(1);
+
+    const [, filter] = SavedSearchMatch.distinct.mock.calls[0];
+    expect(filter.alertedAt).toBeNull();
+    expect(Date.now() - filter.createdAt.$lte.getTime()).toBeGreaterThanOrEqual(
+      10 * 60 * 1000
+    );
+    expect(sendPendingAlerts.mock.calls.map(([userId]) => userId)).toEqual([
+      "u1",
+      "u3",
+    ]);
+    sendPendingAlerts.mockRestore();
+  });
+});
@@ -0,0 +1,179 @@
+import pkg from "@prisma/client";
+import prisma from "../src/config/database.js";
+import PropertySearch from "../src/models/PropertyDetails.js";
+import { PropertyService } from "../src/modules/properties/service.js";
+import { queueListingMatch } from "../src/jobs/savedSearches.js";
+import SearchIndexService from "../src/modules/search/service.js";
+const { PropertyStatus, SearchOutboxStatus } = pkg;
+
+jest.mock("../src/config/database.js", () => ({
+  __esModule: true,
+  default: {
+    property: { findUnique: jest.fn() },
+    searchOutbox: {
+      findMany: jest.fn(),
+      updateMany: jest.fn(),
+      update: jest.fn(),
+    },
+  },
+}));
+jest.mock("../src/models/PropertyDetails.js", () => ({
+  __esModule: true,
+  default: { exists: jest.fn(), deleteOne: jest.fn() },
+}));
+jest.mock("../src/modules/properties/service.js", () => ({
+  PropertyService: { indexProperty: jest.fn() },
+}));
+jest.mock("../src/jobs/savedSearches.js", () => ({
+  queueListingMatch: jest.fn(),
+}));
+jest.mock("../src/modules/search/suggestions.js", () => ({
+  syncListingSuggestion: jest.fn(),
+}));
+
+const entry = (id, propertyId, attempts = 0) => ({
+  id,
+  propertyId,
+  attempts,
+  status: SearchOutboxStatus.PROCESSING,
+});
+
+describe("SearchIndexService.reindex", () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it("indexes an approved listing and queues its first saved-search match", async () => {
+    prisma.property.findUnique.mockResolvedValue({
+      status: PropertyStatus.APPROVED,
+      deletedAt: null,
+    });
+    PropertySearch.exists.mockResolvedValue(null);
+
+    await expect(SearchIndexService.reindex("p1")).resolves.toBe("indexed");
+
+    expect(queueListingMatch).toHaveBeenCalledWith("p1");
+    expect(queueListingMatch.mock.invocationCallOrder[0]).toBeLessThan(
+      PropertyService.indexProperty.mock.invocationCallOrder[0]
+    );
+  });
+
+  it("does not match a listing again when it is already indexed", async () => {
+    prisma.property.findUnique.mockResolvedValue({
+      status: PropertyStatus.APPROVED,
+      deletedAt: null,
+    });
+    PropertySearch.exists.mockResolvedValue({ _id: "doc" });
+
+    await SearchIndexService.reindex("p1");
+
+    expect(queueListingMatch).not.toHaveBeenCalled();
+    expect(PropertyService.indexProperty).toHaveBeenCalledWith("p1");
+  });
+
+  it.each([
+    ["a listing awaiting review", { status: PropertyStatus.PENDING }],
+    [
+      "a deleted listing",
+      { status: PropertyStatus.APPROVED, deletedAt: new Date() },
+    ],
+    ["a listing that no longer exists", null],
+  ])("removes the document of %s", async (_case, property) => {
+    prisma.property.findUnique.mockResolvedValue(property);
+
+    await expect(SearchIndexService.reindex("p1")).resolves.toBe("removed");
+    expect(PropertySearch.deleteOne).toHaveBeenCalledWith({ propertyId: "p1" });
+    expect(PropertyService.indexProperty).not.toHaveBeenCalled();
+  });
+});
+
+describe("SearchIndexService.processOutbox", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.searchOutbox.updateMany.mockResolvedValue({ count: 1 });
+  });
+
+  const claim = (entries) => {
+    prisma.searchOutbox.findMany
+      .mockResolvedValueOnce(entries.map(({ id }) => ({ id })))
+      .mockResolvedValueOnce(entries);
+  };
+
+  it("reindexes each property once however many entries it has", async () => {
+    claim([entry("e1", "p1"), entry("e2", "p1"), entry("e3", "p2")]);
+    const reindex = jest
+      .spyOn(SearchIndexService, "reindex")
+      .mockResolvedValue("indexed");
+
+    const summary = await SearchIndexService.processOutbox(10);
+
+    expect(reindex.mock.calls).toEqual([["p1"], ["p2"]]);
+    expect(summary).toEqual({ processed: 3, retried: 0, dead: 0 });
+    expect(prisma.searchOutbox.updateMany).toHaveBeenCalledWith(
+      expect.objectContaining({
+        where: { id: { in: ["e1", "e2"] } },
+        data: expect.objectContaining({ status: SearchOutboxStatus.DONE }),
+      })
+    );
+    reindex.mockRestore();
+  });
+
+  it("backs off failed entries and dead-letters them when out of attempts", async () => {
+    claim([entry("e1", "p1", 0), entry("e2", "p1", 7)]);
+    const reindex = jest
+      .spyOn(SearchIndexService, "reindex")
+      .mockRejectedValue(new Error("Mongo is down"));
+
+    const summary = await SearchIndexService.processOutbox(10);
+
+    expect(summary).toEqual({ processed: 0, retried: 1, dead: 1 });
+    const [retried, dead] = prisma.searchOutbox.update.mock.calls.map(
+      ([args]) => args.data
+    );
+    expect(retried).toMatchObject({
+      attempts: 1,
+      status: SearchOutboxStatus.PENDING,
+      lastError: "Mongo is down",
+    });
+    expect(retried.availableAt.getTime()).toBeGreaterThan(Date.now());
+    expect(dead).toMatchObject({
+      attempts: 8,
+      status: SearchOutboxStatus.DEAD,
+    });
+    reindex.mockRestore();
+  });
+
+  it("does nothing when no entry is due", async () => {
+    prisma.searchOutbox.findMany.mockResolvedValueOnce([]);
+
+    await expect(SearchIndexService.processOutbox(10)).resolves.toEqual({
+      processed: 0,
+      retried: 0,
+      dead: 0,
+    });
+    expect(prisma.searchOutbox.updateMany).not.toHaveBeenCalled();
+  });
+});
+
+describe("SearchIndexService.compareIndex", () => {
+  it("finds missing, orphaned and stale documents", () => {
+    const updatedAt = new Date("2030-01-02");
+
+    const drift = SearchIndexService.compareIndex(
+      [
+        { id: "fresh", updatedAt },
+        { id: "stale", updatedAt },
+        { id: "missing", updatedAt },
+      ],
+      [
+        { propertyId: "fresh", sourceUpdatedAt: updatedAt },
+        { propertyId: "stale", sourceUpdatedAt: new Date("2030-01-01") },
+        { propertyId: "orphaned", sourceUpdatedAt: updatedAt },
+      ]
+    );
+
+    expect(drift).toEqual({
+      missing: ["missing"],
+      orphaned: ["orphaned"],
+      stale: ["stale"],
+    });
+  });
+});
@@ -0,0 +1,118 @@
+import prisma from "../src/config/database.js";
+import BookingService from "../src/modules/bookings/service.js";
+import { PropertyService } from "../src/modules/properties/service.js";
+
+jest.mock("../src/config/database.js", () => ({
+  __esModule: true,
+  default: { property: { findMany: jest.fn() } },
+}));
+jest.mock("../src/config/redis.js", () => ({
+  __esModule: true,
+  default: {},
+}));
+jest.mock("../src/modules/bookings/service.js", () => ({
+  __esModule: true,
+  default: { calculateTotalPrice: jest.fn() },
+}));
+jest.mock("../src/modules/search/service.js", () => ({
+  __esModule: true,
+  default: {},
+  ReindexReason: {},
+}));
+
+const day = (n) => new Date(Date.UTC(2030, 0, n));
+const slot = (start, end, fields = {}) => ({
+  startDate: day(start),
+  endDate: day(end),
+  minStay: null,
+  ...fields,
+});
+
+describe("PropertyService.findBookableProperties", () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  const find = (candidates, stay = {}) => {
+    prisma.property.findMany.mockResolvedValue(candidates);
+    return PropertyService.findBookableProperties({
+      checkIn: day(10),
+      checkOut: day(13),
+      ...stay,
+    });
+  };
+
+  it("only asks for approved listings that fit the party and stay length", async () => {
+    await find([], { guests: 4, propertyIds: ["a"] });
+
+    const { where } = prisma.property.findMany.mock.calls[0][0];
+    expect(where).toMatchObject({
+      status: "APPROVED",
+      deletedAt: null,
+      id: { in: ["a"] },
+      maxGuests: { gte: 4 },
+      minStay: { lte: 3 },
+      OR: [{ maxStay: null }, { maxStay: { gte: 3 } }],
+    });
+  });
+
+  it("keeps properties whose open slots cover every night", async () => {
+    const bookable = await find([
+      { id: "whole", availability: [slot(1, 20)] },
+      { id: "pieces", availability: [slot(9, 11), slot(11, 13)] },
+      { id: "gap", availability: [slot(9, 11), slot(12, 13)] },
+      { id: "short", availability: [slot(10, 12)] },
+    ]);
+
+    expect([...bookable.keys()]).toEqual(["whole", "pieces"]);
+    expect(bookable.get("pieces")).toHaveLength(2);
+  });
+
+  it("applies the arrival night's minimum stay", async () => {
+    const bookable = await find([
+      { id: "too-short", availability: [slot(8, 20, { minStay: 4 })] },
+      { id: "long-enough", availability: [slot(8, 20, { minStay: 3 })] },
+      {
+        id: "later-rule",
+        availability: [slot(8, 11), slot(11, 20, { minStay: 7 })],
+      },
+    ]);
+
+    expect([...bookable.keys()]).toEqual(["long-enough", "later-rule"]);
+  });
+});
+
+describe("PropertyService.priceStays", () => {
+  it("prices each stay and leaves failed ones without a total", async () => {
+    BookingService.calculateTotalPrice.mockImplementation(
+      async (client, propertyId) => {
+        if (propertyId === "broken") throw new Error("No rate");
+        return {
+          nightlyPrices: [100, 100, 120],
+          basePrice: 320,
+          taxes: 32,
+          fees: 20,
+          discountAmount: 0,
+          totalPrice: 372,
+          currency: "EUR",
+        };
+      }
+    );
+    const bookable = new Map([["ok", [slot(1, 20)]]]);
+
+    const priced = await PropertyService.priceStays(
+      [{ id: "ok" }, { id: "broken" }],
+      bookable,
+      { checkIn: day(10), checkOut: day(13), guests: 2 }
+    );
+
+    expect(BookingService.calculateTotalPrice).toHaveBeenCalledWith(
+      prisma,
+      "ok",
+      bookable.get("ok"),
+      day(10),
+      day(13),
+      2
+    );
+    expect(priced.get("ok")).toMatchObject({ nights: 3, totalPrice: 372 });
+    expect(priced.get("broken")).toBeNull();
+  });
+});
@@ -0,0 +1,211 @@
+import PropertySearch from "../src/models/PropertyDetails.js";
+import SearchSuggestion from "../src/models/SearchSuggestion.js";
+import {
+  getSuggestions,
+  rebuildSuggestions,
+  syncListingSuggestion,
+  tokenize,
+} from "../src/modules/search/suggestions.js";
+
+jest.mock("../src/models/PropertyDetails.js", () => ({
+  __esModule: true,
+  default: { aggregate: jest.fn(), find: jest.fn(), findOne: jest.fn() },
+}));
+jest.mock("../src/models/SearchSuggestion.js", () => ({
+  __esModule: true,
+  default: {
+    find: jest.fn(),
+    bulkWrite: jest.fn(),
+    deleteOne: jest.fn(),
+    deleteMany: jest.fn(),
+  },
+}));
+
+const lean = (value) => ({ lean: () => value });
+const query = (results) => ({
+  sort: () => ({ limit: () => lean(results) }),
+});
+const place = (label) => ({
+  kind: "place",
+  placeType: "city",
+  label,
+  context: "Portugal",
+  location: { type: "Point", coordinates: [-9.14, 38.72] },
+  bounds: { south: 38.6, west: -9.3, north: 38.8, east: -9 },
+  listingCount: 12,
+});
+const listing = (propertyId) => ({
+  kind: "listing",
+  propertyId,
+  label: `Flat ${propertyId}`,
+  context: "Lisbon, PT",
+  location: { type: "Point", coordinates: [-9.1, 38.7] },
+});
+
+beforeEach(() => jest.clearAllMocks());
+
+describe("tokenize", () => {
+  it("folds accents and case into unique words", () => {
+    expect(tokenize("São Paulo", "SAO  paulo-Centro", undefined)).toEqual([
+      "sao",
+      "paulo",
+      "centro",
+    ]);
+  });
+
+  it("drops characters that would act as regex syntax", () => {
+    expect(tokenize("(.*)+ new [york]")).toEqual(["new", "york"]);
+  });
+});
+
+describe("getSuggestions", () => {
+  const findsFor = (places, listings) =>
+    SearchSuggestion.find.mockImplementation(({ kind }) =>
+      query(kind === "place" ? places : listings)
+    );
+
+  it("requires every typed word to start a word of the suggestion", async () => {
+    findsFor([], []);
+
+    await getSuggestions("New Yo", { types: ["place"] });
+
+    expect(SearchSuggestion.find).toHaveBeenCalledTimes(1);
+    expect(SearchSuggestion.find).toHaveBeenCalledWith({
+      kind: "place",
+      $and: [{ tokens: { $regex: "^new" } }, { tokens: { $regex: "^yo" } }],
+    });
+  });
+
+  it("returns nothing for text without words", async () => {
+    await expect(getSuggestions(" -- ")).resolves.toEqual([]);
+    expect(SearchSuggestion.find).not.toHaveBeenCalled();
+  });
+
+  it("puts places first and keeps a third of the slots for listings", async () => {
+    findsFor(
+      ["Lisbon", "Lisboa", "Linda-a-Velha", "Lima", "Lille"].map(place),
+      ["p1", "p2", "p3"].map(listing)
+    );
+
+    const suggestions = await getSuggestions("li", { limit: 6 });
+
+    expect(suggestions.map((s) => s.label)).toEqual([
+      "Lisbon",
+      "Lisboa",
+      "Linda-a-Velha",
+      "Lima",
+      "Flat p1",
+      "Flat p2",
+    ]);
+    expect(suggestions[0]).toEqual({
+      type: "place",
+      placeType: "city",
+      label: "Lisbon",
+      context: "Portugal",
+      location: { lat: 38.72, lng: -9.14 },
+      bounds: { south: 38.6, west: -9.3, north: 38.8, east: -9 },
+      listingCount: 12,
+    });
+    expect(suggestions[4]).toEqual({
+      type: "listing",
+      propertyId: "p1",
+      label: "Flat p1",
+      context: "Lisbon, PT",
+      location: { lat: 38.7, lng: -9.1 },
+      photo: null,
+    });
+  });
+
+  it("gives listings every slot when no place matches", async () => {
+    findsFor([], ["p1", "p2", "p3"].map(listing));
+
+    const suggestions = await getSuggestions("flat", { limit: 3 });
+
+    expect(suggestions.map((s) => s.type)).toEqual([
+      "listing",
+      "listing",
+      "listing",
+    ]);
+  });
+});
+
+describe("rebuildSuggestions", () => {
+  it("indexes places and listings, then removes stale entries", async () => {
+    PropertySearch.aggregate.mockImplementation(async ([{ $match }]) =>
+      $match.city
+        ? [
+            {
+              _id: { city: "lisbon", state: "", country: "portugal" },
+              names: { city: " Lisbon ", state: null, country: "Portugal" },
+              listingCount: 2,
+              lat: 38.7,
+              lng: -9.1,
+              south: 38.6,
+              north: 38.8,
+              west: -9.2,
+              east: -9,
+            },
+          ]
+        : []
+    );
+    PropertySearch.find.mockReturnValue(
+      lean({
+        cursor: () => [
+          {
+            propertyId: "p1",
+            title: "Loft",
+            city: "Lisbon",
+            country: "PT",
+            stats: { reviewCount: 3, bookedCount: 4 },
+          },
+        ],
+      })
+    );
+    SearchSuggestion.deleteMany.mockResolvedValue({ deletedCount: 5 });
+
+    await expect(rebuildSuggestions()).resolves.toEqual({
+      places: 1,
+      listings: 1,
+      removed: 5,
+    });
+
+    const [[placeOps], [listingOps]] = SearchSuggestion.bulkWrite.mock.calls;
+    const builtAt = placeOps[0].updateOne.update.$set.builtAt;
+    expect(placeOps[0].updateOne).toEqual({
+      filter: { key: "city:lisbon||portugal" },
+      update: {
+        $set: expect.objectContaining({
+          label: "Lisbon",
+          context: "Portugal",
+          tokens: ["lisbon", "portugal"],
+          location: { type: "Point", coordinates: [-9.1, 38.7] },
+          weight: 2,
+        }),
+      },
+      upsert: true,
+    });
+    expect(listingOps[0].updateOne.update.$set).toMatchObject({
+      key: "listing:p1",
+      label: "Loft",
+      context: "Lisbon, PT",
+      weight: 7,
+      builtAt,
+    });
+    expect(SearchSuggestion.deleteMany).toHaveBeenCalledWith({
+      builtAt: { $lt: builtAt },
+    });
+  });
+});
+
+describe("syncListingSuggestion", () => {
+  it("removes the suggestion of a listing no longer indexed", async () => {
+    PropertySearch.findOne.mockReturnValue(lean(null));
+
+    await syncListingSuggestion("p1");
+
+    expect(SearchSuggestion.deleteOne).toHaveBeenCalledWith({
+      key: "listing:p1",
+    });
+    expect(SearchSuggestion.bulkWrite).not.toHaveBeenCalled();
+  });
+});
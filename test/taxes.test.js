@@ -0,0 +1,108 @@
+import pkg from "@prisma/client";
+import TaxFeeService from "../src/modules/taxes/service.js";
+const { TaxFeeKind, TaxFeeCalculation } = pkg;
+
+jest.mock("../src/config/database.js", () => ({
+  __esModule: true,
+  default: {},
+}));
+
+const taxRule = (kind, calculation, rate, fields = {}) => ({
+  id: `${kind.toLowerCase()}-rule`,
+  kind,
+  calculation,
+  rate: String(rate),
+  name: kind.replace(/_/g, " ").toLowerCase(),
+  ...fields,
+});
+
+describe("TaxFeeService.buildLineItems", () => {
+  const rules = [
+    taxRule(TaxFeeKind.VAT, TaxFeeCalculation.PERCENTAGE, 20),
+    taxRule(TaxFeeKind.OCCUPANCY_TAX, TaxFeeCalculation.PERCENTAGE, 5),
+    taxRule(TaxFeeKind.CLEANING_FEE, TaxFeeCalculation.PER_STAY, 30),
+    taxRule(TaxFeeKind.EXTRA_GUEST_FEE, TaxFeeCalculation.PER_NIGHT, 10, {
+      guestThreshold: 2,
+    }),
+    taxRule(TaxFeeKind.SERVICE_FEE, TaxFeeCalculation.PERCENTAGE, 10),
+  ];
+
+  it("itemises fees before the taxes levied on them", () => {
+    const { lineItems, taxes, fees, total } = TaxFeeService.buildLineItems({
+      accommodation: 311,
+      nights: 3,
+      guests: 4,
+      rules,
+    });
+
+    expect(
+      lineItems.map(({ kind, quantity, unitAmount, amount, sortOrder }) => ({
+        kind,
+        quantity,
+        unitAmount,
+        amount,
+        sortOrder,
+      }))
+    ).toEqual([
+      {
+        kind: "ACCOMMODATION",
+        quantity: 3,
+        unitAmount: 103.67,
+        amount: 311,
+        sortOrder: 0,
+      },
+      {
+        kind: TaxFeeKind.CLEANING_FEE,
+        quantity: 1,
+        unitAmount: 30,
+        amount: 30,
+        sortOrder: 1,
+      },
+      {
+        kind: TaxFeeKind.EXTRA_GUEST_FEE,
+        quantity: 2,
+        unitAmount: 30,
+        amount: 60,
+        sortOrder: 2,
+      },
+      {
+        kind: TaxFeeKind.SERVICE_FEE,
+        quantity: 1,
+        unitAmount: 31.1,
+        amount: 31.1,
+        sortOrder: 3,
+      },
+      {
+        kind: TaxFeeKind.OCCUPANCY_TAX,
+        quantity: 1,
+        unitAmount: 15.55,
+        amount: 15.55,
+        sortOrder: 4,
+      },
+      // VAT is charged on the stay and its fees: 20% of 432.10
+      {
+        kind: TaxFeeKind.VAT,
+        quantity: 1,
+        unitAmount: 86.42,
+        amount: 86.42,
+        sortOrder: 5,
+      },
+    ]);
+    expect(fees).toBe(121.1);
+    expect(taxes).toBe(101.97);
+    expect(total).toBe(534.07);
+  });
+
+  it("skips the extra guest fee up to its threshold", () => {
+    const { lineItems } = TaxFeeService.buildLineItems({
+      accommodation: 311,
+      nights: 3,
+      guests: 2,
+      rules,
+    });
+
+    expect(lineItems.map((item) => item.kind)).not.toContain(
+      TaxFeeKind.EXTRA_GUEST_FEE
+    );
+  });
+});
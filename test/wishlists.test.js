@@ -0,0 +1,213 @@
+import prisma from "../src/config/database.js";
+import Wishlist from "../src/models/Wishlist.js";
+import UserPreferences from "../src/models/UserPreferences.js";
+import { PropertyService } from "../src/modules/properties/service.js";
+import WishlistService from "../src/modules/wishlists/service.js";
+import {
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+} from "../src/utils/apiError.js";
+
+jest.mock("../src/config/database.js", () => ({
+  __esModule: true,
+  default: { property: { findUnique: jest.fn(), findMany: jest.fn() } },
+}));
+jest.mock("../src/models/Wishlist.js", () => ({
+  __esModule: true,
+  default: {
+    create: jest.fn(),
+    findOne: jest.fn(),
+    findOneAndUpdate: jest.fn(),
+    deleteOne: jest.fn(),
+  },
+}));
+jest.mock("../src/models/UserPreferences.js", () => ({
+  __esModule: true,
+  default: { findOne: jest.fn(), updateOne: jest.fn() },
+}));
+jest.mock("../src/modules/properties/service.js", () => ({
+  PropertyService: { findBookableProperties: jest.fn(), priceStays: jest.fn() },
+}));
+
+const lean = (value) => ({ lean: () => value });
+const wishlistId = "652f1c2e8b3a4d0012345678";
+
+beforeEach(() => jest.clearAllMocks());
+
+describe("WishlistService.addProperty", () => {
+  beforeEach(() => {
+    prisma.property.findUnique.mockResolvedValue({
+      status: "APPROVED",
+      deletedAt: null,
+    });
+  });
+
+  it("appends the property when it isn't listed yet and there is room", async () => {
+    Wishlist.findOneAndUpdate.mockReturnValue(
+      lean({ _id: wishlistId, name: "Summer", items: [{ propertyId: "p1" }] })
+    );
+
+    await expect(
+      WishlistService.addProperty("u1", wishlistId, "p1")
+    ).resolves.toMatchObject({ id: wishlistId, itemCount: 1, shared: false });
+
+    const [filter] = Wishlist.findOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({
+      _id: wishlistId,
+      userId: "u1",
+      "items.propertyId": { $ne: "p1" },
+      "items.499": { $exists: false },
+    });
+  });
+
+  it("only saves approved listings", async () => {
+    prisma.property.findUnique.mockResolvedValue({
+      status: "PENDING",
+      deletedAt: null,
+    });
+
+    await expect(
+      WishlistService.addProperty("u1", wishlistId, "p1")
+    ).rejects.toThrow(NotFoundError);
+    expect(Wishlist.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it.each([
+    ["the property is already saved", [{ propertyId: "p1" }], ConflictError],
+    ["the list is full", [{ propertyId: "p2" }], BadRequestError],
+  ])("explains the rejection when %s", async (_, items, ErrorClass) => {
+    Wishlist.findOneAndUpdate.mockReturnValue(lean(null));
+    Wishlist.findOne.mockReturnValue(lean({ items }));
+
+    await expect(
+      WishlistService.addProperty("u1", wishlistId, "p1")
+    ).rejects.toThrow(ErrorClass);
+  });
+
+  it("treats malformed ids as missing lists", async () => {
+    await expect(
+      WishlistService.addProperty("u1", "not-an-id", "p1")
+    ).rejects.toThrow(new NotFoundError("Wishlist not found"));
+  });
+});
+
+describe("WishlistService.importLegacyFavorites", () => {
+  it("moves deduplicated favorites into a wishlist and clears them", async () => {
+    UserPreferences.findOne.mockReturnValue(
+      lean({ favorites: ["p1", "p2", "p1"] })
+    );
+    Wishlist.create.mockResolvedValue({ _id: "w1" });
+    UserPreferences.updateOne.mockResolvedValue({ modifiedCount: 1 });
+
+    await WishlistService.importLegacyFavorites("u1");
+
+    expect(Wishlist.create).toHaveBeenCalledWith({
+      userId: "u1",
+      name: "Favorites",
+      items: [{ propertyId: "p1" }, { propertyId: "p2" }],
+    });
+    expect(UserPreferences.updateOne).toHaveBeenCalledWith(
+      { userId: "u1", favorites: ["p1", "p2", "p1"] },
+      { $set: { favorites: [] } }
+    );
+    expect(Wishlist.deleteOne).not.toHaveBeenCalled();
+  });
+
+  it("drops the copy when the favorites changed meanwhile", async () => {
+    UserPreferences.findOne.mockReturnValue(lean({ favorites: ["p1"] }));
+    Wishlist.create.mockResolvedValue({ _id: "w1" });
+    UserPreferences.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+    await WishlistService.importLegacyFavorites("u1");
+
+    expect(Wishlist.deleteOne).toHaveBeenCalledWith({ _id: "w1" });
+  });
+
+  it("does nothing without legacy favorites", async () => {
+    UserPreferences.findOne.mockReturnValue(lean(null));
+
+    await WishlistService.importLegacyFavorites("u1");
+
+    expect(Wishlist.create).not.toHaveBeenCalled();
+  });
+});
+
+describe("WishlistService.hydrateItems", () => {
+  const soon = new Date(Date.now() + 24 * 60 * 60 * 1000);
+  const property = (id, fields = {}) => ({
+    id,
+    title: `Home ${id}`,
+    city: "Porto",
+    country: "PT",
+    photos: [],
+    listingType: "RENT",
+    basePrice: "80",
+    currency: "EUR",
+    maxGuests: 4,
+    status: "APPROVED",
+    deletedAt: null,
+    availability: [{ startDate: soon }],
+    ...fields,
+  });
+
+  beforeEach(() => {
+    prisma.property.findMany.mockResolvedValue([
+      property("p1"),
+      property("p2", { status: "SUSPENDED" }),
+      property("p3", { availability: [] }),
+    ]);
+  });
+
+  const items = ["p1", "p2", "p3", "gone"].map((propertyId) => ({
+    propertyId,
+    addedAt: new Date(0),
+  }));
+
+  it("keeps list order and marks listings taken down", async () => {
+    const hydrated = await WishlistService.hydrateItems(items);
+
+    expect(
+      hydrated.map(({ propertyId, listed }) => [propertyId, listed])
+    ).toEqual([
+      ["p1", true],
+      ["p2", false],
+      ["p3", true],
+      ["gone", false],
+    ]);
+    expect(hydrated[0].property.basePrice).toBe(80);
+    expect(hydrated[0].availability).toEqual({
+      available: true,
+      nextAvailableFrom: soon,
+    });
+    expect(hydrated[2].availability).toEqual({
+      available: false,
+      nextAvailableFrom: null,
+    });
+    expect(PropertyService.findBookableProperties).not.toHaveBeenCalled();
+  });
+
+  it("checks and prices the requested stay for listed properties", async () => {
+    const stay = { checkIn: "2099-06-01", checkOut: "2099-06-05", guests: 2 };
+    const bookable = new Map([["p1", {}]]);
+    PropertyService.findBookableProperties.mockResolvedValue(bookable);
+    PropertyService.priceStays.mockResolvedValue(
+      new Map([["p1", { total: 320 }]])
+    );
+
+    const hydrated = await WishlistService.hydrateItems(items, stay);
+
+    expect(PropertyService.findBookableProperties).toHaveBeenCalledWith({
+      ...stay,
+      propertyIds: ["p1", "p3"],
+    });
+    expect(hydrated[0]).toMatchObject({
+      availability: { available: true, checkIn: stay.checkIn },
+      stay: { total: 320 },
+    });
+    expect(hydrated[2]).toMatchObject({
+      availability: { available: false },
+      stay: null,
+    });
+  });
+});